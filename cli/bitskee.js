@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * BitsKee - Command Line
+ * Pixelates PNG files with the same engine as the web app, for build pipelines and batch jobs.
+ *
+ *     node cli/bitskee.js pixelate in.png -o out.png --size 8 --mode 16
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('./engine');
+const PngCodec = require('./png');
+
+const Cli = {
+    usage: `Usage: bitskee pixelate <input.png>... -o <output> [options]
+
+Pixelates PNG images. With several inputs, -o names a directory.
+
+Options:
+  -o, --output PATH        Output PNG, or directory for several inputs
+  -s, --size N             Block width in pixels (default 8)
+  --grid WxH               Exact block grid, e.g. 64x64, instead of --size
+  --aspect N               Block height as a multiple of its width (default 1; 2 for terminal cells)
+  -m, --mode MODE          full, 16, 8, grayscale, 1bit, adaptive, or a retro palette:
+                           gameboy, pico8, nes, c64, zx, cga, cga0, cga1, apple2 (default full)
+  --palette FILE           Snap to a .hex, .gpl or .pal palette instead of --mode
+  --colors N               Adaptive palette size, 2-64 (default 16)
+  --quantizer METHOD       Adaptive palette method: median-cut or kmeans (default median-cut)
+  --metric METRIC          Palette matching: rgb, redmean, cie76, ciede2000 (default rgb)
+  --dither METHOD          none, floyd-steinberg, atkinson, sierra, bayer2, bayer4, bayer8 (default none)
+  --sampling METHOD        Block color: center, average, median, mode, edge (default center)
+  --alpha MODE             1bit (opaque or transparent blocks) or 8bit (default 1bit)
+  --threshold N            Blocks less opaque than this become transparent, 1-255 (default 128)
+  --scale SIZE             Output size: original (default), native (1 pixel per block) or a
+                           whole-number upscale of each block
+  -h, --help               Show this help`,
+
+    // Short option names
+    aliases: { '-o': 'output', '-s': 'size', '-m': 'mode' },
+
+    // Options that take a value
+    names: [
+        'output', 'size', 'grid', 'aspect', 'mode', 'palette', 'colors', 'quantizer',
+        'metric', 'dither', 'sampling', 'alpha', 'threshold', 'scale'
+    ],
+
+    metrics: ['rgb', 'redmean', 'cie76', 'ciede2000'],
+    quantizers: ['median-cut', 'kmeans'],
+    alphaModes: ['1bit', '8bit'],
+    colorModes: ['full', '16', '8', 'grayscale', '1bit', 'adaptive'],
+
+    /**
+     * Run a command line.
+     * @param {string[]} args - Arguments after the script name.
+     * @returns {number} Exit code.
+     */
+    run(args) {
+        try {
+            const { command, inputs, options } = this.parseArgs(args);
+            if (options.help || !command || command === 'help') {
+                console.log(this.usage);
+                return 0;
+            }
+            if (command !== 'pixelate') {
+                throw new Error(`Unknown command: ${command}`);
+            }
+            this.pixelateFiles(inputs, options);
+            return 0;
+        } catch (error) {
+            console.error(`bitskee: ${error.message}`);
+            return 1;
+        }
+    },
+
+    /**
+     * Split arguments into the command, input files and options.
+     * @param {string[]} args - Arguments after the script name.
+     * @returns {{command: string|undefined, inputs: string[], options: Object}} Parsed arguments.
+     */
+    parseArgs(args) {
+        const [command, ...rest] = args;
+        const inputs = [];
+        const options = {};
+        if (command === '-h' || command === '--help') {
+            return { command: 'help', inputs, options };
+        }
+
+        for (let i = 0; i < rest.length; i++) {
+            const arg = rest[i];
+            if (arg === '-h' || arg === '--help') {
+                options.help = true;
+            } else if (arg.startsWith('-') && arg !== '-') {
+                const [flag, inline] = arg.split(/=(.*)/s);
+                const name = this.aliases[flag] || flag.replace(/^--/, '');
+                if (!this.names.includes(name)) {
+                    throw new Error(`Unknown option: ${flag}`);
+                }
+                const value = inline !== undefined ? inline : rest[++i];
+                if (value === undefined) {
+                    throw new Error(`Missing value for ${flag}`);
+                }
+                options[name] = value;
+            } else {
+                inputs.push(arg);
+            }
+        }
+
+        return { command, inputs, options };
+    },
+
+    /**
+     * Pixelate each input file.
+     * @param {string[]} inputs - Input PNG paths.
+     * @param {Object} options - Parsed command-line options.
+     */
+    pixelateFiles(inputs, options) {
+        if (inputs.length === 0) throw new Error('No input files');
+        if (!options.output) throw new Error('No output given (-o)');
+
+        const engine = Engine.load();
+        const settings = this.getSettings(options, engine);
+
+        // Several inputs go into a directory, keeping their names
+        const toDirectory = inputs.length > 1 ||
+            (fs.existsSync(options.output) && fs.statSync(options.output).isDirectory());
+        if (toDirectory) fs.mkdirSync(options.output, { recursive: true });
+
+        for (const input of inputs) {
+            const output = toDirectory ? path.join(options.output, path.basename(input)) : options.output;
+            const pixels = PngCodec.decode(fs.readFileSync(input));
+            const blocks = this.pixelate(pixels, settings, engine);
+            fs.writeFileSync(output, PngCodec.encode(blocks.image));
+            console.log(`${input} -> ${output} (${blocks.width}x${blocks.height} blocks)`);
+        }
+    },
+
+    /**
+     * Pixelate one image.
+     * @param {Object} pixels - Source pixels as {width, height, data}.
+     * @param {Object} settings - From getSettings.
+     * @param {Object} engine - Loaded engine (see Engine.load).
+     * @returns {{width: number, height: number, image: Object}} Grid size in blocks, and the
+     *     output pixels.
+     */
+    pixelate(pixels, settings, engine) {
+        const { PixelCore, Quantizer } = engine;
+        const options = { ...settings.pixelate };
+        if (options.colorMode === 'adaptive') {
+            options.palette = Quantizer.generate(pixels, settings.colors, settings.quantizer);
+        }
+
+        const grid = PixelCore.getGrid(pixels, options);
+        const blocks = PixelCore.quantizeImageData(pixels, options);
+        return {
+            width: blocks.width,
+            height: blocks.height,
+            image: this.scaleOutput(blocks, pixels, grid.cellAspect, settings.scale, engine)
+        };
+    },
+
+    /**
+     * Size the blocks for output.
+     * @param {Object} blocks - One RGBA pixel per block.
+     * @param {Object} pixels - Source pixels.
+     * @param {number} cellAspect - Row pitch as a multiple of column pitch.
+     * @param {string|number} scale - 'original', 'native' or a whole-number factor.
+     * @param {Object} engine - Loaded engine.
+     * @returns {Object} Output pixels.
+     */
+    scaleOutput(blocks, pixels, cellAspect, scale, engine) {
+        if (scale === 'native') return blocks;
+        if (scale === 'original') {
+            return engine.PixelCore.scaleImage(blocks, pixels.width, pixels.height);
+        }
+        // Integer upscale of the block width, as the app's 2x-16x export sizes do
+        const height = Math.max(1, Math.round(blocks.height * scale * cellAspect));
+        return engine.PixelCore.scaleImage(blocks, blocks.width * scale, height);
+    },
+
+    /**
+     * Validate options and turn them into pixelation settings.
+     * @param {Object} options - Parsed command-line options.
+     * @param {Object} engine - Loaded engine.
+     * @returns {{pixelate: Object, colors: number, quantizer: string, scale: string|number}}
+     *     Options for PixelCore.quantizeImageData, plus adaptive palette and output settings.
+     */
+    getSettings(options, engine) {
+        const { PaletteLibrary, Dither, BlockSampler } = engine;
+        const pixelate = {
+            pixelSize: this.getInteger(options, 'size', 8, 1, 4096),
+            aspect: this.getNumber(options, 'aspect', 1),
+            colorMode: options.mode || 'full',
+            metric: this.getChoice(options, 'metric', this.metrics),
+            dither: this.getChoice(options, 'dither', ['none', ...Object.keys(Dither.kernels), ...Object.keys(Dither.bayerSizes)]),
+            sampling: this.getChoice(options, 'sampling', Object.keys(BlockSampler.samplers)),
+            alphaMode: this.getChoice(options, 'alpha', this.alphaModes),
+            alphaThreshold: this.getInteger(options, 'threshold', 128, 1, 255)
+        };
+
+        if (options.grid) {
+            const match = options.grid.match(/^(\d+)x(\d+)$/i);
+            if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+                throw new Error(`Invalid --grid: ${options.grid} (expected WxH, e.g. 64x64)`);
+            }
+            Object.assign(pixelate, { gridMode: 'target', gridWidth: Number(match[1]), gridHeight: Number(match[2]) });
+        }
+
+        if (options.palette) {
+            const parsed = PaletteLibrary.parse(fs.readFileSync(options.palette, 'utf8'));
+            pixelate.colorMode = 'custom';
+            pixelate.palette = parsed.colors;
+        } else if (PaletteLibrary.builtin[pixelate.colorMode]) {
+            pixelate.palette = PaletteLibrary.get(pixelate.colorMode);
+        } else if (!this.colorModes.includes(pixelate.colorMode)) {
+            throw new Error(`Unknown --mode: ${pixelate.colorMode}`);
+        }
+
+        const scale = options.scale || 'original';
+        return {
+            pixelate,
+            colors: this.getInteger(options, 'colors', 16, 2, 64),
+            quantizer: this.getChoice(options, 'quantizer', this.quantizers),
+            scale: scale === 'original' || scale === 'native' ? scale : this.getInteger(options, 'scale', 1, 1, 64)
+        };
+    },
+
+    /**
+     * Read a whole-number option.
+     * @param {Object} options - Parsed options.
+     * @param {string} name - Option name.
+     * @param {number} fallback - Value when the option is absent.
+     * @param {number} min - Smallest allowed value.
+     * @param {number} max - Largest allowed value.
+     * @returns {number} Option value.
+     */
+    getInteger(options, name, fallback, min, max) {
+        if (options[name] === undefined) return fallback;
+        const value = Number(options[name]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Invalid --${name}: ${options[name]} (expected a whole number from ${min} to ${max})`);
+        }
+        return value;
+    },
+
+    /**
+     * Read a positive number option.
+     * @param {Object} options - Parsed options.
+     * @param {string} name - Option name.
+     * @param {number} fallback - Value when the option is absent.
+     * @returns {number} Option value.
+     */
+    getNumber(options, name, fallback) {
+        if (options[name] === undefined) return fallback;
+        const value = Number(options[name]);
+        if (!(value > 0) || !Number.isFinite(value)) {
+            throw new Error(`Invalid --${name}: ${options[name]} (expected a positive number)`);
+        }
+        return value;
+    },
+
+    /**
+     * Read an option limited to a list of values; the first is the default.
+     * @param {Object} options - Parsed options.
+     * @param {string} name - Option name.
+     * @param {string[]} choices - Allowed values.
+     * @returns {string} Option value.
+     */
+    getChoice(options, name, choices) {
+        if (options[name] === undefined) return choices[0];
+        if (!choices.includes(options[name])) {
+            throw new Error(`Invalid --${name}: ${options[name]} (expected ${choices.join(', ')})`);
+        }
+        return options[name];
+    }
+};
+
+if (require.main === module) {
+    process.exitCode = Cli.run(process.argv.slice(2));
+}
+
+module.exports = Cli;
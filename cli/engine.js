@@ -0,0 +1,34 @@
+/**
+ * BitsKee - Engine Loader
+ * Runs the browser's pixelate engine scripts unchanged in a Node sandbox, the same way
+ * scripts/worker.js loads them in a Web Worker.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const Engine = {
+    scriptsDir: path.join(__dirname, '..', 'scripts'),
+
+    // DOM-free engine modules, in index.html order
+    scripts: ['colormatch.js', 'palettes.js', 'quantize.js', 'dither.js', 'pixelcore.js', 'sample.js'],
+
+    /**
+     * Load the engine into a fresh sandbox.
+     * @returns {Object} The sandbox, holding PixelCore, BlockSampler, PaletteLibrary, Quantizer,
+     *     ColorMatch and Dither.
+     */
+    load() {
+        const sandbox = vm.createContext({ console });
+        // The engine modules register themselves on window
+        sandbox.window = sandbox;
+        for (const file of this.scripts) {
+            const filename = path.join(this.scriptsDir, file);
+            vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename });
+        }
+        return sandbox;
+    }
+};
+
+module.exports = Engine;
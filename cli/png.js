@@ -0,0 +1,375 @@
+/**
+ * BitsKee - PNG Codec
+ * Decodes any standard PNG to 8-bit RGBA and encodes RGBA pixels as PNG, using only
+ * Node's built-in zlib.
+ */
+
+const zlib = require('zlib');
+
+const PngCodec = {
+    signature: [137, 80, 78, 71, 13, 10, 26, 10],
+
+    // Samples per pixel for each color type
+    channels: { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 },
+
+    // Bit depths allowed for each color type
+    bitDepths: { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] },
+
+    // Adam7 interlace passes: first column and row, then column and row step
+    passes: [
+        [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+        [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+    ],
+
+    crcTable: null,
+
+    /**
+     * Decode a PNG file.
+     * @param {Uint8Array} bytes - PNG file contents.
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels.
+     */
+    decode(bytes) {
+        if (bytes.length < 8 || this.signature.some((byte, i) => bytes[i] !== byte)) {
+            throw new Error('Not a PNG file');
+        }
+
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const compressed = [];
+
+        let pos = 8;
+        while (pos < bytes.length) {
+            if (pos + 12 > bytes.length) throw new Error('Truncated PNG file');
+            const length = this.readUint32(bytes, pos);
+            const end = pos + 8 + length;
+            if (end + 4 > bytes.length) throw new Error('Truncated PNG file');
+
+            const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+            if (this.crc32(bytes.subarray(pos + 4, end)) !== this.readUint32(bytes, end)) {
+                throw new Error(`Corrupt PNG chunk: ${type}`);
+            }
+            const data = bytes.subarray(pos + 8, end);
+            pos = end + 4;
+
+            if (type === 'IHDR') {
+                header = {
+                    width: this.readUint32(data, 0),
+                    height: this.readUint32(data, 4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                compressed.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header) throw new Error('PNG file has no header');
+        const { width, height, bitDepth, colorType } = header;
+        if (!this.bitDepths[colorType] || !this.bitDepths[colorType].includes(bitDepth)) {
+            throw new Error(`Unsupported PNG format: color type ${colorType}, ${bitDepth}-bit`);
+        }
+        if (colorType === 3 && !palette) throw new Error('PNG file has no palette');
+        if (width === 0 || height === 0) throw new Error('PNG image is empty');
+
+        const raw = zlib.inflateSync(Buffer.concat(compressed));
+        const image = { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        const passes = header.interlace ? this.passes : [[0, 0, 1, 1]];
+
+        let offset = 0;
+        for (const [x0, y0, dx, dy] of passes) {
+            const passWidth = Math.ceil((width - x0) / dx);
+            const passHeight = Math.ceil((height - y0) / dy);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+            offset = this.decodePass(raw, offset, header, { x0, y0, dx, dy, passWidth, passHeight },
+                { palette, transparency }, image);
+        }
+
+        return image;
+    },
+
+    /**
+     * Unfilter one (interlace) pass and write its pixels.
+     * @param {Uint8Array} raw - Inflated image data; unfiltered in place.
+     * @param {number} offset - Where the pass starts in raw.
+     * @param {Object} header - {width, bitDepth, colorType}.
+     * @param {Object} pass - {x0, y0, dx, dy, passWidth, passHeight}.
+     * @param {Object} tables - {palette, transparency} chunk data, or null.
+     * @param {Object} image - RGBA output.
+     * @returns {number} Offset of the next pass.
+     */
+    decodePass(raw, offset, header, pass, tables, image) {
+        const { bitDepth, colorType } = header;
+        const bitsPerPixel = this.channels[colorType] * bitDepth;
+        const stride = Math.ceil(pass.passWidth * bitsPerPixel / 8);
+        const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+        if (offset + (stride + 1) * pass.passHeight > raw.length) {
+            throw new Error('Truncated PNG image data');
+        }
+
+        let previous = new Uint8Array(stride);
+        for (let row = 0; row < pass.passHeight; row++) {
+            const filter = raw[offset];
+            const line = raw.subarray(offset + 1, offset + 1 + stride);
+            this.unfilter(filter, line, previous, bytesPerPixel);
+            offset += stride + 1;
+
+            const y = pass.y0 + row * pass.dy;
+            for (let column = 0; column < pass.passWidth; column++) {
+                const x = pass.x0 + column * pass.dx;
+                this.readPixel(line, column, header, tables, image.data, (y * image.width + x) * 4);
+            }
+            previous = line;
+        }
+        return offset;
+    },
+
+    /**
+     * Reverse a scanline filter in place.
+     * @param {number} filter - Filter type, 0–4.
+     * @param {Uint8Array} line - Filtered scanline.
+     * @param {Uint8Array} previous - The unfiltered scanline above (zeros for the first).
+     * @param {number} bytesPerPixel - Distance to the byte of the pixel to the left.
+     */
+    unfilter(filter, line, previous, bytesPerPixel) {
+        for (let i = 0; i < line.length; i++) {
+            const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            switch (filter) {
+                case 0:
+                    return;
+                case 1:
+                    line[i] += left;
+                    break;
+                case 2:
+                    line[i] += up;
+                    break;
+                case 3:
+                    line[i] += (left + up) >> 1;
+                    break;
+                case 4:
+                    line[i] += this.paeth(left, up, upLeft);
+                    break;
+                default:
+                    throw new Error(`Invalid PNG filter type: ${filter}`);
+            }
+        }
+    },
+
+    /**
+     * Paeth predictor: whichever neighbour is closest to left + up - upLeft.
+     * @param {number} left - Byte to the left.
+     * @param {number} up - Byte above.
+     * @param {number} upLeft - Byte above and to the left.
+     * @returns {number} Predicted byte.
+     */
+    paeth(left, up, upLeft) {
+        const estimate = left + up - upLeft;
+        const toLeft = Math.abs(estimate - left);
+        const toUp = Math.abs(estimate - up);
+        const toUpLeft = Math.abs(estimate - upLeft);
+        if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+        if (toUp <= toUpLeft) return up;
+        return upLeft;
+    },
+
+    /**
+     * Convert one pixel of an unfiltered scanline to 8-bit RGBA.
+     * @param {Uint8Array} line - Unfiltered scanline.
+     * @param {number} column - Pixel index within the line.
+     * @param {Object} header - {bitDepth, colorType}.
+     * @param {Object} tables - {palette, transparency} chunk data, or null.
+     * @param {Uint8ClampedArray} out - RGBA output.
+     * @param {number} i - Output index of the pixel's red byte.
+     */
+    readPixel(line, column, header, tables, out, i) {
+        const { bitDepth, colorType } = header;
+        const { palette, transparency } = tables;
+        const count = this.channels[colorType];
+        const samples = [];
+        for (let c = 0; c < count; c++) {
+            samples.push(this.readSample(line, column * count + c, bitDepth));
+        }
+        const max = (1 << bitDepth) - 1;
+        const to8 = value => bitDepth === 16 ? value >> 8 : Math.round(value * 255 / max);
+
+        if (colorType === 3) {
+            const index = samples[0];
+            out[i] = palette[index * 3] || 0;
+            out[i + 1] = palette[index * 3 + 1] || 0;
+            out[i + 2] = palette[index * 3 + 2] || 0;
+            out[i + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            return;
+        }
+
+        const gray = colorType === 0 || colorType === 4;
+        const rgb = gray ? [samples[0], samples[0], samples[0]] : samples.slice(0, 3);
+        out[i] = to8(rgb[0]);
+        out[i + 1] = to8(rgb[1]);
+        out[i + 2] = to8(rgb[2]);
+
+        if (colorType === 4 || colorType === 6) {
+            out[i + 3] = to8(samples[count - 1]);
+        } else if (transparency && this.matchesTransparent(samples, transparency)) {
+            // tRNS names one gray level or RGB color as fully transparent
+            out[i + 3] = 0;
+        } else {
+            out[i + 3] = 255;
+        }
+    },
+
+    /**
+     * Read one sample at its own bit depth.
+     * @param {Uint8Array} line - Unfiltered scanline.
+     * @param {number} index - Sample index within the line.
+     * @param {number} bitDepth - 1, 2, 4, 8 or 16.
+     * @returns {number} Sample value.
+     */
+    readSample(line, index, bitDepth) {
+        if (bitDepth === 8) return line[index];
+        if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+        const bit = index * bitDepth;
+        return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+    },
+
+    /**
+     * Check a gray or RGB pixel against the tRNS color.
+     * @param {number[]} samples - Raw samples.
+     * @param {Uint8Array} transparency - tRNS chunk data: one 16-bit value per channel.
+     * @returns {boolean} True if the pixel is the transparent color.
+     */
+    matchesTransparent(samples, transparency) {
+        return samples.every((sample, c) => this.readUint16(transparency, c * 2) === sample);
+    },
+
+    /**
+     * Encode RGBA pixels as an 8-bit RGBA PNG.
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} image - Pixels to encode.
+     * @returns {Buffer} PNG file contents.
+     */
+    encode(image) {
+        const { width, height, data } = image;
+        const stride = width * 4;
+        const raw = Buffer.alloc((stride + 1) * height);
+        let previous = new Uint8Array(stride);
+
+        for (let y = 0; y < height; y++) {
+            const line = new Uint8Array(data.buffer, data.byteOffset + y * stride, stride);
+            const [filter, filtered] = this.filterLine(line, previous);
+            raw[y * (stride + 1)] = filter;
+            raw.set(filtered, y * (stride + 1) + 1);
+            previous = line;
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;
+        header[9] = 6;
+
+        return Buffer.concat([
+            Buffer.from(this.signature),
+            this.chunk('IHDR', header),
+            this.chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+            this.chunk('IEND', Buffer.alloc(0))
+        ]);
+    },
+
+    /**
+     * Filter a scanline with whichever filter leaves the smallest residuals, as libpng does.
+     * @param {Uint8Array} line - RGBA scanline.
+     * @param {Uint8Array} previous - Scanline above (zeros for the first).
+     * @returns {Array} [filter type, filtered bytes].
+     */
+    filterLine(line, previous) {
+        let best = null;
+        let bestCost = Infinity;
+        for (let filter = 0; filter <= 4; filter++) {
+            const filtered = new Uint8Array(line.length);
+            let cost = 0;
+            for (let i = 0; i < line.length; i++) {
+                const left = i >= 4 ? line[i - 4] : 0;
+                const up = previous[i];
+                const upLeft = i >= 4 ? previous[i - 4] : 0;
+                const predicted = [0, left, up, (left + up) >> 1, this.paeth(left, up, upLeft)][filter];
+                filtered[i] = line[i] - predicted;
+                // Residuals read as signed bytes, so small negatives are cheap too
+                cost += filtered[i] < 128 ? filtered[i] : 256 - filtered[i];
+            }
+            if (cost < bestCost) {
+                best = [filter, filtered];
+                bestCost = cost;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Build a chunk: length, type, data and CRC.
+     * @param {string} type - Four-letter chunk type.
+     * @param {Buffer} data - Chunk data.
+     * @returns {Buffer} Chunk bytes.
+     */
+    chunk(type, data) {
+        const bytes = Buffer.alloc(data.length + 12);
+        bytes.writeUInt32BE(data.length, 0);
+        bytes.write(type, 4, 'latin1');
+        data.copy(bytes, 8);
+        bytes.writeUInt32BE(this.crc32(bytes.subarray(4, 8 + data.length)), 8 + data.length);
+        return bytes;
+    },
+
+    /**
+     * Compute the CRC-32 PNG chunks are checked with.
+     * @param {Uint8Array} bytes - Chunk type and data.
+     * @returns {number} Unsigned CRC.
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Read a big-endian 32-bit unsigned integer.
+     * @param {Uint8Array} bytes - Source bytes.
+     * @param {number} pos - Offset.
+     * @returns {number} Value.
+     */
+    readUint32(bytes, pos) {
+        return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+    },
+
+    /**
+     * Read a big-endian 16-bit unsigned integer.
+     * @param {Uint8Array} bytes - Source bytes.
+     * @param {number} pos - Offset.
+     * @returns {number} Value.
+     */
+    readUint16(bytes, pos) {
+        return (bytes[pos] << 8) | bytes[pos + 1];
+    }
+};
+
+module.exports = PngCodec;
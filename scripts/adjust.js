@@ -0,0 +1,292 @@
+/**
+ * BitsKee - Image Adjustments
+ * Crops and tunes the source image (background removal, tone, color, sharpen, posterize,
+ * edge outline) before it is sampled into blocks.
+ */
+
+const ImageAdjust = {
+    // Neutral settings: processing is skipped when nothing differs from these
+    defaults: {
+        brightness: 0,  // -100..100
+        contrast: 0,    // -100..100
+        gamma: 1,       // 0.1..3
+        saturation: 0,  // -100..100
+        hue: 0,         // -180..180 degrees
+        posterize: 0,   // Levels per channel, 0 = off
+        sharpen: 0,     // 0..100
+        outline: false,
+        keyOut: false,  // Make the background color transparent
+        keyColor: '#ffffff',
+        keyTolerance: 10 // 0..100, share of the largest RGB distance
+    },
+
+    // Settings that only matter while keyOut is on
+    keySettings: ['keyColor', 'keyTolerance'],
+
+    // Sobel gradient magnitude above which a pixel counts as an edge
+    edgeThreshold: 160,
+
+    // Edge pixels keep this share of their color
+    outlineShade: 0.2,
+
+    /**
+     * Check whether settings leave pixels unchanged.
+     * @param {Object} settings - Adjustment settings (see defaults).
+     * @returns {boolean} True if no adjustment applies.
+     */
+    isNeutral(settings) {
+        return Object.keys(this.defaults).every(key => settings[key] === this.defaults[key] ||
+            (!settings.keyOut && this.keySettings.includes(key)));
+    },
+
+    /**
+     * Crop and adjust an image into a new canvas.
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image.
+     * @param {Object|null} crop - {x, y, width, height} in image pixels, or null for the whole image.
+     * @param {Object} settings - Adjustment settings (see defaults).
+     * @param {number} [lineWidth=1] - Outline thickness in image pixels.
+     * @returns {HTMLCanvasElement} Processed image.
+     */
+    process(image, crop, settings, lineWidth = 1) {
+        const rect = crop || { x: 0, y: 0, width: image.width, height: image.height };
+        const canvas = document.createElement('canvas');
+        canvas.width = rect.width;
+        canvas.height = rect.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+
+        if (this.isNeutral(settings)) return canvas;
+
+        const imageData = ctx.getImageData(0, 0, rect.width, rect.height);
+        this.apply(imageData, settings, lineWidth);
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    },
+
+    /**
+     * Adjust pixels in place.
+     * @param {ImageData} imageData - Pixels to adjust.
+     * @param {Object} settings - Adjustment settings (see defaults).
+     * @param {number} [lineWidth=1] - Outline thickness in pixels.
+     * @returns {ImageData} The same imageData.
+     */
+    apply(imageData, settings, lineWidth = 1) {
+        const data = imageData.data;
+        // Key first, so the picked color matches the unadjusted image
+        if (settings.keyOut) {
+            this.keyOut(imageData, settings.keyColor, settings.keyTolerance);
+        }
+
+        const tone = this.getToneTable(settings);
+        const matrix = this.getColorMatrix(settings);
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = tone[data[i]];
+            const g = tone[data[i + 1]];
+            const b = tone[data[i + 2]];
+            if (matrix) {
+                data[i] = matrix[0] * r + matrix[1] * g + matrix[2] * b;
+                data[i + 1] = matrix[3] * r + matrix[4] * g + matrix[5] * b;
+                data[i + 2] = matrix[6] * r + matrix[7] * g + matrix[8] * b;
+            } else {
+                data[i] = r;
+                data[i + 1] = g;
+                data[i + 2] = b;
+            }
+        }
+
+        if (settings.sharpen > 0) {
+            this.sharpen(imageData, settings.sharpen / 100);
+        }
+        if (settings.posterize >= 2) {
+            this.posterize(imageData, settings.posterize);
+        }
+        if (settings.outline) {
+            this.outline(imageData, lineWidth);
+        }
+        return imageData;
+    },
+
+    /**
+     * Make pixels close to a color fully transparent.
+     * @param {ImageData} imageData - Pixels to key in place.
+     * @param {string} color - Background color as '#rrggbb'.
+     * @param {number} tolerance - Match radius (0–100) as a share of the largest RGB distance.
+     */
+    keyOut(imageData, color, tolerance) {
+        const data = imageData.data;
+        const [r, g, b] = PaletteLibrary.hexToRgb(color);
+        const limit = Math.pow(tolerance / 100 * Math.sqrt(3 * 255 * 255), 2);
+
+        for (let i = 0; i < data.length; i += 4) {
+            const dr = data[i] - r;
+            const dg = data[i + 1] - g;
+            const db = data[i + 2] - b;
+            if (dr * dr + dg * dg + db * db <= limit) {
+                data[i + 3] = 0;
+            }
+        }
+    },
+
+    /**
+     * Build a lookup table for brightness, contrast and gamma.
+     * @param {Object} settings - Adjustment settings.
+     * @returns {Uint8ClampedArray} 256-entry channel mapping.
+     */
+    getToneTable({ brightness, contrast, gamma }) {
+        const table = new Uint8ClampedArray(256);
+        // Classic contrast curve pivoting on mid-gray
+        const c = contrast * 2.55;
+        const factor = (259 * (c + 255)) / (255 * (259 - c));
+
+        for (let v = 0; v < 256; v++) {
+            let value = v + brightness * 2.55;
+            value = factor * (value - 128) + 128;
+            value = 255 * Math.pow(Math.min(1, Math.max(0, value / 255)), 1 / gamma);
+            table[v] = value;
+        }
+        return table;
+    },
+
+    /**
+     * Combine saturation and hue rotation into one RGB matrix (as in CSS filters).
+     * @param {Object} settings - Adjustment settings.
+     * @returns {number[]|null} Row-major 3×3 matrix, or null when neither applies.
+     */
+    getColorMatrix({ saturation, hue }) {
+        if (saturation === 0 && hue === 0) return null;
+
+        const s = 1 + saturation / 100;
+        const saturate = [
+            0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+            0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+            0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+        ];
+
+        const angle = hue * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const rotate = [
+            0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+            0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+            0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+        ];
+
+        const matrix = [];
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                let sum = 0;
+                for (let k = 0; k < 3; k++) {
+                    sum += rotate[row * 3 + k] * saturate[k * 3 + col];
+                }
+                matrix.push(sum);
+            }
+        }
+        return matrix;
+    },
+
+    /**
+     * Sharpen with a 3×3 unsharp kernel.
+     * @param {ImageData} imageData - Pixels to sharpen in place.
+     * @param {number} amount - Strength (0–1).
+     */
+    sharpen(imageData, amount) {
+        const { width, height, data } = imageData;
+        const source = new Uint8ClampedArray(data);
+        const at = (x, y, c) => source[(Math.min(height - 1, Math.max(0, y)) * width +
+            Math.min(width - 1, Math.max(0, x))) * 4 + c];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    const neighbors = at(x - 1, y, c) + at(x + 1, y, c) + at(x, y - 1, c) + at(x, y + 1, c);
+                    data[i + c] = source[i + c] * (1 + 4 * amount) - neighbors * amount;
+                }
+            }
+        }
+    },
+
+    /**
+     * Reduce each channel to a number of evenly spaced levels.
+     * @param {ImageData} imageData - Pixels to posterize in place.
+     * @param {number} levels - Levels per channel (2 or more).
+     */
+    posterize(imageData, levels) {
+        const data = imageData.data;
+        const step = 255 / (levels - 1);
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = Math.round(data[i] / step) * step;
+            data[i + 1] = Math.round(data[i + 1] / step) * step;
+            data[i + 2] = Math.round(data[i + 2] / step) * step;
+        }
+    },
+
+    /**
+     * Darken pixels along strong luminance edges.
+     * @param {ImageData} imageData - Pixels to outline in place.
+     * @param {number} lineWidth - Line thickness in pixels; thick enough lines survive block sampling.
+     */
+    outline(imageData, lineWidth) {
+        const { width, height, data } = imageData;
+        const luma = new Float32Array(width * height);
+        for (let p = 0; p < luma.length; p++) {
+            luma[p] = 0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2];
+        }
+
+        const at = (x, y) => luma[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+        let edges = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+                    at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) -
+                    at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                edges[y * width + x] = Math.hypot(gx, gy) > this.edgeThreshold ? 1 : 0;
+            }
+        }
+
+        const radius = Math.floor((Math.max(1, lineWidth) - 1) / 2);
+        if (radius > 0) {
+            edges = this.dilate(edges, width, height, radius);
+        }
+
+        for (let p = 0; p < edges.length; p++) {
+            if (!edges[p]) continue;
+            data[p * 4] *= this.outlineShade;
+            data[p * 4 + 1] *= this.outlineShade;
+            data[p * 4 + 2] *= this.outlineShade;
+        }
+    },
+
+    /**
+     * Grow a mask by a square radius, one axis at a time.
+     * @param {Uint8Array} mask - 1 for set pixels.
+     * @param {number} width - Mask width.
+     * @param {number} height - Mask height.
+     * @param {number} radius - Pixels to grow by in each direction.
+     * @returns {Uint8Array} Grown mask.
+     */
+    dilate(mask, width, height, radius) {
+        const pass = (source, length, count, index) => {
+            const out = new Uint8Array(source.length);
+            for (let line = 0; line < count; line++) {
+                // Sliding count of set pixels within the window
+                let set = 0;
+                for (let k = 0; k < Math.min(radius, length); k++) set += source[index(line, k)];
+                for (let k = 0; k < length; k++) {
+                    if (k + radius < length) set += source[index(line, k + radius)];
+                    if (k - radius - 1 >= 0) set -= source[index(line, k - radius - 1)];
+                    out[index(line, k)] = set > 0 ? 1 : 0;
+                }
+            }
+            return out;
+        };
+
+        const rows = pass(mask, width, height, (y, x) => y * width + x);
+        return pass(rows, height, width, (x, y) => y * width + x);
+    }
+};
+
+// Export for use in other modules
+window.ImageAdjust = ImageAdjust;
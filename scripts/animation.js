@@ -0,0 +1,140 @@
+/**
+ * BitsKee - Animation
+ * Splits animated GIFs and short videos into frames and lays frames out as sprite sheets.
+ */
+
+const Animator = {
+    // Frames kept per animation, to bound memory and processing time
+    maxFrames: 100,
+
+    // Video frames are captured at this rate
+    videoFps: 10,
+
+    // Longest side of captured video frames
+    maxVideoSize: 512,
+
+    /**
+     * Load an animation from a file.
+     * @param {File} file - GIF or video file.
+     * @returns {Promise<Object|null>} {width, height, frames: [{image, delay}]} where image
+     *     is a canvas and delay is in ms, or null for a single-frame GIF.
+     */
+    async load(file) {
+        if (file.type.startsWith('video/')) {
+            return this.loadVideo(file);
+        }
+
+        const { width, height, frames } = GifCodec.decode(new Uint8Array(await file.arrayBuffer()));
+        if (frames.length < 2) return null;
+
+        return {
+            width,
+            height,
+            frames: frames.slice(0, this.maxFrames).map(frame => ({
+                image: this.toCanvas(frame.data, width, height),
+                delay: frame.delay
+            }))
+        };
+    },
+
+    /**
+     * Capture frames from a video at a fixed rate.
+     * @param {File} file - Video file.
+     * @returns {Promise<Object>} {width, height, frames} as for load.
+     */
+    async loadVideo(file) {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+
+        try {
+            await this.waitFor(video, 'loadeddata', () => { video.src = url; });
+            // Streamed files may not state a length, so there is no knowing how many frames to take
+            if (!Number.isFinite(video.duration) || video.duration <= 0) {
+                throw new Error('Video does not report its length');
+            }
+
+            const scale = Math.min(1, this.maxVideoSize / Math.max(video.videoWidth, video.videoHeight));
+            const width = Math.max(1, Math.round(video.videoWidth * scale));
+            const height = Math.max(1, Math.round(video.videoHeight * scale));
+            const delay = 1000 / this.videoFps;
+            const count = Math.min(this.maxFrames, Math.max(1, Math.floor(video.duration * this.videoFps)));
+
+            const frames = [];
+            for (let i = 0; i < count; i++) {
+                await this.waitFor(video, 'seeked', () => { video.currentTime = i / this.videoFps; });
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+                frames.push({ image: canvas, delay });
+            }
+
+            return { width, height, frames };
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    /**
+     * Start an action and wait for the media element event it triggers.
+     * @param {HTMLMediaElement} media - Video element.
+     * @param {string} event - Event to wait for.
+     * @param {Function} action - Starts the load or seek.
+     * @returns {Promise<void>}
+     */
+    waitFor(media, event, action) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                media.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                media.removeEventListener(event, onEvent);
+                reject(new Error('Failed to load video'));
+            };
+            media.addEventListener(event, onEvent, { once: true });
+            media.addEventListener('error', onError, { once: true });
+            action();
+        });
+    },
+
+    /**
+     * Copy RGBA pixels into a new canvas.
+     * @param {Uint8ClampedArray} data - RGBA pixels.
+     * @param {number} width - Width in pixels.
+     * @param {number} height - Height in pixels.
+     * @returns {HTMLCanvasElement} Canvas holding the pixels.
+     */
+    toCanvas(data, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(data), width, height), 0, 0);
+        return canvas;
+    },
+
+    /**
+     * Lay rendered frames out in a near-square grid, left to right, top to bottom.
+     * @param {HTMLCanvasElement[]} frames - Rendered frames of equal size.
+     * @returns {HTMLCanvasElement} Sprite sheet.
+     */
+    spriteSheet(frames) {
+        const { width, height } = frames[0];
+        const columns = Math.ceil(Math.sqrt(frames.length));
+        const rows = Math.ceil(frames.length / columns);
+
+        const sheet = document.createElement('canvas');
+        sheet.width = width * columns;
+        sheet.height = height * rows;
+        const ctx = sheet.getContext('2d');
+        frames.forEach((frame, i) => {
+            ctx.drawImage(frame, (i % columns) * width, Math.floor(i / columns) * height);
+        });
+        return sheet;
+    }
+};
+
+// Export for use in other modules
+window.Animator = Animator;
@@ -0,0 +1,129 @@
+/**
+ * BitsKee - ANSI Export
+ * Encodes colored character grids as terminal escape sequences.
+ */
+
+const AnsiExport = {
+    // Standard xterm colors for SGR 30–37 / 90–97 (and 40–47 / 100–107)
+    palette16: [
+        [0, 0, 0], [205, 0, 0], [0, 205, 0], [205, 205, 0],
+        [0, 0, 238], [205, 0, 205], [0, 205, 205], [229, 229, 229],
+        [127, 127, 127], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+        [92, 92, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+    ],
+
+    // Lazily built xterm colors 16–255 (6×6×6 cube, then 24 grays)
+    palette256: null,
+
+    /**
+     * Get the fixed part of the xterm 256-color palette.
+     * Indexes 0–15 are left out because terminal themes redefine them.
+     * @returns {number[][]} [r, g, b] colors for indexes 16–255.
+     */
+    getPalette256() {
+        if (!this.palette256) {
+            const levels = [0, 95, 135, 175, 215, 255];
+            const colors = [];
+            for (let r = 0; r < 6; r++) {
+                for (let g = 0; g < 6; g++) {
+                    for (let b = 0; b < 6; b++) {
+                        colors.push([levels[r], levels[g], levels[b]]);
+                    }
+                }
+            }
+            for (let i = 0; i < 24; i++) {
+                const v = 8 + i * 10;
+                colors.push([v, v, v]);
+            }
+            this.palette256 = colors;
+        }
+        return this.palette256;
+    },
+
+    /**
+     * Encode rows of cells as ANSI text.
+     * @param {Object[][]} rows - Cells as {char, fg, bg}; colors are '#rrggbb' or null.
+     * @param {string} [depth='truecolor'] - '16', '256' or 'truecolor'.
+     * @returns {string} Text with SGR escape sequences, one line per row.
+     */
+    encode(rows, depth = 'truecolor') {
+        return rows.map(row => {
+            let line = '';
+            let fg = null;
+            let bg = null;
+
+            for (const cell of row) {
+                if (cell.fg !== fg || cell.bg !== bg) {
+                    line += this.sgr(cell.fg, cell.bg, depth);
+                    fg = cell.fg;
+                    bg = cell.bg;
+                }
+                line += cell.char;
+            }
+
+            // Leave the terminal in its default colors at the end of each line
+            if (fg || bg) {
+                line += '\x1b[0m';
+            }
+            return line;
+        }).join('\n') + '\n';
+    },
+
+    /**
+     * Build the escape sequence that switches to a color pair.
+     * Starts from a reset so cleared colors fall back to the terminal default.
+     * @param {string|null} fg - Foreground color.
+     * @param {string|null} bg - Background color.
+     * @param {string} depth - '16', '256' or 'truecolor'.
+     * @returns {string} SGR escape sequence.
+     */
+    sgr(fg, bg, depth) {
+        const params = ['0'];
+        if (fg) params.push(this.colorParams(fg, depth, false));
+        if (bg) params.push(this.colorParams(bg, depth, true));
+        return `\x1b[${params.join(';')}m`;
+    },
+
+    /**
+     * Get the SGR parameters for one color.
+     * @param {string} hex - '#rrggbb' color.
+     * @param {string} depth - '16', '256' or 'truecolor'.
+     * @param {boolean} background - Whether this is the background color.
+     * @returns {string} SGR parameters.
+     */
+    colorParams(hex, depth, background) {
+        const [r, g, b] = PaletteLibrary.hexToRgb(hex);
+
+        if (depth === '16') {
+            const palette = this.palette16;
+            const index = palette.indexOf(ColorMatch.getMatcher(palette, 'redmean')(r, g, b));
+            const base = background ? 40 : 30;
+            return String(index < 8 ? base + index : base + 60 + index - 8);
+        }
+
+        if (depth === '256') {
+            const palette = this.getPalette256();
+            const index = palette.indexOf(ColorMatch.getMatcher(palette, 'redmean')(r, g, b)) + 16;
+            return `${background ? 48 : 38};5;${index}`;
+        }
+
+        return `${background ? 48 : 38};2;${r};${g};${b}`;
+    },
+
+    /**
+     * Wrap ANSI text in a shell script that prints it.
+     * @param {string} ansi - Encoded text.
+     * @returns {string} POSIX shell script.
+     */
+    toShellScript(ansi) {
+        // Quoted heredoc delimiter, so nothing in the art is expanded
+        let marker = 'BITSKEE_EOF';
+        while (ansi.split('\n').includes(marker)) {
+            marker += '_';
+        }
+        return `#!/bin/sh\ncat <<'${marker}'\n${ansi}${marker}\n`;
+    }
+};
+
+// Export for use in other modules
+window.AnsiExport = AnsiExport;
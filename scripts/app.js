@@ -7,27 +7,71 @@ const App = {
     currentMode: 'pixelate',
     currentAscii: '',
     loadedImage: null,
+    pixelBlocks: null,
+    pixelOptions: null,
+    pixelEdited: false,
+    adaptivePalette: null,
+    adaptivePaletteKey: '',
+    animation: null,
+    animationBlocks: null,
+    animationFrame: 0,
+    animationTimer: null,
+    crop: null,
+    cropStart: null,
+    pickingKey: false,
+    sourceKey: '',
+    sourceImages: null,
+    documentId: null,
+    documentName: 'Untitled',
+    storageReady: false,
+    autosaveTimer: null,
+
+    // Download formats offered per mode, and the last choice in each
+    exportFormats: {
+        pixelate: { png: 'PNG', gif: 'Animated GIF', sheet: 'Sprite sheet PNG', svg: 'SVG', json: 'JSON' },
+        ascii: { txt: 'Plain .txt', svg: 'SVG', html: 'HTML' },
+        draw: { txt: 'Plain .txt', ans: 'ANSI .ans', 'ansi-txt': 'ANSI .txt', sh: 'Shell .sh', svg: 'SVG', html: 'HTML' }
+    },
+    exportChoice: { pixelate: 'png', ascii: 'txt', draw: 'txt' },
 
     /**
      * Initialize the application.
      */
     init() {
+        PaletteLibrary.init();
+        Figlet.init();
         this.cacheElements();
+        this.populatePalettes();
+        this.populateFonts();
         this.bindEvents();
         this.initDrawCanvas();
+        this.updateExportControls();
+        PixelEditor.init(this.outputCanvas);
         this.setStatus('READY');
+        this.initDocuments();
     },
 
     /**
      * Cache DOM elements for performance.
      */
     cacheElements() {
+        // Documents
+        this.documentSelect = document.getElementById('document-select');
+        this.documentNewBtn = document.getElementById('document-new-btn');
+        this.documentRenameBtn = document.getElementById('document-rename-btn');
+        this.documentDeleteBtn = document.getElementById('document-delete-btn');
+        this.projectInput = document.getElementById('project-input');
+        this.projectOpenBtn = document.getElementById('project-open-btn');
+        this.projectSaveBtn = document.getElementById('project-save-btn');
+
         // Navigation
         this.btnPixelate = document.getElementById('btn-pixelate');
+        this.btnAscii = document.getElementById('btn-ascii');
         this.btnDraw = document.getElementById('btn-draw');
 
         // Panels
         this.panelPixelate = document.getElementById('panel-pixelate');
+        this.panelAscii = document.getElementById('panel-ascii');
         this.panelDraw = document.getElementById('panel-draw');
 
         // Pixelate mode elements
@@ -35,10 +79,62 @@ const App = {
         this.uploadPrompt = document.getElementById('upload-prompt');
         this.imageInput = document.getElementById('image-input');
         this.previewCanvas = document.getElementById('preview-canvas');
+        this.gridModeSelect = document.getElementById('grid-mode-select');
+        this.blockSizeControls = document.getElementById('block-size-controls');
+        this.targetGridControls = document.getElementById('target-grid-controls');
         this.pixelSizeSlider = document.getElementById('pixel-size-slider');
         this.pixelSizeValue = document.getElementById('pixel-size-value');
+        this.blockAspectSelect = document.getElementById('block-aspect-select');
+        this.gridWidthInput = document.getElementById('grid-width-input');
+        this.gridHeightInput = document.getElementById('grid-height-input');
+        this.shapeSelect = document.getElementById('shape-select');
+        this.samplingSelect = document.getElementById('sampling-select');
         this.colorModeSelect = document.getElementById('color-mode-select');
+        this.metricSelect = document.getElementById('metric-select');
+        this.ditherSelect = document.getElementById('dither-select');
+        this.adaptiveControls = document.getElementById('adaptive-controls');
+        this.paletteSizeSlider = document.getElementById('palette-size-slider');
+        this.paletteSizeValue = document.getElementById('palette-size-value');
+        this.paletteMethodSelect = document.getElementById('palette-method-select');
+        this.paletteSwatches = document.getElementById('palette-swatches');
+        this.retroPaletteGroup = document.getElementById('retro-palette-group');
+        this.customPaletteGroup = document.getElementById('custom-palette-group');
+        this.paletteInput = document.getElementById('palette-input');
+        this.paletteImportBtn = document.getElementById('palette-import-btn');
+        this.palettePasteBtn = document.getElementById('palette-paste-btn');
+        this.paletteDeleteBtn = document.getElementById('palette-delete-btn');
+        this.palettePaste = document.getElementById('palette-paste');
+        this.paletteNameInput = document.getElementById('palette-name-input');
+        this.paletteHexInput = document.getElementById('palette-hex-input');
+        this.paletteSaveBtn = document.getElementById('palette-save-btn');
+        this.paletteCancelBtn = document.getElementById('palette-cancel-btn');
+        this.alphaModeSelect = document.getElementById('alpha-mode-select');
+        this.alphaThresholdSlider = document.getElementById('alpha-threshold-slider');
+        this.alphaThresholdValue = document.getElementById('alpha-threshold-value');
         this.gridCheckbox = document.getElementById('grid-checkbox');
+        this.adjustControls = document.querySelectorAll('[data-adjust]');
+        this.keyPickBtn = document.getElementById('key-pick-btn');
+        this.cropResetBtn = document.getElementById('crop-reset-btn');
+        this.adjustResetBtn = document.getElementById('adjust-reset-btn');
+
+        // ASCII mode elements
+        this.asciiSource = document.getElementById('ascii-source');
+        this.asciiPrompt = document.getElementById('ascii-prompt');
+        this.asciiPreviewCanvas = document.getElementById('ascii-preview-canvas');
+        this.asciiSizeSlider = document.getElementById('ascii-size-slider');
+        this.asciiSizeValue = document.getElementById('ascii-size-value');
+        this.asciiRampSelect = document.getElementById('ascii-ramp-select');
+        this.asciiRampInput = document.getElementById('ascii-ramp-input');
+        this.asciiInvertCheckbox = document.getElementById('ascii-invert-checkbox');
+        this.asciiToDrawBtn = document.getElementById('ascii-to-draw-btn');
+
+        // Pixel editing elements
+        this.pixelEditBtn = document.getElementById('pixel-edit-btn');
+        this.pixelTools = document.getElementById('pixel-tools');
+        this.animationBar = document.getElementById('animation-bar');
+        this.animationPlayBtn = document.getElementById('animation-play-btn');
+        this.animationFrameText = document.getElementById('animation-frame');
+        this.pixelColorInput = document.getElementById('pixel-color-input');
 
         // Draw mode elements
         this.drawContainer = document.getElementById('draw-grid-container');
@@ -46,7 +142,34 @@ const App = {
         this.canvasWidth = document.getElementById('canvas-width');
         this.canvasHeight = document.getElementById('canvas-height');
         this.clearCanvasBtn = document.getElementById('clear-canvas-btn');
+        this.drawFileInput = document.getElementById('draw-file-input');
+        this.drawOpenBtn = document.getElementById('draw-open-btn');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.insertModeBtn = document.getElementById('insert-mode-btn');
+        this.historyDepth = document.getElementById('history-depth');
         this.asciiKeyboard = document.getElementById('ascii-keyboard');
+        this.drawTools = document.getElementById('draw-tools');
+        this.boxCharsOption = document.getElementById('box-chars-option');
+        this.boxCharsCheckbox = document.getElementById('box-chars-checkbox');
+        this.textToolInput = document.getElementById('text-tool-input');
+        this.selectionActions = document.getElementById('selection-actions');
+        this.layerPanel = document.getElementById('layer-panel');
+        this.layerList = document.getElementById('layer-list');
+        this.bannerOptions = document.getElementById('banner-options');
+        this.bannerTextInput = document.getElementById('banner-text-input');
+        this.bannerFontSelect = document.getElementById('banner-font-select');
+        this.bannerBundledGroup = document.getElementById('banner-bundled-group');
+        this.bannerCustomGroup = document.getElementById('banner-custom-group');
+        this.bannerLayoutSelect = document.getElementById('banner-layout-select');
+        this.bannerFontBtn = document.getElementById('banner-font-btn');
+        this.bannerFontInput = document.getElementById('banner-font-input');
+        this.bannerPreview = document.getElementById('banner-preview');
+        this.fgColorCheckbox = document.getElementById('fg-color-checkbox');
+        this.fgColorInput = document.getElementById('fg-color-input');
+        this.bgColorCheckbox = document.getElementById('bg-color-checkbox');
+        this.bgColorInput = document.getElementById('bg-color-input');
+        this.ansiSwatches = document.getElementById('ansi-swatches');
 
         // Output
         this.outputContent = document.getElementById('output-content');
@@ -54,6 +177,9 @@ const App = {
         this.outputText = document.getElementById('output-text');
         this.copyBtn = document.getElementById('copy-btn');
         this.downloadBtn = document.getElementById('download-btn');
+        this.exportSizeSelect = document.getElementById('export-size-select');
+        this.exportFormatSelect = document.getElementById('export-format-select');
+        this.colorDepthSelect = document.getElementById('color-depth-select');
 
         // Status
         this.statusText = document.getElementById('status-text');
@@ -63,8 +189,22 @@ const App = {
      * Bind event listeners.
      */
     bindEvents() {
+        // Documents
+        this.documentSelect.addEventListener('change', () => this.switchDocument(this.documentSelect.value));
+        this.documentNewBtn.addEventListener('click', () => this.newDocument());
+        this.documentRenameBtn.addEventListener('click', () => this.renameDocument());
+        this.documentDeleteBtn.addEventListener('click', () => this.deleteDocument());
+        this.projectOpenBtn.addEventListener('click', () => this.projectInput.click());
+        this.projectInput.addEventListener('change', (e) => this.importProjectFile(e.target.files[0]));
+        this.projectSaveBtn.addEventListener('click', () => this.downloadProject());
+
+        // Any settings change is worth saving
+        document.addEventListener('change', () => this.scheduleAutosave());
+        document.addEventListener('input', () => this.scheduleAutosave());
+
         // Mode switching
         this.btnPixelate.addEventListener('click', () => this.switchMode('pixelate'));
+        this.btnAscii.addEventListener('click', () => this.switchMode('ascii'));
         this.btnDraw.addEventListener('click', () => this.switchMode('draw'));
 
         // File upload
@@ -76,39 +216,164 @@ const App = {
         this.imageInput.addEventListener('change', (e) => this.handleFileSelect(e));
 
         // Drag and drop
-        this.uploadZone.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            this.uploadZone.classList.add('drag-over');
-        });
-        this.uploadZone.addEventListener('dragleave', () => {
-            this.uploadZone.classList.remove('drag-over');
-        });
-        this.uploadZone.addEventListener('drop', (e) => {
-            e.preventDefault();
-            this.uploadZone.classList.remove('drag-over');
-            const files = e.dataTransfer.files;
-            if (files.length > 0 && files[0].type.startsWith('image/')) {
-                this.processImage(files[0]);
-            }
+        [this.uploadZone, this.asciiSource].forEach(zone => {
+            zone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                zone.classList.add('drag-over');
+            });
+            zone.addEventListener('dragleave', () => {
+                zone.classList.remove('drag-over');
+            });
+            zone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                zone.classList.remove('drag-over');
+                const files = e.dataTransfer.files;
+                if (files.length > 0 && this.isMediaFile(files[0])) {
+                    this.processImage(files[0]);
+                }
+            });
         });
 
         // Pixelate controls
+        this.gridModeSelect.addEventListener('change', () => {
+            this.updateGridControls();
+            if (this.loadedImage) {
+                this.pixelateImage();
+            }
+        });
         this.pixelSizeSlider.addEventListener('input', () => {
             this.pixelSizeValue.textContent = this.pixelSizeSlider.value + 'px';
             if (this.loadedImage) {
                 this.pixelateImage();
             }
         });
-        this.colorModeSelect.addEventListener('change', () => {
+        [this.blockAspectSelect, this.gridWidthInput, this.gridHeightInput, this.shapeSelect].forEach(control => {
+            control.addEventListener('change', () => {
+                if (this.loadedImage) {
+                    this.pixelateImage();
+                }
+            });
+        });
+        this.samplingSelect.addEventListener('change', () => {
+            if (this.loadedImage) {
+                this.pixelateImage();
+            }
+        });
+        this.colorModeSelect.addEventListener('change', () => this.handleColorModeChange());
+        this.paletteSizeSlider.addEventListener('input', () => {
+            this.paletteSizeValue.textContent = this.paletteSizeSlider.value;
+            this.pixelateImage();
+            this.updateSwatches();
+        });
+        this.paletteMethodSelect.addEventListener('change', () => {
+            this.pixelateImage();
+            this.updateSwatches();
+        });
+        this.metricSelect.addEventListener('change', () => {
+            if (this.loadedImage) {
+                this.pixelateImage();
+            }
+        });
+        this.ditherSelect.addEventListener('change', () => {
+            if (this.loadedImage) {
+                this.pixelateImage();
+            }
+        });
+        // Palette import
+        this.paletteImportBtn.addEventListener('click', () => this.paletteInput.click());
+        this.paletteInput.addEventListener('change', (e) => this.importPaletteFile(e.target.files[0]));
+        this.palettePasteBtn.addEventListener('click', () => {
+            this.palettePaste.classList.remove('hidden');
+            this.paletteHexInput.focus();
+        });
+        this.paletteCancelBtn.addEventListener('click', () => this.closePalettePaste());
+        this.paletteSaveBtn.addEventListener('click', () => {
+            this.importPaletteText(this.paletteHexInput.value, this.paletteNameInput.value.trim() || 'Custom');
+        });
+        this.paletteDeleteBtn.addEventListener('click', () => this.deleteCustomPalette());
+
+        this.alphaModeSelect.addEventListener('change', () => {
             if (this.loadedImage) {
                 this.pixelateImage();
             }
         });
-        this.gridCheckbox.addEventListener('change', () => {
+        this.alphaThresholdSlider.addEventListener('input', () => {
+            this.alphaThresholdValue.textContent = this.alphaThresholdSlider.value;
             if (this.loadedImage) {
                 this.pixelateImage();
             }
         });
+        this.gridCheckbox.addEventListener('change', () => this.renderPixelPreview());
+
+        // Source adjustments
+        this.adjustControls.forEach(control => {
+            control.addEventListener(control.type === 'checkbox' ? 'change' : 'input', () => this.handleAdjustChange());
+        });
+        this.adjustResetBtn.addEventListener('click', async () => {
+            this.setAdjustSettings(ImageAdjust.defaults);
+            await this.handleAdjustChange();
+            this.setStatus('ADJUSTMENTS RESET');
+        });
+        this.keyPickBtn.addEventListener('click', () => this.setPickingKey(!this.pickingKey));
+        this.cropResetBtn.addEventListener('click', async () => {
+            this.crop = null;
+            if (this.loadedImage) this.drawPreview(this.previewCanvas);
+            await this.handleAdjustChange();
+            this.setStatus('CROP CLEARED');
+        });
+
+        // Crop by dragging on the source preview, or pick the background color
+        this.previewCanvas.addEventListener('mousedown', (e) => {
+            if (!this.loadedImage) return;
+            e.preventDefault();
+            if (this.pickingKey) {
+                this.pickKeyColor(this.getImagePoint(e.clientX, e.clientY));
+                return;
+            }
+            this.cropStart = this.getImagePoint(e.clientX, e.clientY);
+            this.crop = null;
+        });
+        this.previewCanvas.addEventListener('mousemove', (e) => {
+            if (this.cropStart) {
+                this.updateCrop(this.getImagePoint(e.clientX, e.clientY));
+            }
+        });
+        document.addEventListener('mouseup', () => {
+            if (this.cropStart) this.finishCrop();
+        });
+
+        // Pixel editing
+        this.pixelEditBtn.addEventListener('click', () => this.togglePixelEdit());
+        this.pixelTools.addEventListener('click', (e) => {
+            if (e.target.dataset.tool) {
+                this.setPixelTool(e.target.dataset.tool);
+            }
+        });
+        this.pixelColorInput.addEventListener('input', () => {
+            PixelEditor.setColor(PaletteLibrary.hexToRgb(this.pixelColorInput.value));
+        });
+
+        // Animation playback
+        this.animationPlayBtn.addEventListener('click', () => this.toggleAnimation());
+        this.paletteSwatches.addEventListener('click', (e) => {
+            if (PixelEditor.enabled && e.target.classList.contains('swatch')) {
+                this.handlePixelColorPick(PaletteLibrary.hexToRgb(e.target.title));
+            }
+        });
+
+        // ASCII mode controls
+        this.asciiSource.addEventListener('click', () => this.imageInput.click());
+        this.asciiSizeSlider.addEventListener('input', () => {
+            this.asciiSizeValue.textContent = this.asciiSizeSlider.value + 'px';
+            this.convertToAscii();
+        });
+        this.asciiRampSelect.addEventListener('change', () => {
+            this.asciiRampInput.value = AsciiConverter.ramps[this.asciiRampSelect.value];
+            this.convertToAscii();
+        });
+        this.asciiRampInput.addEventListener('input', () => this.convertToAscii());
+        this.asciiInvertCheckbox.addEventListener('change', () => this.convertToAscii());
+        this.asciiToDrawBtn.addEventListener('click', () => this.sendAsciiToDraw());
 
         // Draw mode controls
         this.charInput.addEventListener('input', () => {
@@ -120,6 +385,107 @@ const App = {
         this.clearCanvasBtn.addEventListener('click', () => {
             DrawingCanvas.clear();
         });
+        this.drawOpenBtn.addEventListener('click', () => this.drawFileInput.click());
+        this.drawFileInput.addEventListener('change', (e) => this.importDrawFile(e.target.files[0]));
+
+        // Drop text or ANSI art onto the grid
+        this.drawContainer.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.drawContainer.classList.add('drag-over');
+        });
+        this.drawContainer.addEventListener('dragleave', () => {
+            this.drawContainer.classList.remove('drag-over');
+        });
+        this.drawContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.drawContainer.classList.remove('drag-over');
+            const files = e.dataTransfer.files;
+            if (files.length > 0) {
+                this.importDrawFile(files[0]);
+            }
+        });
+        this.undoBtn.addEventListener('click', () => UndoHistory.undo());
+        this.redoBtn.addEventListener('click', () => UndoHistory.redo());
+        this.insertModeBtn.addEventListener('click', () => this.toggleInsertMode());
+        this.historyDepth.addEventListener('change', () => {
+            UndoHistory.setDepth(parseInt(this.historyDepth.value, 10) || 100);
+            this.historyDepth.value = UndoHistory.depth;
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Drawing tools
+        this.drawTools.addEventListener('click', (e) => {
+            const btn = e.target.closest('.tool-btn');
+            if (btn) {
+                this.setDrawTool(btn.dataset.tool);
+            }
+        });
+        this.boxCharsCheckbox.addEventListener('change', () => {
+            DrawingCanvas.useBoxChars = this.boxCharsCheckbox.checked;
+        });
+        this.textToolInput.addEventListener('input', () => {
+            DrawingCanvas.text = this.textToolInput.value;
+        });
+        this.bannerTextInput.addEventListener('input', () => this.updateBanner());
+        this.bannerFontSelect.addEventListener('change', () => this.updateBanner());
+        this.bannerLayoutSelect.addEventListener('change', () => this.updateBanner());
+        this.bannerFontBtn.addEventListener('click', () => this.bannerFontInput.click());
+        this.bannerFontInput.addEventListener('change', (e) => this.importFontFile(e.target.files[0]));
+
+        // Cell colors
+        [this.fgColorCheckbox, this.fgColorInput, this.bgColorCheckbox, this.bgColorInput].forEach(input => {
+            input.addEventListener('input', () => this.updateDrawColors());
+            input.addEventListener('change', () => this.updateDrawColors());
+        });
+        this.ansiSwatches.addEventListener('click', (e) => {
+            if (e.target.dataset.color) {
+                this.pickDrawColor(e.target.dataset.color, false);
+            }
+        });
+        this.ansiSwatches.addEventListener('contextmenu', (e) => {
+            if (e.target.dataset.color) {
+                e.preventDefault();
+                this.pickDrawColor(e.target.dataset.color, true);
+            }
+        });
+
+        // Layers
+        this.layerPanel.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-layer-action]');
+            if (btn) {
+                this.handleLayerAction(btn.dataset.layerAction);
+                return;
+            }
+            const item = e.target.closest('.layer-item');
+            if (!item) return;
+            const index = parseInt(item.dataset.index, 10);
+            const toggle = e.target.closest('[data-layer-toggle]');
+            if (toggle) {
+                this.toggleLayer(index, toggle.dataset.layerToggle);
+            } else {
+                DrawingCanvas.setActiveLayer(index);
+            }
+        });
+        this.layerList.addEventListener('dblclick', (e) => {
+            const item = e.target.closest('.layer-item');
+            if (item && !e.target.closest('[data-layer-toggle]')) {
+                DrawingCanvas.setActiveLayer(parseInt(item.dataset.index, 10));
+                this.renameLayer();
+            }
+        });
+
+        // Selection actions
+        this.selectionActions.addEventListener('click', (e) => {
+            const btn = e.target.closest('.action-btn');
+            if (btn) {
+                this.handleSelectionAction(btn.dataset.action);
+            }
+        });
+        document.addEventListener('copy', (e) => this.handleClipboardEvent(e));
+        document.addEventListener('cut', (e) => this.handleClipboardEvent(e));
+        document.addEventListener('paste', (e) => this.handleClipboardEvent(e));
 
         // ASCII Keyboard
         this.asciiKeyboard.addEventListener('click', (e) => {
@@ -132,10 +498,341 @@ const App = {
         });
 
         // Output actions
+        this.exportFormatSelect.addEventListener('change', () => this.updateExportControls());
         this.copyBtn.addEventListener('click', () => this.copyToClipboard());
         this.downloadBtn.addEventListener('click', () => this.download());
     },
 
+    /**
+     * Handle global keyboard shortcuts.
+     * @param {KeyboardEvent} e - Keydown event.
+     */
+    handleKeydown(e) {
+        if (this.currentMode !== 'draw') return;
+
+        // Leave typing in form fields alone
+        const target = e.target;
+        if (target.matches && target.matches('input, textarea, select')) return;
+
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                UndoHistory.redo();
+            } else {
+                UndoHistory.undo();
+            }
+        } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+            e.preventDefault();
+            UndoHistory.redo();
+        } else if ((e.ctrlKey || e.metaKey) && key === 'a') {
+            e.preventDefault();
+            if (DrawingCanvas.tool !== 'select') {
+                this.setDrawTool('select');
+            }
+            DrawingCanvas.selectAll();
+        } else if (key === 'escape') {
+            DrawingCanvas.setSelection(null);
+            DrawingCanvas.setCursor(null);
+        } else if ((key === 'delete' || key === 'backspace') && DrawingCanvas.selection) {
+            e.preventDefault();
+            DrawingCanvas.eraseSelection();
+        } else if (this.handleCursorKey(e)) {
+            e.preventDefault();
+        }
+    },
+
+    /**
+     * Move the keyboard cursor or type at it.
+     * @param {KeyboardEvent} e - Keydown event outside form fields.
+     * @returns {boolean} True if the key was used.
+     */
+    handleCursorKey(e) {
+        // AltGr arrives as Ctrl+Alt, and still types characters
+        if (e.metaKey || (e.ctrlKey && !e.altKey)) return false;
+        // Space and Enter on a focused button press the button instead
+        const onButton = e.target.matches && e.target.matches('button');
+        if (e.key === 'Insert') {
+            this.toggleInsertMode();
+            return true;
+        }
+        // Without a cursor, keys keep scrolling the page and never write to the art
+        if (!DrawingCanvas.cursor) return false;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                DrawingCanvas.moveCursor(-1, 0);
+                return true;
+            case 'ArrowRight':
+                DrawingCanvas.moveCursor(1, 0);
+                return true;
+            case 'ArrowUp':
+                DrawingCanvas.moveCursor(0, -1);
+                return true;
+            case 'ArrowDown':
+                DrawingCanvas.moveCursor(0, 1);
+                return true;
+            case 'PageUp':
+                DrawingCanvas.moveCursor(0, -DrawingCanvas.getPageRows());
+                return true;
+            case 'PageDown':
+                DrawingCanvas.moveCursor(0, DrawingCanvas.getPageRows());
+                return true;
+            case 'Home':
+                DrawingCanvas.cursorToLineStart();
+                return true;
+            case 'End':
+                DrawingCanvas.cursorToLineEnd();
+                return true;
+            case 'Enter':
+                if (onButton) return false;
+                DrawingCanvas.newLine();
+                return true;
+            case 'Backspace':
+                DrawingCanvas.backspace();
+                return true;
+            case 'Delete':
+                DrawingCanvas.deleteChar();
+                return true;
+        }
+
+        // Printable keys are a single character; named keys like 'Shift' are longer
+        if (Array.from(e.key).length !== 1 || onButton) return false;
+        DrawingCanvas.typeChar(e.key);
+        return true;
+    },
+
+    /**
+     * Switch typing between overwrite and insert mode.
+     */
+    toggleInsertMode() {
+        DrawingCanvas.setInsertMode(!DrawingCanvas.insertMode);
+        this.insertModeBtn.textContent = DrawingCanvas.insertMode ? 'INS' : 'OVR';
+        this.insertModeBtn.classList.toggle('active', DrawingCanvas.insertMode);
+        this.setStatus(DrawingCanvas.insertMode ? 'INSERT MODE' : 'OVERWRITE MODE');
+    },
+
+    /**
+     * Handle native copy/cut/paste on the drawing grid.
+     * @param {ClipboardEvent} e - Clipboard event.
+     */
+    handleClipboardEvent(e) {
+        if (this.currentMode !== 'draw') return;
+        const target = e.target;
+        if (target.matches && target.matches('input, textarea, select')) return;
+
+        if (e.type === 'paste') {
+            e.preventDefault();
+            const files = e.clipboardData.files;
+            if (files && files.length > 0) {
+                this.importDrawFile(files[0]);
+            } else {
+                this.pasteText(e.clipboardData.getData('text/plain'));
+            }
+            return;
+        }
+
+        if (!DrawingCanvas.selection) return;
+        const rows = e.type === 'cut' ? DrawingCanvas.cutSelection() : DrawingCanvas.copySelection();
+        e.preventDefault();
+        e.clipboardData.setData('text/plain', GridRegion.toText(rows));
+        this.setStatus(e.type === 'cut' ? 'SELECTION CUT' : 'SELECTION COPIED');
+    },
+
+    /**
+     * Run a selection toolbar action.
+     * @param {string} action - copy, cut, paste, flip-h, flip-v or rotate.
+     */
+    async handleSelectionAction(action) {
+        if (action === 'paste') {
+            let text = null;
+            try {
+                text = await navigator.clipboard.readText();
+            } catch (error) {
+                // Clipboard read denied; fall back to the internal clipboard
+            }
+            if (text) {
+                this.pasteText(text);
+            } else if (DrawingCanvas.clipboard) {
+                DrawingCanvas.paste(DrawingCanvas.clipboard);
+                this.setStatus('SELECTION PASTED');
+            } else {
+                this.setStatus('NOTHING TO PASTE');
+            }
+            return;
+        }
+
+        if (!DrawingCanvas.selection) {
+            this.setStatus('NO SELECTION');
+            return;
+        }
+
+        switch (action) {
+            case 'copy':
+            case 'cut': {
+                const rows = action === 'cut' ? DrawingCanvas.cutSelection() : DrawingCanvas.copySelection();
+                try {
+                    await navigator.clipboard.writeText(GridRegion.toText(rows));
+                } catch (error) {
+                    // Internal clipboard still holds the region
+                }
+                this.setStatus(action === 'cut' ? 'SELECTION CUT' : 'SELECTION COPIED');
+                break;
+            }
+            case 'flip-h':
+                DrawingCanvas.transformSelection(rows => GridRegion.flipHorizontal(rows));
+                break;
+            case 'flip-v':
+                DrawingCanvas.transformSelection(rows => GridRegion.flipVertical(rows));
+                break;
+            case 'rotate':
+                DrawingCanvas.transformSelection(rows => GridRegion.rotate(rows));
+                break;
+        }
+    },
+
+    /**
+     * Run a layer panel action on the active layer.
+     * @param {string} action - add, up, down, rename or delete.
+     */
+    handleLayerAction(action) {
+        switch (action) {
+            case 'add':
+                DrawingCanvas.addLayer();
+                this.setStatus('LAYER ADDED');
+                break;
+            case 'up':
+                DrawingCanvas.moveLayer(1);
+                break;
+            case 'down':
+                DrawingCanvas.moveLayer(-1);
+                break;
+            case 'rename':
+                this.renameLayer();
+                break;
+            case 'delete':
+                DrawingCanvas.deleteLayer();
+                this.setStatus('LAYER DELETED');
+                break;
+        }
+    },
+
+    /**
+     * Flip a layer's visibility or lock.
+     * @param {number} index - Layer index, bottom first.
+     * @param {string} setting - 'visible' or 'locked'.
+     */
+    toggleLayer(index, setting) {
+        const layer = DrawingCanvas.layers[index];
+        if (setting === 'visible') {
+            DrawingCanvas.setLayerVisible(index, !layer.visible);
+        } else {
+            DrawingCanvas.setLayerLocked(index, !layer.locked);
+        }
+    },
+
+    /**
+     * Rename the active layer.
+     */
+    renameLayer() {
+        const layer = DrawingCanvas.getLayer();
+        const name = prompt('Layer name:', layer.name);
+        if (!name || !name.trim()) return;
+        DrawingCanvas.renameLayer(DrawingCanvas.activeLayer, name.trim());
+    },
+
+    /**
+     * List the drawing layers, top first, and enable the actions that apply.
+     */
+    updateLayerPanel() {
+        const { layers, activeLayer } = DrawingCanvas;
+        this.layerList.innerHTML = '';
+        for (let index = layers.length - 1; index >= 0; index--) {
+            const layer = layers[index];
+            const item = document.createElement('li');
+            item.className = 'layer-item';
+            item.classList.toggle('active', index === activeLayer);
+            item.classList.toggle('layer-hidden', !layer.visible);
+            item.dataset.index = index;
+
+            const visible = document.createElement('button');
+            visible.className = 'layer-toggle';
+            visible.dataset.layerToggle = 'visible';
+            visible.textContent = layer.visible ? '◉' : '○';
+            visible.title = layer.visible ? 'Hide layer' : 'Show layer';
+
+            const locked = document.createElement('button');
+            locked.className = 'layer-toggle';
+            locked.dataset.layerToggle = 'locked';
+            locked.textContent = layer.locked ? '🔒' : '🔓';
+            locked.title = layer.locked ? 'Unlock layer' : 'Lock layer';
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+
+            item.append(visible, locked, name);
+            this.layerList.appendChild(item);
+        }
+
+        const button = action => this.layerPanel.querySelector(`[data-layer-action="${action}"]`);
+        button('up').disabled = activeLayer === layers.length - 1;
+        button('down').disabled = activeLayer === 0;
+        button('delete').disabled = layers.length < 2;
+    },
+
+    /**
+     * Paste clipboard text into the drawing grid.
+     * @param {string} text - Plain text from the clipboard.
+     */
+    pasteText(text) {
+        if (!text) {
+            this.setStatus('NOTHING TO PASTE');
+            return;
+        }
+
+        // Prefer the internal copy when it matches, so trailing spaces survive
+        const internal = DrawingCanvas.clipboard;
+        const rows = internal && GridRegion.toText(internal) === text.replace(/\r?\n$/, '')
+            ? internal
+            : GridRegion.fromText(text);
+
+        if (DrawingCanvas.tool !== 'select') {
+            this.setDrawTool('select');
+        }
+        DrawingCanvas.paste(rows);
+        this.setStatus('SELECTION PASTED');
+    },
+
+    /**
+     * Enable or disable undo/redo buttons.
+     */
+    updateHistoryButtons() {
+        this.undoBtn.disabled = !UndoHistory.canUndo();
+        this.redoBtn.disabled = !UndoHistory.canRedo();
+    },
+
+    /**
+     * Select a drawing tool and show its options.
+     * @param {string} tool - Tool name.
+     */
+    setDrawTool(tool) {
+        DrawingCanvas.setTool(tool);
+        this.drawTools.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+        this.boxCharsOption.classList.toggle('hidden', tool !== 'rect');
+        this.textToolInput.classList.toggle('hidden', tool !== 'text');
+        this.bannerOptions.classList.toggle('hidden', tool !== 'banner');
+        this.selectionActions.classList.toggle('hidden', tool !== 'select');
+        if (tool === 'text') {
+            this.textToolInput.focus();
+        } else if (tool === 'banner') {
+            this.bannerTextInput.focus();
+        }
+        this.setStatus('TOOL: ' + tool.toUpperCase());
+    },
+
     /**
      * Update ASCII keyboard selection visual.
      */
@@ -160,31 +857,41 @@ const App = {
     },
 
     /**
-     * Switch between pixelate and draw modes.
-     * @param {string} mode - 'pixelate' or 'draw'
+     * Switch between pixelate, ASCII and draw modes.
+     * @param {string} mode - 'pixelate', 'ascii' or 'draw'
      */
     switchMode(mode) {
         this.currentMode = mode;
 
         // Update nav buttons
         this.btnPixelate.classList.toggle('active', mode === 'pixelate');
+        this.btnAscii.classList.toggle('active', mode === 'ascii');
         this.btnDraw.classList.toggle('active', mode === 'draw');
 
         // Update panels
         this.panelPixelate.classList.toggle('active', mode === 'pixelate');
+        this.panelAscii.classList.toggle('active', mode === 'ascii');
         this.panelDraw.classList.toggle('active', mode === 'draw');
 
+        // Offer the export formats for this mode
+        this.updateExportControls();
+
         // Update output display
-        if (mode === 'draw') {
-            this.outputCanvas.classList.add('hidden');
-            this.outputText.classList.remove('hidden');
-            this.updateDrawOutput();
-        } else {
+        if (mode === 'pixelate') {
             this.outputText.classList.add('hidden');
             this.outputCanvas.classList.remove('hidden');
+        } else {
+            this.outputCanvas.classList.add('hidden');
+            this.outputText.classList.remove('hidden');
+            if (mode === 'ascii') {
+                this.convertToAscii();
+            } else {
+                this.updateDrawOutput();
+            }
         }
 
-        this.setStatus(mode === 'pixelate' ? 'PIXELATE MODE' : 'DRAW MODE');
+        this.setStatus(mode.toUpperCase() + ' MODE');
+        this.scheduleAutosave();
     },
 
     /**
@@ -193,32 +900,41 @@ const App = {
      */
     handleFileSelect(e) {
         const file = e.target.files[0];
-        if (file && file.type.startsWith('image/')) {
+        if (file && this.isMediaFile(file)) {
             this.processImage(file);
         }
     },
 
     /**
-     * Process an image file for pixelation.
-     * @param {File} file - Image file.
+     * Check whether a file can be used as a source image.
+     * @param {File} file - Selected or dropped file.
+     * @returns {boolean} True for images and videos.
+     */
+    isMediaFile(file) {
+        return file.type.startsWith('image/') || file.type.startsWith('video/');
+    },
+
+    /**
+     * Process an image, animated GIF or video file for pixelation.
+     * @param {File} file - Image or video file.
      */
     async processImage(file) {
-        this.setStatus('LOADING IMAGE...');
+        const isVideo = file.type.startsWith('video/');
+        this.setStatus(isVideo ? 'LOADING VIDEO...' : 'LOADING IMAGE...');
 
         try {
-            this.loadedImage = await Pixelator.loadImage(file);
-
-            // Show preview canvas, hide upload prompt
-            this.uploadPrompt.classList.add('hidden');
-            this.previewCanvas.classList.remove('hidden');
-
-            // Draw original to preview
-            this.previewCanvas.width = Math.min(this.loadedImage.width, 300);
-            this.previewCanvas.height = (this.loadedImage.height / this.loadedImage.width) * this.previewCanvas.width;
-            const ctx = this.previewCanvas.getContext('2d');
-            ctx.drawImage(this.loadedImage, 0, 0, this.previewCanvas.width, this.previewCanvas.height);
-
-            this.pixelateImage();
+            // A crop only makes sense for the image it was drawn on
+            this.crop = null;
+            // Single-frame GIFs fall through to the still image path
+            const animation = isVideo || file.type === 'image/gif' ? await Animator.load(file) : null;
+            if (animation) {
+                // Projects keep the original file, so every frame can be decoded again
+                animation.source = await ProjectStore.encodeFile(file);
+                await this.showImage(animation.frames[0].image, animation);
+                this.setStatus(`ANIMATION LOADED: ${animation.frames.length} FRAMES`);
+                return;
+            }
+            await this.showImage(await Pixelator.loadImage(file));
             this.setStatus('IMAGE LOADED');
         } catch (error) {
             console.error('Error loading image:', error);
@@ -227,78 +943,1324 @@ const App = {
     },
 
     /**
-     * Pixelate the loaded image.
+     * Use an image as the source for pixelation and ASCII conversion.
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Loaded image (the first frame of an animation).
+     * @param {Object} [animation=null] - Frames from Animator.load, pixelated with one shared palette.
+     * @returns {Promise<void>} Resolves once pixelation finishes.
      */
-    pixelateImage() {
-        if (!this.loadedImage) return;
+    showImage(image, animation = null) {
+        this.stopAnimation();
+        this.loadedImage = image;
+        this.animation = animation;
+        // Edits made to the previous image do not carry over
+        this.pixelEdited = false;
+        this.adaptivePaletteKey = '';
+        this.sourceKey = '';
+        this.updateAnimationBar();
 
-        this.setStatus('PIXELATING...');
+        // Show preview canvases, hide upload prompts
+        this.uploadPrompt.classList.add('hidden');
+        this.asciiPrompt.classList.add('hidden');
+        this.drawPreview(this.previewCanvas);
+        this.drawPreview(this.asciiPreviewCanvas);
 
-        const options = {
-            pixelSize: parseInt(this.pixelSizeSlider.value, 10),
-            colorMode: this.colorModeSelect.value,
-            showGrid: this.gridCheckbox.checked
-        };
+        const pixelated = this.pixelateImage();
+        this.updateSwatches();
+        if (this.currentMode === 'ascii') {
+            this.convertToAscii();
+        }
+        this.scheduleAutosave();
+        return pixelated;
+    },
 
-        try {
-            Pixelator.pixelate(this.loadedImage, options, this.outputCanvas);
-            this.setStatus('PIXELATION COMPLETE');
-        } catch (error) {
-            console.error('Pixelation error:', error);
-            this.setStatus('ERROR: Pixelation failed');
+    /**
+     * Forget the source image and its pixelated output.
+     */
+    clearImage() {
+        PixelWorker.cancel();
+        this.animation = null;
+        this.stopAnimation();
+        this.loadedImage = null;
+        this.crop = null;
+        this.setPickingKey(false);
+        this.sourceKey = '';
+        this.sourceImages = null;
+        this.pixelBlocks = null;
+        this.pixelEdited = false;
+        this.asciiLines = null;
+        PixelEditor.setBlocks(null);
+
+        this.uploadPrompt.classList.remove('hidden');
+        this.asciiPrompt.classList.remove('hidden');
+        this.previewCanvas.classList.add('hidden');
+        this.asciiPreviewCanvas.classList.add('hidden');
+        this.outputCanvas.getContext('2d').clearRect(0, 0, this.outputCanvas.width, this.outputCanvas.height);
+        this.outputText.textContent = '';
+        this.updateSwatches();
+    },
+
+    /**
+     * Draw the loaded image into a preview canvas.
+     * @param {HTMLCanvasElement} canvas - Preview canvas to draw to.
+     */
+    drawPreview(canvas) {
+        canvas.classList.remove('hidden');
+        canvas.width = Math.min(this.loadedImage.width, 300);
+        canvas.height = (this.loadedImage.height / this.loadedImage.width) * canvas.width;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.loadedImage, 0, 0, canvas.width, canvas.height);
+
+        if (this.crop) {
+            // Dim everything outside the crop
+            const scale = canvas.width / this.loadedImage.width;
+            const x = this.crop.x * scale;
+            const y = this.crop.y * scale;
+            const width = this.crop.width * scale;
+            const height = this.crop.height * scale;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(0, 0, canvas.width, y);
+            ctx.fillRect(0, y + height, canvas.width, canvas.height - y - height);
+            ctx.fillRect(0, y, x, height);
+            ctx.fillRect(x + width, y, canvas.width - x - width, height);
+            ctx.strokeStyle = '#00ff9c';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, Math.max(0, width - 1), Math.max(0, height - 1));
         }
     },
 
     /**
-     * Initialize the drawing canvas with appropriate size for screen.
+     * Map a client position on the source preview to image pixels.
+     * @param {number} clientX - Pointer X in viewport pixels.
+     * @param {number} clientY - Pointer Y in viewport pixels.
+     * @returns {{x: number, y: number}} Image coordinates, clamped to the image.
      */
-    initDrawCanvas() {
-        // Set mobile-friendly defaults based on screen width
-        const isMobile = window.innerWidth <= 600;
-        this.canvasWidth.value = isMobile ? 20 : 40;
-        this.canvasHeight.value = isMobile ? 15 : 20;
-        DrawingCanvas.width = parseInt(this.canvasWidth.value, 10);
-        DrawingCanvas.height = parseInt(this.canvasHeight.value, 10);
-        DrawingCanvas.init(this.drawContainer);
-        this.updateKeyboardSelection();
+    getImagePoint(clientX, clientY) {
+        const rect = this.previewCanvas.getBoundingClientRect();
+        const { width, height } = this.loadedImage;
+        const x = rect.width > 0 ? (clientX - rect.left) / rect.width * width : 0;
+        const y = rect.height > 0 ? (clientY - rect.top) / rect.height * height : 0;
+        return {
+            x: Math.round(Math.min(width, Math.max(0, x))),
+            y: Math.round(Math.min(height, Math.max(0, y)))
+        };
     },
 
     /**
-     * Resize the drawing canvas.
+     * Stretch the crop from the drag start to a point.
+     * @param {{x: number, y: number}} point - Image coordinates.
      */
-    resizeDrawCanvas() {
-        const width = parseInt(this.canvasWidth.value, 10) || 60;
-        const height = parseInt(this.canvasHeight.value, 10) || 30;
-        DrawingCanvas.resize(width, height);
-        this.updateDrawOutput();
+    updateCrop(point) {
+        const start = this.cropStart;
+        this.crop = {
+            x: Math.min(start.x, point.x),
+            y: Math.min(start.y, point.y),
+            width: Math.abs(point.x - start.x),
+            height: Math.abs(point.y - start.y)
+        };
+        this.drawPreview(this.previewCanvas);
     },
 
     /**
-     * Update output from drawing canvas.
+     * Apply the dragged crop. A click without a drag clears it.
      */
-    updateDrawOutput() {
-        if (this.currentMode === 'draw') {
-            this.currentAscii = DrawingCanvas.getAscii();
-            this.outputText.textContent = this.currentAscii;
+    async finishCrop() {
+        this.cropStart = null;
+        if (this.crop && (this.crop.width < 2 || this.crop.height < 2)) {
+            this.crop = null;
         }
+        this.drawPreview(this.previewCanvas);
+        await this.handleAdjustChange();
+        this.setStatus(this.crop ? `CROPPED TO ${this.crop.width}x${this.crop.height}` : 'CROP CLEARED');
     },
 
     /**
-     * Copy to clipboard (ASCII text or canvas image).
+     * Turn background color picking on the source preview on or off.
+     * @param {boolean} picking - Whether the next click picks instead of cropping.
      */
-    async copyToClipboard() {
-        try {
-            if (this.currentMode === 'draw') {
-                if (!this.currentAscii) {
+    setPickingKey(picking) {
+        this.pickingKey = picking;
+        this.keyPickBtn.classList.toggle('active', picking);
+        this.previewCanvas.classList.toggle('picking', picking);
+    },
+
+    /**
+     * Remove the source image's color at a point as its background.
+     * @param {{x: number, y: number}} point - Image coordinates.
+     */
+    async pickKeyColor(point) {
+        this.setPickingKey(false);
+        const pixels = Pixelator.getPixels(this.loadedImage);
+        const x = Math.min(point.x, pixels.width - 1);
+        const y = Math.min(point.y, pixels.height - 1);
+        const i = (y * pixels.width + x) * 4;
+        const color = '#' + PaletteLibrary.rgbToHex([pixels.data[i], pixels.data[i + 1], pixels.data[i + 2]]);
+
+        this.setAdjustSettings({ keyOut: true, keyColor: color });
+        await this.handleAdjustChange();
+        this.setStatus(`BACKGROUND ${color.toUpperCase()} REMOVED`);
+    },
+
+    /**
+     * Read the adjustment controls.
+     * @returns {Object} Settings for ImageAdjust.
+     */
+    getAdjustSettings() {
+        const settings = {};
+        this.adjustControls.forEach(control => {
+            const name = control.dataset.adjust;
+            if (control.type === 'checkbox') {
+                settings[name] = control.checked;
+            } else if (control.type === 'color') {
+                settings[name] = control.value;
+            } else {
+                const value = parseInt(control.value, 10);
+                // Gamma is stored on the slider in hundredths
+                settings[name] = name === 'gamma' ? value / 100 : value;
+            }
+        });
+        if (settings.posterize < 2) settings.posterize = 0;
+        return settings;
+    },
+
+    /**
+     * Set the adjustment controls. Missing settings are left alone.
+     * @param {Object} settings - Settings for ImageAdjust.
+     */
+    setAdjustSettings(settings) {
+        this.adjustControls.forEach(control => {
+            const value = settings[control.dataset.adjust];
+            if (value === undefined) return;
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else {
+                control.value = control.dataset.adjust === 'gamma' ? Math.round(value * 100) : value;
+            }
+        });
+        this.updateAdjustLabels();
+    },
+
+    /**
+     * Show the current value next to each adjustment slider.
+     */
+    updateAdjustLabels() {
+        const settings = this.getAdjustSettings();
+        document.querySelectorAll('[data-adjust-value]').forEach(label => {
+            const name = label.dataset.adjustValue;
+            const value = settings[name];
+            if (name === 'gamma') {
+                label.textContent = value.toFixed(2);
+            } else if (name === 'hue') {
+                label.textContent = value + '°';
+            } else if (name === 'posterize') {
+                label.textContent = value === 0 ? 'Off' : value;
+            } else if (name === 'sharpen' || name === 'keyTolerance') {
+                label.textContent = value;
+            } else {
+                label.textContent = value > 0 ? '+' + value : value;
+            }
+        });
+    },
+
+    /**
+     * Re-run the output after the crop or an adjustment changed.
+     * @returns {Promise<void>} Resolves once pixelation finishes.
+     */
+    handleAdjustChange() {
+        this.updateAdjustLabels();
+        if (!this.loadedImage) return Promise.resolve();
+        const pixelated = this.pixelateImage();
+        this.updateSwatches();
+        this.convertToAscii();
+        return pixelated;
+    },
+
+    /**
+     * Get the cropped and adjusted source images, processing them again only when settings change.
+     * @param {number} [pixelSize] - Block size the result is sampled at; outlines are drawn this thick.
+     * @returns {Array<HTMLImageElement|HTMLCanvasElement>} One image, or one per animation frame.
+     */
+    getSourceImages(pixelSize = this.getGridOptions().pixelSize) {
+        const images = this.animation ? this.animation.frames.map(frame => frame.image) : [this.loadedImage];
+        const settings = this.getAdjustSettings();
+        if (!this.crop && ImageAdjust.isNeutral(settings)) {
+            return images;
+        }
+
+        const lineWidth = settings.outline ? pixelSize : 1;
+        const key = JSON.stringify({ settings, crop: this.crop, lineWidth });
+        if (key !== this.sourceKey) {
+            this.sourceImages = images.map(image => ImageAdjust.process(image, this.crop, settings, lineWidth));
+            this.sourceKey = key;
+        }
+        return this.sourceImages;
+    },
+
+    /**
+     * Pixelate the loaded image (every frame of an animation) in the background.
+     * A call made while an earlier one is still running replaces it.
+     * Asks first when the output holds pixel edits, which pixelating again would discard.
+     * @returns {Promise<void>} Resolves once the output shows the result, or the job was replaced.
+     */
+    async pixelateImage() {
+        if (!this.loadedImage) return;
+
+        // Hand edits exist only in the current blocks, so check before replacing them
+        if (this.pixelEdited) {
+            if (!confirm('Pixelating again discards your pixel edits. Continue?')) {
+                this.setStatus('PIXEL EDITS KEPT');
+                return;
+            }
+            this.pixelEdited = false;
+        }
+
+        this.setStatus('PIXELATING...');
+
+        const options = {
+            ...this.getGridOptions(),
+            sampling: this.samplingSelect.value,
+            colorMode: this.colorModeSelect.value,
+            palette: this.getPalette(),
+            metric: this.metricSelect.value,
+            dither: this.ditherSelect.value,
+            alphaMode: this.alphaModeSelect.value,
+            alphaThreshold: parseInt(this.alphaThresholdSlider.value, 10),
+            showGrid: this.gridCheckbox.checked
+        };
+
+        try {
+            // Reading pixels needs a canvas, so it stays here; sampling and color work move to the worker
+            const frames = this.getSourceImages(options.pixelSize).map(image => Pixelator.getPixels(image));
+            const grid = Pixelator.getGrid(frames[0], options);
+
+            const blocks = await PixelWorker.quantize(frames, options, (progress) => {
+                this.setStatus(`PIXELATING... ${Math.round(progress * 100)}%`);
+            });
+            if (!blocks) return;
+
+            if (this.animation) {
+                this.animationBlocks = blocks;
+                this.pixelBlocks = blocks[this.animationFrame];
+            } else {
+                this.pixelBlocks = blocks[0];
+            }
+            this.pixelOptions = { ...options, cellAspect: grid.cellAspect };
+            PixelEditor.setBlocks(this.pixelBlocks);
+            PixelEditor.setLayout(grid.offsetOddRows);
+            this.renderPixelPreview();
+            this.setStatus('PIXELATION COMPLETE');
+            if (this.animation && !this.animationTimer && !PixelEditor.enabled) {
+                this.playAnimation();
+            }
+        } catch (error) {
+            console.error('Pixelation error:', error);
+            this.setStatus('ERROR: Pixelation failed');
+        }
+    },
+
+    /**
+     * Read the block grid settings.
+     * @returns {Object} pixelSize, aspect, gridMode, gridWidth, gridHeight and shape (see Pixelator.pixelate).
+     *     In target mode pixelSize is the resulting block width, which sizes outlines and the preview.
+     */
+    getGridOptions() {
+        const gridMode = this.gridModeSelect.value;
+        const gridWidth = Math.max(1, parseInt(this.gridWidthInput.value, 10) || 1);
+        const gridHeight = Math.max(1, parseInt(this.gridHeightInput.value, 10) || 1);
+        let pixelSize = parseInt(this.pixelSizeSlider.value, 10);
+        if (gridMode === 'target' && this.loadedImage) {
+            const sourceWidth = this.crop ? this.crop.width : this.loadedImage.width;
+            pixelSize = Math.max(1, Math.round(sourceWidth / gridWidth));
+        }
+
+        return {
+            pixelSize,
+            aspect: parseFloat(this.blockAspectSelect.value),
+            gridMode,
+            gridWidth,
+            gridHeight,
+            shape: this.shapeSelect.value
+        };
+    },
+
+    /**
+     * Show the block size or target size inputs to match the grid mode.
+     */
+    updateGridControls() {
+        const target = this.gridModeSelect.value === 'target';
+        this.blockSizeControls.classList.toggle('hidden', target);
+        this.targetGridControls.classList.toggle('hidden', !target);
+    },
+
+    /**
+     * Fill the Retro and Custom groups of the color mode select.
+     */
+    populatePalettes() {
+        const fill = (group, palettes) => {
+            group.innerHTML = '';
+            Object.entries(palettes).forEach(([id, palette]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = `${palette.name} (${palette.colors.length})`;
+                group.appendChild(option);
+            });
+        };
+
+        fill(this.retroPaletteGroup, PaletteLibrary.builtin);
+        fill(this.customPaletteGroup, PaletteLibrary.custom);
+        this.customPaletteGroup.hidden = Object.keys(PaletteLibrary.custom).length === 0;
+    },
+
+    /**
+     * Fill the Bundled and Loaded groups of the banner font select.
+     */
+    populateFonts() {
+        const fill = (group, fonts) => {
+            group.innerHTML = '';
+            Object.entries(fonts).forEach(([id, font]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = font.name;
+                group.appendChild(option);
+            });
+        };
+
+        fill(this.bannerBundledGroup, FigletFonts);
+        fill(this.bannerCustomGroup, Figlet.custom);
+        this.bannerCustomGroup.hidden = Object.keys(Figlet.custom).length === 0;
+    },
+
+    /**
+     * Render the banner text in the chosen font, ready to stamp.
+     */
+    updateBanner() {
+        const text = this.bannerTextInput.value;
+        let rows = [];
+        try {
+            const font = Figlet.get(this.bannerFontSelect.value);
+            if (font && text) {
+                rows = Figlet.render(text, font, this.bannerLayoutSelect.value || font.layout);
+            }
+        } catch (error) {
+            console.error('Banner render failed:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+        DrawingCanvas.banner = rows;
+        this.bannerPreview.textContent = rows.join('\n');
+    },
+
+    /**
+     * Load a FIGlet font file, save it and select it.
+     * @param {File} file - .flf file.
+     */
+    async importFontFile(file) {
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const id = Figlet.addCustom(file.name.replace(/\.[^.]+$/, ''), text);
+            this.populateFonts();
+            this.bannerFontSelect.value = id;
+            this.updateBanner();
+            this.setStatus('FONT LOADED: ' + Figlet.custom[id].name.toUpperCase());
+        } catch (error) {
+            console.error('Font import failed:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+        this.bannerFontInput.value = '';
+    },
+
+    /**
+     * React to a change of color mode.
+     */
+    handleColorModeChange() {
+        this.updateColorModeControls();
+        this.pixelateImage();
+        this.updateSwatches();
+    },
+
+    /**
+     * Enable the controls that apply to the selected color mode.
+     */
+    updateColorModeControls() {
+        const mode = this.colorModeSelect.value;
+        // Matching and dithering only apply to palette-based modes
+        this.metricSelect.disabled = !Pixelator.usesPalette(mode);
+        this.ditherSelect.disabled = !Pixelator.usesPalette(mode);
+        this.adaptiveControls.classList.toggle('hidden', mode !== 'adaptive');
+        this.paletteDeleteBtn.classList.toggle('hidden', !PaletteLibrary.isCustom(mode));
+    },
+
+    /**
+     * Import a palette file.
+     * @param {File} file - .hex, .gpl or .pal file.
+     */
+    async importPaletteFile(file) {
+        if (!file) return;
+        try {
+            const text = await file.text();
+            this.importPaletteText(text, file.name.replace(/\.[^.]+$/, ''));
+        } catch (error) {
+            console.error('Palette import failed:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+        this.paletteInput.value = '';
+    },
+
+    /**
+     * Parse palette text, save it and select it.
+     * @param {string} text - Palette contents.
+     * @param {string} name - Name used when the palette has none.
+     */
+    importPaletteText(text, name) {
+        try {
+            const palette = PaletteLibrary.parse(text, name);
+            const id = PaletteLibrary.addCustom(palette.name, palette.colors);
+            this.populatePalettes();
+            this.colorModeSelect.value = id;
+            this.closePalettePaste();
+            this.handleColorModeChange();
+            this.setStatus(`PALETTE IMPORTED: ${palette.colors.length} COLORS`);
+        } catch (error) {
+            console.error('Palette import failed:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+    },
+
+    /**
+     * Hide and reset the paste palette form.
+     */
+    closePalettePaste() {
+        this.palettePaste.classList.add('hidden');
+        this.paletteNameInput.value = '';
+        this.paletteHexInput.value = '';
+    },
+
+    /**
+     * Delete the selected custom palette.
+     */
+    deleteCustomPalette() {
+        const id = this.colorModeSelect.value;
+        if (!PaletteLibrary.isCustom(id)) return;
+        if (!confirm(`Delete palette "${PaletteLibrary.custom[id].name}"?`)) return;
+
+        PaletteLibrary.removeCustom(id);
+        this.populatePalettes();
+        this.colorModeSelect.value = 'full';
+        this.handleColorModeChange();
+        this.setStatus('PALETTE DELETED');
+    },
+
+    /**
+     * Render the current blocks to the output canvas.
+     * The grid is always shown while editing so individual blocks are visible.
+     */
+    renderPixelPreview() {
+        if (!this.pixelBlocks) return;
+        Pixelator.renderPreview(this.pixelBlocks, this.outputCanvas, {
+            ...this.pixelOptions,
+            showGrid: this.gridCheckbox.checked || PixelEditor.enabled
+        });
+    },
+
+    /**
+     * Toggle pixel editing on the output canvas.
+     */
+    togglePixelEdit() {
+        const enabled = !PixelEditor.enabled;
+        // Edits apply to the frame on screen, so hold it still
+        if (enabled) this.pauseAnimation();
+        PixelEditor.setEnabled(enabled);
+        this.pixelEditBtn.classList.toggle('active', enabled);
+        this.pixelTools.classList.toggle('hidden', !enabled);
+        this.paletteSwatches.classList.toggle('pickable', enabled);
+        this.renderPixelPreview();
+        this.setStatus(enabled ? 'PIXEL EDIT ON' : 'PIXEL EDIT OFF');
+    },
+
+    /**
+     * Select a pixel editing tool.
+     * @param {string} tool - 'paint', 'eyedropper' or 'fill'.
+     */
+    setPixelTool(tool) {
+        PixelEditor.setTool(tool);
+        this.pixelTools.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    },
+
+    /**
+     * Re-render after the pixel editor changed blocks.
+     */
+    handlePixelEdit() {
+        this.pixelEdited = true;
+        this.renderPixelPreview();
+        this.scheduleAutosave();
+    },
+
+    /**
+     * Use a picked color for painting.
+     * @param {number[]} color - [r, g, b] values.
+     */
+    handlePixelColorPick(color) {
+        PixelEditor.setColor(color);
+        this.pixelColorInput.value = '#' + PaletteLibrary.rgbToHex(color);
+        if (PixelEditor.tool === 'eyedropper') {
+            this.setPixelTool('paint');
+        }
+        this.setStatus('COLOR ' + this.pixelColorInput.value.toUpperCase());
+    },
+
+    /**
+     * Get the palette for the selected color mode.
+     * @returns {number[][]|null} Palette colors, or null for non-palette modes.
+     */
+    getPalette() {
+        const mode = this.colorModeSelect.value;
+        if (mode !== 'adaptive') {
+            return Pixelator.palettes[mode] || PaletteLibrary.get(mode);
+        }
+        if (!this.loadedImage) return null;
+
+        // Regenerate only when the image or quantizer settings change
+        const count = parseInt(this.paletteSizeSlider.value, 10);
+        const method = this.paletteMethodSelect.value;
+        const sources = this.getSourceImages();
+        const key = `${count}|${method}|${this.sourceKey}`;
+        if (key !== this.adaptivePaletteKey) {
+            this.adaptivePalette = Quantizer.generate(this.getPaletteSample(sources), count, method);
+            this.adaptivePaletteKey = key;
+        }
+        return this.adaptivePalette;
+    },
+
+    /**
+     * Downscale the source pixels for palette generation.
+     * Animations contribute every frame so all frames share one palette.
+     * @param {Array<HTMLImageElement|HTMLCanvasElement>} images - Source images (see getSourceImages).
+     * @returns {ImageData|{data: Uint8ClampedArray}} Sampled pixels.
+     */
+    getPaletteSample(images) {
+        const scale = Math.min(1, 128 / Math.max(images[0].width, images[0].height));
+        const width = Math.max(1, Math.round(images[0].width * scale));
+        const height = Math.max(1, Math.round(images[0].height * scale));
+        const samples = images.map(image => Pixelator.sampleImage(image, width, height));
+        if (samples.length === 1) return samples[0];
+
+        const data = new Uint8ClampedArray(samples.length * width * height * 4);
+        samples.forEach((sample, i) => data.set(sample.data, i * sample.data.length));
+        return { data };
+    },
+
+    /**
+     * Start or resume animation playback.
+     */
+    playAnimation() {
+        if (!this.animation) return;
+        if (PixelEditor.enabled) this.togglePixelEdit();
+
+        const step = () => {
+            const delay = this.animation.frames[this.animationFrame].delay;
+            this.animationTimer = setTimeout(() => {
+                this.showFrame((this.animationFrame + 1) % this.animation.frames.length);
+                step();
+            }, delay);
+        };
+        clearTimeout(this.animationTimer);
+        step();
+        this.animationPlayBtn.textContent = '❚❚ Pause';
+    },
+
+    /**
+     * Hold the animation on the current frame.
+     */
+    pauseAnimation() {
+        clearTimeout(this.animationTimer);
+        this.animationTimer = null;
+        this.animationPlayBtn.textContent = '▶ Play';
+    },
+
+    /**
+     * Toggle animation playback.
+     */
+    toggleAnimation() {
+        if (this.animationTimer) {
+            this.pauseAnimation();
+        } else {
+            this.playAnimation();
+        }
+    },
+
+    /**
+     * Stop playback and forget the pixelated frames.
+     */
+    stopAnimation() {
+        this.pauseAnimation();
+        this.animationBlocks = null;
+        this.animationFrame = 0;
+        this.updateAnimationBar();
+    },
+
+    /**
+     * Show one pixelated frame on the output canvas.
+     * @param {number} index - Frame index.
+     */
+    showFrame(index) {
+        this.animationFrame = index;
+        this.pixelBlocks = this.animationBlocks[index];
+        PixelEditor.setBlocks(this.pixelBlocks);
+        this.renderPixelPreview();
+        this.updateAnimationBar();
+    },
+
+    /**
+     * Show the playback controls and frame counter for animations.
+     */
+    updateAnimationBar() {
+        this.animationBar.classList.toggle('hidden', !this.animation);
+        if (this.animation) {
+            this.animationFrameText.textContent = `${this.animationFrame + 1} / ${this.animation.frames.length}`;
+        }
+    },
+
+    /**
+     * Show swatches for the active palette.
+     */
+    updateSwatches() {
+        const palette = this.getPalette();
+        this.paletteSwatches.innerHTML = '';
+        this.paletteSwatches.classList.toggle('hidden', !palette);
+        if (!palette) return;
+
+        palette.forEach(([r, g, b]) => {
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = `rgb(${r}, ${g}, ${b})`;
+            swatch.title = '#' + PaletteLibrary.rgbToHex([r, g, b]);
+            this.paletteSwatches.appendChild(swatch);
+        });
+    },
+
+    /**
+     * Convert the loaded image to ASCII art.
+     */
+    convertToAscii() {
+        if (this.currentMode !== 'ascii') return;
+
+        if (!this.loadedImage) {
+            this.currentAscii = '';
+            this.setStatus('NO IMAGE LOADED');
+            return;
+        }
+
+        const pixelSize = parseInt(this.asciiSizeSlider.value, 10);
+        const [source] = this.getSourceImages(pixelSize);
+        const pixels = Pixelator.getPixels(source);
+        // Blocks are shaped like Draw cells, so the art keeps the image's proportions there
+        const grid = Pixelator.getGrid(pixels, {
+            pixelSize,
+            aspect: DrawingCanvas.cellHeight / DrawingCanvas.cellWidth
+        });
+        // A character stands for its block's overall brightness
+        const imageData = BlockSampler.sample(pixels, grid, 'average');
+        const lines = AsciiConverter.convert(imageData, {
+            ramp: this.asciiRampInput.value,
+            invert: this.asciiInvertCheckbox.checked
+        });
+
+        this.asciiLines = lines;
+        this.currentAscii = lines.join('\n') + '\n';
+        this.outputText.textContent = this.currentAscii;
+        this.setStatus(`ASCII ${grid.width}x${grid.height}`);
+    },
+
+    /**
+     * Load the converted ASCII art into the drawing canvas.
+     */
+    sendAsciiToDraw() {
+        if (!this.loadedImage || !this.asciiLines) {
+            this.setStatus('NO IMAGE LOADED');
+            return;
+        }
+
+        DrawingCanvas.load(this.asciiLines);
+        this.switchMode('draw');
+
+        const cropped = DrawingCanvas.width < Array.from(this.asciiLines[0] || '').length ||
+            DrawingCanvas.height < this.asciiLines.length;
+        if (cropped) {
+            this.setStatus(`CROPPED TO ${DrawingCanvas.width}x${DrawingCanvas.height}`);
+        }
+    },
+
+    /**
+     * Initialize the drawing canvas with appropriate size for screen.
+     */
+    initDrawCanvas() {
+        // Set mobile-friendly defaults based on screen width
+        const isMobile = window.innerWidth <= 600;
+        this.canvasWidth.value = isMobile ? 20 : 40;
+        this.canvasHeight.value = isMobile ? 15 : 20;
+        DrawingCanvas.width = parseInt(this.canvasWidth.value, 10);
+        DrawingCanvas.height = parseInt(this.canvasHeight.value, 10);
+        DrawingCanvas.init(this.drawContainer);
+        this.updateKeyboardSelection();
+        this.populateAnsiSwatches();
+    },
+
+    /**
+     * Fill the draw color swatches with the 16 standard terminal colors.
+     */
+    populateAnsiSwatches() {
+        AnsiExport.palette16.forEach(rgb => {
+            const hex = '#' + PaletteLibrary.rgbToHex(rgb);
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = hex;
+            swatch.title = hex;
+            swatch.dataset.color = hex;
+            this.ansiSwatches.appendChild(swatch);
+        });
+    },
+
+    /**
+     * Pass the FG/BG color controls to the drawing canvas.
+     */
+    updateDrawColors() {
+        DrawingCanvas.setColors(
+            this.fgColorCheckbox.checked ? this.fgColorInput.value : null,
+            this.bgColorCheckbox.checked ? this.bgColorInput.value : null
+        );
+    },
+
+    /**
+     * Use a swatch color for drawing.
+     * @param {string} color - '#rrggbb' color.
+     * @param {boolean} background - Set the background instead of the foreground.
+     */
+    pickDrawColor(color, background) {
+        const input = background ? this.bgColorInput : this.fgColorInput;
+        const checkbox = background ? this.bgColorCheckbox : this.fgColorCheckbox;
+        input.value = color;
+        checkbox.checked = true;
+        this.updateDrawColors();
+        this.setStatus((background ? 'BG: ' : 'FG: ') + color.toUpperCase());
+    },
+
+    /**
+     * Open a text or ANSI art file in the drawing canvas.
+     * @param {File} file - .txt, .ans or similar file.
+     */
+    async importDrawFile(file) {
+        if (!file) return;
+        if (!TextImport.isTextFile(file)) {
+            this.setStatus('ERROR: Not a text file');
+            this.drawFileInput.value = '';
+            return;
+        }
+        try {
+            const rows = TextImport.parse(new Uint8Array(await file.arrayBuffer()));
+            DrawingCanvas.loadCells(rows);
+
+            const width = Math.max(...rows.map(row => row.length));
+            const cropped = DrawingCanvas.width < width || DrawingCanvas.height < rows.length;
+            this.setStatus(cropped
+                ? `CROPPED TO ${DrawingCanvas.width}x${DrawingCanvas.height}`
+                : `OPENED ${file.name.toUpperCase()}`);
+        } catch (error) {
+            console.error('Error opening art:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+        this.drawFileInput.value = '';
+    },
+
+    /**
+     * Resize the drawing canvas.
+     */
+    resizeDrawCanvas() {
+        const width = parseInt(this.canvasWidth.value, 10) || 60;
+        const height = parseInt(this.canvasHeight.value, 10) || 30;
+        DrawingCanvas.resize(width, height);
+        this.updateDrawOutput();
+    },
+
+    /**
+     * Show the drawing canvas size in the W/H inputs.
+     */
+    updateCanvasSizeInputs() {
+        this.canvasWidth.value = DrawingCanvas.width;
+        this.canvasHeight.value = DrawingCanvas.height;
+    },
+
+    /**
+     * Update output from drawing canvas.
+     */
+    updateDrawOutput() {
+        if (this.currentMode === 'draw') {
+            this.currentAscii = DrawingCanvas.getAscii();
+            this.outputText.textContent = this.currentAscii;
+        }
+        this.scheduleAutosave();
+    },
+
+    /**
+     * Reopen the last document, or start a new one.
+     */
+    async initDocuments() {
+        try {
+            await ProjectStore.open();
+            this.storageReady = true;
+        } catch (error) {
+            // Files can still be saved and opened without IndexedDB
+            console.warn('Autosave unavailable:', error);
+            [this.documentSelect, this.documentNewBtn, this.documentRenameBtn, this.documentDeleteBtn]
+                .forEach(control => { control.disabled = true; });
+            return;
+        }
+
+        try {
+            const lastId = ProjectStore.getLastOpened();
+            let doc = lastId ? await ProjectStore.get(lastId) : null;
+            if (!doc) {
+                const documents = await ProjectStore.list();
+                doc = documents.length > 0 ? await ProjectStore.get(documents[0].id) : null;
+            }
+
+            if (doc) {
+                await this.openDocument(doc);
+            } else {
+                await this.newDocument();
+            }
+        } catch (error) {
+            console.error('Error opening document:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+    },
+
+    /**
+     * Capture everything needed to restore the current work.
+     * @returns {Object} Project state for ProjectStore.
+     */
+    getProject() {
+        const cells = DrawingCanvas.getCells();
+
+        const colorMode = this.colorModeSelect.value;
+        const encodeBlocks = edited => ({
+            width: edited.width,
+            height: edited.height,
+            data: ProjectStore.encodeBytes(edited.data)
+        });
+        // Animations keep their edits per frame
+        let blocks = null;
+        if (this.pixelEdited && this.animationBlocks) {
+            blocks = this.animationBlocks.map(encodeBlocks);
+        } else if (this.pixelEdited && this.pixelBlocks) {
+            blocks = encodeBlocks(this.pixelBlocks);
+        }
+
+        let image = null;
+        if (this.animation) {
+            image = this.animation.source;
+        } else if (this.loadedImage) {
+            image = this.loadedImage.src || this.loadedImage.toDataURL('image/png');
+        }
+
+        return {
+            name: this.documentName,
+            mode: this.currentMode,
+            image,
+            // The image is the original GIF or video file
+            animation: Boolean(this.animation),
+            pixelate: {
+                pixelSize: parseInt(this.pixelSizeSlider.value, 10),
+                aspect: parseFloat(this.blockAspectSelect.value),
+                gridMode: this.gridModeSelect.value,
+                gridWidth: parseInt(this.gridWidthInput.value, 10),
+                gridHeight: parseInt(this.gridHeightInput.value, 10),
+                shape: this.shapeSelect.value,
+                sampling: this.samplingSelect.value,
+                colorMode,
+                // Custom palettes travel with the project
+                palette: PaletteLibrary.isCustom(colorMode) ? PaletteLibrary.custom[colorMode] : null,
+                paletteSize: parseInt(this.paletteSizeSlider.value, 10),
+                paletteMethod: this.paletteMethodSelect.value,
+                metric: this.metricSelect.value,
+                dither: this.ditherSelect.value,
+                alphaMode: this.alphaModeSelect.value,
+                alphaThreshold: parseInt(this.alphaThresholdSlider.value, 10),
+                grid: this.gridCheckbox.checked,
+                blocks
+            },
+            adjust: { ...this.getAdjustSettings(), crop: this.crop },
+            ascii: {
+                size: parseInt(this.asciiSizeSlider.value, 10),
+                ramp: this.asciiRampSelect.value,
+                characters: this.asciiRampInput.value,
+                invert: this.asciiInvertCheckbox.checked
+            },
+            draw: {
+                width: DrawingCanvas.width,
+                height: DrawingCanvas.height,
+                // Flattened art, for files opened by versions without layers
+                rows: cells.map(row => row.map(cell => cell.char).join('')),
+                colors: this.packCellColors(cells),
+                layers: DrawingCanvas.layers.map(layer => ({
+                    name: layer.name,
+                    visible: layer.visible,
+                    locked: layer.locked,
+                    rows: DrawingCanvas.getLayerRows(layer),
+                    colors: DrawingCanvas.getLayerColors(layer)
+                })),
+                activeLayer: DrawingCanvas.activeLayer
+            }
+        };
+    },
+
+    /**
+     * List the colored cells of a grid, skipping uncolored ones to keep projects small.
+     * @param {Object[][]} rows - Rows of cells with fg and bg.
+     * @returns {Object[]} {x, y, fg, bg} entries.
+     */
+    packCellColors(rows) {
+        const colors = [];
+        rows.forEach((row, y) => {
+            row.forEach(({ fg, bg }, x) => {
+                if (fg || bg) colors.push({ x, y, fg, bg });
+            });
+        });
+        return colors;
+    },
+
+    /**
+     * Expand a list of colored cells back into rows.
+     * @param {Object[]} [colors] - {x, y, fg, bg} entries from packCellColors.
+     * @returns {Object[][]} Sparse rows of {fg, bg}.
+     */
+    unpackCellColors(colors = []) {
+        const rows = [];
+        colors.forEach(({ x, y, fg, bg }) => {
+            if (!rows[y]) rows[y] = [];
+            rows[y][x] = { fg: fg || null, bg: bg || null };
+        });
+        return rows;
+    },
+
+    /**
+     * Restore work from a project. Missing sections keep the current settings.
+     * @param {Object} project - Project state from getProject or a .bitskee file.
+     */
+    async applyProject(project) {
+        const pixelate = project.pixelate || {};
+        if (pixelate.pixelSize) {
+            this.pixelSizeSlider.value = pixelate.pixelSize;
+            this.pixelSizeValue.textContent = this.pixelSizeSlider.value + 'px';
+        }
+        if (pixelate.aspect) this.blockAspectSelect.value = pixelate.aspect;
+        if (pixelate.gridMode) this.gridModeSelect.value = pixelate.gridMode;
+        if (pixelate.gridWidth) this.gridWidthInput.value = pixelate.gridWidth;
+        if (pixelate.gridHeight) this.gridHeightInput.value = pixelate.gridHeight;
+        if (pixelate.shape) this.shapeSelect.value = pixelate.shape;
+        this.updateGridControls();
+        if (pixelate.sampling) this.samplingSelect.value = pixelate.sampling;
+        if (pixelate.colorMode) {
+            this.colorModeSelect.value = this.resolveColorMode(pixelate.colorMode, pixelate.palette);
+        }
+        if (pixelate.paletteSize) {
+            this.paletteSizeSlider.value = pixelate.paletteSize;
+            this.paletteSizeValue.textContent = this.paletteSizeSlider.value;
+        }
+        if (pixelate.paletteMethod) this.paletteMethodSelect.value = pixelate.paletteMethod;
+        if (pixelate.metric) this.metricSelect.value = pixelate.metric;
+        if (pixelate.dither) this.ditherSelect.value = pixelate.dither;
+        if (pixelate.alphaMode) this.alphaModeSelect.value = pixelate.alphaMode;
+        if (pixelate.alphaThreshold) {
+            this.alphaThresholdSlider.value = pixelate.alphaThreshold;
+            this.alphaThresholdValue.textContent = this.alphaThresholdSlider.value;
+        }
+        if (typeof pixelate.grid === 'boolean') this.gridCheckbox.checked = pixelate.grid;
+        this.updateColorModeControls();
+
+        const ascii = project.ascii || {};
+        if (ascii.size) {
+            this.asciiSizeSlider.value = ascii.size;
+            this.asciiSizeValue.textContent = this.asciiSizeSlider.value + 'px';
+        }
+        if (ascii.ramp) this.asciiRampSelect.value = ascii.ramp;
+        if (typeof ascii.characters === 'string') this.asciiRampInput.value = ascii.characters;
+        if (typeof ascii.invert === 'boolean') this.asciiInvertCheckbox.checked = ascii.invert;
+
+        const adjust = project.adjust || {};
+        this.setAdjustSettings(adjust);
+        this.crop = adjust.crop || null;
+
+        const animation = project.image && project.animation ?
+            await Animator.load(ProjectStore.decodeFile(project.image)) : null;
+        if (animation) {
+            animation.source = project.image;
+            await this.showImage(animation.frames[0].image, animation);
+        } else if (project.image) {
+            await this.showImage(await Pixelator.loadImageUrl(project.image));
+        } else {
+            this.clearImage();
+        }
+
+        // Hand edits replace the freshly pixelated blocks
+        const edited = this.animationBlocks || (this.pixelBlocks ? [this.pixelBlocks] : []);
+        const saved = [].concat(pixelate.blocks || []);
+        const matches = saved.length === edited.length && saved.every((blocks, i) =>
+            blocks.width === edited[i].width && blocks.height === edited[i].height);
+        if (saved.length > 0 && matches) {
+            saved.forEach((blocks, i) => edited[i].data.set(ProjectStore.decodeBytes(blocks.data)));
+            this.pixelEdited = true;
+            this.renderPixelPreview();
+        }
+
+        const draw = project.draw;
+        if (draw && Array.isArray(draw.layers) && draw.layers.length > 0) {
+            const layers = draw.layers.map((layer, index) => ({
+                ...DrawingCanvas.createLayer(
+                    layer.name || `Layer ${index + 1}`,
+                    (layer.rows || []).map(row => Array.from(row)),
+                    this.unpackCellColors(layer.colors)
+                ),
+                visible: layer.visible !== false,
+                locked: Boolean(layer.locked)
+            }));
+            DrawingCanvas.setLayers(draw.width, draw.height, layers, draw.activeLayer || 0);
+            DrawingCanvas.notifyChange();
+        } else if (draw) {
+            DrawingCanvas.setSize(draw.width, draw.height,
+                (draw.rows || []).map(row => Array.from(row)), this.unpackCellColors(draw.colors));
+            DrawingCanvas.notifyChange();
+        }
+        UndoHistory.reset();
+
+        const modes = ['pixelate', 'ascii', 'draw'];
+        this.switchMode(modes.includes(project.mode) ? project.mode : 'pixelate');
+    },
+
+    /**
+     * Find the color mode option for a saved mode, re-importing its custom palette if needed.
+     * @param {string} mode - Saved color mode.
+     * @param {Object|null} palette - Saved custom palette {name, colors}.
+     * @returns {string} Color mode to select.
+     */
+    resolveColorMode(mode, palette) {
+        const exists = Array.from(this.colorModeSelect.options).some(option => option.value === mode);
+        if (exists) return mode;
+        if (!palette) return 'full';
+
+        const id = PaletteLibrary.addCustom(palette.name, palette.colors.map(hex => PaletteLibrary.hexToRgb(hex)));
+        this.populatePalettes();
+        return id;
+    },
+
+    /**
+     * Save the current document after a short pause in activity.
+     */
+    scheduleAutosave() {
+        if (!this.storageReady || !this.documentId) return;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.saveDocument(), 1000);
+    },
+
+    /**
+     * Save immediately if an autosave is pending.
+     */
+    async flushAutosave() {
+        DrawingCanvas.flushChanges();
+        if (this.autosaveTimer) {
+            await this.saveDocument();
+        }
+    },
+
+    /**
+     * Write the current document to IndexedDB.
+     */
+    async saveDocument() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.storageReady || !this.documentId) return;
+
+        try {
+            await ProjectStore.put({ id: this.documentId, name: this.documentName, project: this.getProject() });
+        } catch (error) {
+            console.error('Autosave failed:', error);
+            this.setStatus('AUTOSAVE FAILED');
+        }
+    },
+
+    /**
+     * Open a stored document.
+     * @param {Object} doc - {id, name, project} from ProjectStore.
+     */
+    async openDocument(doc) {
+        this.documentId = doc.id;
+        this.documentName = doc.name;
+        ProjectStore.setLastOpened(doc.id);
+        await this.applyProject(doc.project);
+        await this.refreshDocumentList();
+    },
+
+    /**
+     * Save the current document and open another.
+     * @param {string} id - Document id.
+     */
+    async switchDocument(id) {
+        if (id === this.documentId) return;
+        try {
+            await this.flushAutosave();
+            const doc = await ProjectStore.get(id);
+            if (!doc) throw new Error('Document not found');
+            await this.openDocument(doc);
+            this.setStatus('OPENED ' + doc.name.toUpperCase());
+        } catch (error) {
+            console.error('Error opening document:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+    },
+
+    /**
+     * Start an empty document, keeping the current settings.
+     */
+    async newDocument() {
+        await this.flushAutosave();
+        this.documentId = ProjectStore.createId();
+        this.documentName = 'Untitled';
+        ProjectStore.setLastOpened(this.documentId);
+
+        this.clearImage();
+        DrawingCanvas.setSize(DrawingCanvas.width, DrawingCanvas.height);
+        DrawingCanvas.notifyChange();
+        UndoHistory.reset();
+
+        await this.saveDocument();
+        await this.refreshDocumentList();
+        this.setStatus('NEW DOCUMENT');
+    },
+
+    /**
+     * Rename the current document.
+     */
+    async renameDocument() {
+        const name = prompt('Document name:', this.documentName);
+        if (!name || !name.trim()) return;
+        this.documentName = name.trim();
+        await this.saveDocument();
+        await this.refreshDocumentList();
+        this.setStatus('RENAMED TO ' + this.documentName.toUpperCase());
+    },
+
+    /**
+     * Delete the current document and open the most recent remaining one.
+     */
+    async deleteDocument() {
+        if (!confirm(`Delete "${this.documentName}"?`)) return;
+
+        try {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+            await ProjectStore.remove(this.documentId);
+            this.documentId = null;
+
+            const documents = await ProjectStore.list();
+            if (documents.length > 0) {
+                await this.openDocument(await ProjectStore.get(documents[0].id));
+            } else {
+                await this.newDocument();
+            }
+            this.setStatus('DOCUMENT DELETED');
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+    },
+
+    /**
+     * Fill the document select with stored documents.
+     */
+    async refreshDocumentList() {
+        const documents = await ProjectStore.list();
+        this.documentSelect.innerHTML = '';
+        documents.forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            this.documentSelect.appendChild(option);
+        });
+        this.documentSelect.value = this.documentId;
+    },
+
+    /**
+     * Open a .bitskee project file as a new document.
+     * @param {File} file - Project file.
+     */
+    async importProjectFile(file) {
+        if (!file) return;
+        try {
+            const project = ProjectStore.parse(await file.text());
+            await this.flushAutosave();
+            this.documentId = ProjectStore.createId();
+            this.documentName = project.name || file.name.replace(/\.[^.]+$/, '');
+            await this.applyProject(project);
+
+            if (this.storageReady) {
+                ProjectStore.setLastOpened(this.documentId);
+                await this.saveDocument();
+                await this.refreshDocumentList();
+            }
+            this.setStatus('PROJECT OPENED');
+        } catch (error) {
+            console.error('Error opening project:', error);
+            this.setStatus('ERROR: ' + error.message);
+        }
+        this.projectInput.value = '';
+    },
+
+    /**
+     * Download the current work as a .bitskee project file.
+     */
+    downloadProject() {
+        const slug = this.documentName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'bitskee';
+        const blob = new Blob([ProjectStore.stringify(this.getProject())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${slug}.bitskee`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        this.setStatus('PROJECT SAVED');
+    },
+
+    /**
+     * Copy to clipboard (canvas image for PNG and sprite sheets, otherwise the export text).
+     */
+    async copyToClipboard() {
+        try {
+            const format = this.exportFormatSelect.value;
+            if (this.currentMode === 'pixelate' && format === 'gif') {
+                // Clipboards only take still images
+                this.setStatus('DOWNLOAD TO SAVE GIF');
+                return;
+            }
+            if (!this.isImageExport()) {
+                const file = this.getFileExport();
+                if (!file) {
                     this.setStatus('NOTHING TO COPY');
                     return;
                 }
-                await navigator.clipboard.writeText(this.currentAscii);
-                this.setStatus('ASCII COPIED');
+                await navigator.clipboard.writeText(file.content);
+                const labels = { txt: 'ASCII', ans: 'ANSI', 'ansi-txt': 'ANSI', sh: 'ANSI' };
+                this.setStatus(`${labels[file.format] || file.format.toUpperCase()} COPIED`);
             } else {
                 // Copy canvas as image
+                const canvas = format === 'sheet' ? this.getSpriteSheet() : this.getExportCanvas();
+                if (!canvas) {
+                    this.setStatus('NOTHING TO COPY');
+                    return;
+                }
                 const blob = await new Promise(resolve => {
-                    this.outputCanvas.toBlob(resolve, 'image/png');
+                    canvas.toBlob(resolve, 'image/png');
                 });
                 await navigator.clipboard.write([
                     new ClipboardItem({ 'image/png': blob })
@@ -320,34 +2282,208 @@ const App = {
     },
 
     /**
-     * Download (ASCII as TXT or canvas as PNG).
+     * Download in the selected format (images render the blocks, others are generated text).
      */
     download() {
-        if (this.currentMode === 'draw') {
-            if (!this.currentAscii) {
+        if (!this.isImageExport()) {
+            const file = this.getFileExport();
+            if (!file) {
                 this.setStatus('NOTHING TO DOWNLOAD');
                 return;
             }
-            const blob = new Blob([this.currentAscii], { type: 'text/plain' });
+            const blob = new Blob([file.content], { type: file.type });
             const url = URL.createObjectURL(blob);
+            const prefix = this.currentMode === 'pixelate' ? 'pixel' : 'ascii';
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `bitskee-${prefix}-${Date.now()}.${file.extension}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            this.setStatus(`${file.extension.toUpperCase()} DOWNLOADED`);
+        } else if (this.exportFormatSelect.value === 'gif') {
+            const frames = this.getExportFrames();
+            if (!frames) {
+                this.setStatus('NOTHING TO DOWNLOAD');
+                return;
+            }
+            const { width, height } = frames[0];
+            const delays = this.animation ? this.animation.frames.map(frame => frame.delay) : [0];
+            const bytes = GifCodec.encode(frames.map((canvas, i) => ({
+                data: canvas.getContext('2d').getImageData(0, 0, width, height).data,
+                delay: delays[i]
+            })), width, height);
+
+            const url = URL.createObjectURL(new Blob([bytes], { type: 'image/gif' }));
             const a = document.createElement('a');
             a.href = url;
-            a.download = `bitskee-ascii-${Date.now()}.txt`;
+            a.download = `bitskee-pixel-${Date.now()}.gif`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
-            this.setStatus('TXT DOWNLOADED');
+            this.setStatus(`GIF DOWNLOADED (${width}x${height}, ${frames.length} FRAMES)`);
         } else {
-            // Download canvas as PNG
+            // Download canvas (or sprite sheet) as PNG
+            const canvas = this.exportFormatSelect.value === 'sheet' ? this.getSpriteSheet() : this.getExportCanvas();
+            if (!canvas) {
+                this.setStatus('NOTHING TO DOWNLOAD');
+                return;
+            }
             const a = document.createElement('a');
-            a.href = this.outputCanvas.toDataURL('image/png');
+            a.href = canvas.toDataURL('image/png');
             a.download = `bitskee-pixel-${Date.now()}.png`;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
-            this.setStatus('PNG DOWNLOADED');
+            this.setStatus(`PNG DOWNLOADED (${canvas.width}x${canvas.height})`);
+        }
+    },
+
+    /**
+     * Check whether the selected export is rendered from pixel blocks.
+     * @returns {boolean} True for PNG, GIF and sprite sheet exports.
+     */
+    isImageExport() {
+        return this.currentMode === 'pixelate' && ['png', 'gif', 'sheet'].includes(this.exportFormatSelect.value);
+    },
+
+    /**
+     * Offer the current mode's formats and show the options that apply to the selected one.
+     */
+    updateExportControls() {
+        const mode = this.currentMode;
+        const select = this.exportFormatSelect;
+
+        if (select.dataset.mode !== mode) {
+            select.innerHTML = '';
+            Object.entries(this.exportFormats[mode]).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.dataset.mode = mode;
+            select.value = this.exportChoice[mode];
+        }
+
+        const format = select.value;
+        this.exportChoice[mode] = format;
+        this.exportSizeSelect.classList.toggle('hidden', !this.isImageExport());
+        this.colorDepthSelect.classList.toggle('hidden', !['ans', 'ansi-txt', 'sh'].includes(format));
+    },
+
+    /**
+     * Build a generated-text export for the current mode and selected format.
+     * @returns {{format: string, extension: string, type: string, content: string}|null}
+     *     Export, or null if there is nothing to export.
+     */
+    getFileExport() {
+        const format = this.exportFormatSelect.value;
+
+        // Draw output updates are throttled, so bring it up to date first
+        if (this.currentMode === 'draw') {
+            DrawingCanvas.flushChanges();
         }
+
+        if (this.currentMode === 'pixelate') {
+            if (!this.pixelBlocks) return null;
+            const { pixelSize, palette, shape, cellAspect } = this.pixelOptions;
+            if (format === 'svg') {
+                return { format, extension: 'svg', type: 'image/svg+xml', content: ExportFormats.pixelSvg(this.pixelBlocks, pixelSize, cellAspect) };
+            }
+            const cells = { shape, aspect: cellAspect };
+            return { format: 'json', extension: 'json', type: 'application/json', content: ExportFormats.pixelJson(this.pixelBlocks, palette, pixelSize, cells) };
+        }
+
+        if (!this.currentAscii) return null;
+
+        const depth = this.colorDepthSelect.value;
+        switch (format) {
+            case 'ans':
+                return { format, extension: 'ans', type: 'text/plain', content: DrawingCanvas.getAnsi(depth) };
+            case 'ansi-txt':
+                return { format, extension: 'txt', type: 'text/plain', content: DrawingCanvas.getAnsi(depth) };
+            case 'sh':
+                return { format, extension: 'sh', type: 'text/plain', content: AnsiExport.toShellScript(DrawingCanvas.getAnsi(depth)) };
+            case 'svg':
+                return { format, extension: 'svg', type: 'image/svg+xml', content: ExportFormats.textSvg(this.getTextCells()) };
+            case 'html':
+                return { format, extension: 'html', type: 'text/html', content: ExportFormats.textHtml(this.getTextCells(), this.documentName) };
+            default:
+                return { format: 'txt', extension: 'txt', type: 'text/plain', content: this.currentAscii };
+        }
+    },
+
+    /**
+     * Get the text output as cells, with colors for drawings.
+     * @returns {Object[][]} Rows of {char, fg, bg} cells.
+     */
+    getTextCells() {
+        return this.currentMode === 'draw' ? DrawingCanvas.getCells() : GridRegion.fromText(this.currentAscii);
+    },
+
+    /**
+     * Render the pixel art at the selected export size. Sized exports are clean sprites,
+     * without grid lines.
+     * @param {ImageData} [blocks] - Blocks to render; defaults to the output, which is
+     *     returned as-is at preview size.
+     * @returns {HTMLCanvasElement|null} Canvas to export, or null if nothing is pixelated.
+     */
+    getExportCanvas(blocks = null) {
+        if (!this.pixelBlocks) return null;
+        if (!blocks && this.exportSizeSelect.value === 'preview') return this.outputCanvas;
+
+        blocks = blocks || this.pixelBlocks;
+        return Pixelator.render(blocks, document.createElement('canvas'), {
+            ...this.getExportSize(blocks),
+            showGrid: false,
+            shape: this.pixelOptions.shape
+        });
+    },
+
+    /**
+     * Work out the output size for the selected export size option.
+     * @param {ImageData} blocks - Blocks being exported.
+     * @returns {{width: number, height: number}} Size in pixels.
+     */
+    getExportSize(blocks) {
+        const size = this.exportSizeSelect.value;
+        if (size === 'preview') {
+            return { width: this.outputCanvas.width, height: this.outputCanvas.height };
+        }
+        if (size === 'native') {
+            // One pixel per block, so non-square cells come out squashed
+            return { width: blocks.width, height: blocks.height };
+        }
+        if (size === 'original') {
+            // The cropped area at its source resolution
+            const [source] = this.getSourceImages();
+            return { width: source.width, height: source.height };
+        }
+        // Integer nearest-neighbor upscale of the block width
+        const factor = parseInt(size, 10);
+        const cellAspect = this.pixelOptions.cellAspect || 1;
+        return { width: blocks.width * factor, height: Math.max(1, Math.round(blocks.height * factor * cellAspect)) };
+    },
+
+    /**
+     * Render every frame (or the still image) at the selected export size.
+     * @returns {HTMLCanvasElement[]|null} Frame canvases, or null if nothing is pixelated.
+     */
+    getExportFrames() {
+        if (!this.pixelBlocks) return null;
+        return (this.animationBlocks || [this.pixelBlocks]).map(blocks => this.getExportCanvas(blocks));
+    },
+
+    /**
+     * Lay out all frames as one PNG sprite sheet.
+     * @returns {HTMLCanvasElement|null} Sprite sheet, or null if nothing is pixelated.
+     */
+    getSpriteSheet() {
+        const frames = this.getExportFrames();
+        return frames ? Animator.spriteSheet(frames) : null;
     },
 
     /**
@@ -0,0 +1,48 @@
+/**
+ * BitsKee - ASCII Converter
+ * Maps sampled image blocks to characters by luminance.
+ */
+
+const AsciiConverter = {
+    // Character ramps, ordered from empty to dense
+    ramps: {
+        blocks: ' ░▒▓█',
+        classic: ' .:-=+*#%@',
+        detailed: ' .\'`^",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$'
+    },
+
+    /**
+     * Convert sampled pixels to lines of characters.
+     * @param {ImageData} imageData - One RGBA pixel per block.
+     * @param {Object} options - Conversion options.
+     * @param {string} options.ramp - Characters ordered from empty to dense.
+     * @param {boolean} options.invert - Map dark pixels to dense characters.
+     * @returns {string[]} One string per grid row.
+     */
+    convert(imageData, options) {
+        // Split by code point so multi-byte block chars stay intact
+        const ramp = Array.from(options.ramp || this.ramps.blocks);
+        const invert = options.invert || false;
+        const pixels = imageData.data;
+        const lines = [];
+
+        for (let y = 0; y < imageData.height; y++) {
+            let line = '';
+            for (let x = 0; x < imageData.width; x++) {
+                const i = (y * imageData.width + x) * 4;
+                let luminance = (0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]) / 255;
+                if (invert) {
+                    luminance = 1 - luminance;
+                }
+                const index = Math.min(ramp.length - 1, Math.floor(luminance * ramp.length));
+                line += ramp[index];
+            }
+            lines.push(line);
+        }
+
+        return lines;
+    }
+};
+
+// Export for use in other modules
+window.AsciiConverter = AsciiConverter;
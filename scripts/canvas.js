@@ -1,17 +1,64 @@
 /**
  * BitsKee - Drawing Canvas Module
  * Handles freehand ASCII drawing functionality.
+ * Layers are stored as typed arrays and drawn to a <canvas> sized to the visible area,
+ * so only the cells that changed and are on screen are redrawn.
  */
 
 const DrawingCanvas = {
     container: null,
     grid: null,
+    canvas: null,
+    context: null,
     width: 20,
     height: 20,
+    minWidth: 10,
+    minHeight: 5,
+    maxWidth: 1000,
+    maxHeight: 1000,
     currentChar: '@',
+    fg: null,
+    bg: null,
     isDrawing: false,
-    cells: [],
+    // Layers, bottom first: {id, name, visible, locked, width, height, chars, fg, bg}.
+    // chars holds code points; fg and bg hold colors as 0x1rrggbb, or 0 for none
+    layers: [],
+    activeLayer: 0,
+    nextLayerId: 1,
     cellWidth: 12,
+    cellHeight: 18,
+    fontSize: 12,
+    stroke: null,
+    tool: 'pencil',
+    useBoxChars: false,
+    text: '',
+    banner: [],
+    anchor: null,
+    lastCell: null,
+    hoverCell: null,
+    // Keyboard cursor, {x, y} or null when hidden
+    cursor: null,
+    insertMode: false,
+    selection: null,
+    moving: null,
+    clipboard: null,
+
+    // Cells waiting to be redrawn, as {x0, y0, x1, y1} (exclusive), and the frame that will draw them
+    dirty: null,
+    frame: null,
+
+    // Output updates are throttled so long strokes do not rebuild the text on every move
+    outputDelay: 100,
+    outputTimer: null,
+
+    // Colors read from the theme when the view is created
+    theme: {
+        text: '#00ff9c',
+        filled: 'rgba(0, 255, 156, 0.1)',
+        hover: 'rgba(0, 255, 156, 0.15)',
+        selected: 'rgba(0, 255, 156, 0.3)',
+        font: 'monospace'
+    },
 
     /**
      * Initialize the drawing canvas.
@@ -19,110 +66,1076 @@ const DrawingCanvas = {
      */
     init(container) {
         this.container = container;
-        this.createGrid();
+        this.createView();
+        this.setSize(this.width, this.height);
         this.addEventListeners();
     },
 
     /**
-     * Create the drawing grid.
+     * Create the canvas the grid is drawn on. A sizer element gives the container the
+     * full grid's scroll size, while the canvas itself only covers the visible part.
      */
-    createGrid() {
+    createView() {
         this.container.innerHTML = '';
-        this.cells = [];
 
-        // Calculate cell width based on screen size
-        this.cellWidth = window.innerWidth <= 600 ? 14 : 12;
+        // Calculate cell size based on screen size
+        const mobile = window.innerWidth <= 600;
+        this.cellWidth = mobile ? 14 : 12;
+        this.cellHeight = mobile ? 20 : 18;
 
         this.grid = document.createElement('div');
         this.grid.className = 'draw-grid';
-        this.grid.style.gridTemplateColumns = `repeat(${this.width}, ${this.cellWidth}px)`;
-
-        for (let y = 0; y < this.height; y++) {
-            const row = [];
-            for (let x = 0; x < this.width; x++) {
-                const cell = document.createElement('div');
-                cell.className = 'draw-cell';
-                cell.dataset.x = x;
-                cell.dataset.y = y;
-                cell.textContent = ' ';
-                this.grid.appendChild(cell);
-                row.push(cell);
-            }
-            this.cells.push(row);
-        }
-
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'draw-canvas';
+        this.grid.appendChild(this.canvas);
         this.container.appendChild(this.grid);
+        this.context = this.canvas.getContext('2d');
+
+        const rootStyle = getComputedStyle(document.documentElement);
+        this.theme.text = rootStyle.getPropertyValue('--color-primary').trim() || this.theme.text;
+        this.theme.font = getComputedStyle(this.container).fontFamily || this.theme.font;
     },
 
     /**
      * Add event listeners for drawing.
-     * Uses event delegation on container to survive grid recreation.
      */
     addEventListeners() {
-        // Use event delegation on container - listeners survive grid recreation
-        this.container.addEventListener('mousedown', (e) => {
-            if (e.target.classList.contains('draw-cell')) {
-                this.isDrawing = true;
-                this.drawCell(e.target);
+        this.canvas.addEventListener('mousedown', (e) => {
+            const cell = this.getCellAt(e.clientX, e.clientY);
+            if (cell) {
+                this.pointerDown(cell.x, cell.y);
             }
         });
 
-        this.container.addEventListener('mousemove', (e) => {
-            if (this.isDrawing && e.target.classList.contains('draw-cell')) {
-                this.drawCell(e.target);
+        this.canvas.addEventListener('mousemove', (e) => {
+            const cell = this.getCellAt(e.clientX, e.clientY);
+            if (cell) {
+                this.setHoverCell(cell);
+                if (this.isDrawing) {
+                    this.pointerMove(cell.x, cell.y);
+                }
             }
         });
 
+        this.canvas.addEventListener('mouseleave', () => {
+            this.setHoverCell(null);
+        });
+
         document.addEventListener('mouseup', () => {
-            this.isDrawing = false;
+            this.pointerUp();
         });
 
         // Touch support with passive: false for preventDefault
-        this.container.addEventListener('touchstart', (e) => {
+        this.canvas.addEventListener('touchstart', (e) => {
             const touch = e.touches[0];
-            const target = document.elementFromPoint(touch.clientX, touch.clientY);
-            if (target && target.classList.contains('draw-cell')) {
+            const cell = this.getCellAt(touch.clientX, touch.clientY);
+            if (cell) {
                 e.preventDefault();
-                this.isDrawing = true;
-                this.drawCell(target);
+                this.pointerDown(cell.x, cell.y);
             }
         }, { passive: false });
 
-        this.container.addEventListener('touchmove', (e) => {
+        this.canvas.addEventListener('touchmove', (e) => {
             if (this.isDrawing) {
                 const touch = e.touches[0];
-                const target = document.elementFromPoint(touch.clientX, touch.clientY);
-                if (target && target.classList.contains('draw-cell')) {
+                const cell = this.getCellAt(touch.clientX, touch.clientY);
+                if (cell) {
                     e.preventDefault();
-                    this.drawCell(target);
+                    this.pointerMove(cell.x, cell.y);
                 }
             }
         }, { passive: false });
 
-        this.container.addEventListener('touchend', () => {
-            this.isDrawing = false;
+        this.canvas.addEventListener('touchend', () => {
+            this.pointerUp();
         });
 
-        this.container.addEventListener('touchcancel', () => {
-            this.isDrawing = false;
+        this.canvas.addEventListener('touchcancel', () => {
+            this.pointerUp();
         });
+
+        // Scrolling and resizing change which cells are on screen
+        this.container.addEventListener('scroll', () => this.renderAll());
+        window.addEventListener('resize', () => this.renderAll());
+        if (window.ResizeObserver) {
+            new ResizeObserver(() => this.renderAll()).observe(this.container);
+        }
+        if (document.fonts && document.fonts.ready) {
+            document.fonts.ready.then(() => this.renderAll());
+        }
     },
 
     /**
-     * Draw a character on a cell.
-     * @param {HTMLElement} cell - Target cell element.
+     * Find the cell under a point on the page.
+     * @param {number} clientX - Viewport x.
+     * @param {number} clientY - Viewport y.
+     * @returns {{x: number, y: number}|null} Column and row, or null outside the grid.
      */
-    drawCell(cell) {
-        cell.textContent = this.currentChar;
-        if (this.currentChar !== ' ') {
-            cell.classList.add('filled');
-        } else {
-            cell.classList.remove('filled');
+    getCellAt(clientX, clientY) {
+        const rect = this.grid.getBoundingClientRect();
+        const x = Math.floor((clientX - rect.left) / this.cellWidth);
+        const y = Math.floor((clientY - rect.top) / this.cellHeight);
+        return this.inBounds(x, y) ? { x, y } : null;
+    },
+
+    /**
+     * Check whether a cell is on the grid.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {boolean} True if inside.
+     */
+    inBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    },
+
+    /**
+     * Highlight the cell under the pointer.
+     * @param {Object|null} cell - {x, y}, or null when the pointer leaves the grid.
+     */
+    setHoverCell(cell) {
+        const previous = this.hoverCell;
+        if (previous && cell && previous.x === cell.x && previous.y === cell.y) return;
+        if (previous) this.markDirty(previous.x, previous.y);
+        this.hoverCell = cell;
+        if (cell) this.markDirty(cell.x, cell.y);
+    },
+
+    /**
+     * Start using the active tool at a cell.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     */
+    pointerDown(x, y) {
+        this.setCursor(x, y);
+
+        // Selecting still works, so a locked layer's content can be copied
+        if (this.tool !== 'select' && !this.canEdit()) return;
+
+        this.isDrawing = true;
+        this.anchor = { x, y };
+        this.lastCell = { x, y };
+        this.beginStroke();
+
+        switch (this.tool) {
+            case 'fill':
+                this.paintCells(DrawTools.floodFill(
+                    (cx, cy) => this.getCell(cx, cy), this.width, this.height, x, y, this.currentChar
+                ));
+                this.pointerUp();
+                break;
+            case 'text':
+                this.paintCells(DrawTools.text(x, y, this.text));
+                this.pointerUp();
+                break;
+            case 'banner':
+                this.stampBanner(x, y);
+                this.pointerUp();
+                break;
+            case 'line':
+            case 'rect':
+            case 'ellipse':
+                this.previewShape(x, y);
+                break;
+            case 'select':
+                if (this.isInSelection(x, y)) {
+                    // Lift the selected content so it can be dragged
+                    this.moving = {
+                        origin: { ...this.selection },
+                        rows: this.getRegion(this.selection)
+                    };
+                } else {
+                    this.setSelection({ x, y, width: 1, height: 1 });
+                }
+                break;
+            default:
+                this.paint(x, y, this.getToolChar());
         }
+
         // Trigger output update
-        if (window.App && window.App.updateDrawOutput) {
-            window.App.updateDrawOutput();
+        this.notifyChange();
+    },
+
+    /**
+     * Continue the active tool as the pointer moves.
+     * @param {number} x - Column under the pointer.
+     * @param {number} y - Row under the pointer.
+     */
+    pointerMove(x, y) {
+        if (!this.isDrawing) return;
+        if (this.lastCell && this.lastCell.x === x && this.lastCell.y === y) return;
+
+        if (this.tool === 'select') {
+            this.dragSelection(x, y);
+        } else if (this.isShapeTool()) {
+            this.previewShape(x, y);
+        } else {
+            // Connect to the previous cell so fast drags leave no gaps
+            this.paintCells(DrawTools.line(this.lastCell.x, this.lastCell.y, x, y, this.getToolChar()));
+        }
+
+        this.lastCell = { x, y };
+        this.notifyChange();
+    },
+
+    /**
+     * Finish the active tool, committing one undo step.
+     */
+    pointerUp() {
+        this.isDrawing = false;
+        this.anchor = null;
+        this.lastCell = null;
+        this.moving = null;
+        this.endStroke();
+    },
+
+    /**
+     * Set the active drawing tool.
+     * @param {string} tool - pencil, line, rect, ellipse, fill, eraser, text, banner or select.
+     */
+    setTool(tool) {
+        this.tool = tool;
+        if (tool !== 'select') {
+            this.setSelection(null);
+        }
+    },
+
+    /**
+     * Check whether the active tool drags out a shape.
+     * @returns {boolean} True for line, rect and ellipse.
+     */
+    isShapeTool() {
+        return this.tool === 'line' || this.tool === 'rect' || this.tool === 'ellipse';
+    },
+
+    /**
+     * Get the character the active tool paints with.
+     * @returns {string} Drawing character, or a space for the eraser.
+     */
+    getToolChar() {
+        return this.tool === 'eraser' ? ' ' : this.currentChar;
+    },
+
+    /**
+     * Get the colors the active tool paints with.
+     * @returns {{fg: string|null, bg: string|null}} Colors, or none for the eraser.
+     */
+    getToolColors() {
+        return this.tool === 'eraser' ? { fg: null, bg: null } : { fg: this.fg, bg: this.bg };
+    },
+
+    /**
+     * Replace the shape drawn so far in this stroke with one ending at a cell.
+     * @param {number} x - Shape end column.
+     * @param {number} y - Shape end row.
+     */
+    previewShape(x, y) {
+        this.revertStroke();
+        const { x: x0, y: y0 } = this.anchor;
+        const char = this.currentChar;
+        let cells;
+        if (this.tool === 'line') {
+            cells = DrawTools.line(x0, y0, x, y, char);
+        } else if (this.tool === 'rect') {
+            cells = DrawTools.rect(x0, y0, x, y, char, this.useBoxChars);
+        } else {
+            cells = DrawTools.ellipse(x0, y0, x, y, char);
+        }
+        this.paintCells(cells);
+    },
+
+    /**
+     * Extend the marquee, or move the lifted selection, to follow the pointer.
+     * @param {number} x - Column under the pointer.
+     * @param {number} y - Row under the pointer.
+     */
+    dragSelection(x, y) {
+        if (!this.moving) {
+            const { x: x0, y: y0 } = this.anchor;
+            this.setSelection({
+                x: Math.min(x0, x),
+                y: Math.min(y0, y),
+                width: Math.abs(x - x0) + 1,
+                height: Math.abs(y - y0) + 1
+            });
+            return;
+        }
+
+        const { origin, rows } = this.moving;
+        const targetX = origin.x + x - this.anchor.x;
+        const targetY = origin.y + y - this.anchor.y;
+
+        this.revertStroke();
+        this.clearRegion(origin);
+        this.stamp(rows, targetX, targetY);
+        this.setSelection({ x: targetX, y: targetY, width: origin.width, height: origin.height });
+    },
+
+    /**
+     * Select a rectangle of cells, clipped to the grid.
+     * @param {Object|null} rect - {x, y, width, height}, or null to deselect.
+     */
+    setSelection(rect) {
+        this.markRectDirty(this.selection);
+        this.selection = null;
+
+        if (rect) {
+            const left = Math.max(0, rect.x);
+            const top = Math.max(0, rect.y);
+            const right = Math.min(this.width, rect.x + rect.width);
+            const bottom = Math.min(this.height, rect.y + rect.height);
+            if (right > left && bottom > top) {
+                this.selection = { x: left, y: top, width: right - left, height: bottom - top };
+            }
+        }
+
+        this.markRectDirty(this.selection);
+    },
+
+    /**
+     * Check whether a cell is inside the selection.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {boolean} True if selected.
+     */
+    isInSelection(x, y) {
+        const rect = this.selection;
+        return Boolean(rect) &&
+            x >= rect.x && x < rect.x + rect.width &&
+            y >= rect.y && y < rect.y + rect.height;
+    },
+
+    /**
+     * Select the whole grid.
+     */
+    selectAll() {
+        this.setSelection({ x: 0, y: 0, width: this.width, height: this.height });
+    },
+
+    /**
+     * Read the cells of the active layer in a rectangle.
+     * @param {Object} rect - {x, y, width, height}.
+     * @returns {Object[][]} Region cells as {char, fg, bg}; cells outside the grid read as blank.
+     */
+    getRegion(rect) {
+        const rows = [];
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            const row = [];
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                row.push(this.inBounds(x, y)
+                    ? this.getCellState(x, y)
+                    : { char: ' ', fg: null, bg: null });
+            }
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Write a region at a position as part of the current stroke.
+     * @param {Object[][]} rows - Region cells.
+     * @param {number} x - Left column.
+     * @param {number} y - Top row.
+     */
+    stamp(rows, x, y) {
+        rows.forEach((row, dy) => {
+            row.forEach((cell, dx) => this.paint(x + dx, y + dy, cell.char, cell));
+        });
+    },
+
+    /**
+     * Blank a rectangle, characters and colors, as part of the current stroke.
+     * @param {Object} rect - {x, y, width, height}.
+     */
+    clearRegion(rect) {
+        const blank = { fg: null, bg: null };
+        for (let y = rect.y; y < rect.y + rect.height; y++) {
+            for (let x = rect.x; x < rect.x + rect.width; x++) {
+                this.paint(x, y, ' ', blank);
+            }
+        }
+    },
+
+    /**
+     * Copy the selected cells to the internal clipboard.
+     * @returns {Object[][]|null} Copied region, or null if nothing is selected.
+     */
+    copySelection() {
+        if (!this.selection) return null;
+        this.clipboard = this.getRegion(this.selection);
+        return this.clipboard;
+    },
+
+    /**
+     * Copy the selection, then blank it.
+     * @returns {Object[][]|null} Cut region, or null if nothing is selected.
+     */
+    cutSelection() {
+        const rows = this.copySelection();
+        if (rows) {
+            this.eraseSelection();
+        }
+        return rows;
+    },
+
+    /**
+     * Blank the selected cells.
+     */
+    eraseSelection() {
+        if (!this.selection) return;
+        this.beginStroke();
+        this.clearRegion(this.selection);
+        this.endStroke();
+        this.notifyChange();
+    },
+
+    /**
+     * Paste a region at the selection, the hovered cell, or the top-left corner.
+     * The pasted area becomes the new selection.
+     * @param {Object[][]} rows - Region cells.
+     */
+    paste(rows) {
+        if (rows.length === 0) return;
+        const target = this.selection || this.hoverCell || { x: 0, y: 0 };
+
+        this.beginStroke();
+        this.stamp(rows, target.x, target.y);
+        this.endStroke();
+
+        this.clipboard = rows;
+        this.setSelection({ x: target.x, y: target.y, width: rows[0].length, height: rows.length });
+        this.notifyChange();
+    },
+
+    /**
+     * Replace the selection with a transformed copy of itself.
+     * @param {Function} transform - Maps region rows to new rows (see GridRegion).
+     */
+    transformSelection(transform) {
+        if (!this.selection) return;
+        const rect = this.selection;
+        const rows = transform(this.getRegion(rect));
+
+        this.beginStroke();
+        this.clearRegion(rect);
+        this.stamp(rows, rect.x, rect.y);
+        this.endStroke();
+
+        this.setSelection({ x: rect.x, y: rect.y, width: rows[0].length, height: rows.length });
+        this.notifyChange();
+    },
+
+    /**
+     * Place the keyboard cursor, scrolling it into view.
+     * @param {number|null} x - Column, clamped to the grid; null hides the cursor.
+     * @param {number} [y] - Row, clamped to the grid.
+     */
+    setCursor(x, y) {
+        if (this.cursor) this.markDirty(this.cursor.x, this.cursor.y);
+        if (x === null) {
+            this.cursor = null;
+            return;
+        }
+
+        this.cursor = {
+            x: Math.max(0, Math.min(this.width - 1, x)),
+            y: Math.max(0, Math.min(this.height - 1, y))
+        };
+        this.markDirty(this.cursor.x, this.cursor.y);
+        this.scrollToCell(this.cursor.x, this.cursor.y);
+    },
+
+    /**
+     * Move the keyboard cursor, showing it at the top-left corner if it is hidden, and clear the selection.
+     * @param {number} dx - Columns to move.
+     * @param {number} dy - Rows to move.
+     */
+    moveCursor(dx, dy) {
+        this.setSelection(null);
+        if (!this.cursor) {
+            this.setCursor(0, 0);
+            return;
+        }
+        this.setCursor(this.cursor.x + dx, this.cursor.y + dy);
+    },
+
+    /**
+     * Move the keyboard cursor to the first column of its row, clearing the selection.
+     */
+    cursorToLineStart() {
+        this.setSelection(null);
+        this.setCursor(0, this.cursor ? this.cursor.y : 0);
+    },
+
+    /**
+     * Move the keyboard cursor just past the last character of its row on the active layer, clearing the selection.
+     */
+    cursorToLineEnd() {
+        this.setSelection(null);
+        const y = this.cursor ? this.cursor.y : 0;
+        let end = this.width;
+        while (end > 0 && this.getCell(end - 1, y) === ' ') end--;
+        this.setCursor(end, y);
+    },
+
+    /**
+     * Move the keyboard cursor to the start of the next row, clearing the selection.
+     */
+    newLine() {
+        this.setSelection(null);
+        const y = this.cursor ? this.cursor.y + 1 : 0;
+        this.setCursor(0, y);
+    },
+
+    /**
+     * Get how many rows PageUp and PageDown move.
+     * @returns {number} Rows in view, at least 1.
+     */
+    getPageRows() {
+        return Math.max(1, Math.floor(this.getViewSize().height / this.cellHeight));
+    },
+
+    /**
+     * Switch between overwriting and inserting typed characters.
+     * @param {boolean} insert - True to shift the rest of the row right when typing.
+     */
+    setInsertMode(insert) {
+        this.insertMode = insert;
+        if (this.cursor) this.markDirty(this.cursor.x, this.cursor.y);
+    },
+
+    /**
+     * Type a character at the keyboard cursor and advance it, wrapping to the next row
+     * at the right edge.
+     * @param {string} char - Character to write.
+     */
+    typeChar(char) {
+        if (!this.cursor || !this.canEdit()) return;
+        // Typing takes over from the selection a click leaves, so Backspace and Delete
+        // then work at the cursor rather than on the old selection
+        this.setSelection(null);
+        const { x, y } = this.cursor;
+
+        this.beginStroke();
+        if (this.insertMode) this.shiftRow(x, y, 1);
+        this.paint(x, y, char);
+        this.endStroke();
+
+        if (x < this.width - 1) {
+            this.setCursor(x + 1, y);
+        } else if (y < this.height - 1) {
+            this.setCursor(0, y + 1);
+        }
+        this.notifyChange();
+    },
+
+    /**
+     * Erase the character before the keyboard cursor and move back onto it.
+     */
+    backspace() {
+        if (!this.cursor || this.cursor.x === 0 || !this.canEdit()) return;
+        const x = this.cursor.x - 1;
+        const y = this.cursor.y;
+        this.eraseAt(x, y);
+        this.setCursor(x, y);
+    },
+
+    /**
+     * Erase the character under the keyboard cursor.
+     */
+    deleteChar() {
+        if (!this.cursor || !this.canEdit()) return;
+        this.eraseAt(this.cursor.x, this.cursor.y);
+    },
+
+    /**
+     * Erase a cell as one undo step; in insert mode the rest of the row closes the gap.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     */
+    eraseAt(x, y) {
+        this.beginStroke();
+        if (this.insertMode) {
+            this.shiftRow(x, y, -1);
+        } else {
+            this.paint(x, y, ' ', { fg: null, bg: null });
+        }
+        this.endStroke();
+        this.notifyChange();
+    },
+
+    /**
+     * Shift the active layer's cells from a column to the end of the row, as part of the
+     * current stroke. Cells pushed past the edge are lost; vacated cells are blanked.
+     * @param {number} x - First column to move.
+     * @param {number} y - Row.
+     * @param {number} offset - 1 to shift right, -1 to shift left over column x.
+     */
+    shiftRow(x, y, offset) {
+        const blank = { char: ' ', fg: null, bg: null };
+        if (offset > 0) {
+            for (let cx = this.width - 1; cx > x; cx--) {
+                const cell = this.getCellState(cx - 1, y);
+                this.paint(cx, y, cell.char, cell);
+            }
+            this.paint(x, y, ' ', blank);
+        } else {
+            for (let cx = x; cx < this.width - 1; cx++) {
+                const cell = this.getCellState(cx + 1, y);
+                this.paint(cx, y, cell.char, cell);
+            }
+            this.paint(this.width - 1, y, ' ', blank);
+        }
+    },
+
+    /**
+     * Scroll the grid so a cell is in view.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     */
+    scrollToCell(x, y) {
+        const view = this.getViewSize();
+        const gridRect = this.grid.getBoundingClientRect();
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const originX = canvasRect.left - gridRect.left;
+        const originY = canvasRect.top - gridRect.top;
+        const left = x * this.cellWidth;
+        const top = y * this.cellHeight;
+
+        if (left < originX) {
+            this.container.scrollLeft -= originX - left;
+        } else if (left + this.cellWidth > originX + view.width) {
+            this.container.scrollLeft += left + this.cellWidth - originX - view.width;
+        }
+        if (top < originY) {
+            this.container.scrollTop -= originY - top;
+        } else if (top + this.cellHeight > originY + view.height) {
+            this.container.scrollTop += top + this.cellHeight - originY - view.height;
+        }
+    },
+
+    /**
+     * Stamp the current banner with its top-left corner at a cell, growing the grid to fit.
+     * @param {number} x - Left column.
+     * @param {number} y - Top row.
+     */
+    stampBanner(x, y) {
+        const cells = DrawTools.banner(x, y, this.banner);
+        const right = Math.max(0, ...cells.map(cell => cell.x + 1));
+        const bottom = Math.max(0, ...cells.map(cell => cell.y + 1));
+        if (right <= this.width && bottom <= this.height) {
+            this.paintCells(cells);
+            return;
+        }
+
+        // Growing is a whole-grid change, so the stamp is recorded with it as one undo step
+        const before = this.getSnapshot();
+        this.setLayers(Math.max(this.width, right), Math.max(this.height, bottom), before.layers, before.activeLayer);
+        const { fg, bg } = this.getToolColors();
+        for (const cell of cells) {
+            if (this.inBounds(cell.x, cell.y)) {
+                this.setCell(cell.x, cell.y, cell.char, fg, bg);
+            }
+        }
+        this.record(before);
+    },
+
+    /**
+     * Write a list of cells as part of the current stroke.
+     * @param {Object[]} cells - {x, y, char} entries; out-of-bounds entries are skipped.
+     */
+    paintCells(cells) {
+        for (const { x, y, char } of cells) {
+            this.paint(x, y, char);
+        }
+    },
+
+    /**
+     * Write a character as part of the current stroke.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @param {string} char - Character to write.
+     * @param {Object} [colors] - {fg, bg} to write; defaults to the active tool's colors.
+     */
+    paint(x, y, char, colors = this.getToolColors()) {
+        if (!this.inBounds(x, y) || !this.isEditable()) return;
+        const before = this.getCellState(x, y);
+        const after = { char, fg: colors.fg, bg: colors.bg };
+        if (this.isSameState(before, after)) return;
+
+        this.setCellState(x, y, after);
+
+        // Outside a stroke every write is its own undo step
+        const standalone = !this.stroke;
+        if (standalone) this.beginStroke();
+
+        const key = `${x},${y}`;
+        const change = this.stroke.get(key);
+        if (change) {
+            change.after = after;
+        } else {
+            this.stroke.set(key, { layer: this.getLayer().id, x, y, before, after });
+        }
+
+        if (standalone) this.endStroke();
+    },
+
+    /**
+     * Read the character in a cell of the active layer.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {string} Cell character.
+     */
+    getCell(x, y) {
+        const layer = this.getLayer();
+        return String.fromCodePoint(layer.chars[y * layer.width + x]);
+    },
+
+    /**
+     * Read a cell's character and colors on the active layer.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {{char: string, fg: string|null, bg: string|null}} Cell state.
+     */
+    getCellState(x, y) {
+        return this.getLayerCell(this.getLayer(), x, y);
+    },
+
+    /**
+     * Read a cell's character and colors on a layer.
+     * @param {Object} layer - Layer to read.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {{char: string, fg: string|null, bg: string|null}} Cell state.
+     */
+    getLayerCell(layer, x, y) {
+        const i = y * layer.width + x;
+        return {
+            char: String.fromCodePoint(layer.chars[i]),
+            fg: this.unpackColor(layer.fg[i]),
+            bg: this.unpackColor(layer.bg[i])
+        };
+    },
+
+    /**
+     * Write a character to a cell of the active layer without recording history.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @param {string} char - Character to write.
+     * @param {string|null} [fg=null] - Foreground color ('#rrggbb'), or null for the default.
+     * @param {string|null} [bg=null] - Background color ('#rrggbb'), or null for the default.
+     */
+    setCell(x, y, char, fg = null, bg = null) {
+        this.setLayerCell(this.getLayer(), x, y, { char, fg, bg });
+    },
+
+    /**
+     * Write a cell state to the active layer without recording history.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @param {Object} state - {char, fg, bg}.
+     */
+    setCellState(x, y, state) {
+        this.setCell(x, y, state.char, state.fg, state.bg);
+    },
+
+    /**
+     * Write a cell state to a layer and show the result.
+     * @param {Object} layer - Layer to write to.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @param {Object} state - {char, fg, bg}.
+     */
+    setLayerCell(layer, x, y, state) {
+        const i = y * layer.width + x;
+        layer.chars[i] = (state.char || ' ').codePointAt(0);
+        layer.fg[i] = this.packColor(state.fg);
+        layer.bg[i] = this.packColor(state.bg);
+        this.markDirty(x, y);
+    },
+
+    /**
+     * Pack a color into a typed-array entry.
+     * @param {string|null} color - '#rrggbb', or null for the default.
+     * @returns {number} 0x1rrggbb, or 0 for the default.
+     */
+    packColor(color) {
+        return color ? 0x1000000 | parseInt(color.slice(1), 16) : 0;
+    },
+
+    /**
+     * Unpack a color from a typed-array entry.
+     * @param {number} value - Entry written by packColor.
+     * @returns {string|null} '#rrggbb', or null for the default.
+     */
+    unpackColor(value) {
+        return value ? '#' + (value & 0xffffff).toString(16).padStart(6, '0') : null;
+    },
+
+    /**
+     * Combine the visible layers at a cell. Blank characters and missing colors are
+     * transparent, so the character and background can come from different layers.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     * @returns {{char: string, fg: string|null, bg: string|null}} Flattened cell.
+     */
+    getCompositeState(x, y) {
+        const { char, fg, bg } = this.getComposite(y * this.width + x);
+        return { char: String.fromCodePoint(char), fg: this.unpackColor(fg), bg: this.unpackColor(bg) };
+    },
+
+    /**
+     * Combine the visible layers at a cell index without unpacking.
+     * @param {number} i - Cell index, y * width + x.
+     * @returns {{char: number, fg: number, bg: number}} Code point and packed colors.
+     */
+    getComposite(i) {
+        let char = 32;
+        let fg = 0;
+        let bg = 0;
+        for (let n = this.layers.length - 1; n >= 0 && (char === 32 || !bg); n--) {
+            const layer = this.layers[n];
+            if (!layer.visible) continue;
+            if (char === 32 && layer.chars[i] !== 32) {
+                char = layer.chars[i];
+                fg = layer.fg[i];
+            }
+            if (!bg) bg = layer.bg[i];
+        }
+        return { char, fg, bg };
+    },
+
+    /**
+     * Queue a block of cells for redrawing on the next frame.
+     * @param {number} x - Left column.
+     * @param {number} y - Top row.
+     * @param {number} [width=1] - Columns.
+     * @param {number} [height=1] - Rows.
+     */
+    markDirty(x, y, width = 1, height = 1) {
+        const dirty = this.dirty;
+        if (dirty) {
+            dirty.x0 = Math.min(dirty.x0, x);
+            dirty.y0 = Math.min(dirty.y0, y);
+            dirty.x1 = Math.max(dirty.x1, x + width);
+            dirty.y1 = Math.max(dirty.y1, y + height);
+        } else {
+            this.dirty = { x0: x, y0: y, x1: x + width, y1: y + height };
+        }
+
+        if (this.frame === null && this.canvas) {
+            this.frame = requestAnimationFrame(() => this.render());
+        }
+    },
+
+    /**
+     * Queue a rectangle for redrawing.
+     * @param {Object|null} rect - {x, y, width, height}; nothing happens for null.
+     */
+    markRectDirty(rect) {
+        if (rect) this.markDirty(rect.x, rect.y, rect.width, rect.height);
+    },
+
+    /**
+     * Queue the whole grid for redrawing, e.g. after scrolling or a layer change.
+     */
+    renderAll() {
+        this.markDirty(0, 0, this.width, this.height);
+    },
+
+    /**
+     * Measure the container's content area, where the grid is visible.
+     * @returns {{width: number, height: number}} Size in CSS pixels.
+     */
+    getViewSize() {
+        const style = getComputedStyle(this.container);
+        return {
+            width: this.container.clientWidth -
+                (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0),
+            height: this.container.clientHeight -
+                (parseFloat(style.paddingTop) || 0) - (parseFloat(style.paddingBottom) || 0)
+        };
+    },
+
+    /**
+     * Size the canvas to the visible part of the grid.
+     * @returns {boolean} True if the canvas was resized, clearing it.
+     */
+    fitCanvas() {
+        const view = this.getViewSize();
+        const width = Math.max(0, Math.min(view.width, this.width * this.cellWidth));
+        const height = Math.max(0, Math.min(view.height, this.height * this.cellHeight));
+        const ratio = window.devicePixelRatio || 1;
+
+        const pixelWidth = Math.round(width * ratio);
+        const pixelHeight = Math.round(height * ratio);
+        if (this.canvas.width === pixelWidth && this.canvas.height === pixelHeight) return false;
+
+        this.canvas.width = pixelWidth;
+        this.canvas.height = pixelHeight;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        return true;
+    },
+
+    /**
+     * Draw the queued cells that are on screen.
+     */
+    render() {
+        this.frame = null;
+        if (this.fitCanvas()) this.dirty = { x0: 0, y0: 0, x1: this.width, y1: this.height };
+        const dirty = this.dirty;
+        this.dirty = null;
+        if (!dirty || this.canvas.width === 0 || this.canvas.height === 0) return;
+
+        // The canvas sticks to the top-left of the view, so its offset in the grid is the scroll position
+        const gridRect = this.grid.getBoundingClientRect();
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const originX = canvasRect.left - gridRect.left;
+        const originY = canvasRect.top - gridRect.top;
+        const viewWidth = this.canvas.width / (window.devicePixelRatio || 1);
+        const viewHeight = this.canvas.height / (window.devicePixelRatio || 1);
+
+        const x0 = Math.max(dirty.x0, Math.floor(originX / this.cellWidth), 0);
+        const y0 = Math.max(dirty.y0, Math.floor(originY / this.cellHeight), 0);
+        const x1 = Math.min(dirty.x1, Math.ceil((originX + viewWidth) / this.cellWidth), this.width);
+        const y1 = Math.min(dirty.y1, Math.ceil((originY + viewHeight) / this.cellHeight), this.height);
+        if (x1 <= x0 || y1 <= y0) return;
+
+        const ctx = this.context;
+        const ratio = window.devicePixelRatio || 1;
+        ctx.save();
+        ctx.setTransform(ratio, 0, 0, ratio, -originX * ratio, -originY * ratio);
+
+        const left = x0 * this.cellWidth;
+        const top = y0 * this.cellHeight;
+        const width = (x1 - x0) * this.cellWidth;
+        const height = (y1 - y0) * this.cellHeight;
+        ctx.beginPath();
+        ctx.rect(left, top, width, height);
+        ctx.clip();
+        ctx.clearRect(left, top, width, height);
+
+        ctx.font = `${this.fontSize}px ${this.theme.font}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                this.drawCell(ctx, x, y);
+            }
+        }
+
+        const rect = this.selection;
+        if (rect) {
+            ctx.strokeStyle = this.theme.text;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 2]);
+            ctx.strokeRect(rect.x * this.cellWidth + 0.5, rect.y * this.cellHeight + 0.5,
+                rect.width * this.cellWidth - 1, rect.height * this.cellHeight - 1);
+        }
+        ctx.restore();
+    },
+
+    /**
+     * Draw one cell: background, highlights, then the character.
+     * @param {CanvasRenderingContext2D} ctx - Context already translated to grid coordinates.
+     * @param {number} x - Column.
+     * @param {number} y - Row.
+     */
+    drawCell(ctx, x, y) {
+        const { char, fg, bg } = this.getComposite(y * this.width + x);
+        const left = x * this.cellWidth;
+        const top = y * this.cellHeight;
+
+        if (bg) {
+            ctx.fillStyle = this.unpackColor(bg);
+            ctx.fillRect(left, top, this.cellWidth, this.cellHeight);
+        } else if (char !== 32) {
+            ctx.fillStyle = this.theme.filled;
+            ctx.fillRect(left, top, this.cellWidth, this.cellHeight);
+        }
+
+        if (this.isInSelection(x, y)) {
+            ctx.fillStyle = this.theme.selected;
+            ctx.fillRect(left, top, this.cellWidth, this.cellHeight);
+        } else if (this.hoverCell && this.hoverCell.x === x && this.hoverCell.y === y) {
+            ctx.fillStyle = this.theme.hover;
+            ctx.fillRect(left, top, this.cellWidth, this.cellHeight);
+        }
+
+        if (char !== 32) {
+            ctx.fillStyle = fg ? this.unpackColor(fg) : this.theme.text;
+            ctx.fillText(String.fromCodePoint(char), left + this.cellWidth / 2, top + this.cellHeight / 2);
+        }
+
+        // The cursor is a bar in insert mode and an underline in overwrite mode
+        if (this.cursor && this.cursor.x === x && this.cursor.y === y) {
+            ctx.fillStyle = this.theme.text;
+            if (this.insertMode) {
+                ctx.fillRect(left, top, 2, this.cellHeight);
+            } else {
+                ctx.fillRect(left, top + this.cellHeight - 2, this.cellWidth, 2);
+            }
+        }
+    },
+
+    /**
+     * Compare two cell states.
+     * @param {Object} a - {char, fg, bg}.
+     * @param {Object} b - {char, fg, bg}.
+     * @returns {boolean} True if character and colors match.
+     */
+    isSameState(a, b) {
+        return a.char === b.char && a.fg === b.fg && a.bg === b.bg;
+    },
+
+    /**
+     * Start collecting cell changes into one undo step.
+     */
+    beginStroke() {
+        this.stroke = new Map();
+    },
+
+    /**
+     * Undo the cells written so far in the current stroke.
+     */
+    revertStroke() {
+        if (!this.stroke) return;
+        for (const change of this.stroke.values()) {
+            this.setLayerCell(this.getLayerById(change.layer), change.x, change.y, change.before);
+        }
+        this.stroke.clear();
+    },
+
+    /**
+     * Record the collected cell changes as a single undo step.
+     */
+    endStroke() {
+        if (!this.stroke) return;
+        const changes = Array.from(this.stroke.values())
+            .filter(change => !this.isSameState(change.before, change.after));
+        this.stroke = null;
+        if (changes.length === 0) return;
+
+        UndoHistory.push({
+            undo: () => this.applyChanges(changes, 'before'),
+            redo: () => this.applyChanges(changes, 'after')
+        });
+    },
+
+    /**
+     * Apply one side of a recorded stroke.
+     * @param {Object[]} changes - Recorded {layer, x, y, before, after} changes.
+     * @param {string} side - 'before' to undo, 'after' to redo.
+     */
+    applyChanges(changes, side) {
+        for (const change of changes) {
+            // Layers are found by id, as snapshot restores replace the layer objects
+            const layer = this.getLayerById(change.layer);
+            if (layer && this.inBounds(change.x, change.y)) {
+                this.setLayerCell(layer, change.x, change.y, change[side]);
+            }
         }
+        this.notifyChange();
     },
 
     /**
@@ -134,48 +1147,468 @@ const DrawingCanvas = {
     },
 
     /**
-     * Resize the canvas.
+     * Set the current drawing colors.
+     * @param {string|null} fg - Foreground color ('#rrggbb'), or null for the terminal default.
+     * @param {string|null} bg - Background color ('#rrggbb'), or null for the terminal default.
+     */
+    setColors(fg, bg) {
+        this.fg = fg;
+        this.bg = bg;
+    },
+
+    /**
+     * Resize the canvas, keeping content that still fits.
      * @param {number} width - New width.
      * @param {number} height - New height.
      */
     resize(width, height) {
-        this.width = Math.max(10, Math.min(200, width));
-        this.height = Math.max(5, Math.min(100, height));
-        this.createGrid();
+        const before = this.getSnapshot();
+        this.setLayers(width, height, before.layers, before.activeLayer);
+        if (this.width !== before.width || this.height !== before.height) {
+            this.record(before);
+        }
+        this.notifyChange();
     },
 
     /**
-     * Clear the canvas.
+     * Change the grid dimensions without recording history, replacing the layers with one
+     * holding the given content.
+     * @param {number} width - New width.
+     * @param {number} height - New height.
+     * @param {string[][]} [rows] - Content to keep, cropped to the new size.
+     * @param {Object[][]} [colors] - {fg, bg} per cell to keep alongside rows.
      */
-    clear() {
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                if (this.cells[y] && this.cells[y][x]) {
-                    this.cells[y][x].textContent = ' ';
-                    this.cells[y][x].classList.remove('filled');
-                }
+    setSize(width, height, rows = [], colors = []) {
+        this.setLayers(width, height, [this.createLayer('Layer 1', rows, colors)]);
+    },
+
+    /**
+     * Change the grid dimensions and layers without recording history.
+     * @param {number} width - New width.
+     * @param {number} height - New height.
+     * @param {Object[]} layers - Layers, bottom first; copied and cropped or padded to the new size.
+     * @param {number} [activeLayer=0] - Index of the layer to draw on.
+     */
+    setLayers(width, height, layers, activeLayer = 0) {
+        this.width = Math.max(this.minWidth, Math.min(this.maxWidth, width));
+        this.height = Math.max(this.minHeight, Math.min(this.maxHeight, height));
+        this.layers = layers.map(layer => this.fitLayer(layer));
+        this.activeLayer = Math.max(0, Math.min(this.layers.length - 1, activeLayer));
+        this.setSelection(null);
+        this.hoverCell = null;
+        if (this.cursor) {
+            this.cursor.x = Math.min(this.cursor.x, this.width - 1);
+            this.cursor.y = Math.min(this.cursor.y, this.height - 1);
+        }
+
+        if (this.grid) {
+            this.grid.style.width = `${this.width * this.cellWidth}px`;
+            this.grid.style.height = `${this.height * this.cellHeight}px`;
+        }
+        this.renderAll();
+
+        if (window.App && window.App.updateCanvasSizeInputs) {
+            window.App.updateCanvasSizeInputs();
+        }
+        this.notifyLayersChange();
+    },
+
+    /**
+     * Create a layer.
+     * @param {string} name - Layer name.
+     * @param {string[][]} [rows] - Characters per row; the layer is blank elsewhere.
+     * @param {Object[][]} [colors] - {fg, bg} per cell; missing entries are uncolored.
+     * @returns {Object} New visible, unlocked layer the size of its content; setLayers fits it to the grid.
+     */
+    createLayer(name, rows = [], colors = []) {
+        const width = Math.max(0, ...rows.map(row => row.length));
+        const layer = this.createBlankLayer(name, width, rows.length);
+        rows.forEach((row, y) => row.forEach((char, x) => {
+            const color = colors[y] && colors[y][x];
+            const i = y * width + x;
+            layer.chars[i] = (char || ' ').codePointAt(0);
+            layer.fg[i] = this.packColor(color ? color.fg : null);
+            layer.bg[i] = this.packColor(color ? color.bg : null);
+        }));
+        return layer;
+    },
+
+    /**
+     * Create an empty layer.
+     * @param {string} name - Layer name.
+     * @param {number} width - Columns.
+     * @param {number} height - Rows.
+     * @returns {Object} New visible, unlocked layer filled with spaces.
+     */
+    createBlankLayer(name, width, height) {
+        const chars = new Uint32Array(width * height);
+        chars.fill(32);
+        return {
+            id: this.nextLayerId++,
+            name,
+            visible: true,
+            locked: false,
+            width,
+            height,
+            chars,
+            fg: new Uint32Array(width * height),
+            bg: new Uint32Array(width * height)
+        };
+    },
+
+    /**
+     * Copy a layer at the grid size, cropping or padding with blanks. A layer already the
+     * grid size keeps its cell arrays, so undo snapshots cost nothing for it.
+     * @param {Object} layer - Layer of any size.
+     * @returns {Object} Copy with the same id, name and flags.
+     */
+    fitLayer(layer) {
+        if (layer.width === this.width && layer.height === this.height) {
+            return { ...layer };
+        }
+
+        const chars = new Uint32Array(this.width * this.height);
+        const fg = new Uint32Array(this.width * this.height);
+        const bg = new Uint32Array(this.width * this.height);
+        chars.fill(32);
+
+        const columns = Math.min(this.width, layer.width);
+        for (let y = 0; y < Math.min(this.height, layer.height); y++) {
+            const from = y * layer.width;
+            const to = y * this.width;
+            chars.set(layer.chars.subarray(from, from + columns), to);
+            fg.set(layer.fg.subarray(from, from + columns), to);
+            bg.set(layer.bg.subarray(from, from + columns), to);
+        }
+
+        return { ...layer, width: this.width, height: this.height, chars, fg, bg };
+    },
+
+    /**
+     * Read a layer's characters as text.
+     * @param {Object} layer - Layer to read.
+     * @returns {string[]} One string per row.
+     */
+    getLayerRows(layer) {
+        const rows = [];
+        for (let y = 0; y < layer.height; y++) {
+            const from = y * layer.width;
+            rows.push(String.fromCodePoint(...layer.chars.subarray(from, from + layer.width)));
+        }
+        return rows;
+    },
+
+    /**
+     * List a layer's colored cells, skipping uncolored ones.
+     * @param {Object} layer - Layer to read.
+     * @returns {Object[]} {x, y, fg, bg} entries.
+     */
+    getLayerColors(layer) {
+        const colors = [];
+        for (let i = 0; i < layer.fg.length; i++) {
+            if (layer.fg[i] || layer.bg[i]) {
+                colors.push({
+                    x: i % layer.width,
+                    y: Math.floor(i / layer.width),
+                    fg: this.unpackColor(layer.fg[i]),
+                    bg: this.unpackColor(layer.bg[i])
+                });
             }
         }
+        return colors;
+    },
+
+    /**
+     * Get the layer being drawn on.
+     * @returns {Object} Active layer.
+     */
+    getLayer() {
+        return this.layers[this.activeLayer];
+    },
+
+    /**
+     * Find a layer by id.
+     * @param {number} id - Layer id.
+     * @returns {Object|undefined} Layer, if it still exists.
+     */
+    getLayerById(id) {
+        return this.layers.find(layer => layer.id === id);
+    },
+
+    /**
+     * Check whether the active layer can be drawn on.
+     * @returns {boolean} False if it is locked or hidden.
+     */
+    isEditable() {
+        const layer = this.getLayer();
+        return layer.visible && !layer.locked;
+    },
+
+    /**
+     * Check whether the active layer can be drawn on, telling the user why not.
+     * @returns {boolean} False if it is locked or hidden.
+     */
+    canEdit() {
+        if (this.isEditable()) return true;
+        if (window.App && window.App.setStatus) {
+            window.App.setStatus(this.getLayer().locked ? 'LAYER LOCKED' : 'LAYER HIDDEN');
+        }
+        return false;
+    },
+
+    /**
+     * Choose the layer to draw on.
+     * @param {number} index - Layer index, bottom first.
+     */
+    setActiveLayer(index) {
+        if (!this.layers[index]) return;
+        this.activeLayer = index;
+        this.notifyLayersChange();
+    },
+
+    /**
+     * Add a blank layer above the active one and draw on it.
+     */
+    addLayer() {
+        const before = this.getSnapshot();
+        const layers = this.layers.slice();
+        layers.splice(this.activeLayer + 1, 0,
+            this.createBlankLayer(`Layer ${this.layers.length + 1}`, this.width, this.height));
+        this.setLayers(this.width, this.height, layers, this.activeLayer + 1);
+        this.record(before);
+        this.notifyChange();
+    },
+
+    /**
+     * Delete the active layer. The last remaining layer cannot be deleted.
+     */
+    deleteLayer() {
+        if (this.layers.length < 2) return;
+        const before = this.getSnapshot();
+        const layers = this.layers.slice();
+        layers.splice(this.activeLayer, 1);
+        this.setLayers(this.width, this.height, layers, Math.min(this.activeLayer, layers.length - 1));
+        this.record(before);
+        this.notifyChange();
+    },
+
+    /**
+     * Move the active layer up or down the stack.
+     * @param {number} offset - 1 to move it in front of the next layer, -1 to move it behind.
+     */
+    moveLayer(offset) {
+        const target = this.activeLayer + offset;
+        if (target < 0 || target >= this.layers.length) return;
+        const before = this.getSnapshot();
+        const layers = this.layers.slice();
+        const [layer] = layers.splice(this.activeLayer, 1);
+        layers.splice(target, 0, layer);
+        this.setLayers(this.width, this.height, layers, target);
+        this.record(before);
+        this.notifyChange();
+    },
+
+    /**
+     * Rename a layer.
+     * @param {number} index - Layer index.
+     * @param {string} name - New name.
+     */
+    renameLayer(index, name) {
+        if (!this.layers[index]) return;
+        this.layers[index].name = name;
+        this.notifyLayersChange();
+        this.notifyChange();
+    },
+
+    /**
+     * Show or hide a layer.
+     * @param {number} index - Layer index.
+     * @param {boolean} visible - Whether the layer is composited.
+     */
+    setLayerVisible(index, visible) {
+        if (!this.layers[index]) return;
+        this.layers[index].visible = visible;
+        this.renderAll();
+        this.notifyLayersChange();
+        this.notifyChange();
+    },
+
+    /**
+     * Lock or unlock a layer against drawing.
+     * @param {number} index - Layer index.
+     * @param {boolean} locked - Whether drawing on the layer is blocked.
+     */
+    setLayerLocked(index, locked) {
+        if (!this.layers[index]) return;
+        this.layers[index].locked = locked;
+        this.notifyLayersChange();
+        this.notifyChange();
+    },
+
+    /**
+     * Load lines of text into the grid as a single layer, resizing it to fit.
+     * Content beyond the size limits is cropped.
+     * @param {string[]} lines - One string per row.
+     */
+    load(lines) {
+        const before = this.getSnapshot();
+        const rows = lines.map(line => Array.from(line));
+        const width = Math.max(...rows.map(row => row.length), 0);
+        this.setSize(width, rows.length, rows);
+        this.record(before);
+        this.notifyChange();
+    },
+
+    /**
+     * Load rows of colored cells into the grid as a single layer, resizing it to fit.
+     * Content beyond the size limits is cropped.
+     * @param {Object[][]} rows - Rows of {char, fg, bg} cells.
+     */
+    loadCells(rows) {
+        const before = this.getSnapshot();
+        const width = Math.max(...rows.map(row => row.length), 0);
+        this.setSize(width, rows.length, rows.map(row => row.map(cell => cell.char)), rows);
+        this.record(before);
+        this.notifyChange();
+    },
+
+    /**
+     * Clear the active layer.
+     */
+    clear() {
+        if (!this.isEditable()) return;
+        const layer = this.getLayer();
+        const blank = layer.chars.every(char => char === 32) &&
+            layer.fg.every(color => color === 0) && layer.bg.every(color => color === 0);
+        if (blank) return;
+
+        // Swap in new arrays rather than filling, as the snapshot shares the old ones
+        const before = this.getSnapshot();
+        const size = this.width * this.height;
+        layer.chars = new Uint32Array(size).fill(32);
+        layer.fg = new Uint32Array(size);
+        layer.bg = new Uint32Array(size);
+        this.renderAll();
+        this.record(before);
+        this.notifyChange();
+    },
+
+    /**
+     * Capture the grid size and layers. Cell arrays are shared with the live layers, not
+     * copied: edits made after the snapshot are all undone before it can be restored, so
+     * the arrays hold its contents again by then.
+     * @returns {{width: number, height: number, layers: Object[], activeLayer: number}} Snapshot.
+     */
+    getSnapshot() {
+        return {
+            width: this.width,
+            height: this.height,
+            layers: this.layers.map(layer => ({ ...layer })),
+            activeLayer: this.activeLayer
+        };
+    },
+
+    /**
+     * Restore a snapshot, including its size and layers.
+     * @param {Object} snapshot - Snapshot from getSnapshot.
+     */
+    restoreSnapshot(snapshot) {
+        this.setLayers(snapshot.width, snapshot.height, snapshot.layers, snapshot.activeLayer);
+        this.notifyChange();
+    },
+
+    /**
+     * Record a whole-grid change as one undo step. The change must replace, not modify,
+     * any cell arrays it alters.
+     * @param {Object} before - Snapshot taken before the change.
+     */
+    record(before) {
+        // Only arrays the change replaced are held by this step alone
+        const live = new Set(this.layers.map(layer => layer.chars));
+        const size = before.layers.reduce((bytes, layer) =>
+            live.has(layer.chars) ? bytes : bytes + layer.chars.byteLength * 3, 0);
+
+        // When undone, the grid is exactly as the change left it, so capture it then
+        let after = null;
+        UndoHistory.push({
+            size,
+            undo: () => {
+                after = this.getSnapshot();
+                this.restoreSnapshot(before);
+            },
+            redo: () => this.restoreSnapshot(after)
+        });
+    },
+
+    /**
+     * Tell the app the grid changed. Calls are batched, at most one per outputDelay.
+     */
+    notifyChange() {
+        if (this.outputTimer === null) {
+            this.outputTimer = setTimeout(() => this.flushChanges(), this.outputDelay);
+        }
+    },
+
+    /**
+     * Send the pending change notification, if any, now, e.g. before exporting.
+     */
+    flushChanges() {
+        if (this.outputTimer === null) return;
+        clearTimeout(this.outputTimer);
+        this.outputTimer = null;
         if (window.App && window.App.updateDrawOutput) {
             window.App.updateDrawOutput();
         }
     },
 
     /**
-     * Get the current ASCII art from the canvas.
+     * Tell the app the layer stack changed.
+     */
+    notifyLayersChange() {
+        if (window.App && window.App.updateLayerPanel) {
+            window.App.updateLayerPanel();
+        }
+    },
+
+    /**
+     * Get the current ASCII art from the canvas, with the visible layers flattened.
      * @returns {string} ASCII art string.
      */
     getAscii() {
-        let ascii = '';
+        const lines = [];
+        const row = new Array(this.width);
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                if (this.cells[y] && this.cells[y][x]) {
-                    ascii += this.cells[y][x].textContent || ' ';
-                }
+                row[x] = String.fromCodePoint(this.getComposite(y * this.width + x).char);
             }
-            ascii += '\n';
+            lines.push(row.join(''));
         }
-        return ascii;
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Get every cell of the canvas, with the visible layers flattened.
+     * @returns {Object[][]} Rows of {char, fg, bg} cells.
+     */
+    getCells() {
+        const rows = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = [];
+            for (let x = 0; x < this.width; x++) {
+                row.push(this.getCompositeState(x, y));
+            }
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    /**
+     * Get the canvas as colored terminal text.
+     * @param {string} depth - '16', '256' or 'truecolor'.
+     * @returns {string} Text with ANSI escape sequences.
+     */
+    getAnsi(depth) {
+        return AnsiExport.encode(this.getCells(), depth);
     }
 };
 
@@ -0,0 +1,199 @@
+/**
+ * BitsKee - Color Matching
+ * Nearest palette color lookup under selectable color-distance metrics.
+ */
+
+const ColorMatch = {
+    // Metrics that compare colors in CIELAB space
+    labMetrics: ['cie76', 'ciede2000'],
+
+    // Matchers per palette array, then per metric
+    matchers: new WeakMap(),
+
+    // Slots in each matcher's lookup table (a power of two)
+    cacheSize: 1 << 16,
+
+    /**
+     * Get a cached nearest-color function for a palette.
+     * Recent results are memoized per input color, so repeated colors cost one lookup.
+     * @param {number[][]} palette - Palette of [r, g, b] colors.
+     * @param {string} metric - 'rgb', 'redmean', 'cie76' or 'ciede2000'.
+     * @returns {Function} Maps (r, g, b) to the nearest palette color.
+     */
+    getMatcher(palette, metric = 'rgb') {
+        let byMetric = this.matchers.get(palette);
+        if (!byMetric) {
+            byMetric = {};
+            this.matchers.set(palette, byMetric);
+        }
+        if (!byMetric[metric]) {
+            byMetric[metric] = this.createMatcher(palette, metric);
+        }
+        return byMetric[metric];
+    },
+
+    /**
+     * Build a memoized nearest-color function.
+     * Results live in a fixed-size table of recent colors, so a matcher never grows
+     * however many distinct colors it sees.
+     * @param {number[][]} palette - Palette of [r, g, b] colors.
+     * @param {string} metric - Color-distance metric.
+     * @returns {Function} Maps (r, g, b) to the nearest palette color.
+     */
+    createMatcher(palette, metric) {
+        const useLab = this.labMetrics.includes(metric);
+        // Precompute palette coordinates in the metric's space
+        const targets = useLab ? palette.map(([r, g, b]) => this.rgbToLab(r, g, b)) : palette;
+        const distance = this.distances[metric] || this.distances.rgb;
+        // Each color hashes to one slot holding the color and its palette index;
+        // a color landing on a taken slot replaces the older one
+        const keys = new Int32Array(this.cacheSize).fill(-1);
+        const indexes = new Uint16Array(this.cacheSize);
+        const shift = 32 - Math.log2(this.cacheSize);
+
+        return (r, g, b) => {
+            const key = (r << 16) | (g << 8) | b;
+            const slot = Math.imul(key, 0x9E3779B1) >>> shift;
+            if (keys[slot] === key) return palette[indexes[slot]];
+
+            const source = useLab ? this.rgbToLab(r, g, b) : [r, g, b];
+            let minDistance = Infinity;
+            let nearest = 0;
+            for (let i = 0; i < targets.length; i++) {
+                const d = distance(source, targets[i]);
+                if (d < minDistance) {
+                    minDistance = d;
+                    nearest = i;
+                }
+            }
+
+            keys[slot] = key;
+            indexes[slot] = nearest;
+            return palette[nearest];
+        };
+    },
+
+    // Distance functions; rgb and redmean take [r, g, b], the others [L, a, b]
+    distances: {
+        // Squared distances are enough for ranking
+        rgb(c1, c2) {
+            return (c1[0] - c2[0]) ** 2 + (c1[1] - c2[1]) ** 2 + (c1[2] - c2[2]) ** 2;
+        },
+
+        // Low-cost weighting that tracks human perception better than plain RGB
+        redmean(c1, c2) {
+            const rMean = (c1[0] + c2[0]) / 2;
+            return (2 + rMean / 256) * (c1[0] - c2[0]) ** 2 +
+                4 * (c1[1] - c2[1]) ** 2 +
+                (2 + (255 - rMean) / 256) * (c1[2] - c2[2]) ** 2;
+        },
+
+        cie76(lab1, lab2) {
+            return (lab1[0] - lab2[0]) ** 2 + (lab1[1] - lab2[1]) ** 2 + (lab1[2] - lab2[2]) ** 2;
+        },
+
+        ciede2000(lab1, lab2) {
+            return ColorMatch.ciede2000(lab1, lab2);
+        }
+    },
+
+    /**
+     * Convert sRGB to CIELAB (D65 white point).
+     * @param {number} r - Red value.
+     * @param {number} g - Green value.
+     * @param {number} b - Blue value.
+     * @returns {number[]} [L, a, b] values.
+     */
+    rgbToLab(r, g, b) {
+        const linear = (c) => {
+            c /= 255;
+            return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        };
+        const lr = linear(r);
+        const lg = linear(g);
+        const lb = linear(b);
+
+        const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+        const y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+        const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+        const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    },
+
+    /**
+     * CIEDE2000 color difference (Sharma, Wu & Dalal formulation).
+     * @param {number[]} lab1 - First [L, a, b] color.
+     * @param {number[]} lab2 - Second [L, a, b] color.
+     * @returns {number} ΔE00.
+     */
+    ciede2000(lab1, lab2) {
+        const [L1, a1, b1] = lab1;
+        const [L2, a2, b2] = lab2;
+        const rad = Math.PI / 180;
+        const pow25 = 25 ** 7;
+
+        const C1 = Math.hypot(a1, b1);
+        const C2 = Math.hypot(a2, b2);
+        const cBar7 = ((C1 + C2) / 2) ** 7;
+        const G = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + pow25)));
+
+        const a1p = (1 + G) * a1;
+        const a2p = (1 + G) * a2;
+        const C1p = Math.hypot(a1p, b1);
+        const C2p = Math.hypot(a2p, b2);
+        const hue = (b, a) => {
+            if (a === 0 && b === 0) return 0;
+            const h = Math.atan2(b, a) / rad;
+            return h < 0 ? h + 360 : h;
+        };
+        const h1p = hue(b1, a1p);
+        const h2p = hue(b2, a2p);
+
+        const dLp = L2 - L1;
+        const dCp = C2p - C1p;
+        let dhp = 0;
+        if (C1p * C2p !== 0) {
+            dhp = h2p - h1p;
+            if (dhp > 180) dhp -= 360;
+            else if (dhp < -180) dhp += 360;
+        }
+        const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+        const lBarP = (L1 + L2) / 2;
+        const cBarP = (C1p + C2p) / 2;
+        let hBarP = h1p + h2p;
+        if (C1p * C2p !== 0) {
+            if (Math.abs(h1p - h2p) <= 180) hBarP = (h1p + h2p) / 2;
+            else if (h1p + h2p < 360) hBarP = (h1p + h2p + 360) / 2;
+            else hBarP = (h1p + h2p - 360) / 2;
+        }
+
+        const T = 1 -
+            0.17 * Math.cos((hBarP - 30) * rad) +
+            0.24 * Math.cos(2 * hBarP * rad) +
+            0.32 * Math.cos((3 * hBarP + 6) * rad) -
+            0.20 * Math.cos((4 * hBarP - 63) * rad);
+        const dTheta = 30 * Math.exp(-(((hBarP - 275) / 25) ** 2));
+        const cBarP7 = cBarP ** 7;
+        const Rc = 2 * Math.sqrt(cBarP7 / (cBarP7 + pow25));
+        const Sl = 1 + (0.015 * (lBarP - 50) ** 2) / Math.sqrt(20 + (lBarP - 50) ** 2);
+        const Sc = 1 + 0.045 * cBarP;
+        const Sh = 1 + 0.015 * cBarP * T;
+        const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+        return Math.sqrt(
+            (dLp / Sl) ** 2 +
+            (dCp / Sc) ** 2 +
+            (dHp / Sh) ** 2 +
+            Rt * (dCp / Sc) * (dHp / Sh)
+        );
+    }
+};
+
+// Export for use in other modules
+window.ColorMatch = ColorMatch;
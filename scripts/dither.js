@@ -0,0 +1,178 @@
+/**
+ * BitsKee - Dithering
+ * Error-diffusion and ordered dithering over sampled pixels.
+ */
+
+const Dither = {
+    // Error-diffusion kernels as [dx, dy, weight] offsets
+    kernels: {
+        'floyd-steinberg': {
+            divisor: 16,
+            offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+        },
+        'atkinson': {
+            // Only 6/8 of the error is spread, which keeps highlights crisp
+            divisor: 8,
+            offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+        },
+        'sierra': {
+            divisor: 32,
+            offsets: [
+                [1, 0, 5], [2, 0, 3],
+                [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+                [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+            ]
+        }
+    },
+
+    // Ordered dithering matrix sizes
+    bayerSizes: {
+        'bayer2': 2,
+        'bayer4': 4,
+        'bayer8': 8
+    },
+
+    bayerCache: {},
+
+    /**
+     * Dither pixels in place.
+     * @param {ImageData} imageData - Pixels to dither.
+     * @param {string} method - Dithering method (see kernels and bayerSizes).
+     * @param {Function} quantize - Maps (r, g, b) to the nearest [r, g, b] available.
+     * @param {number} spread - Channel offset range for ordered dithering.
+     * @returns {ImageData} The same imageData, quantized.
+     */
+    apply(imageData, method, quantize, spread) {
+        if (this.kernels[method]) {
+            return this.errorDiffusion(imageData, this.kernels[method], quantize);
+        }
+        if (this.bayerSizes[method]) {
+            return this.ordered(imageData, this.bayerSizes[method], quantize, spread);
+        }
+        return imageData;
+    },
+
+    /**
+     * Quantize each pixel and push its error onto unvisited neighbours.
+     * @param {ImageData} imageData - Pixels to dither.
+     * @param {Object} kernel - Diffusion kernel.
+     * @param {Function} quantize - Nearest color lookup.
+     * @returns {ImageData} The same imageData, quantized.
+     */
+    errorDiffusion(imageData, kernel, quantize) {
+        const { width, height, data } = imageData;
+
+        // Work in floats so accumulated error is not clamped early
+        const buffer = new Float32Array(width * height * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            buffer[j] = data[i];
+            buffer[j + 1] = data[i + 1];
+            buffer[j + 2] = data[i + 2];
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                // Transparent blocks neither take nor spread error
+                if (data[i + 3] === 0) continue;
+
+                const j = (y * width + x) * 3;
+                const r = this.clamp(buffer[j]);
+                const g = this.clamp(buffer[j + 1]);
+                const b = this.clamp(buffer[j + 2]);
+                const [qr, qg, qb] = quantize(r, g, b);
+                data[i] = qr;
+                data[i + 1] = qg;
+                data[i + 2] = qb;
+
+                const errR = r - qr;
+                const errG = g - qg;
+                const errB = b - qb;
+
+                for (const [dx, dy, weight] of kernel.offsets) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+                    const n = (ny * width + nx) * 3;
+                    const factor = weight / kernel.divisor;
+                    buffer[n] += errR * factor;
+                    buffer[n + 1] += errG * factor;
+                    buffer[n + 2] += errB * factor;
+                }
+            }
+        }
+
+        return imageData;
+    },
+
+    /**
+     * Offset each pixel by a Bayer threshold before quantizing.
+     * @param {ImageData} imageData - Pixels to dither.
+     * @param {number} size - Matrix size (2, 4 or 8).
+     * @param {Function} quantize - Nearest color lookup.
+     * @param {number} spread - Channel offset range.
+     * @returns {ImageData} The same imageData, quantized.
+     */
+    ordered(imageData, size, quantize, spread) {
+        const { width, height, data } = imageData;
+        const matrix = this.getBayerMatrix(size);
+        const cells = size * size;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const threshold = (matrix[(y % size) * size + (x % size)] + 0.5) / cells - 0.5;
+                const offset = threshold * spread;
+                const i = (y * width + x) * 4;
+                const [qr, qg, qb] = quantize(
+                    this.clamp(data[i] + offset),
+                    this.clamp(data[i + 1] + offset),
+                    this.clamp(data[i + 2] + offset)
+                );
+                data[i] = qr;
+                data[i + 1] = qg;
+                data[i + 2] = qb;
+            }
+        }
+
+        return imageData;
+    },
+
+    /**
+     * Build a Bayer index matrix by recursive subdivision.
+     * @param {number} size - Matrix size, a power of two.
+     * @returns {number[]} Flattened size × size matrix of 0..size²-1.
+     */
+    getBayerMatrix(size) {
+        if (this.bayerCache[size]) return this.bayerCache[size];
+
+        let matrix = [0];
+        for (let n = 1; n < size; n *= 2) {
+            const next = new Array(n * n * 4);
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = matrix[y * n + x] * 4;
+                    next[y * 2 * n + x] = v;
+                    next[y * 2 * n + x + n] = v + 2;
+                    next[(y + n) * 2 * n + x] = v + 3;
+                    next[(y + n) * 2 * n + x + n] = v + 1;
+                }
+            }
+            matrix = next;
+        }
+
+        this.bayerCache[size] = matrix;
+        return matrix;
+    },
+
+    /**
+     * Clamp a channel value to 0-255.
+     * @param {number} value - Channel value.
+     * @returns {number} Rounded, clamped value.
+     */
+    clamp(value) {
+        return Math.max(0, Math.min(255, Math.round(value)));
+    }
+};
+
+// Export for use in other modules
+window.Dither = Dither;
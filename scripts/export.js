@@ -0,0 +1,255 @@
+/**
+ * BitsKee - Export Formats
+ * SVG, HTML and JSON encoders for pixel blocks and character grids.
+ */
+
+const ExportFormats = {
+    // CRT terminal look, matching the app theme
+    theme: {
+        background: '#0a0e14',
+        foreground: '#00ff9c',
+        font: "'Fira Code', 'Courier New', monospace",
+        fontSize: 14,
+        lineHeight: 1.2
+    },
+
+    /**
+     * Encode pixel blocks as SVG, merging same-colored blocks into rectangles.
+     * Cells are drawn as rectangles; hexagon, dot and diamond shapes only export as images.
+     * @param {ImageData} blocks - One RGBA pixel per block.
+     * @param {number} [scale=1] - Width of one block in SVG pixels.
+     * @param {number} [cellAspect=1] - Block height as a multiple of its width.
+     * @returns {string} SVG document.
+     */
+    pixelSvg(blocks, scale = 1, cellAspect = 1) {
+        const { width, height } = blocks;
+        const rects = this.mergeRuns(width, height, (x, y) => {
+            const i = (y * width + x) * 4;
+            // Fully transparent blocks are left empty
+            if (blocks.data[i + 3] === 0) return null;
+            return this.rgbaToCss(blocks.data, i);
+        });
+
+        const shapes = rects.map(rect =>
+            `<rect x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" fill="${rect.color}"/>`
+        );
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${Math.round(height * scale * cellAspect)}" ` +
+                `viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges">`,
+            ...shapes,
+            '</svg>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * Group a grid into rectangles of one color: horizontal runs first,
+     * then runs stacked with an identical run in the row above.
+     * @param {number} width - Grid width.
+     * @param {number} height - Grid height.
+     * @param {Function} colorAt - Returns the color key at (x, y), or null to skip.
+     * @returns {Object[]} {x, y, width, height, color} rectangles.
+     */
+    mergeRuns(width, height, colorAt) {
+        const rects = [];
+        let open = new Map();
+
+        for (let y = 0; y < height; y++) {
+            const next = new Map();
+            let x = 0;
+            while (x < width) {
+                const color = colorAt(x, y);
+                let end = x + 1;
+                while (end < width && colorAt(end, y) === color) end++;
+
+                if (color !== null) {
+                    const key = `${x},${end},${color}`;
+                    const rect = open.get(key);
+                    if (rect) {
+                        rect.height++;
+                        open.delete(key);
+                    } else {
+                        rects.push({ x, y, width: end - x, height: 1, color });
+                    }
+                    next.set(key, rect || rects[rects.length - 1]);
+                }
+                x = end;
+            }
+            open = next;
+        }
+
+        return rects;
+    },
+
+    /**
+     * Describe pixel blocks for game engines: a color matrix plus palette indices.
+     * @param {ImageData} blocks - One RGBA pixel per block.
+     * @param {number[][]|null} palette - Palette the blocks were snapped to, if any.
+     * @param {number} pixelSize - Source pixels per block.
+     * @param {Object} [cells] - Cell layout: {shape, aspect} where aspect is row pitch over column pitch.
+     *     Hex and diamond cells shift odd rows half a cell right.
+     * @returns {string} JSON document.
+     */
+    pixelJson(blocks, palette, pixelSize, cells = { shape: 'square', aspect: 1 }) {
+        const { width, height, data } = blocks;
+        const colors = (palette || []).map(rgb => '#' + PaletteLibrary.rgbToHex(rgb));
+        const lookup = new Map(colors.map((color, i) => [color, i]));
+        const matrix = [];
+        const indices = [];
+
+        for (let y = 0; y < height; y++) {
+            const colorRow = [];
+            const indexRow = [];
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] === 0) {
+                    colorRow.push(null);
+                    indexRow.push(-1);
+                    continue;
+                }
+
+                // Colors outside the palette (hand edits, full color) are appended
+                const color = '#' + PaletteLibrary.rgbToHex([data[i], data[i + 1], data[i + 2]]);
+                if (!lookup.has(color)) {
+                    lookup.set(color, colors.length);
+                    colors.push(color);
+                }
+                colorRow.push(color);
+                indexRow.push(lookup.get(color));
+            }
+            matrix.push(colorRow);
+            indices.push(indexRow);
+        }
+
+        const cell = { shape: cells.shape || 'square', aspect: cells.aspect || 1 };
+        return JSON.stringify({ width, height, pixelSize, cell, palette: colors, indices, colors: matrix }) + '\n';
+    },
+
+    /**
+     * Encode a character grid as SVG text in the terminal theme.
+     * @param {Object[][]} rows - Rows of {char, fg, bg} cells.
+     * @returns {string} SVG document.
+     */
+    textSvg(rows) {
+        const { background, foreground, font, fontSize, lineHeight } = this.theme;
+        // Monospace glyphs are about 0.6em wide
+        const cellWidth = fontSize * 0.6;
+        const cellHeight = fontSize * lineHeight;
+        const width = Math.max(...rows.map(row => row.length), 0);
+        const round = value => Math.round(value * 100) / 100;
+
+        const backgrounds = this.mergeRuns(width, rows.length, (x, y) => (rows[y][x] && rows[y][x].bg) || null)
+            .map(rect =>
+                `<rect x="${round(rect.x * cellWidth)}" y="${round(rect.y * cellHeight)}" ` +
+                `width="${round(rect.width * cellWidth)}" height="${round(rect.height * cellHeight)}" fill="${rect.color}"/>`
+            );
+
+        const lines = rows.map((row, y) => {
+            const spans = this.colorRuns(row, cell => cell.fg)
+                .filter(run => run.text.trim() !== '')
+                .map(run => {
+                    const fill = run.color ? ` fill="${run.color}"` : '';
+                    return `<tspan x="${round(run.start * cellWidth)}"${fill}>${this.escapeXml(run.text)}</tspan>`;
+                });
+            if (spans.length === 0) return '';
+            return `<text y="${round(y * cellHeight + fontSize)}">${spans.join('')}</text>`;
+        }).filter(Boolean);
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width * cellWidth)}" height="${round(rows.length * cellHeight)}">`,
+            `<rect width="100%" height="100%" fill="${background}"/>`,
+            ...backgrounds,
+            `<g font-family="${font.replace(/"/g, '&quot;')}" font-size="${fontSize}" fill="${foreground}" xml:space="preserve">`,
+            ...lines,
+            '</g>',
+            '</svg>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * Encode a character grid as a standalone HTML page.
+     * @param {Object[][]} rows - Rows of {char, fg, bg} cells.
+     * @param {string} [title='BitsKee'] - Page title.
+     * @returns {string} HTML document.
+     */
+    textHtml(rows, title = 'BitsKee') {
+        const { background, foreground, font, fontSize, lineHeight } = this.theme;
+        const body = rows.map(row =>
+            this.colorRuns(row, cell => `${cell.fg || ''}|${cell.bg || ''}`).map(run => {
+                const text = this.escapeXml(run.text);
+                const [fg, bg] = run.color.split('|');
+                const styles = [];
+                if (fg) styles.push(`color:${fg}`);
+                if (bg) styles.push(`background:${bg}`);
+                return styles.length > 0 ? `<span style="${styles.join(';')}">${text}</span>` : text;
+            }).join('')
+        ).join('\n');
+
+        return [
+            '<!DOCTYPE html>',
+            '<html>',
+            '<head>',
+            '<meta charset="UTF-8">',
+            `<title>${this.escapeXml(title)}</title>`,
+            '</head>',
+            `<body style="margin:0;background:${background}">`,
+            `<pre style="margin:0;padding:16px;font-family:${font};font-size:${fontSize}px;` +
+                `line-height:${lineHeight};color:${foreground};background:${background}">${body}</pre>`,
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * Split a row into runs of cells sharing a color key.
+     * @param {Object[]} row - {char, fg, bg} cells.
+     * @param {Function} keyOf - Returns the color key of a cell.
+     * @returns {Object[]} {start, color, text} runs.
+     */
+    colorRuns(row, keyOf) {
+        const runs = [];
+        row.forEach((cell, x) => {
+            const color = keyOf(cell);
+            const last = runs[runs.length - 1];
+            if (last && last.color === color) {
+                last.text += cell.char;
+            } else {
+                runs.push({ start: x, color, text: cell.char });
+            }
+        });
+        return runs;
+    },
+
+    /**
+     * Format an RGBA pixel as a CSS color.
+     * @param {Uint8ClampedArray} data - Pixel data.
+     * @param {number} i - Index of the red channel.
+     * @returns {string} '#rrggbb', or rgba() when partly transparent.
+     */
+    rgbaToCss(data, i) {
+        const alpha = data[i + 3];
+        if (alpha === 255) {
+            return '#' + PaletteLibrary.rgbToHex([data[i], data[i + 1], data[i + 2]]);
+        }
+        return `rgba(${data[i]},${data[i + 1]},${data[i + 2]},${Math.round(alpha / 255 * 1000) / 1000})`;
+    },
+
+    /**
+     * Escape text for XML and HTML.
+     * @param {string} text - Raw text.
+     * @returns {string} Escaped text.
+     */
+    escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules
+window.ExportFormats = ExportFormats;
@@ -0,0 +1,10865 @@
+/**
+ * BitsKee - Bundled FIGlet Fonts
+ * Classic fonts from the FIGlet distribution, kept as unmodified .flf files with their
+ * comment headers, so banners match figlet's output and load the same way as fonts users add.
+ */
+
+const FigletFonts = {
+    standard: {
+        name: 'Standard',
+        source: `flf2a$ 6 5 16 15 13 0 24463 229
+Standard by Glenn Chappell & Ian Chai 3/93 -- based on Frank's .sig
+Includes ISO Latin-1
+figlet release 2.1 -- 12 Aug 1994
+Modified for figlet 2.2 by John Cowan <cowan@ccil.org>
+  to add Latin-{2,3,4,5} support (Unicode U+0100-017F).
+Permission is hereby given to modify this font, as long as the
+modifier's name is placed on a comment line.
+
+Modified by Paul Burton <solution@earthlink.net> 12/96 to include new parameter
+supported by FIGlet and FIGWin.  May also be slightly modified for better use
+of new full-width/kern/smush alternatives, but default output is NOT changed.
+
+Font modified May 20, 2012 by patorjk to add the 0xCA0 character
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@@
+  _ @
+ | |@
+ | |@
+ |_|@
+ (_)@
+    @@
+  _ _ @
+ ( | )@
+  V V @
+   $  @
+   $  @
+      @@
+    _  _   @
+  _| || |_ @
+ |_  ..  _|@
+ |_      _|@
+   |_||_|  @
+           @@
+   _  @
+  | | @
+ / __)@
+ \\__ \\@
+ (   /@
+  |_| @@
+  _  __@
+ (_)/ /@
+   / / @
+  / /_ @
+ /_/(_)@
+       @@
+   ___   @
+  ( _ )  @
+  / _ \\/\\@
+ | (_>  <@
+  \\___/\\/@
+         @@
+  _ @
+ ( )@
+ |/ @
+  $ @
+  $ @
+    @@
+   __@
+  / /@
+ | | @
+ | | @
+ | | @
+  \\_\\@@
+ __  @
+ \\ \\ @
+  | |@
+  | |@
+  | |@
+ /_/ @@
+       @
+ __/\\__@
+ \\    /@
+ /_  _\\@
+   \\/  @
+       @@
+        @
+    _   @
+  _| |_ @
+ |_   _|@
+   |_|  @
+        @@
+    @
+    @
+    @
+  _ @
+ ( )@
+ |/ @@
+        @
+        @
+  _____ @
+ |_____|@
+    $   @
+        @@
+    @
+    @
+    @
+  _ @
+ (_)@
+    @@
+     __@
+    / /@
+   / / @
+  / /  @
+ /_/   @
+       @@
+   ___  @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+  _ @
+ / |@
+ | |@
+ | |@
+ |_|@
+    @@
+  ____  @
+ |___ \\ @
+   __) |@
+  / __/ @
+ |_____|@
+        @@
+  _____ @
+ |___ / @
+   |_ \\ @
+  ___) |@
+ |____/ @
+        @@
+  _  _   @
+ | || |  @
+ | || |_ @
+ |__   _|@
+    |_|  @
+         @@
+  ____  @
+ | ___| @
+ |___ \\ @
+  ___) |@
+ |____/ @
+        @@
+   __   @
+  / /_  @
+ | '_ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+  _____ @
+ |___  |@
+    / / @
+   / /  @
+  /_/   @
+        @@
+   ___  @
+  ( _ ) @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\__, |@
+    /_/ @
+        @@
+    @
+  _ @
+ (_)@
+  _ @
+ (_)@
+    @@
+    @
+  _ @
+ (_)@
+  _ @
+ ( )@
+ |/ @@
+   __@
+  / /@
+ / / @
+ \\ \\ @
+  \\_\\@
+     @@
+        @
+  _____ @
+ |_____|@
+ |_____|@
+    $   @
+        @@
+ __  @
+ \\ \\ @
+  \\ \\@
+  / /@
+ /_/ @
+     @@
+  ___ @
+ |__ \\@
+   / /@
+  |_| @
+  (_) @
+      @@
+    ____  @
+   / __ \\ @
+  / / _\` |@
+ | | (_| |@
+  \\ \\__,_|@
+   \\____/ @@
+     _    @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @@
+  ____  @
+ | __ ) @
+ |  _ \\ @
+ | |_) |@
+ |____/ @
+        @@
+   ____ @
+  / ___|@
+ | |    @
+ | |___ @
+  \\____|@
+        @@
+  ____  @
+ |  _ \\ @
+ | | | |@
+ | |_| |@
+ |____/ @
+        @@
+  _____ @
+ | ____|@
+ |  _|  @
+ | |___ @
+ |_____|@
+        @@
+  _____ @
+ |  ___|@
+ | |_   @
+ |  _|  @
+ |_|    @
+        @@
+   ____ @
+  / ___|@
+ | |  _ @
+ | |_| |@
+  \\____|@
+        @@
+  _   _ @
+ | | | |@
+ | |_| |@
+ |  _  |@
+ |_| |_|@
+        @@
+  ___ @
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @@
+      _ @
+     | |@
+  _  | |@
+ | |_| |@
+  \\___/ @
+        @@
+  _  __@
+ | |/ /@
+ | ' / @
+ | . \\ @
+ |_|\\_\\@
+       @@
+  _     @
+ | |    @
+ | |    @
+ | |___ @
+ |_____|@
+        @@
+  __  __ @
+ |  \\/  |@
+ | |\\/| |@
+ | |  | |@
+ |_|  |_|@
+         @@
+  _   _ @
+ | \\ | |@
+ |  \\| |@
+ | |\\  |@
+ |_| \\_|@
+        @@
+   ___  @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+  ____  @
+ |  _ \\ @
+ | |_) |@
+ |  __/ @
+ |_|    @
+        @@
+   ___  @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\__\\_\\@
+        @@
+  ____  @
+ |  _ \\ @
+ | |_) |@
+ |  _ < @
+ |_| \\_\\@
+        @@
+  ____  @
+ / ___| @
+ \\___ \\ @
+  ___) |@
+ |____/ @
+        @@
+  _____ @
+ |_   _|@
+   | |  @
+   | |  @
+   |_|  @
+        @@
+  _   _ @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+ __     __@
+ \\ \\   / /@
+  \\ \\ / / @
+   \\ V /  @
+    \\_/   @
+          @@
+ __        __@
+ \\ \\      / /@
+  \\ \\ /\\ / / @
+   \\ V  V /  @
+    \\_/\\_/   @
+             @@
+ __  __@
+ \\ \\/ /@
+  \\  / @
+  /  \\ @
+ /_/\\_\\@
+       @@
+ __   __@
+ \\ \\ / /@
+  \\ V / @
+   | |  @
+   |_|  @
+        @@
+  _____@
+ |__  /@
+   / / @
+  / /_ @
+ /____|@
+       @@
+  __ @
+ | _|@
+ | | @
+ | | @
+ | | @
+ |__|@@
+ __    @
+ \\ \\   @
+  \\ \\  @
+   \\ \\ @
+    \\_\\@
+       @@
+  __ @
+ |_ |@
+  | |@
+  | |@
+  | |@
+ |__|@@
+  /\\ @
+ |/\\|@
+   $ @
+   $ @
+   $ @
+     @@
+        @
+        @
+        @
+        @
+  _____ @
+ |_____|@@
+  _ @
+ ( )@
+  \\|@
+  $ @
+  $ @
+    @@
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+  _     @
+ | |__  @
+ | '_ \\ @
+ | |_) |@
+ |_.__/ @
+        @@
+       @
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+       @@
+      _ @
+   __| |@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+       @
+   ___ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @@
+   __ @
+  / _|@
+ | |_ @
+ |  _|@
+ |_|  @
+      @@
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+  |___/ @@
+  _     @
+ | |__  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+  _ @
+ (_)@
+ | |@
+ | |@
+ |_|@
+    @@
+    _ @
+   (_)@
+   | |@
+   | |@
+  _/ |@
+ |__/ @@
+  _    @
+ | | __@
+ | |/ /@
+ |   < @
+ |_|\\_\\@
+       @@
+  _ @
+ | |@
+ | |@
+ | |@
+ |_|@
+    @@
+            @
+  _ __ ___  @
+ | '_ \` _ \\ @
+ | | | | | |@
+ |_| |_| |_|@
+            @@
+        @
+  _ __  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+        @
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+        @
+  _ __  @
+ | '_ \\ @
+ | |_) |@
+ | .__/ @
+ |_|    @@
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+     |_|@@
+       @
+  _ __ @
+ | '__|@
+ | |   @
+ |_|   @
+       @@
+      @
+  ___ @
+ / __|@
+ \\__ \\@
+ |___/@
+      @@
+  _   @
+ | |_ @
+ | __|@
+ | |_ @
+  \\__|@
+      @@
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+        @
+ __   __@
+ \\ \\ / /@
+  \\ V / @
+   \\_/  @
+        @@
+           @
+ __      __@
+ \\ \\ /\\ / /@
+  \\ V  V / @
+   \\_/\\_/  @
+           @@
+       @
+ __  __@
+ \\ \\/ /@
+  >  < @
+ /_/\\_\\@
+       @@
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__, |@
+  |___/ @@
+      @
+  ____@
+ |_  /@
+  / / @
+ /___|@
+      @@
+    __@
+   / /@
+  | | @
+ < <  @
+  | | @
+   \\_\\@@
+  _ @
+ | |@
+ | |@
+ | |@
+ | |@
+ |_|@@
+ __   @
+ \\ \\  @
+  | | @
+   > >@
+  | | @
+ /_/  @@
+  /\\/|@
+ |/\\/ @
+   $  @
+   $  @
+   $  @
+      @@
+  _   _ @
+ (_)_(_)@
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+  _   _ @
+ (_)_(_)@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+   ___ @
+  / _ \\@
+ | |/ /@
+ | |\\ \\@
+ | ||_/@
+ |_|   @@
+160  NO-BREAK SPACE
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@@
+161  INVERTED EXCLAMATION MARK
+  _ @
+ (_)@
+ | |@
+ | |@
+ |_|@
+    @@
+162  CENT SIGN
+    _  @
+   | | @
+  / __)@
+ | (__ @
+  \\   )@
+   |_| @@
+163  POUND SIGN
+    ___  @
+   / ,_\\ @
+ _| |_   @
+  | |___ @
+ (_,____|@
+         @@
+164  CURRENCY SIGN
+ /\\___/\\@
+ \\  _  /@
+ | (_) |@
+ / ___ \\@
+ \\/   \\/@
+        @@
+165  YEN SIGN
+  __ __ @
+  \\ V / @
+ |__ __|@
+ |__ __|@
+   |_|  @
+        @@
+166  BROKEN BAR
+  _ @
+ | |@
+ |_|@
+  _ @
+ | |@
+ |_|@@
+167  SECTION SIGN
+    __ @
+  _/ _)@
+ / \\ \\ @
+ \\ \\\\ \\@
+  \\ \\_/@
+ (__/  @@
+168  DIAERESIS
+  _   _ @
+ (_) (_)@
+  $   $ @
+  $   $ @
+  $   $ @
+        @@
+169  COPYRIGHT SIGN
+    _____   @
+   / ___ \\  @
+  / / __| \\ @
+ | | (__   |@
+  \\ \\___| / @
+   \\_____/  @@
+170  FEMININE ORDINAL INDICATOR
+  __ _ @
+ / _\` |@
+ \\__,_|@
+ |____|@
+    $  @
+       @@
+171  LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+   ____@
+  / / /@
+ / / / @
+ \\ \\ \\ @
+  \\_\\_\\@
+       @@
+172  NOT SIGN
+        @
+  _____ @
+ |___  |@
+     |_|@
+    $   @
+        @@
+173  SOFT HYPHEN
+       @
+       @
+  ____ @
+ |____|@
+    $  @
+       @@
+174  REGISTERED SIGN
+    _____   @
+   / ___ \\  @
+  / | _ \\ \\ @
+ |  |   /  |@
+  \\ |_|_\\ / @
+   \\_____/  @@
+175  MACRON
+  _____ @
+ |_____|@
+    $   @
+    $   @
+    $   @
+        @@
+176  DEGREE SIGN
+   __  @
+  /  \\ @
+ | () |@
+  \\__/ @
+    $  @
+       @@
+177  PLUS-MINUS SIGN
+    _   @
+  _| |_ @
+ |_   _|@
+  _|_|_ @
+ |_____|@
+        @@
+178  SUPERSCRIPT TWO
+  ___ @
+ |_  )@
+  / / @
+ /___|@
+   $  @
+      @@
+179  SUPERSCRIPT THREE
+  ____@
+ |__ /@
+  |_ \\@
+ |___/@
+   $  @
+      @@
+180  ACUTE ACCENT
+  __@
+ /_/@
+  $ @
+  $ @
+  $ @
+    @@
+181  MICRO SIGN
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+ | ._,_|@
+ |_|    @@
+182  PILCROW SIGN
+   _____ @
+  /     |@
+ | (| | |@
+  \\__ | |@
+    |_|_|@
+         @@
+183  MIDDLE DOT
+    @
+  _ @
+ (_)@
+  $ @
+  $ @
+    @@
+184  CEDILLA
+    @
+    @
+    @
+    @
+  _ @
+ )_)@@
+185  SUPERSCRIPT ONE
+  _ @
+ / |@
+ | |@
+ |_|@
+  $ @
+    @@
+186  MASCULINE ORDINAL INDICATOR
+  ___ @
+ / _ \\@
+ \\___/@
+ |___|@
+   $  @
+      @@
+187  RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+ ____  @
+ \\ \\ \\ @
+  \\ \\ \\@
+  / / /@
+ /_/_/ @
+       @@
+188  VULGAR FRACTION ONE QUARTER
+  _   __    @
+ / | / / _  @
+ | |/ / | | @
+ |_/ /|_  _|@
+  /_/   |_| @
+            @@
+189  VULGAR FRACTION ONE HALF
+  _   __   @
+ / | / /__ @
+ | |/ /_  )@
+ |_/ / / / @
+  /_/ /___|@
+           @@
+190  VULGAR FRACTION THREE QUARTERS
+  ____  __    @
+ |__ / / / _  @
+  |_ \\/ / | | @
+ |___/ /|_  _|@
+    /_/   |_| @
+              @@
+191  INVERTED QUESTION MARK
+   _  @
+  (_) @
+  | | @
+ / /_ @
+ \\___|@
+      @@
+192  LATIN CAPITAL LETTER A WITH GRAVE
+   __   @
+   \\_\\  @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+193  LATIN CAPITAL LETTER A WITH ACUTE
+    __  @
+   /_/  @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+194  LATIN CAPITAL LETTER A WITH CIRCUMFLEX
+   //\\  @
+  |/_\\| @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+195  LATIN CAPITAL LETTER A WITH TILDE
+   /\\/| @
+  |/\\/  @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+197  LATIN CAPITAL LETTER A WITH RING ABOVE
+    _   @
+   (o)  @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+198  LATIN CAPITAL LETTER AE
+     ______ @
+    /  ____|@
+   / _  _|  @
+  / __ |___ @
+ /_/ |_____|@
+            @@
+199  LATIN CAPITAL LETTER C WITH CEDILLA
+   ____ @
+  / ___|@
+ | |    @
+ | |___ @
+  \\____|@
+    )_) @@
+200  LATIN CAPITAL LETTER E WITH GRAVE
+   __   @
+  _\\_\\_ @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+201  LATIN CAPITAL LETTER E WITH ACUTE
+    __  @
+  _/_/_ @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+202  LATIN CAPITAL LETTER E WITH CIRCUMFLEX
+   //\\  @
+  |/_\\| @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+203  LATIN CAPITAL LETTER E WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+204  LATIN CAPITAL LETTER I WITH GRAVE
+  __  @
+  \\_\\ @
+ |_ _|@
+  | | @
+ |___|@
+      @@
+205  LATIN CAPITAL LETTER I WITH ACUTE
+   __ @
+  /_/ @
+ |_ _|@
+  | | @
+ |___|@
+      @@
+206  LATIN CAPITAL LETTER I WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+ |_ _|@
+  | | @
+ |___|@
+      @@
+207  LATIN CAPITAL LETTER I WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  |_ _| @
+   | |  @
+  |___| @
+        @@
+208  LATIN CAPITAL LETTER ETH
+    ____  @
+   |  _ \\ @
+  _| |_| |@
+ |__ __| |@
+   |____/ @
+          @@
+209  LATIN CAPITAL LETTER N WITH TILDE
+   /\\/|@
+  |/\\/ @
+ | \\| |@
+ | .\` |@
+ |_|\\_|@
+       @@
+210  LATIN CAPITAL LETTER O WITH GRAVE
+   __   @
+   \\_\\  @
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+211  LATIN CAPITAL LETTER O WITH ACUTE
+    __  @
+   /_/  @
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+212  LATIN CAPITAL LETTER O WITH CIRCUMFLEX
+   //\\  @
+  |/_\\| @
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+213  LATIN CAPITAL LETTER O WITH TILDE
+   /\\/| @
+  |/\\/  @
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+215  MULTIPLICATION SIGN
+     @
+     @
+ /\\/\\@
+ >  <@
+ \\/\\/@
+     @@
+216  LATIN CAPITAL LETTER O WITH STROKE
+   ____ @
+  / _// @
+ | |// |@
+ | //| |@
+  //__/ @
+        @@
+217  LATIN CAPITAL LETTER U WITH GRAVE
+   __   @
+  _\\_\\_ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+218  LATIN CAPITAL LETTER U WITH ACUTE
+    __  @
+  _/_/_ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+219  LATIN CAPITAL LETTER U WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+221  LATIN CAPITAL LETTER Y WITH ACUTE
+    __  @
+ __/_/__@
+ \\ \\ / /@
+  \\ V / @
+   |_|  @
+        @@
+222  LATIN CAPITAL LETTER THORN
+  _     @
+ | |___ @
+ |  __ \\@
+ |  ___/@
+ |_|    @
+        @@
+223  LATIN SMALL LETTER SHARP S
+   ___ @
+  / _ \\@
+ | |/ /@
+ | |\\ \\@
+ | ||_/@
+ |_|   @@
+224  LATIN SMALL LETTER A WITH GRAVE
+   __   @
+   \\_\\_ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+225  LATIN SMALL LETTER A WITH ACUTE
+    __  @
+   /_/_ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+226  LATIN SMALL LETTER A WITH CIRCUMFLEX
+   //\\  @
+  |/_\\| @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+227  LATIN SMALL LETTER A WITH TILDE
+   /\\/| @
+  |/\\/_ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+229  LATIN SMALL LETTER A WITH RING ABOVE
+    __  @
+   (()) @
+  / _ '|@
+ | (_| |@
+  \\__,_|@
+        @@
+230  LATIN SMALL LETTER AE
+           @
+   __ ____ @
+  / _\`  _ \\@
+ | (_|  __/@
+  \\__,____|@
+           @@
+231  LATIN SMALL LETTER C WITH CEDILLA
+       @
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+   )_) @@
+232  LATIN SMALL LETTER E WITH GRAVE
+   __  @
+   \\_\\ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @@
+233  LATIN SMALL LETTER E WITH ACUTE
+    __ @
+   /_/ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @@
+234  LATIN SMALL LETTER E WITH CIRCUMFLEX
+   //\\ @
+  |/_\\|@
+  / _ \\@
+ |  __/@
+  \\___|@
+       @@
+235  LATIN SMALL LETTER E WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ |  __/ @
+  \\___| @
+        @@
+236  LATIN SMALL LETTER I WITH GRAVE
+ __ @
+ \\_\\@
+ | |@
+ | |@
+ |_|@
+    @@
+237  LATIN SMALL LETTER I WITH ACUTE
+  __@
+ /_/@
+ | |@
+ | |@
+ |_|@
+    @@
+238  LATIN SMALL LETTER I WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+  | | @
+  | | @
+  |_| @
+      @@
+239  LATIN SMALL LETTER I WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+   | |  @
+   | |  @
+   |_|  @
+        @@
+240  LATIN SMALL LETTER ETH
+   /\\/\\ @
+   >  < @
+  _\\/\\ |@
+ / __\` |@
+ \\____/ @
+        @@
+241  LATIN SMALL LETTER N WITH TILDE
+   /\\/| @
+  |/\\/  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+242  LATIN SMALL LETTER O WITH GRAVE
+   __   @
+   \\_\\  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+243  LATIN SMALL LETTER O WITH ACUTE
+    __  @
+   /_/  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+244  LATIN SMALL LETTER O WITH CIRCUMFLEX
+   //\\  @
+  |/_\\| @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+245  LATIN SMALL LETTER O WITH TILDE
+   /\\/| @
+  |/\\/  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+247  DIVISION SIGN
+        @
+    _   @
+  _(_)_ @
+ |_____|@
+   (_)  @
+        @@
+248  LATIN SMALL LETTER O WITH STROKE
+         @
+   ____  @
+  / _//\\ @
+ | (//) |@
+  \\//__/ @
+         @@
+249  LATIN SMALL LETTER U WITH GRAVE
+   __   @
+  _\\_\\_ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+250  LATIN SMALL LETTER U WITH ACUTE
+    __  @
+  _/_/_ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+251  LATIN SMALL LETTER U WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+253  LATIN SMALL LETTER Y WITH ACUTE
+    __  @
+  _/_/_ @
+ | | | |@
+ | |_| |@
+  \\__, |@
+  |___/ @@
+254  LATIN SMALL LETTER THORN
+  _     @
+ | |__  @
+ | '_ \\ @
+ | |_) |@
+ | .__/ @
+ |_|    @@
+255  LATIN SMALL LETTER Y WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | |_| |@
+  \\__, |@
+  |___/ @@
+0x0100  LATIN CAPITAL LETTER A WITH MACRON
+   ____ @
+  /___/ @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+0x0101  LATIN SMALL LETTER A WITH MACRON
+    ___ @
+   /_ _/@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+0x0102  LATIN CAPITAL LETTER A WITH BREVE
+  _   _ @
+  \\\\_// @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+0x0103  LATIN SMALL LETTER A WITH BREVE
+   \\_/  @
+   ___  @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+0x0104  LATIN CAPITAL LETTER A WITH OGONEK
+        @
+    _   @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+     (_(@@
+0x0105  LATIN SMALL LETTER A WITH OGONEK
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+     (_(@@
+0x0106  LATIN CAPITAL LETTER C WITH ACUTE
+     __ @
+   _/_/ @
+  / ___|@
+ | |___ @
+  \\____|@
+        @@
+0x0107  LATIN SMALL LETTER C WITH ACUTE
+    __ @
+   /__/@
+  / __|@
+ | (__ @
+  \\___|@
+       @@
+0x0108  LATIN CAPITAL LETTER C WITH CIRCUMFLEX
+     /\\ @
+   _//\\\\@
+  / ___|@
+ | |___ @
+  \\____|@
+        @@
+0x0109  LATIN SMALL LETTER C WITH CIRCUMFLEX
+    /\\ @
+   /_\\ @
+  / __|@
+ | (__ @
+  \\___|@
+       @@
+0x010A  LATIN CAPITAL LETTER C WITH DOT ABOVE
+    []  @
+   ____ @
+  / ___|@
+ | |___ @
+  \\____|@
+        @@
+0x010B  LATIN SMALL LETTER C WITH DOT ABOVE
+   []  @
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+       @@
+0x010C  LATIN CAPITAL LETTER C WITH CARON
+   \\\\// @
+   _\\/_ @
+  / ___|@
+ | |___ @
+  \\____|@
+        @@
+0x010D  LATIN SMALL LETTER C WITH CARON
+   \\\\//@
+   _\\/ @
+  / __|@
+ | (__ @
+  \\___|@
+       @@
+0x010E  LATIN CAPITAL LETTER D WITH CARON
+   \\\\// @
+  __\\/  @
+ |  _ \\ @
+ | |_| |@
+ |____/ @
+        @@
+0x010F  LATIN SMALL LETTER D WITH CARON
+  \\/  _ @
+   __| |@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+0x0110  LATIN CAPITAL LETTER D WITH STROKE
+   ____   @
+  |_ __ \\ @
+ /| |/ | |@
+ /|_|/_| |@
+  |_____/ @
+          @@
+0x0111  LATIN SMALL LETTER D WITH STROKE
+    ---|@
+   __| |@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @@
+0x0112  LATIN CAPITAL LETTER E WITH MACRON
+   ____ @
+  /___/ @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+0x0113  LATIN SMALL LETTER E WITH MACRON
+    ____@
+   /_ _/@
+  / _ \\ @
+ |  __/ @
+  \\___| @
+        @@
+0x0114  LATIN CAPITAL LETTER E WITH BREVE
+  _   _ @
+  \\\\_// @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+0x0115  LATIN SMALL LETTER E WITH BREVE
+  \\\\  //@
+    --  @
+  / _ \\ @
+ |  __/ @
+  \\___| @
+        @@
+0x0116  LATIN CAPITAL LETTER E WITH DOT ABOVE
+    []  @
+  _____ @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+0x0117  LATIN SMALL LETTER E WITH DOT ABOVE
+    [] @
+    __ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @@
+0x0118  LATIN CAPITAL LETTER E WITH OGONEK
+        @
+  _____ @
+ | ____|@
+ |  _|_ @
+ |_____|@
+    (__(@@
+0x0119  LATIN SMALL LETTER E WITH OGONEK
+       @
+   ___ @
+  / _ \\@
+ |  __/@
+  \\___|@
+    (_(@@
+0x011A  LATIN CAPITAL LETTER E WITH CARON
+   \\\\// @
+  __\\/_ @
+ | ____|@
+ |  _|_ @
+ |_____|@
+        @@
+0x011B  LATIN SMALL LETTER E WITH CARON
+   \\\\//@
+    \\/ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @@
+0x011C  LATIN CAPITAL LETTER G WITH CIRCUMFLEX
+   _/\\_ @
+  / ___|@
+ | |  _ @
+ | |_| |@
+  \\____|@
+        @@
+0x011D  LATIN SMALL LETTER G WITH CIRCUMFLEX
+     /\\ @
+   _/_ \\@
+  / _\` |@
+ | (_| |@
+  \\__, |@
+  |___/ @@
+0x011E  LATIN CAPITAL LETTER G WITH BREVE
+   _\\/_ @
+  / ___|@
+ | |  _ @
+ | |_| |@
+  \\____|@
+        @@
+0x011F  LATIN SMALL LETTER G WITH BREVE
+  \\___/ @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+  |___/ @@
+0x0120  LATIN CAPITAL LETTER G WITH DOT ABOVE
+   _[]_ @
+  / ___|@
+ | |  _ @
+ | |_| |@
+  \\____|@
+        @@
+0x0121  LATIN SMALL LETTER G WITH DOT ABOVE
+   []   @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+  |___/ @@
+0x0122  LATIN CAPITAL LETTER G WITH CEDILLA
+   ____ @
+  / ___|@
+ | |  _ @
+ | |_| |@
+  \\____|@
+   )__) @@
+0x0123  LATIN SMALL LETTER G WITH CEDILLA
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+  |_))))@@
+0x0124  LATIN CAPITAL LETTER H WITH CIRCUMFLEX
+  _/ \\_ @
+ | / \\ |@
+ | |_| |@
+ |  _  |@
+ |_| |_|@
+        @@
+0x0125  LATIN SMALL LETTER H WITH CIRCUMFLEX
+  _  /\\ @
+ | |//\\ @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+0x0126  LATIN CAPITAL LETTER H WITH STROKE
+  _   _ @
+ | |=| |@
+ | |_| |@
+ |  _  |@
+ |_| |_|@
+        @@
+0x0127  LATIN SMALL LETTER H WITH STROKE
+  _     @
+ |=|__  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+0x0128  LATIN CAPITAL LETTER I WITH TILDE
+  /\\//@
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @@
+0x0129  LATIN SMALL LETTER I WITH TILDE
+    @
+ /\\/@
+ | |@
+ | |@
+ |_|@
+    @@
+0x012A  LATIN CAPITAL LETTER I WITH MACRON
+ /___/@
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @@
+0x012B  LATIN SMALL LETTER I WITH MACRON
+  ____@
+ /___/@
+  | | @
+  | | @
+  |_| @
+      @@
+0x012C  LATIN CAPITAL LETTER I WITH BREVE
+  \\__/@
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @@
+0x012D  LATIN SMALL LETTER I WITH BREVE
+    @
+ \\_/@
+ | |@
+ | |@
+ |_|@
+    @@
+0x012E  LATIN CAPITAL LETTER I WITH OGONEK
+  ___ @
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+  (__(@@
+0x012F  LATIN SMALL LETTER I WITH OGONEK
+  _  @
+ (_) @
+ | | @
+ | | @
+ |_|_@
+  (_(@@
+0x0130  LATIN CAPITAL LETTER I WITH DOT ABOVE
+  _[] @
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @@
+0x0131  LATIN SMALL LETTER DOTLESS I
+    @
+  _ @
+ | |@
+ | |@
+ |_|@
+    @@
+0x0132  LATIN CAPITAL LIGATURE IJ
+  ___  _ @
+ |_ _|| |@
+  | | | |@
+  | |_| |@
+ |__|__/ @
+         @@
+0x0133  LATIN SMALL LIGATURE IJ
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | | | |@
+ |_|_/ |@
+   |__/ @@
+0x0134  LATIN CAPITAL LETTER J WITH CIRCUMFLEX
+      /\\ @
+     /_\\|@
+  _  | | @
+ | |_| | @
+  \\___/  @
+         @@
+0x0135  LATIN SMALL LETTER J WITH CIRCUMFLEX
+    /\\@
+   /_\\@
+   | |@
+   | |@
+  _/ |@
+ |__/ @@
+0x0136  LATIN CAPITAL LETTER K WITH CEDILLA
+  _  _  @
+ | |/ / @
+ | ' /  @
+ | . \\  @
+ |_|\\_\\ @
+    )__)@@
+0x0137  LATIN SMALL LETTER K WITH CEDILLA
+  _    @
+ | | __@
+ | |/ /@
+ |   < @
+ |_|\\_\\@
+    )_)@@
+0x0138  LATIN SMALL LETTER KRA
+       @
+  _ __ @
+ | |/ \\@
+ |   < @
+ |_|\\_\\@
+       @@
+0x0139  LATIN CAPITAL LETTER L WITH ACUTE
+  _   //@
+ | | // @
+ | |    @
+ | |___ @
+ |_____|@
+        @@
+0x013A  LATIN SMALL LETTER L WITH ACUTE
+  //@
+ | |@
+ | |@
+ | |@
+ |_|@
+    @@
+0x013B  LATIN CAPITAL LETTER L WITH CEDILLA
+  _     @
+ | |    @
+ | |    @
+ | |___ @
+ |_____|@
+    )__)@@
+0x013C  LATIN SMALL LETTER L WITH CEDILLA
+  _   @
+ | |  @
+ | |  @
+ | |  @
+ |_|  @
+   )_)@@
+0x013D  LATIN CAPITAL LETTER L WITH CARON
+  _ \\\\//@
+ | | \\/ @
+ | |    @
+ | |___ @
+ |_____|@
+        @@
+0x013E  LATIN SMALL LETTER L WITH CARON
+  _ \\\\//@
+ | | \\/ @
+ | |    @
+ | |    @
+ |_|    @
+        @@
+0x013F  LATIN CAPITAL LETTER L WITH MIDDLE DOT
+  _     @
+ | |    @
+ | | [] @
+ | |___ @
+ |_____|@
+        @@
+0x0140  LATIN SMALL LETTER L WITH MIDDLE DOT
+  _    @
+ | |   @
+ | | []@
+ | |   @
+ |_|   @
+       @@
+0x0141  LATIN CAPITAL LETTER L WITH STROKE
+  __    @
+ | //   @
+ |//|   @
+ // |__ @
+ |_____|@
+        @@
+0x0142  LATIN SMALL LETTER L WITH STROKE
+  _ @
+ | |@
+ |//@
+ //|@
+ |_|@
+    @@
+0x0143  LATIN CAPITAL LETTER N WITH ACUTE
+  _/ /_ @
+ | \\ | |@
+ |  \\| |@
+ | |\\  |@
+ |_| \\_|@
+        @@
+0x0144  LATIN SMALL LETTER N WITH ACUTE
+     _  @
+  _ /_/ @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+0x0145  LATIN CAPITAL LETTER N WITH CEDILLA
+  _   _ @
+ | \\ | |@
+ |  \\| |@
+ | |\\  |@
+ |_| \\_|@
+ )_)    @@
+0x0146  LATIN SMALL LETTER N WITH CEDILLA
+        @
+  _ __  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+ )_)    @@
+0x0147  LATIN CAPITAL LETTER N WITH CARON
+  _\\/ _ @
+ | \\ | |@
+ |  \\| |@
+ | |\\  |@
+ |_| \\_|@
+        @@
+0x0148  LATIN SMALL LETTER N WITH CARON
+  \\\\//  @
+  _\\/_  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @@
+0x0149  LATIN SMALL LETTER N PRECEDED BY APOSTROPHE
+          @
+  _  __   @
+ ( )| '_\\ @
+ |/| | | |@
+   |_| |_|@
+          @@
+0x014A  LATIN CAPITAL LETTER ENG
+  _   _ @
+ | \\ | |@
+ |  \\| |@
+ | |\\  |@
+ |_| \\ |@
+     )_)@@
+0x014B  LATIN SMALL LETTER ENG
+  _ __  @
+ | '_ \\ @
+ | | | |@
+ |_| | |@
+     | |@
+    |__ @@
+0x014C  LATIN CAPITAL LETTER O WITH MACRON
+   ____ @
+  /_ _/ @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+0x014D  LATIN SMALL LETTER O WITH MACRON
+   ____ @
+  /_ _/ @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+0x014E  LATIN CAPITAL LETTER O WITH BREVE
+  \\   / @
+   _-_  @
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+0x014F  LATIN SMALL LETTER O WITH BREVE
+  \\   / @
+   _-_  @
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+0x0150  LATIN CAPITAL LETTER O WITH DOUBLE ACUTE
+    ___ @
+   /_/_/@
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+0x0151  LATIN SMALL LETTER O WITH DOUBLE ACUTE
+    ___ @
+   /_/_/@
+  / _ \\ @
+ | |_| |@
+  \\___/ @
+        @@
+0x0152  LATIN CAPITAL LIGATURE OE
+   ___  ___ @
+  / _ \\| __|@
+ | | | |  | @
+ | |_| | |__@
+  \\___/|____@
+            @@
+0x0153  LATIN SMALL LIGATURE OE
+             @
+   ___   ___ @
+  / _ \\ / _ \\@
+ | (_) |  __/@
+  \\___/ \\___|@
+             @@
+0x0154  LATIN CAPITAL LETTER R WITH ACUTE
+  _/_/  @
+ |  _ \\ @
+ | |_) |@
+ |  _ < @
+ |_| \\_\\@
+        @@
+0x0155  LATIN SMALL LETTER R WITH ACUTE
+     __@
+  _ /_/@
+ | '__|@
+ | |   @
+ |_|   @
+       @@
+0x0156  LATIN CAPITAL LETTER R WITH CEDILLA
+  ____  @
+ |  _ \\ @
+ | |_) |@
+ |  _ < @
+ |_| \\_\\@
+ )_)    @@
+0x0157  LATIN SMALL LETTER R WITH CEDILLA
+       @
+  _ __ @
+ | '__|@
+ | |   @
+ |_|   @
+   )_) @@
+0x0158  LATIN CAPITAL LETTER R WITH CARON
+  _\\_/  @
+ |  _ \\ @
+ | |_) |@
+ |  _ < @
+ |_| \\_\\@
+        @@
+0x0159  LATIN SMALL LETTER R WITH CARON
+  \\\\// @
+  _\\/_ @
+ | '__|@
+ | |   @
+ |_|   @
+       @@
+0x015A  LATIN CAPITAL LETTER S WITH ACUTE
+  _/_/  @
+ / ___| @
+ \\___ \\ @
+  ___) |@
+ |____/ @
+        @@
+0x015B  LATIN SMALL LETTER S WITH ACUTE
+    __@
+  _/_/@
+ / __|@
+ \\__ \\@
+ |___/@
+      @@
+0x015C  LATIN CAPITAL LETTER S WITH CIRCUMFLEX
+  _/\\_  @
+ / ___| @
+ \\___ \\ @
+  ___) |@
+ |____/ @
+        @@
+0x015D  LATIN SMALL LETTER S WITH CIRCUMFLEX
+      @
+  /_\\_@
+ / __|@
+ \\__ \\@
+ |___/@
+      @@
+0x015E  LATIN CAPITAL LETTER S WITH CEDILLA
+  ____  @
+ / ___| @
+ \\___ \\ @
+  ___) |@
+ |____/ @
+    )__)@@
+0x015F  LATIN SMALL LETTER S WITH CEDILLA
+      @
+  ___ @
+ / __|@
+ \\__ \\@
+ |___/@
+   )_)@@
+0x0160  LATIN CAPITAL LETTER S WITH CARON
+  _\\_/  @
+ / ___| @
+ \\___ \\ @
+  ___) |@
+ |____/ @
+        @@
+0x0161  LATIN SMALL LETTER S WITH CARON
+  \\\\//@
+  _\\/ @
+ / __|@
+ \\__ \\@
+ |___/@
+      @@
+0x0162  LATIN CAPITAL LETTER T WITH CEDILLA
+  _____ @
+ |_   _|@
+   | |  @
+   | |  @
+   |_|  @
+    )__)@@
+0x0163  LATIN SMALL LETTER T WITH CEDILLA
+  _   @
+ | |_ @
+ | __|@
+ | |_ @
+  \\__|@
+   )_)@@
+0x0164  LATIN CAPITAL LETTER T WITH CARON
+  _____ @
+ |_   _|@
+   | |  @
+   | |  @
+   |_|  @
+        @@
+0x0165  LATIN SMALL LETTER T WITH CARON
+  \\/  @
+ | |_ @
+ | __|@
+ | |_ @
+  \\__|@
+      @@
+0x0166  LATIN CAPITAL LETTER T WITH STROKE
+  _____ @
+ |_   _|@
+   | |  @
+  -|-|- @
+   |_|  @
+        @@
+0x0167  LATIN SMALL LETTER T WITH STROKE
+  _   @
+ | |_ @
+ | __|@
+ |-|_ @
+  \\__|@
+      @@
+0x0168  LATIN CAPITAL LETTER U WITH TILDE
+        @
+  _/\\/_ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+0x0169  LATIN SMALL LETTER U WITH TILDE
+        @
+  _/\\/_ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+0x016A  LATIN CAPITAL LETTER U WITH MACRON
+   ____ @
+  /__ _/@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+0x016B  LATIN SMALL LETTER U WITH MACRON
+   ____ @
+  / _  /@
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+0x016C  LATIN CAPITAL LETTER U WITH BREVE
+        @
+   \\_/_ @
+ | | | |@
+ | |_| |@
+  \\____|@
+        @@
+0x016D  LATIN SMALL LETTER U WITH BREVE
+        @
+   \\_/_ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+0x016E  LATIN CAPITAL LETTER U WITH RING ABOVE
+    O   @
+  __  _ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+0x016F  LATIN SMALL LETTER U WITH RING ABOVE
+    O   @
+  __ __ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+0x0170  LATIN CAPITAL LETTER U WITH DOUBLE ACUTE
+   -- --@
+  /_//_/@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+0x0171  LATIN SMALL LETTER U WITH DOUBLE ACUTE
+    ____@
+  _/_/_/@
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @@
+0x0172  LATIN CAPITAL LETTER U WITH OGONEK
+  _   _ @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+    (__(@@
+0x0173  LATIN SMALL LETTER U WITH OGONEK
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+     (_(@@
+0x0174  LATIN CAPITAL LETTER W WITH CIRCUMFLEX
+ __    /\\  __@
+ \\ \\  //\\\\/ /@
+  \\ \\ /\\ / / @
+   \\ V  V /  @
+    \\_/\\_/   @
+             @@
+0x0175  LATIN SMALL LETTER W WITH CIRCUMFLEX
+      /\\   @
+ __  //\\\\__@
+ \\ \\ /\\ / /@
+  \\ V  V / @
+   \\_/\\_/  @
+           @@
+0x0176  LATIN CAPITAL LETTER Y WITH CIRCUMFLEX
+    /\\  @
+ __//\\\\ @
+ \\ \\ / /@
+  \\ V / @
+   |_|  @
+        @@
+0x0177  LATIN SMALL LETTER Y WITH CIRCUMFLEX
+    /\\  @
+   //\\\\ @
+ | | | |@
+ | |_| |@
+  \\__, |@
+  |___/ @@
+0x0178  LATIN CAPITAL LETTER Y WITH DIAERESIS
+  []  []@
+ __    _@
+ \\ \\ / /@
+  \\ V / @
+   |_|  @
+        @@
+0x0179  LATIN CAPITAL LETTER Z WITH ACUTE
+  __/_/@
+ |__  /@
+   / / @
+  / /_ @
+ /____|@
+       @@
+0x017A  LATIN SMALL LETTER Z WITH ACUTE
+    _ @
+  _/_/@
+ |_  /@
+  / / @
+ /___|@
+      @@
+0x017B  LATIN CAPITAL LETTER Z WITH DOT ABOVE
+  __[]_@
+ |__  /@
+   / / @
+  / /_ @
+ /____|@
+       @@
+0x017C  LATIN SMALL LETTER Z WITH DOT ABOVE
+   [] @
+  ____@
+ |_  /@
+  / / @
+ /___|@
+      @@
+0x017D  LATIN CAPITAL LETTER Z WITH CARON
+  _\\_/_@
+ |__  /@
+   / / @
+  / /_ @
+ /____|@
+       @@
+0x017E  LATIN SMALL LETTER Z WITH CARON
+  \\\\//@
+  _\\/_@
+ |_  /@
+  / / @
+ /___|@
+      @@
+0x017F  LATIN SMALL LETTER LONG S
+     __ @
+    / _|@
+ |-| |  @
+ |-| |  @
+   |_|  @
+        @@
+0x02C7  CARON
+ \\\\//@
+  \\/ @
+    $@
+    $@
+    $@
+    $@@
+0x02D8  BREVE
+ \\\\_//@
+  \\_/ @
+     $@
+     $@
+     $@
+     $@@
+0x02D9  DOT ABOVE
+ []@
+  $@
+  $@
+  $@
+  $@
+  $@@
+0x02DB  OGONEK
+    $@
+    $@
+    $@
+    $@
+    $@
+ )_) @@
+0x02DD  DOUBLE ACUTE ACCENT
+  _ _ @
+ /_/_/@
+     $@
+     $@
+     $@
+     $@@
+0xCA0  KANNADA LETTER TTHA
+   _____)@
+  /_ ___/@
+  / _ \\  @
+ | (_) | @
+ $\\___/$ @
+         @@
+         
+`
+    },
+    big: {
+        name: 'Big',
+        source: `flf2a$ 8 6 59 15 10 0 24463
+Big by Glenn Chappell 4/93 -- based on Standard
+Includes ISO Latin-1
+Greek characters by Bruce Jakeway <pbjakeway@neumann.uwaterloo.ca>
+figlet release 2.2 -- November 1996
+Permission is hereby given to modify this font, as long as the
+modifier's name is placed on a comment line.
+
+Modified by Paul Burton <solution@earthlink.net> 12/96 to include new parameter
+supported by FIGlet and FIGWin.  May also be slightly modified for better use
+of new full-width/kern/smush alternatives, but default output is NOT changed.
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@@
+  _ @
+ | |@
+ | |@
+ | |@
+ |_|@
+ (_)@
+    @
+    @@
+  _ _ @
+ ( | )@
+  V V @
+   $  @
+   $  @
+   $  @
+      @
+      @@
+    _  _   @
+  _| || |_ @
+ |_  __  _|@
+  _| || |_ @
+ |_  __  _|@
+   |_||_|  @
+           @
+           @@
+   _  @
+  | | @
+ / __)@
+ \\__ \\@
+ (   /@
+  |_| @
+      @
+      @@
+  _   __@
+ (_) / /@
+    / / @
+   / /  @
+  / / _ @
+ /_/ (_)@
+        @
+        @@
+         @
+   ___   @
+  ( _ )  @
+  / _ \\/\\@
+ | (_>  <@
+  \\___/\\/@
+         @
+         @@
+  _ @
+ ( )@
+ |/ @
+  $ @
+  $ @
+  $ @
+    @
+    @@
+   __@
+  / /@
+ | | @
+ | | @
+ | | @
+ | | @
+  \\_\\@
+     @@
+ __  @
+ \\ \\ @
+  | |@
+  | |@
+  | |@
+  | |@
+ /_/ @
+     @@
+     _    @
+  /\\| |/\\ @
+  \\ \` ' / @
+ |_     _|@
+  / , . \\ @
+  \\/|_|\\/ @
+          @
+          @@
+        @
+    _   @
+  _| |_ @
+ |_   _|@
+   |_|  @
+    $   @
+        @
+        @@
+    @
+    @
+    @
+    @
+  _ @
+ ( )@
+ |/ @
+    @@
+         @
+         @
+  ______ @
+ |______|@
+     $   @
+     $   @
+         @
+         @@
+    @
+    @
+    @
+    @
+  _ @
+ (_)@
+    @
+    @@
+      __@
+     / /@
+    / / @
+   / /  @
+  / /   @
+ /_/    @
+        @
+        @@
+   ___  @
+  / _ \\ @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+  __ @
+ /_ |@
+  | |@
+  | |@
+  | |@
+  |_|@
+     @
+     @@
+  ___  @
+ |__ \\ @
+   $) |@
+   / / @
+  / /_ @
+ |____|@
+       @
+       @@
+  ____  @
+ |___ \\ @
+   __) |@
+  |__ < @
+  ___) |@
+ |____/ @
+        @
+        @@
+  _  _   @
+ | || |  @
+ | || |_ @
+ |__   _|@
+    | |  @
+    |_|  @
+         @
+         @@
+  _____ @
+ | ____|@
+ | |__  @
+ |___ \\ @
+  ___) |@
+ |____/ @
+        @
+        @@
+    __  @
+   / /  @
+  / /_  @
+ | '_ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+  ______ @
+ |____  |@
+    $/ / @
+    / /  @
+   / /   @
+  /_/    @
+         @
+         @@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  > _ < @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\__, |@
+    / / @
+   /_/  @
+        @
+        @@
+    @
+  _ @
+ (_)@
+  $ @
+  _ @
+ (_)@
+    @
+    @@
+    @
+  _ @
+ (_)@
+  $ @
+  _ @
+ ( )@
+ |/ @
+    @@
+    __@
+   / /@
+  / / @
+ < <  @
+  \\ \\ @
+   \\_\\@
+      @
+      @@
+         @
+  ______ @
+ |______|@
+  ______ @
+ |______|@
+         @
+         @
+         @@
+ __   @
+ \\ \\  @
+  \\ \\ @
+   > >@
+  / / @
+ /_/  @
+      @
+      @@
+  ___  @
+ |__ \\ @
+    ) |@
+   / / @
+  |_|  @
+  (_)  @
+       @
+       @@
+          @
+    ____  @
+   / __ \\ @
+  / / _\` |@
+ | | (_| |@
+  \\ \\__,_|@
+   \\____/ @
+          @@
+           @
+     /\\    @
+    /  \\   @
+   / /\\ \\  @
+  / ____ \\ @
+ /_/    \\_\\@
+           @
+           @@
+  ____  @
+ |  _ \\ @
+ | |_) |@
+ |  _ < @
+ | |_) |@
+ |____/ @
+        @
+        @@
+   _____ @
+  / ____|@
+ | | $   @
+ | | $   @
+ | |____ @
+  \\_____|@
+         @
+         @@
+  _____  @
+ |  __ \\ @
+ | |  | |@
+ | |  | |@
+ | |__| |@
+ |_____/ @
+         @
+         @@
+  ______ @
+ |  ____|@
+ | |__   @
+ |  __|  @
+ | |____ @
+ |______|@
+         @
+         @@
+  ______ @
+ |  ____|@
+ | |__   @
+ |  __|  @
+ | |     @
+ |_|     @
+         @
+         @@
+   _____ @
+  / ____|@
+ | |  __ @
+ | | |_ |@
+ | |__| |@
+  \\_____|@
+         @
+         @@
+  _    _ @
+ | |  | |@
+ | |__| |@
+ |  __  |@
+ | |  | |@
+ |_|  |_|@
+         @
+         @@
+  _____ @
+ |_   _|@
+   | |  @
+   | |  @
+  _| |_ @
+ |_____|@
+        @
+        @@
+       _ @
+      | |@
+      | |@
+  _   | |@
+ | |__| |@
+  \\____/ @
+         @
+         @@
+  _  __@
+ | |/ /@
+ | ' / @
+ |  <  @
+ | . \\ @
+ |_|\\_\\@
+       @
+       @@
+  _      @
+ | |     @
+ | |     @
+ | |     @
+ | |____ @
+ |______|@
+         @
+         @@
+  __  __ @
+ |  \\/  |@
+ | \\  / |@
+ | |\\/| |@
+ | |  | |@
+ |_|  |_|@
+         @
+         @@
+  _   _ @
+ | \\ | |@
+ |  \\| |@
+ | . \` |@
+ | |\\  |@
+ |_| \\_|@
+        @
+        @@
+   ____  @
+  / __ \\ @
+ | |  | |@
+ | |  | |@
+ | |__| |@
+  \\____/ @
+         @
+         @@
+  _____  @
+ |  __ \\ @
+ | |__) |@
+ |  ___/ @
+ | |     @
+ |_|     @
+         @
+         @@
+   ____  @
+  / __ \\ @
+ | |  | |@
+ | |  | |@
+ | |__| |@
+  \\___\\_\\@
+         @
+         @@
+  _____  @
+ |  __ \\ @
+ | |__) |@
+ |  _  / @
+ | | \\ \\ @
+ |_|  \\_\\@
+         @
+         @@
+   _____ @
+  / ____|@
+ | (___  @
+  \\___ \\ @
+  ____) |@
+ |_____/ @
+         @
+         @@
+  _______ @
+ |__   __|@
+    | |   @
+    | |   @
+    | |   @
+    |_|   @
+          @
+          @@
+  _    _ @
+ | |  | |@
+ | |  | |@
+ | |  | |@
+ | |__| |@
+  \\____/ @
+         @
+         @@
+ __      __@
+ \\ \\    / /@
+  \\ \\  / / @
+   \\ \\/ /  @
+    \\  /   @
+     \\/    @
+           @
+           @@
+ __          __@
+ \\ \\        / /@
+  \\ \\  /\\  / / @
+   \\ \\/  \\/ /  @
+    \\  /\\  /   @
+     \\/  \\/    @
+               @
+               @@
+ __   __@
+ \\ \\ / /@
+  \\ V / @
+   > <  @
+  / . \\ @
+ /_/ \\_\\@
+        @
+        @@
+ __     __@
+ \\ \\   / /@
+  \\ \\_/ / @
+   \\   /  @
+    | |   @
+    |_|   @
+          @
+          @@
+  ______@
+ |___  /@
+   $/ / @
+   / /  @
+  / /__ @
+ /_____|@
+        @
+        @@
+  ___ @
+ |  _|@
+ | |  @
+ | |  @
+ | |  @
+ | |_ @
+ |___|@
+      @@
+ __     @
+ \\ \\    @
+  \\ \\   @
+   \\ \\  @
+    \\ \\ @
+     \\_\\@
+        @
+        @@
+  ___ @
+ |_  |@
+   | |@
+   | |@
+   | |@
+  _| |@
+ |___|@
+      @@
+  /\\ @
+ |/\\|@
+   $ @
+   $ @
+   $ @
+   $ @
+     @
+     @@
+         @
+         @
+         @
+         @
+         @
+     $   @
+  ______ @
+ |______|@@
+  _ @
+ ( )@
+  \\|@
+  $ @
+  $ @
+  $ @
+    @
+    @@
+        @
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+  _     @
+ | |    @
+ | |__  @
+ | '_ \\ @
+ | |_) |@
+ |_.__/ @
+        @
+        @@
+       @
+       @
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+       @
+       @@
+      _ @
+     | |@
+   __| |@
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+       @
+       @
+   ___ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @
+       @@
+   __ @
+  / _|@
+ | |_ @
+ |  _|@
+ | |  @
+ |_|  @
+      @
+      @@
+        @
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+   __/ |@
+  |___/ @@
+  _     @
+ | |    @
+ | |__  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @
+        @@
+  _ @
+ (_)@
+  _ @
+ | |@
+ | |@
+ |_|@
+    @
+    @@
+    _ @
+   (_)@
+    _ @
+   | |@
+   | |@
+   | |@
+  _/ |@
+ |__/ @@
+  _    @
+ | |   @
+ | | __@
+ | |/ /@
+ |   < @
+ |_|\\_\\@
+       @
+       @@
+  _ @
+ | |@
+ | |@
+ | |@
+ | |@
+ |_|@
+    @
+    @@
+            @
+            @
+  _ __ ___  @
+ | '_ \` _ \\ @
+ | | | | | |@
+ |_| |_| |_|@
+            @
+            @@
+        @
+        @
+  _ __  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @
+        @@
+        @
+        @
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+        @
+        @
+  _ __  @
+ | '_ \\ @
+ | |_) |@
+ | .__/ @
+ | |    @
+ |_|    @@
+        @
+        @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__, |@
+     | |@
+     |_|@@
+       @
+       @
+  _ __ @
+ | '__|@
+ | |   @
+ |_|   @
+       @
+       @@
+      @
+      @
+  ___ @
+ / __|@
+ \\__ \\@
+ |___/@
+      @
+      @@
+  _   @
+ | |  @
+ | |_ @
+ | __|@
+ | |_ @
+  \\__|@
+      @
+      @@
+        @
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @
+        @@
+        @
+        @
+ __   __@
+ \\ \\ / /@
+  \\ V / @
+   \\_/  @
+        @
+        @@
+           @
+           @
+ __      __@
+ \\ \\ /\\ / /@
+  \\ V  V / @
+   \\_/\\_/  @
+           @
+           @@
+       @
+       @
+ __  __@
+ \\ \\/ /@
+  >  < @
+ /_/\\_\\@
+       @
+       @@
+        @
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__, |@
+   __/ |@
+  |___/ @@
+      @
+      @
+  ____@
+ |_  /@
+  / / @
+ /___|@
+      @
+      @@
+    __@
+   / /@
+  | | @
+ / /  @
+ \\ \\  @
+  | | @
+   \\_\\@
+      @@
+  _ @
+ | |@
+ | |@
+ | |@
+ | |@
+ | |@
+ | |@
+ |_|@@
+ __   @
+ \\ \\  @
+  | | @
+   \\ \\@
+   / /@
+  | | @
+ /_/  @
+      @@
+  /\\/|@
+ |/\\/ @
+   $  @
+   $  @
+   $  @
+   $  @
+      @
+      @@
+   _   _  @
+  (_)_(_) @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+  _   _ @
+ (_) (_)@
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+  _   _ @
+ (_) (_)@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+  _   _ @
+ (_) (_)@
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @
+        @@
+   ___  @
+  / _ \\ @
+ | | ) |@
+ | |< < @
+ | | ) |@
+ | ||_/ @
+ |_|    @
+        @@
+160  NO-BREAK SPACE
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@@
+161  INVERTED EXCLAMATION MARK
+  _ @
+ (_)@
+ | |@
+ | |@
+ | |@
+ |_|@
+    @
+    @@
+162  CENT SIGN
+       @
+    _  @
+   | | @
+  / __)@
+ | (__ @
+  \\   )@
+   |_| @
+       @@
+163  POUND SIGN
+     ___   @
+    / ,_\\  @
+  _| |_    @
+ |__ __|   @
+   | |____ @
+  (_,_____|@
+           @
+           @@
+164  CURRENCY SIGN
+        @
+ /\\___/\\@
+ \\  _  /@
+ | (_) |@
+ / ___ \\@
+ \\/   \\/@
+        @
+        @@
+165  YEN SIGN
+  __   __ @
+  \\ \\ / / @
+  _\\ V /_ @
+ |___ ___|@
+ |___ ___|@
+    |_|   @
+          @
+          @@
+166  BROKEN BAR
+  _ @
+ | |@
+ | |@
+ |_|@
+  _ @
+ | |@
+ | |@
+ |_|@@
+167  SECTION SIGN
+    __ @
+  _/ _)@
+ / \\ \\ @
+ \\ \\\\ \\@
+  \\ \\_/@
+ (__/  @
+       @
+       @@
+168  DIAERESIS
+  _   _ @
+ (_) (_)@
+  $   $ @
+  $   $ @
+  $   $ @
+  $   $ @
+        @
+        @@
+169  COPYRIGHT SIGN
+    ________   @
+   /  ____  \\  @
+  /  / ___|  \\ @
+ |  | |       |@
+ |  | |___    |@
+  \\  \\____|  / @
+   \\________/  @
+               @@
+170  FEMININE ORDINAL INDICATOR
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+ |_____|@
+    $   @
+        @
+        @@
+171  LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+    ____@
+   / / /@
+  / / / @
+ < < <  @
+  \\ \\ \\ @
+   \\_\\_\\@
+        @
+        @@
+172  NOT SIGN
+         @
+         @
+  ______ @
+ |____  |@
+      |_|@
+     $   @
+         @
+         @@
+173  SOFT HYPHEN
+        @
+        @
+  _____ @
+ |_____|@
+    $   @
+    $   @
+        @
+        @@
+174  REGISTERED SIGN
+    ________   @
+   /  ____  \\  @
+  /  |  _ \\  \\ @
+ |   | |_) |  |@
+ |   |  _ <   |@
+  \\  |_| \\_\\ / @
+   \\________/  @
+               @@
+175  MACRON
+  ______ @
+ |______|@
+     $   @
+     $   @
+     $   @
+     $   @
+         @
+         @@
+176  DEGREE SIGN
+   __  @
+  /  \\ @
+ | () |@
+  \\__/ @
+    $  @
+    $  @
+       @
+       @@
+177  PLUS-MINUS SIGN
+    _   @
+  _| |_ @
+ |_   _|@
+   |_|  @
+  _____ @
+ |_____|@
+        @
+        @@
+178  SUPERSCRIPT TWO
+  ___ @
+ |_  )@
+  / / @
+ /___|@
+   $  @
+   $  @
+      @
+      @@
+179  SUPERSCRIPT THREE
+  ____@
+ |__ /@
+  |_ \\@
+ |___/@
+   $  @
+   $  @
+      @
+      @@
+180  ACUTE ACCENT
+  __@
+ /_/@
+  $ @
+  $ @
+  $ @
+  $ @
+    @
+    @@
+181  MICRO SIGN
+        @
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+ | ._,_|@
+ | |    @
+ |_|    @@
+182  PILCROW SIGN
+   ______ @
+  /      |@
+ | (| || |@
+  \\__ || |@
+    | || |@
+    |_||_|@
+          @
+          @@
+183  MIDDLE DOT
+    @
+    @
+  _ @
+ (_)@
+  $ @
+  $ @
+    @
+    @@
+184  CEDILLA
+    @
+    @
+    @
+    @
+    @
+  _ @
+ )_)@
+    @@
+185  SUPERSCRIPT ONE
+  _ @
+ / |@
+ | |@
+ |_|@
+  $ @
+  $ @
+    @
+    @@
+186  MASCULINE ORDINAL INDICATOR
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+ |_____|@
+    $   @
+        @
+        @@
+187  RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+ ____   @
+ \\ \\ \\  @
+  \\ \\ \\ @
+   > > >@
+  / / / @
+ /_/_/  @
+        @
+        @@
+188  VULGAR FRACTION ONE QUARTER
+  _   __   @
+ / | / /   @
+ | |/ / _  @
+ |_/ / | | @
+  / /|_  _|@
+ /_/   |_| @
+           @
+           @@
+189  VULGAR FRACTION ONE HALF
+  _   __  @
+ / | / /  @
+ | |/ /__ @
+ |_/ /_  )@
+  / / / / @
+ /_/ /___|@
+          @
+          @@
+190  VULGAR FRACTION THREE QUARTERS
+  ____  __   @
+ |__ / / /   @
+  |_ \\/ / _  @
+ |___/ / | | @
+    / /|_  _|@
+   /_/   |_| @
+             @
+             @@
+191  INVERTED QUESTION MARK
+    _  @
+   (_) @
+   | | @
+  / /  @
+ | (__ @
+  \\___|@
+       @
+       @@
+192  LATIN CAPITAL LETTER A WITH GRAVE
+    __    @
+    \\_\\   @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+193  LATIN CAPITAL LETTER A WITH ACUTE
+     __   @
+    /_/   @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+194  LATIN CAPITAL LETTER A WITH CIRCUMFLEX
+    //\\   @
+   |/_\\|  @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+195  LATIN CAPITAL LETTER A WITH TILDE
+    /\\/|  @
+   |/\\/   @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+   _   _  @
+  (_)_(_) @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+197  LATIN CAPITAL LETTER A WITH RING ABOVE
+     _    @
+    (o)   @
+    / \\   @
+   / _ \\  @
+  / ___ \\ @
+ /_/   \\_\\@
+          @
+          @@
+198  LATIN CAPITAL LETTER AE
+      _______ @
+     /   ____|@
+    /   |__   @
+   / /|  __|  @
+  / ___ |____ @
+ /_/  |______|@
+              @
+              @@
+199  LATIN CAPITAL LETTER C WITH CEDILLA
+   _____ @
+  / ____|@
+ | | $   @
+ | | $   @
+ | |____ @
+  \\_____|@
+    )_)  @
+         @@
+200  LATIN CAPITAL LETTER E WITH GRAVE
+   __   @
+  _\\_\\_ @
+ | ____|@
+ |  _|  @
+ | |___ @
+ |_____|@
+        @
+        @@
+201  LATIN CAPITAL LETTER E WITH ACUTE
+    __  @
+  _/_/_ @
+ | ____|@
+ |  _|  @
+ | |___ @
+ |_____|@
+        @
+        @@
+202  LATIN CAPITAL LETTER E WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+ | ____|@
+ |  _|  @
+ | |___ @
+ |_____|@
+        @
+        @@
+203  LATIN CAPITAL LETTER E WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+ | ____|@
+ |  _|  @
+ | |___ @
+ |_____|@
+        @
+        @@
+204  LATIN CAPITAL LETTER I WITH GRAVE
+  __  @
+  \\_\\ @
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @
+      @@
+205  LATIN CAPITAL LETTER I WITH ACUTE
+   __ @
+  /_/ @
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @
+      @@
+206  LATIN CAPITAL LETTER I WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+ |_ _|@
+  | | @
+  | | @
+ |___|@
+      @
+      @@
+207  LATIN CAPITAL LETTER I WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  |_ _| @
+   | |  @
+   | |  @
+  |___| @
+        @
+        @@
+208  LATIN CAPITAL LETTER ETH
+    _____  @
+   |  __ \\ @
+  _| |_ | |@
+ |__ __|| |@
+   | |__| |@
+   |_____/ @
+           @
+           @@
+209  LATIN CAPITAL LETTER N WITH TILDE
+   /\\/| @
+  |/\\/_ @
+ | \\ | |@
+ |  \\| |@
+ | |\\  |@
+ |_| \\_|@
+        @
+        @@
+210  LATIN CAPITAL LETTER O WITH GRAVE
+   __   @
+   \\_\\  @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+211  LATIN CAPITAL LETTER O WITH ACUTE
+    __  @
+   /_/  @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+212  LATIN CAPITAL LETTER O WITH CIRCUMFLEX
+   //\\  @
+  |/_\\| @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+213  LATIN CAPITAL LETTER O WITH TILDE
+   /\\/| @
+  |/\\/  @
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+215  MULTIPLICATION SIGN
+     @
+     @
+ /\\/\\@
+ >  <@
+ \\/\\/@
+   $ @
+     @
+     @@
+216  LATIN CAPITAL LETTER O WITH STROKE
+   _____ @
+  / __// @
+ | | // |@
+ | |//| |@
+ | //_| |@
+  //___/ @
+         @
+         @@
+217  LATIN CAPITAL LETTER U WITH GRAVE
+   __   @
+  _\\_\\_ @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+218  LATIN CAPITAL LETTER U WITH ACUTE
+    __  @
+  _/_/_ @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+219  LATIN CAPITAL LETTER U WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+221  LATIN CAPITAL LETTER Y WITH ACUTE
+    __  @
+ __/_/__@
+ \\ \\ / /@
+  \\ V / @
+   | |  @
+   |_|  @
+        @
+        @@
+222  LATIN CAPITAL LETTER THORN
+  _      @
+ | |___  @
+ |  __ \\ @
+ | |__) |@
+ |  ___/ @
+ |_|     @
+         @
+         @@
+223  LATIN SMALL LETTER SHARP S
+   ___  @
+  / _ \\ @
+ | | ) |@
+ | |< < @
+ | | ) |@
+ | ||_/ @
+ |_|    @
+        @@
+224  LATIN SMALL LETTER A WITH GRAVE
+   __   @
+   \\_\\  @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+225  LATIN SMALL LETTER A WITH ACUTE
+    __  @
+   /_/  @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+226  LATIN SMALL LETTER A WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+227  LATIN SMALL LETTER A WITH TILDE
+   /\\/| @
+  |/\\/  @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+229  LATIN SMALL LETTER A WITH RING ABOVE
+    __  @
+   (()) @
+   __ _ @
+  / _\` |@
+ | (_| |@
+  \\__,_|@
+        @
+        @@
+230  LATIN SMALL LETTER AE
+           @
+           @
+   __ ____ @
+  / _\`  _ \\@
+ | (_|  __/@
+  \\__,____|@
+           @
+           @@
+231  LATIN SMALL LETTER C WITH CEDILLA
+       @
+       @
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+   )_) @
+       @@
+232  LATIN SMALL LETTER E WITH GRAVE
+   __  @
+   \\_\\ @
+   ___ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @
+       @@
+233  LATIN SMALL LETTER E WITH ACUTE
+    __ @
+   /_/ @
+   ___ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @
+       @@
+234  LATIN SMALL LETTER E WITH CIRCUMFLEX
+   //\\ @
+  |/ \\|@
+   ___ @
+  / _ \\@
+ |  __/@
+  \\___|@
+       @
+       @@
+235  LATIN SMALL LETTER E WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+   ___  @
+  / _ \\ @
+ |  __/ @
+  \\___| @
+        @
+        @@
+236  LATIN SMALL LETTER I WITH GRAVE
+ __ @
+ \\_\\@
+  _ @
+ | |@
+ | |@
+ |_|@
+    @
+    @@
+237  LATIN SMALL LETTER I WITH ACUTE
+  __@
+ /_/@
+  _ @
+ | |@
+ | |@
+ |_|@
+    @
+    @@
+238  LATIN SMALL LETTER I WITH CIRCUMFLEX
+  //\\ @
+ |/ \\|@
+   _  @
+  | | @
+  | | @
+  |_| @
+      @
+      @@
+239  LATIN SMALL LETTER I WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+    _   @
+   | |  @
+   | |  @
+   |_|  @
+        @
+        @@
+240  LATIN SMALL LETTER ETH
+  /\\/\\  @
+  >  <  @
+  \\/\\ \\ @
+  / _\` |@
+ | (_) |@
+  \\___/ @
+        @
+        @@
+241  LATIN SMALL LETTER N WITH TILDE
+   /\\/| @
+  |/\\/  @
+  _ __  @
+ | '_ \\ @
+ | | | |@
+ |_| |_|@
+        @
+        @@
+242  LATIN SMALL LETTER O WITH GRAVE
+   __   @
+   \\_\\  @
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+243  LATIN SMALL LETTER O WITH ACUTE
+    __  @
+   /_/  @
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+244  LATIN SMALL LETTER O WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+245  LATIN SMALL LETTER O WITH TILDE
+   /\\/| @
+  |/\\/  @
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @
+        @@
+247  DIVISION SIGN
+     _    @
+    (_)   @
+  _______ @
+ |_______|@
+     _    @
+    (_)   @
+          @
+          @@
+248  LATIN SMALL LETTER O WITH STROKE
+         @
+         @
+   ____  @
+  / _//\\ @
+ | (//) |@
+  \\//__/ @
+         @
+         @@
+249  LATIN SMALL LETTER U WITH GRAVE
+   __   @
+   \\_\\  @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @
+        @@
+250  LATIN SMALL LETTER U WITH ACUTE
+    __  @
+   /_/  @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @
+        @@
+251  LATIN SMALL LETTER U WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @
+        @@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__,_|@
+        @
+        @@
+253  LATIN SMALL LETTER Y WITH ACUTE
+    __  @
+   /_/  @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__, |@
+   __/ |@
+  |___/ @@
+254  LATIN SMALL LETTER THORN
+  _     @
+ | |    @
+ | |__  @
+ | '_ \\ @
+ | |_) |@
+ | .__/ @
+ | |    @
+ |_|    @@
+255  LATIN SMALL LETTER Y WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\__, |@
+   __/ |@
+  |___/ @@
+0x02BC  MODIFIER LETTER APOSTROPHE
+   @
+   @
+ ))@
+   @
+   @
+   @
+   @
+   @@
+0x02BD  MODIFIER LETTER REVERSED COMMA
+   @
+   @
+ ((@
+   @
+   @
+   @
+   @
+   @@
+0x037A  GREEK YPOGEGRAMMENI
+   @
+   @
+   @
+   @
+   @
+   @
+   @
+ ||@@
+0x0387  GREEK ANO TELEIA
+    @
+  $ @
+  _ @
+ (_)@
+    @
+  $ @
+    @
+    @@
+0x0391  GREEK CAPITAL LETTER ALPHA
+   ___  @
+  / _ \\ @
+ | |_| |@
+ |  _  |@
+ | | | |@
+ |_| |_|@
+        @
+        @@
+0x0392  GREEK CAPITAL LETTER BETA
+  ____  @
+ |  _ \\ @
+ | |_) )@
+ |  _ ( @
+ | |_) )@
+ |____/ @
+        @
+        @@
+0x0393  GREEK CAPITAL LETTER GAMMA
+  _____ @
+ |  ___)@
+ | |$   @
+ | |$   @
+ | |    @
+ |_|    @
+        @
+        @@
+0x0394  GREEK CAPITAL LETTER DELTA
+           @
+     /\\    @
+    /  \\   @
+   / /\\ \\  @
+  / /__\\ \\ @
+ /________\\@
+           @
+           @@
+0x0395  GREEK CAPITAL LETTER EPSILON
+  _____ @
+ |  ___)@
+ | |_   @
+ |  _)  @
+ | |___ @
+ |_____)@
+        @
+        @@
+0x0396  GREEK CAPITAL LETTER ZETA
+  ______@
+ (___  /@
+    / / @
+   / /  @
+  / /__ @
+ /_____)@
+        @
+        @@
+0x0397  GREEK CAPITAL LETTER ETA
+  _   _ @
+ | | | |@
+ | |_| |@
+ |  _  |@
+ | | | |@
+ |_| |_|@
+        @
+        @@
+0x0398  GREEK CAPITAL LETTER THETA
+   ____  @
+  / __ \\ @
+ | |__| |@
+ |  __  |@
+ | |__| |@
+  \\____/ @
+         @
+         @@
+0x0399  GREEK CAPITAL LETTER IOTA
+  ___ @
+ (   )@
+  | | @
+  | | @
+  | | @
+ (___)@
+      @
+      @@
+0x039A  GREEK CAPITAL LETTER KAPPA
+  _   __@
+ | | / /@
+ | |/ / @
+ |   <  @
+ | |\\ \\ @
+ |_| \\_\\@
+        @
+        @@
+0x039B  GREEK CAPITAL LETTER LAMDA
+           @
+     /\\    @
+    /  \\   @
+   / /\\ \\  @
+  / /  \\ \\ @
+ /_/    \\_\\@
+           @
+           @@
+0x039C  GREEK CAPITAL LETTER MU
+  __   __ @
+ |  \\ /  |@
+ |   v   |@
+ | |\\_/| |@
+ | |   | |@
+ |_|   |_|@
+          @
+          @@
+0x039D  GREEK CAPITAL LETTER NU
+  _   _ @
+ | \\ | |@
+ |  \\| |@
+ |     |@
+ | |\\  |@
+ |_| \\_|@
+        @
+        @@
+0x039E  GREEK CAPITAL LETTER XI
+  _____ @
+ (_____)@
+   ___  @
+  (___) @
+  _____ @
+ (_____)@
+        @
+        @@
+0x039F  GREEK CAPITAL LETTER OMICRON
+   ___  @
+  / _ \\ @
+ | | | |@
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+0x03A0  GREEK CAPITAL LETTER PI
+  _______ @
+ (   _   )@
+  | | | | @
+  | | | | @
+  | | | | @
+  |_| |_| @
+          @
+          @@
+0x03A1  GREEK CAPITAL LETTER RHO
+  ____  @
+ |  _ \\ @
+ | |_) )@
+ |  __/ @
+ | |    @
+ |_|    @
+        @
+        @@
+0x03A3  GREEK CAPITAL LETTER SIGMA
+ ______ @
+ \\  ___)@
+  \\ \\   @
+   > >  @
+  / /__ @
+ /_____)@
+        @
+        @@
+0x03A4  GREEK CAPITAL LETTER TAU
+  _____ @
+ (_   _)@
+   | |  @
+   | |  @
+   | |  @
+   |_|  @
+        @
+        @@
+0x03A5  GREEK CAPITAL LETTER UPSILON
+  __   __ @
+ (_ \\ / _)@
+   \\ v /  @
+    | |   @
+    | |   @
+    |_|   @
+          @
+          @@
+0x03A6  GREEK CAPITAL LETTER PHI
+     _    @
+   _| |_  @
+  /     \\ @
+ ( (| |) )@
+  \\_   _/ @
+    |_|   @
+          @
+          @@
+0x03A7  GREEK CAPITAL LETTER CHI
+ __   __@
+ \\ \\ / /@
+  \\ v / @
+   > <  @
+  / ^ \\ @
+ /_/ \\_\\@
+        @
+        @@
+0x03A8  GREEK CAPITAL LETTER PSI
+  _  _  _ @
+ | || || |@
+ | \\| |/ |@
+  \\_   _/ @
+    | |   @
+    |_|   @
+          @
+          @@
+0x03A9  GREEK CAPITAL LETTER OMEGA
+    ____   @
+   / __ \\  @
+  | |  | | @
+  | |  | | @
+  _\\ \\/ /_ @
+ (___||___)@
+           @
+           @@
+0x03B1  GREEK SMALL LETTER ALPHA
+         @
+         @
+   __  __@
+  /  \\/ /@
+ ( ()  < @
+  \\__/\\_\\@
+         @
+         @@
+0x03B2  GREEK SMALL LETTER BETA
+   ___  @
+  / _ \\ @
+ | |_) )@
+ |  _ < @
+ | |_) )@
+ |  __/ @
+ | |    @
+ |_|    @@
+0x03B3  GREEK SMALL LETTER GAMMA
+        @
+        @
+  _   _ @
+ ( \\ / )@
+  \\ v / @
+   | |  @
+   | |  @
+   |_|  @@
+0x03B4  GREEK SMALL LETTER DELTA
+    __  @
+   / _) @
+   \\ \\  @
+  / _ \\ @
+ ( (_) )@
+  \\___/ @
+        @
+        @@
+0x03B5  GREEK SMALL LETTER EPSILON
+      @
+      @
+  ___ @
+ / __)@
+ > _) @
+ \\___)@
+      @
+      @@
+0x03B6  GREEK SMALL LETTER ZETA
+ _____  @
+ \\__  ) @
+   / /  @
+  / /   @
+ | |__  @
+  \\__ \\ @
+     ) )@
+    (_/ @@
+0x03B7  GREEK SMALL LETTER ETA
+        @
+        @
+  _ __  @
+ | '_ \\ @
+ | | | |@
+ |_| | |@
+     | |@
+     |_|@@
+0x03B8  GREEK SMALL LETTER THETA
+   ___  @
+  / _ \\ @
+ | |_| |@
+ |  _  |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+0x03B9  GREEK SMALL LETTER IOTA
+     @
+     @
+  _  @
+ | | @
+ | | @
+  \\_)@
+     @
+     @@
+0x03BA  GREEK SMALL LETTER KAPPA
+       @
+       @
+  _  __@
+ | |/ /@
+ |   < @
+ |_|\\_\\@
+       @
+       @@
+0x03BB  GREEK SMALL LETTER LAMDA
+ __     @
+ \\ \\    @
+  \\ \\   @
+   > \\  @
+  / ^ \\ @
+ /_/ \\_\\@
+        @
+        @@
+0x03BC  GREEK SMALL LETTER MU
+        @
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+ | ._,_|@
+ | |    @
+ |_|    @@
+0x03BD  GREEK SMALL LETTER NU
+       @
+       @
+  _  __@
+ | |/ /@
+ | / / @
+ |__/  @
+       @
+       @@
+0x03BE  GREEK SMALL LETTER XI
+ \\=\\__  @
+  > __) @
+ ( (_   @
+  > _)  @
+ ( (__  @
+  \\__ \\ @
+     ) )@
+    (_/ @@
+0x03BF  GREEK SMALL LETTER OMICRON
+        @
+        @
+   ___  @
+  / _ \\ @
+ ( (_) )@
+  \\___/ @
+        @
+        @@
+0x03C0  GREEK SMALL LETTER PI
+         @
+         @
+  ______ @
+ (  __  )@
+  | || | @
+  |_||_| @
+         @
+         @@
+0x03C1  GREEK SMALL LETTER RHO
+        @
+        @
+   ___  @
+  / _ \\ @
+ | |_) )@
+ |  __/ @
+ | |    @
+ |_|    @@
+0x03C2  GREEK SMALL LETTER FINAL SIGMA
+        @
+        @
+   ____ @
+  / ___)@
+ ( (__  @
+  \\__ \\ @
+    _) )@
+   (__/ @@
+0x03C3  GREEK SMALL LETTER SIGMA
+        @
+        @
+   ____ @
+  /  ._)@
+ ( () ) @
+  \\__/  @
+        @
+        @@
+0x03C4  GREEK SMALL LETTER TAU
+      @
+      @
+  ___ @
+ (   )@
+  | | @
+   \\_)@
+      @
+      @@
+0x03C5  GREEK SMALL LETTER UPSILON
+        @
+        @
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @
+        @@
+0x03C6  GREEK SMALL LETTER PHI
+     _    @
+    | |   @
+   _| |_  @
+  /     \\ @
+ ( (| |) )@
+  \\_   _/ @
+    | |   @
+    |_|   @@
+0x03C7  GREEK SMALL LETTER CHI
+        @
+        @
+ __   __@
+ \\ \\ / /@
+  \\ v / @
+   > <  @
+  / ^ \\ @
+ /_/ \\_\\@@
+0x03C8  GREEK SMALL LETTER PSI
+          @
+          @
+  _  _  _ @
+ | || || |@
+ | \\| |/ |@
+  \\_   _/ @
+    | |   @
+    |_|   @@
+0x03C9  GREEK SMALL LETTER OMEGA
+            @
+            @
+   __   __  @
+  / / _ \\ \\ @
+ | |_/ \\_| |@
+  \\___^___/ @
+            @
+            @@
+0x03D1  GREEK THETA SYMBOL
+     ___    @
+    / _ \\   @
+   ( (_| |_ @
+  _ \\ _   _)@
+ | |___| |  @
+  \\_____/   @
+            @
+            @@
+0x03D5  GREEK PHI SYMBOL
+          @
+          @
+  _   __  @
+ | | /  \\ @
+ | || || )@
+  \\_   _/ @
+    | |   @
+    |_|   @@
+0x03D6  GREEK PI SYMBOL
+            @
+            @
+  _________ @
+ (  _____  )@
+ | |_/ \\_| |@
+  \\___^___/ @
+            @
+            @@
+-0x0005  
+alpha = a, beta = b, gamma = g, delta = d, epsilon = e   @
+zeta = z, eta = h, theta = q, iota = i, lamda = l, mu = m@
+nu = n, xi = x, omicron = o, pi = p, rho = r, sigma = s  @
+phi = f, chi = c, psi = y, omega = w, final sigma = V    @
+     pi symbol = v, theta symbol = J, phi symbol = j     @
+     middle dot = :, ypogegrammeni = _                   @
+     rough breathing = (, smooth breathing = )           @
+     acute accent = ', grave accent = \`, dialytika = ^   @@
+`
+    },
+    small: {
+        name: 'Small',
+        source: `flf2a$ 5 4 13 15 10 0 22415
+Small by Glenn Chappell 4/93 -- based on Standard
+Includes ISO Latin-1
+figlet release 2.1 -- 12 Aug 1994
+Permission is hereby given to modify this font, as long as the
+modifier's name is placed on a comment line.
+
+Modified by Paul Burton <solution@earthlink.net> 12/96 to include new parameter
+supported by FIGlet and FIGWin.  May also be slightly modified for better use
+of new full-width/kern/smush alternatives, but default output is NOT changed.
+
+ $@
+ $@
+ $@
+ $@
+ $@@
+  _ @
+ | |@
+ |_|@
+ (_)@
+    @@
+  _ _ @
+ ( | )@
+  V V @
+   $  @
+      @@
+    _ _   @
+  _| | |_ @
+ |_  .  _|@
+ |_     _|@
+   |_|_|  @@
+     @
+  ||_@
+ (_-<@
+ / _/@
+  || @@
+  _  __ @
+ (_)/ / @
+   / /_ @
+  /_/(_)@
+        @@
+  __     @
+ / _|___ @
+ > _|_ _|@
+ \\_____| @
+         @@
+  _ @
+ ( )@
+ |/ @
+  $ @
+    @@
+   __@
+  / /@
+ | | @
+ | | @
+  \\_\\@@
+ __  @
+ \\ \\ @
+  | |@
+  | |@
+ /_/ @@
+     @
+ _/\\_@
+ >  <@
+  \\/ @
+     @@
+    _   @
+  _| |_ @
+ |_   _|@
+   |_|  @
+        @@
+    @
+    @
+  _ @
+ ( )@
+ |/ @@
+      @
+  ___ @
+ |___|@
+   $  @
+      @@
+    @
+    @
+  _ @
+ (_)@
+    @@
+    __@
+   / /@
+  / / @
+ /_/  @
+      @@
+   __  @
+  /  \\ @
+ | () |@
+  \\__/ @
+       @@
+  _ @
+ / |@
+ | |@
+ |_|@
+    @@
+  ___ @
+ |_  )@
+  / / @
+ /___|@
+      @@
+  ____@
+ |__ /@
+  |_ \\@
+ |___/@
+      @@
+  _ _  @
+ | | | @
+ |_  _|@
+   |_| @
+       @@
+  ___ @
+ | __|@
+ |__ \\@
+ |___/@
+      @@
+   __ @
+  / / @
+ / _ \\@
+ \\___/@
+      @@
+  ____ @
+ |__  |@
+   / / @
+  /_/  @
+       @@
+  ___ @
+ ( _ )@
+ / _ \\@
+ \\___/@
+      @@
+  ___ @
+ / _ \\@
+ \\_, /@
+  /_/ @
+      @@
+  _ @
+ (_)@
+  _ @
+ (_)@
+    @@
+  _ @
+ (_)@
+  _ @
+ ( )@
+ |/ @@
+   __@
+  / /@
+ < < @
+  \\_\\@
+     @@
+      @
+  ___ @
+ |___|@
+ |___|@
+      @@
+ __  @
+ \\ \\ @
+  > >@
+ /_/ @
+     @@
+  ___ @
+ |__ \\@
+   /_/@
+  (_) @
+      @@
+   ____  @
+  / __ \\ @
+ / / _\` |@
+ \\ \\__,_|@
+  \\____/ @@
+    _   @
+   /_\\  @
+  / _ \\ @
+ /_/ \\_\\@
+        @@
+  ___ @
+ | _ )@
+ | _ \\@
+ |___/@
+      @@
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+       @@
+  ___  @
+ |   \\ @
+ | |) |@
+ |___/ @
+       @@
+  ___ @
+ | __|@
+ | _| @
+ |___|@
+      @@
+  ___ @
+ | __|@
+ | _| @
+ |_|  @
+      @@
+   ___ @
+  / __|@
+ | (_ |@
+  \\___|@
+       @@
+  _  _ @
+ | || |@
+ | __ |@
+ |_||_|@
+       @@
+  ___ @
+ |_ _|@
+  | | @
+ |___|@
+      @@
+     _ @
+  _ | |@
+ | || |@
+  \\__/ @
+       @@
+  _  __@
+ | |/ /@
+ | ' < @
+ |_|\\_\\@
+       @@
+  _    @
+ | |   @
+ | |__ @
+ |____|@
+       @@
+  __  __ @
+ |  \\/  |@
+ | |\\/| |@
+ |_|  |_|@
+         @@
+  _  _ @
+ | \\| |@
+ | .\` |@
+ |_|\\_|@
+       @@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\___/ @
+        @@
+  ___ @
+ | _ \\@
+ |  _/@
+ |_|  @
+      @@
+   ___  @
+  / _ \\ @
+ | (_) |@
+  \\__\\_\\@
+        @@
+  ___ @
+ | _ \\@
+ |   /@
+ |_|_\\@
+      @@
+  ___ @
+ / __|@
+ \\__ \\@
+ |___/@
+      @@
+  _____ @
+ |_   _|@
+   | |  @
+   |_|  @
+        @@
+  _   _ @
+ | | | |@
+ | |_| |@
+  \\___/ @
+        @@
+ __   __@
+ \\ \\ / /@
+  \\ V / @
+   \\_/  @
+        @@
+ __      __@
+ \\ \\    / /@
+  \\ \\/\\/ / @
+   \\_/\\_/  @
+           @@
+ __  __@
+ \\ \\/ /@
+  >  < @
+ /_/\\_\\@
+       @@
+ __   __@
+ \\ \\ / /@
+  \\ V / @
+   |_|  @
+        @@
+  ____@
+ |_  /@
+  / / @
+ /___|@
+      @@
+  __ @
+ | _|@
+ | | @
+ | | @
+ |__|@@
+ __   @
+ \\ \\  @
+  \\ \\ @
+   \\_\\@
+      @@
+  __ @
+ |_ |@
+  | |@
+  | |@
+ |__|@@
+  /\\ @
+ |/\\|@
+   $ @
+   $ @
+     @@
+      @
+      @
+      @
+  ___ @
+ |___|@@
+  _ @
+ ( )@
+  \\|@
+  $ @
+    @@
+       @
+  __ _ @
+ / _\` |@
+ \\__,_|@
+       @@
+  _    @
+ | |__ @
+ | '_ \\@
+ |_.__/@
+       @@
+     @
+  __ @
+ / _|@
+ \\__|@
+     @@
+     _ @
+  __| |@
+ / _\` |@
+ \\__,_|@
+       @@
+      @
+  ___ @
+ / -_)@
+ \\___|@
+      @@
+   __ @
+  / _|@
+ |  _|@
+ |_|  @
+      @@
+       @
+  __ _ @
+ / _\` |@
+ \\__, |@
+ |___/ @@
+  _    @
+ | |_  @
+ | ' \\ @
+ |_||_|@
+       @@
+  _ @
+ (_)@
+ | |@
+ |_|@
+    @@
+    _ @
+   (_)@
+   | |@
+  _/ |@
+ |__/ @@
+  _   @
+ | |__@
+ | / /@
+ |_\\_\\@
+      @@
+  _ @
+ | |@
+ | |@
+ |_|@
+    @@
+        @
+  _ __  @
+ | '  \\ @
+ |_|_|_|@
+        @@
+       @
+  _ _  @
+ | ' \\ @
+ |_||_|@
+       @@
+      @
+  ___ @
+ / _ \\@
+ \\___/@
+      @@
+       @
+  _ __ @
+ | '_ \\@
+ | .__/@
+ |_|   @@
+       @
+  __ _ @
+ / _\` |@
+ \\__, |@
+    |_|@@
+      @
+  _ _ @
+ | '_|@
+ |_|  @
+      @@
+     @
+  ___@
+ (_-<@
+ /__/@
+     @@
+  _   @
+ | |_ @
+ |  _|@
+  \\__|@
+      @@
+       @
+  _  _ @
+ | || |@
+  \\_,_|@
+       @@
+      @
+ __ __@
+ \\ V /@
+  \\_/ @
+      @@
+         @
+ __ __ __@
+ \\ V  V /@
+  \\_/\\_/ @
+         @@
+      @
+ __ __@
+ \\ \\ /@
+ /_\\_\\@
+      @@
+       @
+  _  _ @
+ | || |@
+  \\_, |@
+  |__/ @@
+     @
+  ___@
+ |_ /@
+ /__|@
+     @@
+    __@
+   / /@
+ _| | @
+  | | @
+   \\_\\@@
+  _ @
+ | |@
+ | |@
+ | |@
+ |_|@@
+ __   @
+ \\ \\  @
+  | |_@
+  | | @
+ /_/  @@
+  /\\/|@
+ |/\\/ @
+   $  @
+   $  @
+      @@
+  _  _ @
+ (_)(_)@
+  /--\\ @
+ /_/\\_\\@
+       @@
+  _  _ @
+ (_)(_)@
+ / __ \\@
+ \\____/@
+       @@
+  _   _ @
+ (_) (_)@
+ | |_| |@
+  \\___/ @
+        @@
+  _  _ @
+ (_)(_)@
+ / _\` |@
+ \\__,_|@
+       @@
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+  \\___/ @
+        @@
+  _  _ @
+ (_)(_)@
+ | || |@
+  \\_,_|@
+       @@
+   ___ @
+  / _ \\@
+ | |< <@
+ | ||_/@
+ |_|   @@
+160  NO-BREAK SPACE
+ $@
+ $@
+ $@
+ $@
+ $@@
+161  INVERTED EXCLAMATION MARK
+  _ @
+ (_)@
+ | |@
+ |_|@
+    @@
+162  CENT SIGN
+     @
+  || @
+ / _)@
+ \\ _)@
+  || @@
+163  POUND SIGN
+    __  @
+  _/ _\\ @
+ |_ _|_ @
+ (_,___|@
+        @@
+164  CURRENCY SIGN
+ /\\_/\\@
+ \\ . /@
+ / _ \\@
+ \\/ \\/@
+      @@
+165  YEN SIGN
+  __ __ @
+  \\ V / @
+ |__ __|@
+ |__ __|@
+   |_|  @@
+166  BROKEN BAR
+  _ @
+ | |@
+ |_|@
+ | |@
+ |_|@@
+167  SECTION SIGN
+    __ @
+   / _)@
+  /\\ \\ @
+  \\ \\/ @
+ (__/  @@
+168  DIAERESIS
+  _  _ @
+ (_)(_)@
+  $  $ @
+  $  $ @
+       @@
+169  COPYRIGHT SIGN
+   ____  @
+  / __ \\ @
+ / / _| \\@
+ \\ \\__| /@
+  \\____/ @@
+170  FEMININE ORDINAL INDICATOR
+  __ _ @
+ / _\` |@
+ \\__,_|@
+ |____|@
+       @@
+171  LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+   ____@
+  / / /@
+ < < < @
+  \\_\\_\\@
+       @@
+172  NOT SIGN
+  ____ @
+ |__  |@
+    |_|@
+   $   @
+       @@
+173  SOFT HYPHEN
+     @
+  __ @
+ |__|@
+   $ @
+     @@
+174  REGISTERED SIGN
+   ____  @
+  / __ \\ @
+ / | -) \\@
+ \\ ||\\\\ /@
+  \\____/ @@
+175  MACRON
+  ___ @
+ |___|@
+   $  @
+   $  @
+      @@
+176  DEGREE SIGN
+  _ @
+ /.\\@
+ \\_/@
+  $ @
+    @@
+177  PLUS-MINUS SIGN
+    _   @
+  _| |_ @
+ |_   _|@
+  _|_|_ @
+ |_____|@@
+178  SUPERSCRIPT TWO
+  __ @
+ |_ )@
+ /__|@
+   $ @
+     @@
+179  SUPERSCRIPT THREE
+  ___@
+ |_ /@
+ |__)@
+   $ @
+     @@
+180  ACUTE ACCENT
+  __@
+ /_/@
+  $ @
+  $ @
+    @@
+181  MICRO SIGN
+       @
+  _  _ @
+ | || |@
+ | .,_|@
+ |_|   @@
+182  PILCROW SIGN
+  ____ @
+ /    |@
+ \\_ | |@
+  |_|_|@
+       @@
+183  MIDDLE DOT
+    @
+  _ @
+ (_)@
+  $ @
+    @@
+184  CEDILLA
+    @
+    @
+    @
+  _ @
+ )_)@@
+185  SUPERSCRIPT ONE
+  _ @
+ / |@
+ |_|@
+  $ @
+    @@
+186  MASCULINE ORDINAL INDICATOR
+  ___ @
+ / _ \\@
+ \\___/@
+ |___|@
+      @@
+187  RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+ ____  @
+ \\ \\ \\ @
+  > > >@
+ /_/_/ @
+       @@
+188  VULGAR FRACTION ONE QUARTER
+  _  __   @
+ / |/ /__ @
+ |_/ /_' |@
+  /_/  |_|@
+          @@
+189  VULGAR FRACTION ONE HALF
+  _  __  @
+ / |/ /_ @
+ |_/ /_ )@
+  /_//__|@
+         @@
+190  VULGAR FRACTION THREE QUARTERS
+  ___ __   @
+ |_ // /__ @
+ |__) /_' |@
+   /_/  |_|@
+           @@
+191  INVERTED QUESTION MARK
+   _  @
+  (_) @
+ / /_ @
+ \\___|@
+      @@
+192  LATIN CAPITAL LETTER A WITH GRAVE
+  __   @
+  \\_\\  @
+  /--\\ @
+ /_/\\_\\@
+       @@
+193  LATIN CAPITAL LETTER A WITH ACUTE
+    __ @
+   /_/ @
+  /--\\ @
+ /_/\\_\\@
+       @@
+194  LATIN CAPITAL LETTER A WITH CIRCUMFLEX
+   /\\  @
+  |/\\| @
+  /--\\ @
+ /_/\\_\\@
+       @@
+195  LATIN CAPITAL LETTER A WITH TILDE
+   /\\/|@
+  |/\\/ @
+  /--\\ @
+ /_/\\_\\@
+       @@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+  _  _ @
+ (_)(_)@
+  /--\\ @
+ /_/\\_\\@
+       @@
+197  LATIN CAPITAL LETTER A WITH RING ABOVE
+   __  @
+  (()) @
+  /--\\ @
+ /_/\\_\\@
+       @@
+198  LATIN CAPITAL LETTER AE
+    ____ @
+   /, __|@
+  / _ _| @
+ /_/|___|@
+         @@
+199  LATIN CAPITAL LETTER C WITH CEDILLA
+   ___ @
+  / __|@
+ | (__ @
+  \\___|@
+   )_) @@
+200  LATIN CAPITAL LETTER E WITH GRAVE
+  __ @
+  \\_\\@
+ | -<@
+ |__<@
+     @@
+201  LATIN CAPITAL LETTER E WITH ACUTE
+   __@
+  /_/@
+ | -<@
+ |__<@
+     @@
+202  LATIN CAPITAL LETTER E WITH CIRCUMFLEX
+  /\\ @
+ |/\\|@
+ | -<@
+ |__<@
+     @@
+203  LATIN CAPITAL LETTER E WITH DIAERESIS
+  _  _ @
+ (_)(_)@
+  | -< @
+  |__< @
+       @@
+204  LATIN CAPITAL LETTER I WITH GRAVE
+  __  @
+  \\_\\ @
+ |_ _|@
+ |___|@
+      @@
+205  LATIN CAPITAL LETTER I WITH ACUTE
+   __ @
+  /_/ @
+ |_ _|@
+ |___|@
+      @@
+206  LATIN CAPITAL LETTER I WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+ |_ _|@
+ |___|@
+      @@
+207  LATIN CAPITAL LETTER I WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  |_ _| @
+  |___| @
+        @@
+208  LATIN CAPITAL LETTER ETH
+   ____  @
+  | __ \\ @
+ |_ _|) |@
+  |____/ @
+         @@
+209  LATIN CAPITAL LETTER N WITH TILDE
+   /\\/|@
+  |/\\/ @
+ | \\| |@
+ |_|\\_|@
+       @@
+210  LATIN CAPITAL LETTER O WITH GRAVE
+  __   @
+  \\_\\_ @
+ / __ \\@
+ \\____/@
+       @@
+211  LATIN CAPITAL LETTER O WITH ACUTE
+    __ @
+  _/_/ @
+ / __ \\@
+ \\____/@
+       @@
+212  LATIN CAPITAL LETTER O WITH CIRCUMFLEX
+   /\\  @
+  |/\\| @
+ / __ \\@
+ \\____/@
+       @@
+213  LATIN CAPITAL LETTER O WITH TILDE
+   /\\/|@
+  |/\\/ @
+ / __ \\@
+ \\____/@
+       @@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+  _  _ @
+ (_)(_)@
+ / __ \\@
+ \\____/@
+       @@
+215  MULTIPLICATION SIGN
+     @
+ /\\/\\@
+ >  <@
+ \\/\\/@
+     @@
+216  LATIN CAPITAL LETTER O WITH STROKE
+   ____  @
+  / _//\\ @
+ | (//) |@
+  \\//__/ @
+         @@
+217  LATIN CAPITAL LETTER U WITH GRAVE
+   __   @
+  _\\_\\_ @
+ | |_| |@
+  \\___/ @
+        @@
+218  LATIN CAPITAL LETTER U WITH ACUTE
+    __  @
+  _/_/_ @
+ | |_| |@
+  \\___/ @
+        @@
+219  LATIN CAPITAL LETTER U WITH CIRCUMFLEX
+   //\\  @
+  |/ \\| @
+ | |_| |@
+  \\___/ @
+        @@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+  _   _ @
+ (_) (_)@
+ | |_| |@
+  \\___/ @
+        @@
+221  LATIN CAPITAL LETTER Y WITH ACUTE
+   __ @
+ _/_/_@
+ \\ V /@
+  |_| @
+      @@
+222  LATIN CAPITAL LETTER THORN
+  _   @
+ | |_ @
+ | -_)@
+ |_|  @
+      @@
+223  LATIN SMALL LETTER SHARP S
+   ___ @
+  / _ \\@
+ | |< <@
+ | ||_/@
+ |_|   @@
+224  LATIN SMALL LETTER A WITH GRAVE
+  __   @
+  \\_\\_ @
+ / _\` |@
+ \\__,_|@
+       @@
+225  LATIN SMALL LETTER A WITH ACUTE
+    __ @
+  _/_/ @
+ / _\` |@
+ \\__,_|@
+       @@
+226  LATIN SMALL LETTER A WITH CIRCUMFLEX
+   /\\  @
+  |/\\| @
+ / _\` |@
+ \\__,_|@
+       @@
+227  LATIN SMALL LETTER A WITH TILDE
+   /\\/|@
+  |/\\/ @
+ / _\` |@
+ \\__,_|@
+       @@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+  _  _ @
+ (_)(_)@
+ / _\` |@
+ \\__,_|@
+       @@
+229  LATIN SMALL LETTER A WITH RING ABOVE
+   __  @
+  (()) @
+ / _\` |@
+ \\__,_|@
+       @@
+230  LATIN SMALL LETTER AE
+         @
+  __ ___ @
+ / _\` -_)@
+ \\__,___|@
+         @@
+231  LATIN SMALL LETTER C WITH CEDILLA
+     @
+  __ @
+ / _|@
+ \\__|@
+  )_)@@
+232  LATIN SMALL LETTER E WITH GRAVE
+  __  @
+  \\_\\ @
+ / -_)@
+ \\___|@
+      @@
+233  LATIN SMALL LETTER E WITH ACUTE
+   __ @
+  /_/ @
+ / -_)@
+ \\___|@
+      @@
+234  LATIN SMALL LETTER E WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+ / -_)@
+ \\___|@
+      @@
+235  LATIN SMALL LETTER E WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / -_) @
+  \\___| @
+        @@
+236  LATIN SMALL LETTER I WITH GRAVE
+ __ @
+ \\_\\@
+ | |@
+ |_|@
+    @@
+237  LATIN SMALL LETTER I WITH ACUTE
+  __@
+ /_/@
+ | |@
+ |_|@
+    @@
+238  LATIN SMALL LETTER I WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+  | | @
+  |_| @
+      @@
+239  LATIN SMALL LETTER I WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+   | |  @
+   |_|  @
+        @@
+240  LATIN SMALL LETTER ETH
+  \\\\/\\ @
+  \\/\\\\ @
+ / _\` |@
+ \\___/ @
+       @@
+241  LATIN SMALL LETTER N WITH TILDE
+  /\\/| @
+ |/\\/  @
+ | ' \\ @
+ |_||_|@
+       @@
+242  LATIN SMALL LETTER O WITH GRAVE
+  __  @
+  \\_\\ @
+ / _ \\@
+ \\___/@
+      @@
+243  LATIN SMALL LETTER O WITH ACUTE
+   __ @
+  /_/ @
+ / _ \\@
+ \\___/@
+      @@
+244  LATIN SMALL LETTER O WITH CIRCUMFLEX
+  //\\ @
+ |/_\\|@
+ / _ \\@
+ \\___/@
+      @@
+245  LATIN SMALL LETTER O WITH TILDE
+  /\\/|@
+ |/\\/ @
+ / _ \\@
+ \\___/@
+      @@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / _ \\ @
+  \\___/ @
+        @@
+247  DIVISION SIGN
+   _  @
+  (_) @
+ |___|@
+  (_) @
+      @@
+248  LATIN SMALL LETTER O WITH STROKE
+      @
+  ___ @
+ / //\\@
+ \\//_/@
+      @@
+249  LATIN SMALL LETTER U WITH GRAVE
+  __   @
+  \\_\\_ @
+ | || |@
+  \\_,_|@
+       @@
+250  LATIN SMALL LETTER U WITH ACUTE
+    __ @
+  _/_/ @
+ | || |@
+  \\_,_|@
+       @@
+251  LATIN SMALL LETTER U WITH CIRCUMFLEX
+   /\\  @
+  |/\\| @
+ | || |@
+  \\_,_|@
+       @@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+  _  _ @
+ (_)(_)@
+ | || |@
+  \\_,_|@
+       @@
+253  LATIN SMALL LETTER Y WITH ACUTE
+    __ @
+  _/_/ @
+ | || |@
+  \\_, |@
+  |__/ @@
+254  LATIN SMALL LETTER THORN
+  _    @
+ | |__ @
+ | '_ \\@
+ | .__/@
+ |_|   @@
+255  LATIN SMALL LETTER Y WITH DIAERESIS
+  _  _ @
+ (_)(_)@
+ | || |@
+  \\_, |@
+  |__/ @@
+`
+    },
+    slant: {
+        name: 'Slant',
+        source: `flf2a$ 6 5 16 15 10 0 18319
+Slant by Glenn Chappell 3/93 -- based on Standard
+Includes ISO Latin-1
+figlet release 2.1 -- 12 Aug 1994
+Permission is hereby given to modify this font, as long as the
+modifier's name is placed on a comment line.
+
+Modified by Paul Burton <solution@earthlink.net> 12/96 to include new parameter
+supported by FIGlet and FIGWin.  May also be slightly modified for better use
+of new full-width/kern/smush alternatives, but default output is NOT changed.
+
+     $$@
+    $$ @
+   $$  @
+  $$   @
+ $$    @
+$$     @@
+    __@
+   / /@
+  / / @
+ /_/  @
+(_)   @
+      @@
+ _ _ @
+( | )@
+|/|/ @
+ $   @
+$    @
+     @@
+     __ __ @
+  __/ // /_@
+ /_  _  __/@
+/_  _  __/ @
+ /_//_/    @
+           @@
+     __@
+   _/ /@
+  / __/@
+ (_  ) @
+/  _/  @
+/_/    @@
+   _   __@
+  (_)_/_/@
+   _/_/  @
+ _/_/_   @
+/_/ (_)  @
+         @@
+   ___   @
+  ( _ )  @
+ / __ \\/|@
+/ /_/  < @
+\\____/\\/ @
+         @@
+  _ @
+ ( )@
+ |/ @
+ $  @
+$   @
+    @@
+     __@
+   _/_/@
+  / /  @
+ / /   @
+/ /    @
+|_|    @@
+     _ @
+    | |@
+    / /@
+   / / @
+ _/_/  @
+/_/    @@
+       @
+  __/|_@
+ |    /@
+/_ __| @
+ |/    @
+       @@
+       @
+    __ @
+ __/ /_@
+/_  __/@
+ /_/   @
+       @@
+   @
+   @
+   @
+ _ @
+( )@
+|/ @@
+       @
+       @
+ ______@
+/_____/@
+  $    @
+       @@
+   @
+   @
+   @
+ _ @
+(_)@
+   @@
+       __@
+     _/_/@
+   _/_/  @
+ _/_/    @
+/_/      @
+         @@
+   ____ @
+  / __ \\@
+ / / / /@
+/ /_/ / @
+\\____/  @
+        @@
+   ___@
+  <  /@
+  / / @
+ / /  @
+/_/   @
+      @@
+   ___ @
+  |__ \\@
+  __/ /@
+ / __/ @
+/____/ @
+       @@
+   _____@
+  |__  /@
+   /_ < @
+ ___/ / @
+/____/  @
+        @@
+   __ __@
+  / // /@
+ / // /_@
+/__  __/@
+  /_/   @
+        @@
+    ______@
+   / ____/@
+  /___ \\  @
+ ____/ /  @
+/_____/   @
+          @@
+   _____@
+  / ___/@
+ / __ \\ @
+/ /_/ / @
+\\____/  @
+        @@
+ _____@
+/__  /@
+  / / @
+ / /  @
+/_/   @
+      @@
+   ____ @
+  ( __ )@
+ / __  |@
+/ /_/ / @
+\\____/  @
+        @@
+   ____ @
+  / __ \\@
+ / /_/ /@
+ \\__, / @
+/____/  @
+        @@
+     @
+   _ @
+  (_)@
+ _   @
+(_)  @
+     @@
+     @
+   _ @
+  (_)@
+ _   @
+( )  @
+|/   @@
+  __@
+ / /@
+/ / @
+\\ \\ @
+ \\_\\@
+    @@
+       @
+  _____@
+ /____/@
+/____/ @
+  $    @
+       @@
+__  @
+\\ \\ @
+ \\ \\@
+ / /@
+/_/ @
+    @@
+  ___ @
+ /__ \\@
+  / _/@
+ /_/  @
+(_)   @
+      @@
+   ______ @
+  / ____ \\@
+ / / __ \`/@
+/ / /_/ / @
+\\ \\__,_/  @
+ \\____/   @@
+    ___ @
+   /   |@
+  / /| |@
+ / ___ |@
+/_/  |_|@
+        @@
+    ____ @
+   / __ )@
+  / __  |@
+ / /_/ / @
+/_____/  @
+         @@
+   ______@
+  / ____/@
+ / /     @
+/ /___   @
+\\____/   @
+         @@
+    ____ @
+   / __ \\@
+  / / / /@
+ / /_/ / @
+/_____/  @
+         @@
+    ______@
+   / ____/@
+  / __/   @
+ / /___   @
+/_____/   @
+          @@
+    ______@
+   / ____/@
+  / /_    @
+ / __/    @
+/_/       @
+          @@
+   ______@
+  / ____/@
+ / / __  @
+/ /_/ /  @
+\\____/   @
+         @@
+    __  __@
+   / / / /@
+  / /_/ / @
+ / __  /  @
+/_/ /_/   @
+          @@
+    ____@
+   /  _/@
+   / /  @
+ _/ /   @
+/___/   @
+        @@
+       __@
+      / /@
+ __  / / @
+/ /_/ /  @
+\\____/   @
+         @@
+    __ __@
+   / //_/@
+  / ,<   @
+ / /| |  @
+/_/ |_|  @
+         @@
+    __ @
+   / / @
+  / /  @
+ / /___@
+/_____/@
+       @@
+    __  ___@
+   /  |/  /@
+  / /|_/ / @
+ / /  / /  @
+/_/  /_/   @
+           @@
+    _   __@
+   / | / /@
+  /  |/ / @
+ / /|  /  @
+/_/ |_/   @
+          @@
+   ____ @
+  / __ \\@
+ / / / /@
+/ /_/ / @
+\\____/  @
+        @@
+    ____ @
+   / __ \\@
+  / /_/ /@
+ / ____/ @
+/_/      @
+         @@
+   ____ @
+  / __ \\@
+ / / / /@
+/ /_/ / @
+\\___\\_\\ @
+        @@
+    ____ @
+   / __ \\@
+  / /_/ /@
+ / _, _/ @
+/_/ |_|  @
+         @@
+   _____@
+  / ___/@
+  \\__ \\ @
+ ___/ / @
+/____/  @
+        @@
+  ______@
+ /_  __/@
+  / /   @
+ / /    @
+/_/     @
+        @@
+   __  __@
+  / / / /@
+ / / / / @
+/ /_/ /  @
+\\____/   @
+         @@
+ _    __@
+| |  / /@
+| | / / @
+| |/ /  @
+|___/   @
+        @@
+ _       __@
+| |     / /@
+| | /| / / @
+| |/ |/ /  @
+|__/|__/   @
+           @@
+   _  __@
+  | |/ /@
+  |   / @
+ /   |  @
+/_/|_|  @
+        @@
+__  __@
+\\ \\/ /@
+ \\  / @
+ / /  @
+/_/   @
+      @@
+ _____@
+/__  /@
+  / / @
+ / /__@
+/____/@
+      @@
+     ___@
+    / _/@
+   / /  @
+  / /   @
+ / /    @
+/__/    @@
+__    @
+\\ \\   @
+ \\ \\  @
+  \\ \\ @
+   \\_\\@
+      @@
+     ___@
+    /  /@
+    / / @
+   / /  @
+ _/ /   @
+/__/    @@
+  //|@
+ |/||@
+  $  @
+ $   @
+$    @
+     @@
+       @
+       @
+       @
+       @
+ ______@
+/_____/@@
+  _ @
+ ( )@
+  V @
+ $  @
+$   @
+    @@
+        @
+  ____ _@
+ / __ \`/@
+/ /_/ / @
+\\__,_/  @
+        @@
+    __  @
+   / /_ @
+  / __ \\@
+ / /_/ /@
+/_.___/ @
+        @@
+       @
+  _____@
+ / ___/@
+/ /__  @
+\\___/  @
+       @@
+       __@
+  ____/ /@
+ / __  / @
+/ /_/ /  @
+\\__,_/   @
+         @@
+      @
+  ___ @
+ / _ \\@
+/  __/@
+\\___/ @
+      @@
+    ____@
+   / __/@
+  / /_  @
+ / __/  @
+/_/     @
+        @@
+         @
+   ____ _@
+  / __ \`/@
+ / /_/ / @
+ \\__, /  @
+/____/   @@
+    __  @
+   / /_ @
+  / __ \\@
+ / / / /@
+/_/ /_/ @
+        @@
+    _ @
+   (_)@
+  / / @
+ / /  @
+/_/   @
+      @@
+       _ @
+      (_)@
+     / / @
+    / /  @
+ __/ /   @
+/___/    @@
+    __  @
+   / /__@
+  / //_/@
+ / ,<   @
+/_/|_|  @
+        @@
+    __@
+   / /@
+  / / @
+ / /  @
+/_/   @
+      @@
+            @
+   ____ ___ @
+  / __ \`__ \\@
+ / / / / / /@
+/_/ /_/ /_/ @
+            @@
+        @
+   ____ @
+  / __ \\@
+ / / / /@
+/_/ /_/ @
+        @@
+       @
+  ____ @
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+         @
+    ____ @
+   / __ \\@
+  / /_/ /@
+ / .___/ @
+/_/      @@
+        @
+  ____ _@
+ / __ \`/@
+/ /_/ / @
+\\__, /  @
+  /_/   @@
+        @
+   _____@
+  / ___/@
+ / /    @
+/_/     @
+        @@
+        @
+   _____@
+  / ___/@
+ (__  ) @
+/____/  @
+        @@
+   __ @
+  / /_@
+ / __/@
+/ /_  @
+\\__/  @
+      @@
+        @
+  __  __@
+ / / / /@
+/ /_/ / @
+\\__,_/  @
+        @@
+       @
+ _   __@
+| | / /@
+| |/ / @
+|___/  @
+       @@
+          @
+ _      __@
+| | /| / /@
+| |/ |/ / @
+|__/|__/  @
+          @@
+        @
+   _  __@
+  | |/_/@
+ _>  <  @
+/_/|_|  @
+        @@
+         @
+   __  __@
+  / / / /@
+ / /_/ / @
+ \\__, /  @
+/____/   @@
+     @
+ ____@
+/_  /@
+ / /_@
+/___/@
+     @@
+     __@
+   _/_/@
+ _/_/  @
+< <    @
+/ /    @
+\\_\\    @@
+     __@
+    / /@
+   / / @
+  / /  @
+ / /   @
+/_/    @@
+     _ @
+    | |@
+    / /@
+   _>_>@
+ _/_/  @
+/_/    @@
+  /\\//@
+ //\\/ @
+  $   @
+ $    @
+$     @
+      @@
+    _  _ @
+   (_)(_)@
+  / _ |  @
+ / __ |  @
+/_/ |_|  @
+         @@
+   _   _ @
+  (_)_(_)@
+ / __ \\  @
+/ /_/ /  @
+\\____/   @
+         @@
+   _   _ @
+  (_) (_)@
+ / / / / @
+/ /_/ /  @
+\\____/   @
+         @@
+   _   _ @
+  (_)_(_)@
+ / __ \`/ @
+/ /_/ /  @
+\\__,_/   @
+         @@
+   _   _ @
+  (_)_(_)@
+ / __ \\  @
+/ /_/ /  @
+\\____/   @
+         @@
+   _   _ @
+  (_) (_)@
+ / / / / @
+/ /_/ /  @
+\\__,_/   @
+         @@
+     ____ @
+    / __ \\@
+   / / / /@
+  / /_| | @
+ / //__/  @
+/_/       @@
+160  NO-BREAK SPACE
+     $$@
+    $$ @
+   $$  @
+  $$   @
+ $$    @
+$$     @@
+161  INVERTED EXCLAMATION MARK
+    _ @
+   (_)@
+  / / @
+ / /  @
+/_/   @
+      @@
+162  CENT SIGN
+     __@
+  __/ /@
+ / ___/@
+/ /__  @
+\\  _/  @
+/_/    @@
+163  POUND SIGN
+     ____ @
+    / ,__\\@
+ __/ /_   @
+ _/ /___  @
+(_,____/  @
+          @@
+164  CURRENCY SIGN
+    /|___/|@
+   | __  / @
+  / /_/ /  @
+ /___  |   @
+|/   |/    @
+           @@
+165  YEN SIGN
+    ____@
+  _| / /@
+ /_  __/@
+/_  __/ @
+ /_/    @
+        @@
+166  BROKEN BAR
+     __@
+    / /@
+   /_/ @
+  __   @
+ / /   @
+/_/    @@
+167  SECTION SIGN
+     __ @
+   _/ _)@
+  / | | @
+ | || | @
+ | |_/  @
+(__/    @@
+168  DIAERESIS
+  _   _ @
+ (_) (_)@
+  $   $ @
+ $   $  @
+$   $   @
+        @@
+169  COPYRIGHT SIGN
+    ______  @
+   / _____\\ @
+  / / ___/ |@
+ / / /__  / @
+|  \\___/ /  @
+ \\______/   @@
+170  FEMININE ORDINAL INDICATOR
+   ___ _@
+  / _ \`/@
+ _\\_,_/ @
+/____/  @
+ $      @
+        @@
+171  LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+  ____@
+ / / /@
+/ / / @
+\\ \\ \\ @
+ \\_\\_\\@
+      @@
+172  NOT SIGN
+       @
+ ______@
+/___  /@
+   /_/ @
+ $     @
+       @@
+173  SOFT HYPHEN
+      @
+      @
+ _____@
+/____/@
+  $   @
+      @@
+174  REGISTERED SIGN
+    ______  @
+   / ___  \\ @
+  / / _ \\  |@
+ / / , _/ / @
+| /_/|_| /  @
+ \\______/   @@
+175  MACRON
+ ______@
+/_____/@
+  $    @
+ $     @
+$      @
+       @@
+176  DEGREE SIGN
+  ___ @
+ / _ \\@
+/ // /@
+\\___/ @
+ $    @
+      @@
+177  PLUS-MINUS SIGN
+      __ @
+   __/ /_@
+  /_  __/@
+ __/_/_  @
+/_____/  @
+         @@
+178  SUPERSCRIPT TWO
+   ___ @
+  |_  |@
+ / __/ @
+/____/ @
+ $     @
+       @@
+179  SUPERSCRIPT THREE
+   ____@
+  |_  /@
+ _/_ < @
+/____/ @
+ $     @
+       @@
+180  ACUTE ACCENT
+  __@
+ /_/@
+  $ @
+ $  @
+$   @
+    @@
+181  MICRO SIGN
+          @
+    __  __@
+   / / / /@
+  / /_/ / @
+ / ._,_/  @
+/_/       @@
+182  PILCROW SIGN
+  _______@
+ / _    /@
+/ (/ / / @
+\\_  / /  @
+ /_/_/   @
+         @@
+183  MIDDLE DOT
+   @
+ _ @
+(_)@
+ $ @
+$  @
+   @@
+184  CEDILLA
+   @
+   @
+   @
+   @
+ _ @
+/_)@@
+185  SUPERSCRIPT ONE
+  ___@
+ <  /@
+ / / @
+/_/  @
+$    @
+     @@
+186  MASCULINE ORDINAL INDICATOR
+   ___ @
+  / _ \\@
+ _\\___/@
+/____/ @
+ $     @
+       @@
+187  RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+____  @
+\\ \\ \\ @
+ \\ \\ \\@
+ / / /@
+/_/_/ @
+      @@
+188  VULGAR FRACTION ONE QUARTER
+  ___   __ @
+ <  / _/_/ @
+ / /_/_/___@
+/_//_// / /@
+ /_/ /_  _/@
+      /_/  @@
+189  VULGAR FRACTION ONE HALF
+  ___   __   @
+ <  / _/_/__ @
+ / /_/_/|_  |@
+/_//_/ / __/ @
+ /_/  /____/ @
+             @@
+190  VULGAR FRACTION THREE QUARTERS
+   ____    __ @
+  |_  /  _/_/ @
+ _/_ < _/_/___@
+/____//_// / /@
+    /_/ /_  _/@
+         /_/  @@
+191  INVERTED QUESTION MARK
+    _ @
+   (_)@
+ _/ / @
+/ _/_ @
+\\___/ @
+      @@
+192  LATIN CAPITAL LETTER A WITH GRAVE
+    __ @
+   _\\_\\@
+  / _ |@
+ / __ |@
+/_/ |_|@
+       @@
+193  LATIN CAPITAL LETTER A WITH ACUTE
+     __@
+   _/_/@
+  / _ |@
+ / __ |@
+/_/ |_|@
+       @@
+194  LATIN CAPITAL LETTER A WITH CIRCUMFLEX
+     //|@
+   _|/||@
+  / _ | @
+ / __ | @
+/_/ |_| @
+        @@
+195  LATIN CAPITAL LETTER A WITH TILDE
+     /\\//@
+   _//\\/ @
+  / _ |  @
+ / __ |  @
+/_/ |_|  @
+         @@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+    _  _ @
+   (_)(_)@
+  / _ |  @
+ / __ |  @
+/_/ |_|  @
+         @@
+197  LATIN CAPITAL LETTER A WITH RING ABOVE
+    (())@
+   /   |@
+  / /| |@
+ / ___ |@
+/_/  |_|@
+        @@
+198  LATIN CAPITAL LETTER AE
+    __________@
+   /     ____/@
+  / /|  __/   @
+ / __  /___   @
+/_/ /_____/   @
+              @@
+199  LATIN CAPITAL LETTER C WITH CEDILLA
+   ______@
+  / ____/@
+ / /     @
+/ /___   @
+\\____/   @
+ /_)     @@
+200  LATIN CAPITAL LETTER E WITH GRAVE
+    __ @
+   _\\_\\@
+  / __/@
+ / _/  @
+/___/  @
+       @@
+201  LATIN CAPITAL LETTER E WITH ACUTE
+     __@
+   _/_/@
+  / __/@
+ / _/  @
+/___/  @
+       @@
+202  LATIN CAPITAL LETTER E WITH CIRCUMFLEX
+     //|@
+   _|/||@
+  / __/ @
+ / _/   @
+/___/   @
+        @@
+203  LATIN CAPITAL LETTER E WITH DIAERESIS
+    _  _ @
+   (_)(_)@
+  / __/  @
+ / _/    @
+/___/    @
+         @@
+204  LATIN CAPITAL LETTER I WITH GRAVE
+    __ @
+   _\\_\\@
+  /  _/@
+ _/ /  @
+/___/  @
+       @@
+205  LATIN CAPITAL LETTER I WITH ACUTE
+     __@
+   _/_/@
+  /  _/@
+ _/ /  @
+/___/  @
+       @@
+206  LATIN CAPITAL LETTER I WITH CIRCUMFLEX
+     //|@
+   _|/||@
+  /  _/ @
+ _/ /   @
+/___/   @
+        @@
+207  LATIN CAPITAL LETTER I WITH DIAERESIS
+    _  _ @
+   (_)(_)@
+  /  _/  @
+ _/ /    @
+/___/    @
+         @@
+208  LATIN CAPITAL LETTER ETH
+     ____ @
+    / __ \\@
+ __/ /_/ /@
+/_  __/ / @
+ /_____/  @
+          @@
+209  LATIN CAPITAL LETTER N WITH TILDE
+     /\\//@
+   _//\\/ @
+  / |/ / @
+ /    /  @
+/_/|_/   @
+         @@
+210  LATIN CAPITAL LETTER O WITH GRAVE
+    __ @
+  __\\_\\@
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+211  LATIN CAPITAL LETTER O WITH ACUTE
+     __@
+  __/_/@
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+212  LATIN CAPITAL LETTER O WITH CIRCUMFLEX
+    //|@
+  _|/||@
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+213  LATIN CAPITAL LETTER O WITH TILDE
+    /\\//@
+  _//\\/ @
+ / __ \\ @
+/ /_/ / @
+\\____/  @
+        @@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+   _   _ @
+  (_)_(_)@
+ / __ \\  @
+/ /_/ /  @
+\\____/   @
+         @@
+215  MULTIPLICATION SIGN
+     @
+     @
+ /|/|@
+ > < @
+|/|/ @
+     @@
+216  LATIN CAPITAL LETTER O WITH STROKE
+   _____ @
+  / _// \\@
+ / //// /@
+/ //// / @
+\\_//__/  @
+         @@
+217  LATIN CAPITAL LETTER U WITH GRAVE
+    __  @
+  __\\_\\_@
+ / / / /@
+/ /_/ / @
+\\____/  @
+        @@
+218  LATIN CAPITAL LETTER U WITH ACUTE
+     __ @
+  __/_/_@
+ / / / /@
+/ /_/ / @
+\\____/  @
+        @@
+219  LATIN CAPITAL LETTER U WITH CIRCUMFLEX
+    //| @
+  _|/||_@
+ / / / /@
+/ /_/ / @
+\\____/  @
+        @@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+   _   _ @
+  (_) (_)@
+ / / / / @
+/ /_/ /  @
+\\____/   @
+         @@
+221  LATIN CAPITAL LETTER Y WITH ACUTE
+   __ @
+__/_/_@
+\\ \\/ /@
+ \\  / @
+ /_/  @
+      @@
+222  LATIN CAPITAL LETTER THORN
+    __  @
+   / /_ @
+  / __ \\@
+ / ____/@
+/_/     @
+        @@
+223  LATIN SMALL LETTER SHARP S
+     ____ @
+    / __ \\@
+   / / / /@
+  / /_| | @
+ / //__/  @
+/_/       @@
+224  LATIN SMALL LETTER A WITH GRAVE
+    __  @
+  __\\_\\_@
+ / __ \`/@
+/ /_/ / @
+\\__,_/  @
+        @@
+225  LATIN SMALL LETTER A WITH ACUTE
+     __ @
+  __/_/_@
+ / __ \`/@
+/ /_/ / @
+\\__,_/  @
+        @@
+226  LATIN SMALL LETTER A WITH CIRCUMFLEX
+    //| @
+  _|/||_@
+ / __ \`/@
+/ /_/ / @
+\\__,_/  @
+        @@
+227  LATIN SMALL LETTER A WITH TILDE
+    /\\//@
+  _//\\/_@
+ / __ \`/@
+/ /_/ / @
+\\__,_/  @
+        @@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+   _   _ @
+  (_)_(_)@
+ / __ \`/ @
+/ /_/ /  @
+\\__,_/   @
+         @@
+229  LATIN SMALL LETTER A WITH RING ABOVE
+     __ @
+  __(())@
+ / __ \`/@
+/ /_/ / @
+\\__,_/  @
+        @@
+230  LATIN SMALL LETTER AE
+           @
+  ____ ___ @
+ / __ \` _ \\@
+/ /_/   __/@
+\\__,_____/ @
+           @@
+231  LATIN SMALL LETTER C WITH CEDILLA
+       @
+  _____@
+ / ___/@
+/ /__  @
+\\___/  @
+/_)    @@
+232  LATIN SMALL LETTER E WITH GRAVE
+   __ @
+  _\\_\\@
+ / _ \\@
+/  __/@
+\\___/ @
+      @@
+233  LATIN SMALL LETTER E WITH ACUTE
+    __@
+  _/_/@
+ / _ \\@
+/  __/@
+\\___/ @
+      @@
+234  LATIN SMALL LETTER E WITH CIRCUMFLEX
+    //|@
+  _|/||@
+ / _ \\ @
+/  __/ @
+\\___/  @
+       @@
+235  LATIN SMALL LETTER E WITH DIAERESIS
+   _  _ @
+  (_)(_)@
+ / _ \\  @
+/  __/  @
+\\___/   @
+        @@
+236  LATIN SMALL LETTER I WITH GRAVE
+   __ @
+   \\_\\@
+  / / @
+ / /  @
+/_/   @
+      @@
+237  LATIN SMALL LETTER I WITH ACUTE
+    __@
+   /_/@
+  / / @
+ / /  @
+/_/   @
+      @@
+238  LATIN SMALL LETTER I WITH CIRCUMFLEX
+    //|@
+   |/||@
+  / /  @
+ / /   @
+/_/    @
+       @@
+239  LATIN SMALL LETTER I WITH DIAERESIS
+  _   _ @
+ (_)_(_)@
+  / /   @
+ / /    @
+/_/     @
+        @@
+240  LATIN SMALL LETTER ETH
+     || @
+    =||=@
+ ___ || @
+/ __\` | @
+\\____/  @
+        @@
+241  LATIN SMALL LETTER N WITH TILDE
+     /\\//@
+   _//\\/ @
+  / __ \\ @
+ / / / / @
+/_/ /_/  @
+         @@
+242  LATIN SMALL LETTER O WITH GRAVE
+    __ @
+  __\\_\\@
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+243  LATIN SMALL LETTER O WITH ACUTE
+     __@
+  __/_/@
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+244  LATIN SMALL LETTER O WITH CIRCUMFLEX
+    //|@
+  _|/||@
+ / __ \\@
+/ /_/ /@
+\\____/ @
+       @@
+245  LATIN SMALL LETTER O WITH TILDE
+    /\\//@
+  _//\\/ @
+ / __ \\ @
+/ /_/ / @
+\\____/  @
+        @@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+   _   _ @
+  (_)_(_)@
+ / __ \\  @
+/ /_/ /  @
+\\____/   @
+         @@
+247  DIVISION SIGN
+       @
+    _  @
+ __(_)_@
+/_____/@
+ (_)   @
+       @@
+248  LATIN SMALL LETTER O WITH STROKE
+        @
+  _____ @
+ / _// \\@
+/ //// /@
+\\_//__/ @
+        @@
+249  LATIN SMALL LETTER U WITH GRAVE
+    __  @
+  __\\_\\_@
+ / / / /@
+/ /_/ / @
+\\__,_/  @
+        @@
+250  LATIN SMALL LETTER U WITH ACUTE
+     __ @
+  __/_/_@
+ / / / /@
+/ /_/ / @
+\\__,_/  @
+        @@
+251  LATIN SMALL LETTER U WITH CIRCUMFLEX
+    //| @
+  _|/||_@
+ / / / /@
+/ /_/ / @
+\\__,_/  @
+        @@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+   _   _ @
+  (_) (_)@
+ / / / / @
+/ /_/ /  @
+\\__,_/   @
+         @@
+253  LATIN SMALL LETTER Y WITH ACUTE
+      __ @
+   __/_/_@
+  / / / /@
+ / /_/ / @
+ \\__, /  @
+/____/   @@
+254  LATIN SMALL LETTER THORN
+     __  @
+    / /_ @
+   / __ \\@
+  / /_/ /@
+ / .___/ @
+/_/      @@
+255  LATIN SMALL LETTER Y WITH DIAERESIS
+    _   _ @
+   (_) (_)@
+  / / / / @
+ / /_/ /  @
+ \\__, /   @
+/____/    @@
+`
+    },
+    banner: {
+        name: 'Banner',
+        source: `flf2a$ 8 7 54 0 12 0 64 185
+banner.flf version 2 by Ryan Youck (youck@cs.uregina.ca)
+(From a unix program called banner)
+I am not responsible for use of this font  
+Thanks to Glenn Chappell for his help
+Katakana characters by Vinney Thai <ssfiit@eris.cs.umb.edu>
+Cyrillic characters from "koi8x8" BDF font.
+Date: August 11, 1994
+
+Merged by John Cowan <cowan@ccil.org>
+Modified by Paul Burton <solution@earthlink.net> 12/96 to include new parameter
+supported by FIGlet and FIGWin.  May also be slightly modified for better use
+of new full-width/kern/smush alternatives, but default output is NOT changed.
+ $ $@
+ $ $@
+ $ $@
+ $ $@
+ $ $@
+ $ $@
+ $ $@
+ $ $@@
+ ###$@
+ ###$@
+ ###$@
+  # $@
+    $@
+ ###$@
+ ###$@
+    $@@
+ ### ###$@
+ ### ###$@
+  #   # $@
+ $      $@
+ $      $@
+        $@
+        $@
+        $@@
+   # #  $@
+   # #  $@
+ #######$@
+   # #  $@
+ #######$@
+   # #  $@
+   # #  $@
+        $@@
+  ##### $@
+ #  #  #$@
+ #  #   $@
+  ##### $@
+    #  #$@
+ #  #  #$@
+  ##### $@
+        $@@
+ ###   #$@
+ # #  # $@
+ ### #  $@
+    #   $@
+   # ###$@
+  #  # #$@
+ #   ###$@
+        $@@
+   ##   $@
+  #  #  $@
+   ##   $@
+  ###   $@
+ #   # #$@
+ #    # $@
+  ###  #$@
+        $@@
+ ###$@
+ ###$@
+  # $@
+ #  $@
+    $@
+    $@
+    $@
+    $@@
+   ##$@
+  #  $@
+ #   $@
+ #   $@
+ #   $@
+  #  $@
+   ##$@
+     $@@
+ ##  $@
+   # $@
+    #$@
+    #$@
+    #$@
+   # $@
+ ##  $@
+     $@@
+        $@
+  #   # $@
+   # #  $@
+ #######$@
+   # #  $@
+  #   # $@
+        $@
+        $@@
+      $@
+   #  $@
+   #  $@
+ #####$@
+   #  $@
+   #  $@
+      $@
+      $@@
+    $@
+    $@
+    $@
+    $@
+ ###$@
+ ###$@
+  # $@
+ #  $@@
+      $@
+      $@
+      $@
+ #####$@
+      $@
+      $@
+      $@
+      $@@
+    $@
+    $@
+    $@
+    $@
+ ###$@
+ ###$@
+ ###$@
+    $@@
+       #$@
+      # $@
+     #  $@
+    #   $@
+   #    $@
+  #     $@
+ #      $@
+        $@@
+   ###  $@
+  #   # $@
+ #     #$@
+ #     #$@
+ #     #$@
+  #   # $@
+   ###  $@
+        $@@
+   #  $@
+  ##  $@
+ # #  $@
+   #  $@
+   #  $@
+   #  $@
+ #####$@
+      $@@
+  ##### $@
+ #     #$@
+       #$@
+  ##### $@
+ #      $@
+ #      $@
+ #######$@
+        $@@
+  ##### $@
+ #     #$@
+       #$@
+  ##### $@
+       #$@
+ #     #$@
+  ##### $@
+        $@@
+ #      $@
+ #    # $@
+ #    # $@
+ #    # $@
+ #######$@
+      # $@
+      # $@
+        $@@
+ #######$@
+ #      $@
+ #      $@
+ ###### $@
+       #$@
+ #     #$@
+  ##### $@
+        $@@
+  ##### $@
+ #     #$@
+ #      $@
+ ###### $@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+ #######$@
+ #    # $@
+     #  $@
+    #   $@
+   #    $@
+   #    $@
+   #    $@
+        $@@
+  ##### $@
+ #     #$@
+ #     #$@
+  ##### $@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+  ##### $@
+ #     #$@
+ #     #$@
+  ######$@
+       #$@
+ #     #$@
+  ##### $@
+        $@@
+  # $@
+ ###$@
+  # $@
+    $@
+  # $@
+ ###$@
+  # $@
+    $@@
+    $@
+ ###$@
+ ###$@
+    $@
+ ###$@
+ ###$@
+  # $@
+ #  $@@
+    #$@
+   # $@
+  #  $@
+ #   $@
+  #  $@
+   # $@
+    #$@
+     $@@
+      $@
+      $@
+ #####$@
+      $@
+ #####$@
+      $@
+      $@
+      $@@
+ #   $@
+  #  $@
+   # $@
+    #$@
+   # $@
+  #  $@
+ #   $@
+     $@@
+  ##### $@
+ #     #$@
+       #$@
+    ### $@
+    #   $@
+        $@
+    #   $@
+        $@@
+  ##### $@
+ #     #$@
+ # ### #$@
+ # ### #$@
+ # #### $@
+ #      $@
+  ##### $@
+        $@@
+    #   $@
+   # #  $@
+  #   # $@
+ #     #$@
+ #######$@
+ #     #$@
+ #     #$@
+        $@@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+        $@@
+  ##### $@
+ #     #$@
+ #      $@
+ #      $@
+ #      $@
+ #     #$@
+  ##### $@
+        $@@
+ ###### $@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+ ###### $@
+        $@@
+ #######$@
+ #      $@
+ #      $@
+ #####  $@
+ #      $@
+ #      $@
+ #######$@
+        $@@
+ #######$@
+ #      $@
+ #      $@
+ #####  $@
+ #      $@
+ #      $@
+ #      $@
+        $@@
+  ##### $@
+ #     #$@
+ #      $@
+ #  ####$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+ #     #$@
+ #     #$@
+ #     #$@
+ #######$@
+ #     #$@
+ #     #$@
+ #     #$@
+        $@@
+ ###$@
+  # $@
+  # $@
+  # $@
+  # $@
+  # $@
+ ###$@
+    $@@
+       #$@
+       #$@
+       #$@
+       #$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+ #    #$@
+ #   # $@
+ #  #  $@
+ ###   $@
+ #  #  $@
+ #   # $@
+ #    #$@
+       $@@
+ #      $@
+ #      $@
+ #      $@
+ #      $@
+ #      $@
+ #      $@
+ #######$@
+        $@@
+ #     #$@
+ ##   ##$@
+ # # # #$@
+ #  #  #$@
+ #     #$@
+ #     #$@
+ #     #$@
+        $@@
+ #     #$@
+ ##    #$@
+ # #   #$@
+ #  #  #$@
+ #   # #$@
+ #    ##$@
+ #     #$@
+        $@@
+ #######$@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+ #######$@
+        $@@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #      $@
+ #      $@
+ #      $@
+        $@@
+  ##### $@
+ #     #$@
+ #     #$@
+ #     #$@
+ #   # #$@
+ #    # $@
+  #### #$@
+        $@@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #   #  $@
+ #    # $@
+ #     #$@
+        $@@
+  ##### $@
+ #     #$@
+ #      $@
+  ##### $@
+       #$@
+ #     #$@
+  ##### $@
+        $@@
+ #######$@
+    #   $@
+    #   $@
+    #   $@
+    #   $@
+    #   $@
+    #   $@
+        $@@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+  #   # $@
+   # #  $@
+    #   $@
+        $@@
+ #     #$@
+ #  #  #$@
+ #  #  #$@
+ #  #  #$@
+ #  #  #$@
+ #  #  #$@
+  ## ## $@
+        $@@
+ #     #$@
+  #   # $@
+   # #  $@
+    #   $@
+   # #  $@
+  #   # $@
+ #     #$@
+        $@@
+ #     #$@
+  #   # $@
+   # #  $@
+    #   $@
+    #   $@
+    #   $@
+    #   $@
+        $@@
+ #######$@
+      # $@
+     #  $@
+    #   $@
+   #    $@
+  #     $@
+ #######$@
+        $@@
+ #####$@
+ #    $@
+ #    $@
+ #    $@
+ #    $@
+ #    $@
+ #####$@
+      $@@
+ #      $@
+  #     $@
+   #    $@
+    #   $@
+     #  $@
+      # $@
+       #$@
+        $@@
+ #####$@
+     #$@
+     #$@
+     #$@
+     #$@
+     #$@
+ #####$@
+      $@@
+   #  $@
+  # # $@
+ #   #$@
+      $@
+      $@
+      $@
+      $@
+      $@@
+        $@
+        $@
+        $@
+        $@
+        $@
+        $@
+        $@
+ #######$@@
+ ###$@
+ ###$@
+  # $@
+   #$@
+    $@
+    $@
+    $@
+    $@@
+       $@
+   ##  $@
+  #  # $@
+ #    #$@
+ ######$@
+ #    #$@
+ #    #$@
+       $@@
+       $@
+ ##### $@
+ #    #$@
+ ##### $@
+ #    #$@
+ #    #$@
+ ##### $@
+       $@@
+       $@
+  #### $@
+ #    #$@
+ #     $@
+ #     $@
+ #    #$@
+  #### $@
+       $@@
+       $@
+ ##### $@
+ #    #$@
+ #    #$@
+ #    #$@
+ #    #$@
+ ##### $@
+       $@@
+       $@
+ ######$@
+ #     $@
+ ##### $@
+ #     $@
+ #     $@
+ ######$@
+       $@@
+       $@
+ ######$@
+ #     $@
+ ##### $@
+ #     $@
+ #     $@
+ #     $@
+       $@@
+       $@
+  #### $@
+ #    #$@
+ #     $@
+ #  ###$@
+ #    #$@
+  #### $@
+       $@@
+       $@
+ #    #$@
+ #    #$@
+ ######$@
+ #    #$@
+ #    #$@
+ #    #$@
+       $@@
+  $@
+ #$@
+ #$@
+ #$@
+ #$@
+ #$@
+ #$@
+  $@@
+       $@
+      #$@
+      #$@
+      #$@
+      #$@
+ #    #$@
+  #### $@
+       $@@
+       $@
+ #    #$@
+ #   # $@
+ ####  $@
+ #  #  $@
+ #   # $@
+ #    #$@
+       $@@
+       $@
+ #     $@
+ #     $@
+ #     $@
+ #     $@
+ #     $@
+ ######$@
+       $@@
+       $@
+ #    #$@
+ ##  ##$@
+ # ## #$@
+ #    #$@
+ #    #$@
+ #    #$@
+       $@@
+       $@
+ #    #$@
+ ##   #$@
+ # #  #$@
+ #  # #$@
+ #   ##$@
+ #    #$@
+       $@@
+       $@
+  #### $@
+ #    #$@
+ #    #$@
+ #    #$@
+ #    #$@
+  #### $@
+       $@@
+       $@
+ ##### $@
+ #    #$@
+ #    #$@
+ ##### $@
+ #     $@
+ #     $@
+       $@@
+       $@
+  #### $@
+ #    #$@
+ #    #$@
+ #  # #$@
+ #   # $@
+  ### #$@
+       $@@
+       $@
+ ##### $@
+ #    #$@
+ #    #$@
+ ##### $@
+ #   # $@
+ #    #$@
+       $@@
+       $@
+  #### $@
+ #     $@
+  #### $@
+      #$@
+ #    #$@
+  #### $@
+       $@@
+      $@
+ #####$@
+   #  $@
+   #  $@
+   #  $@
+   #  $@
+   #  $@
+      $@@
+       $@
+ #    #$@
+ #    #$@
+ #    #$@
+ #    #$@
+ #    #$@
+  #### $@
+       $@@
+       $@
+ #    #$@
+ #    #$@
+ #    #$@
+ #    #$@
+  #  # $@
+   ##  $@
+       $@@
+       $@
+ #    #$@
+ #    #$@
+ #    #$@
+ # ## #$@
+ ##  ##$@
+ #    #$@
+       $@@
+       $@
+ #    #$@
+  #  # $@
+   ##  $@
+   ##  $@
+  #  # $@
+ #    #$@
+       $@@
+      $@
+ #   #$@
+  # # $@
+   #  $@
+   #  $@
+   #  $@
+   #  $@
+      $@@
+       $@
+ ######$@
+     # $@
+    #  $@
+   #   $@
+  #    $@
+ ######$@
+       $@@
+   ###$@
+  #   $@
+  #   $@
+ ##   $@
+  #   $@
+  #   $@
+   ###$@
+      $@@
+ #$@
+ #$@
+ #$@
+  $@
+ #$@
+ #$@
+ #$@
+  $@@
+ ###  $@
+    # $@
+    # $@
+    ##$@
+    # $@
+    # $@
+ ###  $@
+      $@@
+  ##    $@
+ #  #  #$@
+     ## $@
+        $@
+        $@
+        $@
+        $@
+        $@@
+ #  #  #$@
+   # #  $@
+  #   # $@
+ #     #$@
+ #######$@
+ #     #$@
+ #     #$@
+        $@@
+ #     #$@
+  ##### $@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+ #     #$@
+        $@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+       $@
+ #    #$@
+  #### $@
+ #    #$@
+ ######$@
+ #    #$@
+ #    #$@
+       $@@
+       $@
+ #    #$@
+  #### $@
+ #    #$@
+ #    #$@
+ #    #$@
+  #### $@
+       $@@
+       $@
+ #    #$@
+       $@
+ #    #$@
+ #    #$@
+ #    #$@
+  #### $@
+       $@@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #      $@@
+160  NO-BREAK SPACE
+         $@
+         $@
+         $@
+         $@
+ ########$@
+    ##   $@
+    ##   $@
+    ##   $@@
+169  COPYRIGHT SIGN
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@
+ $@@
+176  DEGREE SIGN
+         $@
+         $@
+         $@
+         $@
+ ########$@
+         $@
+         $@
+         $@@
+178  SUPERSCRIPT TWO
+    ##   $@
+    ##   $@
+    ##   $@
+    ##   $@
+ ########$@
+    ##   $@
+    ##   $@
+    ##   $@@
+183  MIDDLE DOT
+ ##   $@
+ ##   $@
+ #####$@
+ ##   $@
+ #####$@
+ ##   $@
+ ##   $@
+ ##   $@@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+ #  #  #$@
+   # #  $@
+  #   # $@
+ #     #$@
+ #######$@
+ #     #$@
+ #     #$@
+        $@@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+ #     #$@
+  ##### $@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+ #     #$@
+        $@
+ #     #$@
+ #     #$@
+ #     #$@
+ #     #$@
+  ##### $@
+        $@@
+223  LATIN SMALL LETTER SHARP S
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #     #$@
+ #     #$@
+ ###### $@
+ #      $@@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+       $@
+ #    #$@
+  #### $@
+ #    #$@
+ ######$@
+ #    #$@
+ #    #$@
+       $@@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+       $@
+ #    #$@
+  #### $@
+ #    #$@
+ #    #$@
+ #    #$@
+  #### $@
+       $@@
+247  DIVISION SIGN
+ #### $@
+ #### $@
+ #### $@
+ #### $@
+ #####$@
+ #### $@
+ #### $@
+ #### $@@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+       $@
+ #    #$@
+       $@
+ #    #$@
+ #    #$@
+ #    #$@
+  #### $@
+       $@@
+0x0401  CYRILLIC CAPITAL LETTER IO
+ ########$@
+ ########$@
+ ########$@
+ ########$@
+ ########$@
+ ########$@
+ ########$@
+ ########$@@
+0x0410  CYRILLIC CAPITAL LETTER A
+    ####$@
+   ## ##$@
+  ##  ##$@
+ ##   ##$@
+ #######$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x0411  CYRILLIC CAPITAL LETTER BE
+ #######$@
+ ##     $@
+ ##     $@
+ ###### $@
+ ##   ##$@
+ ##   ##$@
+ ###### $@
+        $@@
+0x0412  CYRILLIC CAPITAL LETTER VE
+ ###### $@
+ ##   ##$@
+ ##   ##$@
+ ###### $@
+ ##   ##$@
+ ##   ##$@
+ ###### $@
+        $@@
+0x0413  CYRILLIC CAPITAL LETTER GHE
+ #######$@
+ ##     $@
+ ##     $@
+ ##     $@
+ ##     $@
+ ##     $@
+ ##     $@
+        $@@
+0x0414  CYRILLIC CAPITAL LETTER DE
+   #### $@
+  ## ## $@
+  ## ## $@
+  ## ## $@
+  ## ## $@
+ #######$@
+ ##   ##$@
+        $@@
+0x0415  CYRILLIC CAPITAL LETTER IE
+ #######$@
+ ##     $@
+ ##     $@
+ ###### $@
+ ##     $@
+ ##     $@
+ #######$@
+        $@@
+0x0416  CYRILLIC CAPITAL LETTER ZHE
+ ## # ##$@
+  # # # $@
+   ###  $@
+   ###  $@
+  # # # $@
+  # # # $@
+ ## # ##$@
+        $@@
+0x0417  CYRILLIC CAPITAL LETTER ZE
+  ##### $@
+ ##   ##$@
+      ##$@
+    ##  $@
+      ##$@
+ ##   ##$@
+  ##### $@
+        $@@
+0x0418  CYRILLIC CAPITAL LETTER I
+ ##   ##$@
+ ##  ###$@
+ ##  ###$@
+ ## # ##$@
+ ###  ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x0419  CYRILLIC CAPITAL LETTER SHORT I
+ ## ## #$@
+ ##   ##$@
+ ##  ###$@
+ ## # ##$@
+ ###  ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x041A  CYRILLIC CAPITAL LETTER KA
+ ##   ##$@
+ ##  ## $@
+ ## ##  $@
+ #####  $@
+ ##  ## $@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x041B  CYRILLIC CAPITAL LETTER EL
+   #####$@
+  ##  ##$@
+  ##  ##$@
+  ##  ##$@
+  ##  ##$@
+  ##  ##$@
+ ##   ##$@
+        $@@
+0x041C  CYRILLIC CAPITAL LETTER EM
+ ##   ##$@
+ ##   ##$@
+ ### ###$@
+ ## # ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x041D  CYRILLIC CAPITAL LETTER EN
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ #######$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x041E  CYRILLIC CAPITAL LETTER O
+  ##### $@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+  ##### $@
+        $@@
+0x041F  CYRILLIC CAPITAL LETTER PE
+ #######$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x0420  CYRILLIC CAPITAL LETTER ER
+ ###### $@
+ ##   ##$@
+ ##   ##$@
+ ###### $@
+ ##     $@
+ ##     $@
+ ##     $@
+        $@@
+0x0421  CYRILLIC CAPITAL LETTER ES
+  ##### $@
+ ##   ##$@
+ ##     $@
+ ##     $@
+ ##     $@
+ ##   ##$@
+  ##### $@
+        $@@
+0x0422  CYRILLIC CAPITAL LETTER TE
+ ###### $@
+   ##   $@
+   ##   $@
+   ##   $@
+   ##   $@
+   ##   $@
+   ##   $@
+        $@@
+0x0423  CYRILLIC CAPITAL LETTER U
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+  ######$@
+      ##$@
+ ##   ##$@
+  ##### $@
+        $@@
+0x0424  CYRILLIC CAPITAL LETTER EF
+    #   $@
+  ##### $@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+  ##### $@
+    #   $@
+        $@@
+0x0425  CYRILLIC CAPITAL LETTER HA
+ ##   ##$@
+  ## ## $@
+   ###  $@
+   ###  $@
+   ###  $@
+  ## ## $@
+ ##   ##$@
+        $@@
+0x0426  CYRILLIC CAPITAL LETTER TSE
+ ##  ## $@
+ ##  ## $@
+ ##  ## $@
+ ##  ## $@
+ ##  ## $@
+ ##  ## $@
+ #######$@
+       #$@@
+0x0427  CYRILLIC CAPITAL LETTER CHE
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+  ######$@
+      ##$@
+      ##$@
+      ##$@
+        $@@
+0x0428  CYRILLIC CAPITAL LETTER SHA
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ #######$@
+        $@@
+0x0429  CYRILLIC CAPITAL LETTER SHCHA
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ #######$@
+       #$@@
+0x042A  CYRILLIC CAPITAL LETTER HARD SIGN
+ ###    $@
+ ###    $@
+  ##    $@
+  ##### $@
+  ##  ##$@
+  ##  ##$@
+  ##### $@
+        $@@
+0x042B  CYRILLIC CAPITAL LETTER YERU
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ####  #$@
+ ##  # #$@
+ ##  # #$@
+ ####  #$@
+        $@@
+0x042C  CYRILLIC CAPITAL LETTER SOFT SIGN
+ ##     $@
+ ##     $@
+ ##     $@
+ ###### $@
+ ##   ##$@
+ ##   ##$@
+ ###### $@
+        $@@
+0x042D  CYRILLIC CAPITAL LETTER E
+  ##### $@
+ ##   ##$@
+      ##$@
+   #####$@
+      ##$@
+ ##   ##$@
+  ##### $@
+        $@@
+0x042E  CYRILLIC CAPITAL LETTER YU
+ ##  ## $@
+ ## # ##$@
+ ## # ##$@
+ #### ##$@
+ ## # ##$@
+ ## # ##$@
+ ##  ## $@
+        $@@
+0x042F  CYRILLIC CAPITAL LETTER YA
+   #####$@
+  ##  ##$@
+  ##  ##$@
+   #####$@
+   ## ##$@
+  ##  ##$@
+ ##   ##$@
+        $@@
+0x0430  CYRILLIC SMALL LETTER A
+        $@
+        $@
+  ####  $@
+     ## $@
+  ##### $@
+ ##  ## $@
+  ######$@
+        $@@
+0x0431  CYRILLIC SMALL LETTER BE
+        $@
+     ## $@
+  ####  $@
+ ##     $@
+ ###### $@
+ ##   ##$@
+  ##### $@
+        $@@
+0x0432  CYRILLIC SMALL LETTER VE
+        $@
+        $@
+ #####  $@
+ ##  ## $@
+ ###### $@
+ ##   ##$@
+ ###### $@
+        $@@
+0x0433  CYRILLIC SMALL LETTER GHE
+        $@
+        $@
+  ##### $@
+      ##$@
+  ##### $@
+ ##     $@
+  ######$@
+        $@@
+0x0434  CYRILLIC SMALL LETTER DE
+        $@
+   #### $@
+      ##$@
+   #####$@
+  ##  ##$@
+ ##   ##$@
+  ##### $@
+        $@@
+0x0435  CYRILLIC SMALL LETTER IE
+        $@
+        $@
+  ##### $@
+ ##   ##$@
+ ###### $@
+ ##     $@
+  ##### $@
+        $@@
+0x0436  CYRILLIC SMALL LETTER ZHE
+        $@
+        $@
+ ## # ##$@
+  # # # $@
+   ###  $@
+  # # # $@
+ ## # ##$@
+        $@@
+0x0437  CYRILLIC SMALL LETTER ZE
+        $@
+        $@
+  ##### $@
+ ##   ##$@
+    ### $@
+ ##   ##$@
+  ##### $@
+        $@@
+0x0438  CYRILLIC SMALL LETTER I
+        $@
+        $@
+ ##   ##$@
+ ##  ###$@
+ ## # ##$@
+ ###  ##$@
+ ##   ##$@
+        $@@
+0x0439  CYRILLIC SMALL LETTER SHORT I
+        $@
+    ##  $@
+ ##   ##$@
+ ##  ###$@
+ ## # ##$@
+ ###  ##$@
+ ##   ##$@
+        $@@
+0x043A  CYRILLIC SMALL LETTER KA
+        $@
+        $@
+ ##   ##$@
+ ##  ## $@
+ #####  $@
+ ##  ## $@
+ ##   ##$@
+        $@@
+0x043B  CYRILLIC SMALL LETTER EL
+        $@
+        $@
+   #####$@
+  ##  ##$@
+  ##  ##$@
+  ##  ##$@
+ ##   ##$@
+        $@@
+0x043C  CYRILLIC SMALL LETTER EM
+        $@
+        $@
+ ##   ##$@
+ ### ###$@
+ ## # ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x043D  CYRILLIC SMALL LETTER EN
+        $@
+        $@
+ ##   ##$@
+ ##   ##$@
+ #######$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x043E  CYRILLIC SMALL LETTER O
+        $@
+        $@
+  ##### $@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+  ##### $@
+        $@@
+0x043F  CYRILLIC SMALL LETTER PE
+        $@
+        $@
+ ###### $@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+        $@@
+0x0440  CYRILLIC SMALL LETTER ER
+        $@
+        $@
+ ###### $@
+ ##   ##$@
+ ###### $@
+ ##     $@
+ ##     $@
+        $@@
+0x0441  CYRILLIC SMALL LETTER ES
+        $@
+        $@
+  ##### $@
+ ##     $@
+ ##     $@
+ ##     $@
+  ##### $@
+        $@@
+0x0442  CYRILLIC SMALL LETTER TE
+        $@
+        $@
+ ###### $@
+   ##   $@
+   ##   $@
+   ##   $@
+   ##   $@
+        $@@
+0x0443  CYRILLIC SMALL LETTER U
+        $@
+        $@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+  ######$@
+      ##$@
+  ##### $@@
+0x0444  CYRILLIC SMALL LETTER EF
+        $@
+    #   $@
+  ##### $@
+ ## # ##$@
+ ## # ##$@
+  ##### $@
+    #   $@
+        $@@
+0x0445  CYRILLIC SMALL LETTER HA
+        $@
+        $@
+ ##   ##$@
+  ## ## $@
+   ###  $@
+  ## ## $@
+ ##   ##$@
+        $@@
+0x0446  CYRILLIC SMALL LETTER TSE
+        $@
+        $@
+ ##   ##$@
+ ##   ##$@
+ ##   ##$@
+ ##  ## $@
+  ### ##$@
+       #$@@
+0x0447  CYRILLIC SMALL LETTER CHE
+        $@
+        $@
+ ##   ##$@
+ ##   ##$@
+  ######$@
+      ##$@
+      ##$@
+        $@@
+0x0448  CYRILLIC SMALL LETTER SHA
+        $@
+        $@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ #######$@
+        $@@
+0x0449  CYRILLIC SMALL LETTER SHCHA
+        $@
+        $@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ ## # ##$@
+ #######$@
+       #$@@
+0x044A  CYRILLIC SMALL LETTER HARD SIGN
+        $@
+        $@
+ ###    $@
+  ##    $@
+  ##### $@
+  ##  ##$@
+  ##### $@
+        $@@
+0x044B  CYRILLIC SMALL LETTER YERU
+        $@
+        $@
+ ##   ##$@
+ ##   ##$@
+ ####  #$@
+ ##  # #$@
+ ####  #$@
+        $@@
+0x044C  CYRILLIC SMALL LETTER SOFT SIGN
+        $@
+        $@
+ ##     $@
+ ##     $@
+ ###### $@
+ ##   ##$@
+ ###### $@
+        $@@
+0x044D  CYRILLIC SMALL LETTER E
+        $@
+        $@
+ ###### $@
+      ##$@
+   #####$@
+      ##$@
+ ###### $@
+        $@@
+0x044E  CYRILLIC SMALL LETTER YU
+        $@
+        $@
+ #  ### $@
+ # ## ##$@
+ #### ##$@
+ # ## ##$@
+ #  ### $@
+        $@@
+0x044F  CYRILLIC SMALL LETTER YA
+        $@
+        $@
+   #####$@
+  ##  ##$@
+   #####$@
+  ##  ##$@
+ ##   ##$@
+        $@@
+0x0451  CYRILLIC SMALL LETTER IO
+         $@
+         $@
+ ########$@
+         $@
+ #### ###$@
+   ## ## $@
+   ## ## $@
+   ## ## $@@
+0x2219  BULLET OPERATOR
+   ## ##$@
+   ## ##$@
+   ## ##$@
+   ## ##$@
+ #######$@
+        $@
+        $@
+        $@@
+0x221A  SQUARE ROOT
+    ## $@
+    ## $@
+ ##### $@
+    ## $@
+ ##### $@
+       $@
+       $@
+       $@@
+0x2248  ALMOST EQUAL TO
+       $@
+       $@
+       $@
+       $@
+ ##### $@
+    ## $@
+    ## $@
+    ## $@@
+0x2264  LESS-THAN OR EQUAL TO
+ ##   $@
+ ##   $@
+ ##   $@
+ ##   $@
+ #####$@
+      $@
+      $@
+      $@@
+0x2265  GREATER-THAN OR EQUAL TO
+    ##   $@
+    ##   $@
+    ##   $@
+    ##   $@
+ ########$@
+         $@
+         $@
+         $@@
+0x2320  TOP HALF INTEGRAL
+        $@
+        $@
+ #######$@
+      ##$@
+ #### ##$@
+   ## ##$@
+   ## ##$@
+   ## ##$@@
+0x2321  BOTTOM HALF INTEGRAL
+ ##   $@
+ ##   $@
+ ##   $@
+ ##   $@
+ #####$@
+ ##   $@
+ ##   $@
+ ##   $@@
+0x2500  BOX DRAWINGS LIGHT HORIZONTAL
+   ##  $@
+       $@
+   ##  $@
+  ##   $@
+ ##    $@
+ ##  ##$@
+  #### $@
+       $@@
+0x2502  BOX DRAWINGS LIGHT VERTICAL
+       $@
+       $@
+       $@
+ ######$@
+ ##    $@
+ ##    $@
+       $@
+       $@@
+0x250C  BOX DRAWINGS LIGHT DOWN AND RIGHT
+       $@
+       $@
+       $@
+ ######$@
+     ##$@
+     ##$@
+       $@
+       $@@
+0x2510  BOX DRAWINGS LIGHT DOWN AND LEFT
+ ##    ##$@
+ ##   ## $@
+ ##  ##  $@
+ ## #### $@
+   ##  ##$@
+  ##  ## $@
+ ##  ##  $@
+     ####$@@
+0x2514  BOX DRAWINGS LIGHT UP AND RIGHT
+ ##    ##$@
+ ##   ## $@
+ ##  ##  $@
+ ## ## ##$@
+   ## ###$@
+  ## ####$@
+ ##  ####$@
+       ##$@@
+0x2518  BOX DRAWINGS LIGHT UP AND LEFT
+ ## $@
+ ## $@
+    $@
+ ## $@
+ ## $@
+ ## $@
+ ## $@
+    $@@
+0x251C  BOX DRAWINGS LIGHT VERTICAL AND RIGHT
+         $@
+   ##  ##$@
+  ##  ## $@
+ ##  ##  $@
+  ##  ## $@
+   ##  ##$@
+         $@
+         $@@
+0x2524  BOX DRAWINGS LIGHT VERTICAL AND LEFT
+         $@
+ ##  ##  $@
+  ##  ## $@
+   ##  ##$@
+  ##  ## $@
+ ##  ##  $@
+         $@
+         $@@
+0x252C  BOX DRAWINGS LIGHT DOWN AND HORIZONTAL
+  # #$@
+ # # $@
+  # #$@
+ # # $@
+  # #$@
+ # # $@
+  # #$@
+ # # $@@
+0x2534  BOX DRAWINGS LIGHT UP AND HORIZONTAL
+  # # # #$@
+ # # # # $@
+  # # # #$@
+ # # # # $@
+  # # # #$@
+ # # # # $@
+  # # # #$@
+ # # # # $@@
+0x253C  BOX DRAWINGS LIGHT VERTICAL AND HORIZONTAL
+ ## ## ##$@
+  ### ###$@
+ ## ## ##$@
+ ### ### $@
+ ## ## ##$@
+  ### ###$@
+ ## ## ##$@
+ ### ### $@@
+0x2550  BOX DRAWINGS DOUBLE HORIZONTAL
+ ## ## $@
+ ## ## $@
+ ## ###$@
+ ##    $@
+ ######$@
+       $@
+       $@
+       $@@
+0x2551  BOX DRAWINGS DOUBLE VERTICAL
+       $@
+       $@
+ ######$@
+ ##    $@
+ ## ###$@
+ ## ## $@
+ ## ## $@
+ ## ## $@@
+0x2552  BOX DRAWINGS DOWN SINGLE AND RIGHT DOUBLE
+   ## ## $@
+   ## ## $@
+ #### ###$@
+         $@
+ ########$@
+         $@
+         $@
+         $@@
+0x2553  BOX DRAWINGS DOWN DOUBLE AND RIGHT SINGLE
+ #### $@
+ #### $@
+ #####$@
+ ##   $@
+ #####$@
+ #### $@
+ #### $@
+ #### $@@
+0x2554  BOX DRAWINGS DOUBLE DOWN AND RIGHT
+         $@
+         $@
+ ########$@
+         $@
+ ########$@
+         $@
+         $@
+         $@@
+0x2555  BOX DRAWINGS DOWN SINGLE AND LEFT DOUBLE
+   #### $@
+   #### $@
+ #######$@
+        $@
+ #######$@
+   #### $@
+   #### $@
+   #### $@@
+0x2556  BOX DRAWINGS DOWN DOUBLE AND LEFT SINGLE
+    ##   $@
+    ##   $@
+ ########$@
+         $@
+ ########$@
+         $@
+         $@
+         $@@
+0x2557  BOX DRAWINGS DOUBLE DOWN AND LEFT
+   ## ## $@
+   ## ## $@
+   ## ## $@
+   ## ## $@
+ ########$@
+         $@
+         $@
+         $@@
+0x2558  BOX DRAWINGS UP SINGLE AND RIGHT DOUBLE
+         $@
+         $@
+ ########$@
+         $@
+ ########$@
+    ##   $@
+    ##   $@
+    ##   $@@
+0x2559  BOX DRAWINGS UP DOUBLE AND RIGHT SINGLE
+         $@
+         $@
+         $@
+         $@
+ ########$@
+   ## ## $@
+   ## ## $@
+   ## ## $@@
+0x255A  BOX DRAWINGS DOUBLE UP AND RIGHT
+ ## ## $@
+ ## ## $@
+ ## ## $@
+ ## ## $@
+ ######$@
+       $@
+       $@
+       $@@
+0x255B  BOX DRAWINGS UP SINGLE AND LEFT DOUBLE
+ ##   $@
+ ##   $@
+ #####$@
+ ##   $@
+ #####$@
+      $@
+      $@
+      $@@
+0x255C  BOX DRAWINGS UP DOUBLE AND LEFT SINGLE
+      $@
+      $@
+ #####$@
+ ##   $@
+ #####$@
+ ##   $@
+ ##   $@
+ ##   $@@
+0x255D  BOX DRAWINGS DOUBLE UP AND LEFT
+       $@
+       $@
+       $@
+       $@
+ ######$@
+ ## ## $@
+ ## ## $@
+ ## ## $@@
+0x255E  BOX DRAWINGS VERTICAL SINGLE AND RIGHT DOUBLE
+   ## ## $@
+   ## ## $@
+   ## ## $@
+   ## ## $@
+ ########$@
+   ## ## $@
+   ## ## $@
+   ## ## $@@
+0x255F  BOX DRAWINGS VERTICAL DOUBLE AND RIGHT SINGLE
+    ##   $@
+    ##   $@
+ ########$@
+    ##   $@
+ ########$@
+    ##   $@
+    ##   $@
+    ##   $@@
+0x2560  BOX DRAWINGS DOUBLE VERTICAL AND RIGHT
+    ## $@
+    ## $@
+    ## $@
+    ## $@
+ ##### $@
+       $@
+       $@
+       $@@
+0x2561  BOX DRAWINGS VERTICAL SINGLE AND LEFT DOUBLE
+      $@
+      $@
+      $@
+      $@
+ #####$@
+ ##   $@
+ ##   $@
+ ##   $@@
+0x2562  BOX DRAWINGS VERTICAL DOUBLE AND LEFT SINGLE
+         $@
+         $@
+         $@
+         $@
+ ########$@
+ ########$@
+ ########$@
+ ########$@@
+0x2563  BOX DRAWINGS DOUBLE VERTICAL AND LEFT
+ ####  $@
+ ####  $@
+ ####  $@
+ ####  $@
+ ####  $@
+ ####  $@
+ ####  $@
+ ####  $@@
+0x2564  BOX DRAWINGS DOWN SINGLE AND HORIZONTAL DOUBLE
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@@
+0x2565  BOX DRAWINGS DOWN DOUBLE AND HORIZONTAL SINGLE
+ ########$@
+ ########$@
+ ########$@
+ ########$@
+         $@
+         $@
+         $@
+         $@@
+0x2566  BOX DRAWINGS DOUBLE DOWN AND HORIZONTAL
+  ###  $@
+ ## ## $@
+ ## ## $@
+  ###  $@
+       $@
+       $@
+       $@
+       $@@
+0x2567  BOX DRAWINGS UP SINGLE AND HORIZONTAL DOUBLE
+    $@
+    $@
+    $@
+ ## $@
+ ## $@
+    $@
+    $@
+    $@@
+0x2568  BOX DRAWINGS UP DOUBLE AND HORIZONTAL SINGLE
+    $@
+    $@
+    $@
+    $@
+ ## $@
+    $@
+    $@
+    $@@
+0x2569  BOX DRAWINGS DOUBLE UP AND HORIZONTAL
+     ####$@
+     ##  $@
+     ##  $@
+     ##  $@
+ ### ##  $@
+  ## ##  $@
+   ####  $@
+    ###  $@@
+0x256A  BOX DRAWINGS VERTICAL SINGLE AND HORIZONTAL DOUBLE
+ ####  $@
+ ## ## $@
+ ## ## $@
+ ## ## $@
+ ## ## $@
+       $@
+       $@
+       $@@
+0x256B  BOX DRAWINGS VERTICAL DOUBLE AND HORIZONTAL SINGLE
+ ###  $@
+   ## $@
+  ##  $@
+ ##   $@
+ #### $@
+      $@
+      $@
+      $@@
+0x256C  BOX DRAWINGS DOUBLE VERTICAL AND HORIZONTAL
+      $@
+      $@
+ #### $@
+ #### $@
+ #### $@
+ #### $@
+      $@
+      $@@
+0x2580  UPPER HALF BLOCK
+ ## $@
+ ## $@
+ ## $@
+ ## $@
+ ## $@
+ ## $@
+ ## $@
+ ## $@@
+0x2584  LOWER HALF BLOCK
+    ## $@
+    ## $@
+    ## $@
+    ## $@
+ ##### $@
+    ## $@
+    ## $@
+    ## $@@
+0x2588  FULL BLOCK
+    ## $@
+    ## $@
+ ##### $@
+    ## $@
+ ##### $@
+    ## $@
+    ## $@
+    ## $@@
+0x258C  LEFT HALF BLOCK
+   ####$@
+   ####$@
+   ####$@
+   ####$@
+ ######$@
+   ####$@
+   ####$@
+   ####$@@
+0x2590  RIGHT HALF BLOCK
+        $@
+        $@
+        $@
+        $@
+ #######$@
+   ## ##$@
+   ## ##$@
+   ## ##$@@
+0x2591  LIGHT SHADE
+       $@
+       $@
+ ##### $@
+    ## $@
+ ##### $@
+    ## $@
+    ## $@
+    ## $@@
+0x2592  MEDIUM SHADE
+   ####$@
+   ####$@
+ ######$@
+     ##$@
+ ######$@
+   ####$@
+   ####$@
+   ####$@@
+0x2593  DARK SHADE
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@
+ ####$@@
+0x25A0  BLACK SQUARE
+   ## ##$@
+   ## ##$@
+ #### ##$@
+      ##$@
+ #######$@
+        $@
+        $@
+        $@@
+0x30A2  A
+ ##########$@
+       ### $@
+      #    $@
+     #     $@
+    #      $@
+   #       $@
+  #        $@
+           $@@
+0x30A4  I
+       ##$@
+     ##  $@
+   ## #  $@
+ ##   #  $@
+      #  $@
+      #  $@
+      #  $@
+         $@@
+0x30A6  U
+     #     $@
+ ##########$@
+ #        #$@
+        ## $@
+      ##   $@
+    ##     $@
+  ##       $@
+           $@@
+0x30A8  E
+           $@
+   ####### $@
+      #    $@
+      #    $@
+      #    $@
+      #    $@
+ ##########$@
+           $@@
+0x30AA  O
+        #  $@
+ ##########$@
+       ##  $@
+     ## #  $@
+   ##   #  $@
+ ##    ##  $@
+        #  $@
+           $@@
+0x30AB  KA
+      #    $@
+ ##########$@
+     #    #$@
+     #    #$@
+    #     #$@
+   #   # # $@
+  #     #  $@
+           $@@
+0x30AD  KI
+ # #    $@
+  #   # $@
+ # # #  $@
+    #   $@
+   # #  $@
+  #   # $@
+       #$@
+        $@@
+0x30AF  KU
+    #      $@
+   ########$@
+  #       #$@
+ #      ## $@
+      ##   $@
+    ##     $@
+  ##       $@
+           $@@
+0x30B1  KE
+    #      $@
+   ########$@
+  #    #   $@
+ #    #    $@
+     #     $@
+    #      $@
+   #       $@
+           $@@
+0x30B3  KO
+           $@
+ ##########$@
+          #$@
+          #$@
+          #$@
+          #$@
+ ######### $@
+           $@@
+0x30B5  SA
+   #    #  $@
+ ##########$@
+   #    #  $@
+        #  $@
+       #   $@
+      #    $@
+    #      $@
+           $@@
+0x30B7  SI (SHI)
+   #       #$@
+ #  #     # $@
+  #      #  $@
+       ##   $@
+     ##     $@
+   ##       $@
+ ##         $@
+            $@@
+0x30B9  SU
+ ########$@
+        #$@
+       # $@
+     ##  $@
+   ## #  $@
+  ##   # $@
+ #      #$@
+         $@@
+0x30BB  SE
+   #       $@
+   #       $@
+ ##########$@
+   #     # $@
+   #       $@
+   #       $@
+    ###### $@
+           $@@
+0x30BD  SO
+ #       #$@
+ #       #$@
+        # $@
+       #  $@
+     ##   $@
+   ##     $@
+ ##       $@
+          $@@
+0x30BF  TA
+    #     $@
+   #######$@
+  #     # $@
+ # #   #  $@
+    ###   $@
+   ##     $@
+ ##       $@
+          $@@
+0x30C1  TI (CHI)
+        ## $@
+  ######   $@
+      #    $@
+ ##########$@
+      #    $@
+      #    $@
+    ##     $@
+           $@@
+0x30C4  TU (TSU)
+ # #     #$@
+ # #     #$@
+        # $@
+       #  $@
+     ##   $@
+   ##     $@
+ ##       $@
+          $@@
+0x30C6  TE
+   ######  $@
+           $@
+ ##########$@
+      #    $@
+      #    $@
+     #     $@
+   ##      $@
+           $@@
+0x30C8  TO
+ #   $@
+ #   $@
+ ##  $@
+ # # $@
+ #  #$@
+ #   $@
+ #   $@
+     $@@
+0x30CA  NA
+      #    $@
+ ##########$@
+      #    $@
+      #    $@
+     #     $@
+    #      $@
+  ##       $@
+           $@@
+0x30CB  NI
+           $@
+           $@
+   ######  $@
+           $@
+           $@
+ ##########$@
+           $@
+           $@@
+0x30CC  NU
+ ##########$@
+          #$@
+    #    # $@
+     # ##  $@
+     ##    $@
+   ##  #   $@
+ ##     #  $@
+           $@@
+0x30CD  NE
+      #    $@
+ ##########$@
+         # $@
+      ###  $@
+   ######  $@
+ ##   #  ##$@
+      #    $@
+           $@@
+0x30CE  NO
+         #$@
+         #$@
+        # $@
+       #  $@
+     ##   $@
+   ##     $@
+ ##       $@
+          $@@
+0x30CF  HA
+          $@
+          $@
+    #  #  $@
+   #    # $@
+  #      #$@
+ #        $@
+          $@
+          $@@
+0x30D2  HI
+ #       $@
+ #   ### $@
+ ####    $@
+ #       $@
+ #       $@
+ #       $@
+  #######$@
+         $@@
+0x30D5  HU (FU)
+ ########$@
+        #$@
+        #$@
+       # $@
+     ##  $@
+   ##    $@
+ ##      $@
+         $@@
+0x30D8  HE
+           $@
+           $@
+   ##      $@
+  #  ##    $@
+ #     ##  $@
+         ##$@
+           $@
+           $@@
+0x30DB  HO
+      #    $@
+ ##########$@
+      #    $@
+   #  # #  $@
+  #   #  # $@
+ #   ##   #$@
+      #    $@
+           $@@
+0x30DE  MA
+           $@
+ ##########$@
+         # $@
+        #  $@
+     # #   $@
+      #    $@
+       #   $@
+           $@@
+0x30DF  MI
+ ####  $@
+     ##$@
+ ###   $@
+    ###$@
+       $@
+ ###   $@
+    ###$@
+       $@@
+0x30E0  MU
+      #    $@
+     #     $@
+    #      $@
+   #       $@
+  #     #  $@
+ ######### $@
+          #$@
+           $@@
+0x30E1  ME
+         #$@
+        # $@
+   #   #  $@
+    # #   $@
+     #    $@
+   ## #   $@
+ ##    #  $@
+          $@@
+0x30E2  MO
+   ######  $@
+     #     $@
+ ##########$@
+     #     $@
+     #     $@
+     #     $@
+      #### $@
+           $@@
+0x30E4  YA
+ #     ##  $@
+  #  ## #  $@
+  ###      $@
+ #  #      $@
+     #     $@
+      #    $@
+       #   $@
+           $@@
+0x30E6  YU
+           $@
+   ######  $@
+        #  $@
+        #  $@
+        #  $@
+ ##########$@
+           $@
+           $@@
+0x30E8  YO
+           $@
+   ######  $@
+       #   $@
+      #    $@
+      #    $@
+ ##########$@
+           $@
+           $@@
+0x30E9  RA
+   ######  $@
+           $@
+ ##########$@
+ #        #$@
+        ## $@
+      ##   $@
+    ##     $@
+           $@@
+0x30EA  RI
+ #   #$@
+ #   #$@
+ #   #$@
+ #   #$@
+    # $@
+   #  $@
+ ##   $@
+      $@@
+0x30EB  RU
+    # #    $@
+    # #    $@
+    # #    $@
+    # #   #$@
+   #  #  # $@
+  #   # #  $@
+ #    ##   $@
+           $@@
+0x30EC  RE
+ #       $@
+ #       $@
+ #       $@
+ #     ##$@
+ #   ##  $@
+ # ##    $@
+ ##      $@
+         $@@
+0x30ED  RO
+          $@
+ #########$@
+ #       #$@
+ #       #$@
+ #       #$@
+ #########$@
+          $@
+          $@@
+0x30EF  WA
+ ##########$@
+ #        #$@
+         # $@
+        #  $@
+       #   $@
+     ##    $@
+   ##      $@
+           $@@
+0x30F0  WI
+      #    $@
+   ####### $@
+    # #    $@
+    # #    $@
+ ##########$@
+      #    $@
+      #    $@
+           $@@
+0x30F1  WE
+ #########$@
+         #$@
+         #$@
+ ######## $@
+        # $@
+        # $@
+ ######## $@
+          $@@
+0x30F2  WO
+ ##########$@
+          #$@
+         # $@
+ ########  $@
+     ##    $@
+   ##      $@
+ ##        $@
+           $@@
+0x30F3  N
+         #$@
+ #       #$@
+  #     # $@
+       #  $@
+     ##   $@
+   ##     $@
+ ##       $@
+          $@@
+-0x0004  KATAMAP
+                                                    @
+a-A i-B u-C e-D o-E ka-F ki-G ku-H ke-I ko-J        @
+sa-K shi-L su-M se-N so-O ta-P chi-Q tsu-R te-S to-T@
+na-U ni-V nu-W ne-X no-Y ha-Z hi-a fu-b he-c ho-d   @
+ma-e mi-f mu-g me-h mo-i ya-j yu-k we-l yo-m        @
+ra-n ri-o ru-p re-q ro-r wa-s wi-t wo-u             @
+n-v                                                 @
+                                                    @@
+-0x0006  MOSCOWMAP
+a-a, b-b, v-v, g-g, d-d, e-e, zh-j, z-z, i-i@
+short i->, k-k, l-l, m-m, n-n, o-o, p-p, r-r@
+s-s, t-t, u-u, f-f, kh-h, ts-q, ch-c, sh-w  @
+shch-x, hard-\\, yeru-|, soft-/, reverse e-~ @
+yu-\`, ya-y                                  @
+Capitals use Latin capital letters, except: @
+Reverse E-<, Yu-@                           @
+No caps for short i, hard, yeru, soft.      @@
+`
+    },
+    mini: {
+        name: 'Mini',
+        source: `flf2a$ 4 3 10 0 10 0 1920
+Mini by Glenn Chappell 4/93
+Includes ISO Latin-1
+figlet release 2.1 -- 12 Aug 1994
+Permission is hereby given to modify this font, as long as the
+modifier's name is placed on a comment line.
+
+Modified by Paul Burton <solution@earthlink.net> 12/96 to include new parameter
+supported by FIGlet and FIGWin.  May also be slightly modified for better use
+of new full-width/kern/smush alternatives, but default output is NOT changed.
+
+$$@
+$$@
+$$@
+$$@@
+   @
+ |$@
+ o$@
+   @@
+    @
+ ||$@
+    @
+    @@
+       @
+ -|-|-$@
+ -|-|-$@
+       @@
+   _$@
+ (|$ @
+ _|)$@
+     @@
+    @
+ O/$@
+ /O$@
+    @@
+     @
+ ()$ @
+ (_X$@
+     @@
+   @
+ /$@
+   @
+   @@
+    @
+  /$@
+ |$ @
+  \\$@@
+    @
+ \\$ @
+  |$@
+ /$ @@
+     @
+ \\|/$@
+ /|\\$@
+     @@
+     @
+ _|_$@
+  |$ @
+     @@
+   @
+   @
+ o$@
+ /$@@
+    @
+ __$@
+    @
+    @@
+   @
+   @
+ o$@
+   @@
+    @
+  /$@
+ /$ @
+    @@
+  _$ @
+ / \\$@
+ \\_/$@
+     @@
+    @
+ /|$@
+  |$@
+    @@
+ _$ @
+  )$@
+ /_$@
+    @@
+ _$ @
+ _)$@
+ _)$@
+    @@
+      @
+ |_|_$@
+   |$ @
+      @@
+  _$ @
+ |_$ @
+  _)$@
+     @@
+  _$ @
+ |_$ @
+ |_)$@
+     @@
+ __$@
+  /$@
+ /$ @
+    @@
+  _$ @
+ (_)$@
+ (_)$@
+     @@
+  _$ @
+ (_|$@
+   |$@
+     @@
+   @
+ o$@
+ o$@
+   @@
+   @
+ o$@
+ o$@
+ /$@@
+   @
+ /$@
+ \\$@
+   @@
+    @
+ --$@
+ --$@
+    @@
+   @
+ \\$@
+ /$@
+   @@
+ _$ @
+  )$@
+ o$ @
+    @@
+   __$ @
+  /  \\$@
+ | (|/$@
+  \\__$ @@
+      @
+  /\\$ @
+ /--\\$@
+      @@
+  _$ @
+ |_)$@
+ |_)$@
+     @@
+  _$@
+ /$ @
+ \\_$@
+    @@
+  _$ @
+ | \\$@
+ |_/$@
+     @@
+  _$@
+ |_$@
+ |_$@
+    @@
+  _$@
+ |_$@
+ |$ @
+    @@
+  __$@
+ /__$@
+ \\_|$@
+     @@
+     @
+ |_|$@
+ | |$@
+     @@
+ ___$@
+  |$ @
+ _|_$@
+     @@
+     @
+   |$@
+ \\_|$@
+     @@
+    @
+ |/$@
+ |\\$@
+    @@
+    @
+ |$ @
+ |_$@
+    @@
+      @
+ |\\/|$@
+ |  |$@
+      @@
+      @
+ |\\ |$@
+ | \\|$@
+      @@
+  _$ @
+ / \\$@
+ \\_/$@
+     @@
+  _$ @
+ |_)$@
+ |$  @
+     @@
+  _$ @
+ / \\$@
+ \\_X$@
+     @@
+  _$ @
+ |_)$@
+ | \\$@
+     @@
+  __$@
+ (_$ @
+ __)$@
+     @@
+ ___$@
+  |$ @
+  |$ @
+     @@
+     @
+ | |$@
+ |_|$@
+     @@
+      @
+ \\  /$@
+  \\/$ @
+      @@
+        @
+ \\    /$@
+  \\/\\/$ @
+        @@
+    @
+ \\/$@
+ /\\$@
+    @@
+     @
+ \\_/$@
+  |$ @
+     @@
+ __$@
+  /$@
+ /_$@
+    @@
+  _$@
+ |$ @
+ |_$@
+    @@
+    @
+ \\$ @
+  \\$@
+    @@
+ _$ @
+  |$@
+ _|$@
+    @@
+ /\\$@
+    @
+    @
+    @@
+    @
+    @
+    @
+ __$@@
+   @
+ \\$@
+   @
+   @@
+     @
+  _.$@
+ (_|$@
+     @@
+     @
+ |_$ @
+ |_)$@
+     @@
+    @
+  _$@
+ (_$@
+    @@
+     @
+  _|$@
+ (_|$@
+     @@
+     @
+  _$ @
+ (/_$@
+     @@
+   _$@
+ _|_$@
+  |$ @
+     @@
+     @
+  _$ @
+ (_|$@
+  _|$@@
+     @
+ |_$ @
+ | |$@
+     @@
+   @
+ o$@
+ |$@
+   @@
+    @
+  o$@
+  |$@
+ _|$@@
+    @
+ |$ @
+ |<$@
+    @@
+   @
+ |$@
+ |$@
+   @@
+       @
+ ._ _$ @
+ | | |$@
+       @@
+     @
+ ._$ @
+ | |$@
+     @@
+     @
+  _$ @
+ (_)$@
+     @@
+     @
+ ._$ @
+ |_)$@
+ |$  @@
+     @
+  _.$@
+ (_|$@
+   |$@@
+    @
+ ._$@
+ |$ @
+    @@
+    @
+  _$@
+ _>$@
+    @@
+     @
+ _|_$@
+  |_$@
+     @@
+     @
+     @
+ |_|$@
+     @@
+    @
+    @
+ \\/$@
+    @@
+      @
+      @
+ \\/\\/$@
+      @@
+    @
+    @
+ ><$@
+    @@
+    @
+    @
+ \\/$@
+ /$ @@
+    @
+ _$ @
+ /_$@
+    @@
+  ,-$@
+ _|$ @
+  |$ @
+  \`-$@@
+ |$@
+ |$@
+ |$@
+ |$@@
+ -.$ @
+  |_$@
+  |$ @
+ -'$ @@
+ /\\/$@
+     @
+     @
+     @@
+ o  o$@
+  /\\$ @
+ /--\\$@
+      @@
+ o_o$@
+ / \\$@
+ \\_/$@
+     @@
+ o o$@
+ | |$@
+ |_|$@
+     @@
+ o o$@
+  _.$@
+ (_|$@
+     @@
+ o o$@
+  _$ @
+ (_)$@
+     @@
+ o o$@
+     @
+ |_|$@
+     @@
+  _$ @
+ | )$@
+ | )$@
+ |$  @@
+160  NO-BREAK SPACE
+ $$@
+ $$@
+ $$@
+ $$@@
+161  INVERTED EXCLAMATION MARK
+   @
+ o$@
+ |$@
+   @@
+162  CENT SIGN
+     @
+  |_$@
+ (__$@
+  |$ @@
+163  POUND SIGN
+    _$  @
+  _/_\`$ @
+   |___$@
+        @@
+164  CURRENCY SIGN
+     @
+ \`o'$@
+ ' \`$@
+     @@
+165  YEN SIGN
+       @
+ _\\_/_$@
+ --|--$@
+       @@
+166  BROKEN BAR
+ |$@
+ |$@
+ |$@
+ |$@@
+167  SECTION SIGN
+  _$@
+ ($ @
+ ()$@
+ _)$@@
+168  DIAERESIS
+ o o$@
+     @
+     @
+     @@
+169  COPYRIGHT SIGN
+  _$ @
+ |C|$@
+ \`-'$@
+     @@
+170  FEMININE ORDINAL INDICATOR
+  _.$@
+ (_|$@
+ ---$@
+     @@
+171  LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+    @
+ //$@
+ \\\\$@
+    @@
+172  NOT SIGN
+     @
+ __$ @
+   |$@
+     @@
+173  SOFT HYPHEN
+   @
+ _$@
+   @
+   @@
+174  REGISTERED SIGN
+  _$ @
+ |R|$@
+ \`-'$@
+     @@
+175  MACRON
+ __$@
+    @
+    @
+    @@
+176  DEGREE SIGN
+ O$@
+   @
+   @
+   @@
+177  PLUS-MINUS SIGN
+     @
+ _|_$@
+ _|_$@
+     @@
+178  SUPERSCRIPT TWO
+ 2$@
+   @
+   @
+   @@
+179  SUPERSCRIPT THREE
+ 3$@
+   @
+   @
+   @@
+180  ACUTE ACCENT
+ /$@
+   @
+   @
+   @@
+181  MICRO SIGN
+     @
+     @
+ |_|$@
+ |$  @@
+182  PILCROW SIGN
+  __$ @
+ (| |$@
+  | |$@
+      @@
+183  MIDDLE DOT
+   @
+ o$@
+   @
+   @@
+184  CEDILLA
+   @
+   @
+   @
+ S$@@
+185  SUPERSCRIPT ONE
+ 1$@
+   @
+   @
+   @@
+186  MASCULINE ORDINAL INDICATOR
+  _$ @
+ (_)$@
+ ---$@
+     @@
+187  RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+    @
+ \\\\$@
+ //$@
+    @@
+188  VULGAR FRACTION ONE QUARTER
+    @
+ 1/$@
+ /4$@
+    @@
+189  VULGAR FRACTION ONE HALF
+    @
+ 1/$@
+ /2$@
+    @@
+190  VULGAR FRACTION THREE QUARTERS
+    @
+ 3/$@
+ /4$@
+    @@
+191  INVERTED QUESTION MARK
+    @
+  o$@
+ (_$@
+    @@
+192  LATIN CAPITAL LETTER A WITH GRAVE
+   \\$ @
+  /\\$ @
+ /--\\$@
+      @@
+193  LATIN CAPITAL LETTER A WITH ACUTE
+  /$  @
+  /\\$ @
+ /--\\$@
+      @@
+194  LATIN CAPITAL LETTER A WITH CIRCUMFLEX
+  /\\$ @
+  /\\$ @
+ /--\\$@
+      @@
+195  LATIN CAPITAL LETTER A WITH TILDE
+  /\\/$@
+  /\\$ @
+ /--\\$@
+      @@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+ o  o$@
+  /\\$ @
+ /--\\$@
+      @@
+197  LATIN CAPITAL LETTER A WITH RING ABOVE
+   O$  @
+  / \\$ @
+ /---\\$@
+       @@
+198  LATIN CAPITAL LETTER AE
+    _$@
+  /|_$@
+ /-|_$@
+      @@
+199  LATIN CAPITAL LETTER C WITH CEDILLA
+  _$@
+ /$ @
+ \\_$@
+  S$@@
+200  LATIN CAPITAL LETTER E WITH GRAVE
+ \\_$@
+ |_$@
+ |_$@
+    @@
+201  LATIN CAPITAL LETTER E WITH ACUTE
+  _/$@
+ |_$ @
+ |_$ @
+     @@
+202  LATIN CAPITAL LETTER E WITH CIRCUMFLEX
+  /\\$@
+ |_$ @
+ |_$ @
+     @@
+203  LATIN CAPITAL LETTER E WITH DIAERESIS
+ o_o$@
+ |_$ @
+ |_$ @
+     @@
+204  LATIN CAPITAL LETTER I WITH GRAVE
+ \\__$@
+  |$ @
+ _|_$@
+     @@
+205  LATIN CAPITAL LETTER I WITH ACUTE
+ __/$@
+  |$ @
+ _|_$@
+     @@
+206  LATIN CAPITAL LETTER I WITH CIRCUMFLEX
+  /\\$@
+ ___$@
+ _|_$@
+     @@
+207  LATIN CAPITAL LETTER I WITH DIAERESIS
+ o_o$@
+  |$ @
+ _|_$@
+     @@
+208  LATIN CAPITAL LETTER ETH
+   _$ @
+ _|_\\$@
+  |_/$@
+      @@
+209  LATIN CAPITAL LETTER N WITH TILDE
+  /\\/$@
+ |\\ |$@
+ | \\|$@
+      @@
+210  LATIN CAPITAL LETTER O WITH GRAVE
+  \\$ @
+ / \\$@
+ \\_/$@
+     @@
+211  LATIN CAPITAL LETTER O WITH ACUTE
+  /$ @
+ / \\$@
+ \\_/$@
+     @@
+212  LATIN CAPITAL LETTER O WITH CIRCUMFLEX
+  /\\$@
+ / \\$@
+ \\_/$@
+     @@
+213  LATIN CAPITAL LETTER O WITH TILDE
+ /\\/$@
+ / \\$@
+ \\_/$@
+     @@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+ o_o$@
+ / \\$@
+ \\_/$@
+     @@
+215  MULTIPLICATION SIGN
+   @
+   @
+ X$@
+   @@
+216  LATIN CAPITAL LETTER O WITH STROKE
+  __$ @
+ / /\\$@
+ \\/_/$@
+      @@
+217  LATIN CAPITAL LETTER U WITH GRAVE
+  \\$ @
+ | |$@
+ |_|$@
+     @@
+218  LATIN CAPITAL LETTER U WITH ACUTE
+  /$ @
+ | |$@
+ |_|$@
+     @@
+219  LATIN CAPITAL LETTER U WITH CIRCUMFLEX
+  /\\$@
+ | |$@
+ |_|$@
+     @@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+ o o$@
+ | |$@
+ |_|$@
+     @@
+221  LATIN CAPITAL LETTER Y WITH ACUTE
+  /$ @
+ \\_/$@
+  |$ @
+     @@
+222  LATIN CAPITAL LETTER THORN
+ |_$ @
+ |_)$@
+ |$  @
+     @@
+223  LATIN SMALL LETTER SHARP S
+  _$ @
+ | )$@
+ | )$@
+ |$  @@
+224  LATIN SMALL LETTER A WITH GRAVE
+  \\$ @
+  _.$@
+ (_|$@
+     @@
+225  LATIN SMALL LETTER A WITH ACUTE
+  /$ @
+  _.$@
+ (_|$@
+     @@
+226  LATIN SMALL LETTER A WITH CIRCUMFLEX
+  /\\$@
+  _.$@
+ (_|$@
+     @@
+227  LATIN SMALL LETTER A WITH TILDE
+ /\\/$@
+  _.$@
+ (_|$@
+     @@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+ o o$@
+  _.$@
+ (_|$@
+     @@
+229  LATIN SMALL LETTER A WITH RING ABOVE
+  O$ @
+  _.$@
+ (_|$@
+     @@
+230  LATIN SMALL LETTER AE
+       @
+  ___$ @
+ (_|/_$@
+       @@
+231  LATIN SMALL LETTER C WITH CEDILLA
+    @
+  _$@
+ (_$@
+  S$@@
+232  LATIN SMALL LETTER E WITH GRAVE
+  \\$ @
+  _$ @
+ (/_$@
+     @@
+233  LATIN SMALL LETTER E WITH ACUTE
+  /$ @
+  _$ @
+ (/_$@
+     @@
+234  LATIN SMALL LETTER E WITH CIRCUMFLEX
+  /\\$@
+  _$ @
+ (/_$@
+     @@
+235  LATIN SMALL LETTER E WITH DIAERESIS
+ o o$@
+  _$ @
+ (/_$@
+     @@
+236  LATIN SMALL LETTER I WITH GRAVE
+ \\$@
+   @
+ |$@
+   @@
+237  LATIN SMALL LETTER I WITH ACUTE
+ /$@
+   @
+ |$@
+   @@
+238  LATIN SMALL LETTER I WITH CIRCUMFLEX
+ /\\$@
+    @
+ |$ @
+    @@
+239  LATIN SMALL LETTER I WITH DIAERESIS
+ o o$@
+     @
+  |$ @
+     @@
+240  LATIN SMALL LETTER ETH
+ X$  @
+  \\$ @
+ (_|$@
+     @@
+241  LATIN SMALL LETTER N WITH TILDE
+ /\\/$@
+ ._$ @
+ | |$@
+     @@
+242  LATIN SMALL LETTER O WITH GRAVE
+  \\$ @
+  _$ @
+ (_)$@
+     @@
+243  LATIN SMALL LETTER O WITH ACUTE
+  /$ @
+  _$ @
+ (_)$@
+     @@
+244  LATIN SMALL LETTER O WITH CIRCUMFLEX
+  /\\$@
+  _$ @
+ (_)$@
+     @@
+245  LATIN SMALL LETTER O WITH TILDE
+ /\\/$@
+  _$ @
+ (_)$@
+     @@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+ o o$@
+  _$ @
+ (_)$@
+     @@
+247  DIVISION SIGN
+  o$ @
+ ---$@
+  o$ @
+     @@
+248  LATIN SMALL LETTER O WITH STROKE
+     @
+  _$ @
+ (/)$@
+     @@
+249  LATIN SMALL LETTER U WITH GRAVE
+  \\$ @
+     @
+ |_|$@
+     @@
+250  LATIN SMALL LETTER U WITH ACUTE
+  /$ @
+     @
+ |_|$@
+     @@
+251  LATIN SMALL LETTER U WITH CIRCUMFLEX
+  /\\$@
+     @
+ |_|$@
+     @@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+ o o$@
+     @
+ |_|$@
+     @@
+253  LATIN SMALL LETTER Y WITH ACUTE
+  /$@
+    @
+ \\/$@
+ /$ @@
+254  LATIN SMALL LETTER THORN
+     @
+ |_$ @
+ |_)$@
+ |$  @@
+255  LATIN SMALL LETTER Y WITH DIAERESIS
+ oo$@
+    @
+ \\/$@
+ /$ @@
+`
+    },
+    term: {
+        name: 'Term',
+        source: `flf2a 1 1 2 -1 13 0 0 242
+Terminal by Glenn Chappell 4/93
+Includes characters 128-255
+Enhanced for Latin-2,3,4 by John Cowan <cowan@ccil.org>
+Latin character sets supported only if your screen font does
+figlet release 2.2 -- November 1996
+Permission is hereby given to modify this font, as long as the
+modifier's name is placed on a comment line.
+
+Double-checked by Paul Burton <solution@earthlink.net> 12/96.  Added the new
+parameter supported by FIGlet and FIGWin.  Unlike all other FIGfonts, this one
+is intended to produce output exactly the same as the input unless a control
+file is used.  Therefore it produces the SAME output for smush, kern or fit.
+  
+@
+!@
+"@
+#@
+$@
+%@
+&@
+'@
+(@
+)@
+*@
++@
+,@
+-@
+.@
+/@
+0@
+1@
+2@
+3@
+4@
+5@
+6@
+7@
+8@
+9@
+:@
+;@
+<@
+=@
+>@
+?@
+@#
+A@
+B@
+C@
+D@
+E@
+F@
+G@
+H@
+I@
+J@
+K@
+L@
+M@
+N@
+O@
+P@
+Q@
+R@
+S@
+T@
+U@
+V@
+W@
+X@
+Y@
+Z@
+[@
+\\@
+]@
+^@
+_@
+\`@
+a@
+b@
+c@
+d@
+e@
+f@
+g@
+h@
+i@
+j@
+k@
+l@
+m@
+n@
+o@
+p@
+q@
+r@
+s@
+t@
+u@
+v@
+w@
+x@
+y@
+z@
+{@
+|@
+}@
+~@
+Ä@
+Ö@
+Ü@
+ä@
+ö@
+ü@
+ß@
+128
+@
+129
+@
+130
+@
+131
+@
+132
+@
+133
+@
+134
+@
+135
+@
+136
+@
+137
+@
+138
+@
+139
+@
+140
+@
+141
+@
+142
+@
+143
+@
+144
+@
+145
+@
+146
+@
+147
+@
+148
+@
+149
+@
+150
+@
+151
+@
+152
+@
+153
+@
+154
+@
+155
+@
+156
+@
+157
+@
+158
+@
+159
+@
+160  NO-BREAK SPACE
+ @
+161  INVERTED EXCLAMATION MARK
+¡@
+162  CENT SIGN
+¢@
+163  POUND SIGN
+£@
+164  CURRENCY SIGN
+¤@
+165  YEN SIGN
+¥@
+166  BROKEN BAR
+¦@
+167  SECTION SIGN
+§@
+168  DIAERESIS
+¨@
+169  COPYRIGHT SIGN
+©@
+170  FEMININE ORDINAL INDICATOR
+ª@
+171  LEFT-POINTING DOUBLE ANGLE QUOTATION MARK
+«@
+172  NOT SIGN
+¬@
+173  SOFT HYPHEN
+­@
+174  REGISTERED SIGN
+®@
+175  MACRON
+¯@
+176  DEGREE SIGN
+°@
+177  PLUS-MINUS SIGN
+±@
+178  SUPERSCRIPT TWO
+²@
+179  SUPERSCRIPT THREE
+³@
+180  ACUTE ACCENT
+´@
+181  MICRO SIGN
+µ@
+182  PILCROW SIGN
+¶@
+183  MIDDLE DOT
+·@
+184  CEDILLA
+¸@
+185  SUPERSCRIPT ONE
+¹@
+186  MASCULINE ORDINAL INDICATOR
+º@
+187  RIGHT-POINTING DOUBLE ANGLE QUOTATION MARK
+»@
+188  VULGAR FRACTION ONE QUARTER
+¼@
+189  VULGAR FRACTION ONE HALF
+½@
+190  VULGAR FRACTION THREE QUARTERS
+¾@
+191  INVERTED QUESTION MARK
+¿@
+192  LATIN CAPITAL LETTER A WITH GRAVE
+À@
+193  LATIN CAPITAL LETTER A WITH ACUTE
+Á@
+194  LATIN CAPITAL LETTER A WITH CIRCUMFLEX
+Â@
+195  LATIN CAPITAL LETTER A WITH TILDE
+Ã@
+196  LATIN CAPITAL LETTER A WITH DIAERESIS
+Ä@
+197  LATIN CAPITAL LETTER A WITH RING ABOVE
+Å@
+198  LATIN CAPITAL LETTER AE
+Æ@
+199  LATIN CAPITAL LETTER C WITH CEDILLA
+Ç@
+200  LATIN CAPITAL LETTER E WITH GRAVE
+È@
+201  LATIN CAPITAL LETTER E WITH ACUTE
+É@
+202  LATIN CAPITAL LETTER E WITH CIRCUMFLEX
+Ê@
+203  LATIN CAPITAL LETTER E WITH DIAERESIS
+Ë@
+204  LATIN CAPITAL LETTER I WITH GRAVE
+Ì@
+205  LATIN CAPITAL LETTER I WITH ACUTE
+Í@
+206  LATIN CAPITAL LETTER I WITH CIRCUMFLEX
+Î@
+207  LATIN CAPITAL LETTER I WITH DIAERESIS
+Ï@
+208  LATIN CAPITAL LETTER ETH
+Ð@
+209  LATIN CAPITAL LETTER N WITH TILDE
+Ñ@
+210  LATIN CAPITAL LETTER O WITH GRAVE
+Ò@
+211  LATIN CAPITAL LETTER O WITH ACUTE
+Ó@
+212  LATIN CAPITAL LETTER O WITH CIRCUMFLEX
+Ô@
+213  LATIN CAPITAL LETTER O WITH TILDE
+Õ@
+214  LATIN CAPITAL LETTER O WITH DIAERESIS
+Ö@
+215  MULTIPLICATION SIGN
+×@
+216  LATIN CAPITAL LETTER O WITH STROKE
+Ø@
+217  LATIN CAPITAL LETTER U WITH GRAVE
+Ù@
+218  LATIN CAPITAL LETTER U WITH ACUTE
+Ú@
+219  LATIN CAPITAL LETTER U WITH CIRCUMFLEX
+Û@
+220  LATIN CAPITAL LETTER U WITH DIAERESIS
+Ü@
+221  LATIN CAPITAL LETTER Y WITH ACUTE
+Ý@
+222  LATIN CAPITAL LETTER THORN
+Þ@
+223  LATIN SMALL LETTER SHARP S
+ß@
+224  LATIN SMALL LETTER A WITH GRAVE
+à@
+225  LATIN SMALL LETTER A WITH ACUTE
+á@
+226  LATIN SMALL LETTER A WITH CIRCUMFLEX
+â@
+227  LATIN SMALL LETTER A WITH TILDE
+ã@
+228  LATIN SMALL LETTER A WITH DIAERESIS
+ä@
+229  LATIN SMALL LETTER A WITH RING ABOVE
+å@
+230  LATIN SMALL LETTER AE
+æ@
+231  LATIN SMALL LETTER C WITH CEDILLA
+ç@
+232  LATIN SMALL LETTER E WITH GRAVE
+è@
+233  LATIN SMALL LETTER E WITH ACUTE
+é@
+234  LATIN SMALL LETTER E WITH CIRCUMFLEX
+ê@
+235  LATIN SMALL LETTER E WITH DIAERESIS
+ë@
+236  LATIN SMALL LETTER I WITH GRAVE
+ì@
+237  LATIN SMALL LETTER I WITH ACUTE
+í@
+238  LATIN SMALL LETTER I WITH CIRCUMFLEX
+î@
+239  LATIN SMALL LETTER I WITH DIAERESIS
+ï@
+240  LATIN SMALL LETTER ETH
+ð@
+241  LATIN SMALL LETTER N WITH TILDE
+ñ@
+242  LATIN SMALL LETTER O WITH GRAVE
+ò@
+243  LATIN SMALL LETTER O WITH ACUTE
+ó@
+244  LATIN SMALL LETTER O WITH CIRCUMFLEX
+ô@
+245  LATIN SMALL LETTER O WITH TILDE
+õ@
+246  LATIN SMALL LETTER O WITH DIAERESIS
+ö@
+247  DIVISION SIGN
+÷@
+248  LATIN SMALL LETTER O WITH STROKE
+ø@
+249  LATIN SMALL LETTER U WITH GRAVE
+ù@
+250  LATIN SMALL LETTER U WITH ACUTE
+ú@
+251  LATIN SMALL LETTER U WITH CIRCUMFLEX
+û@
+252  LATIN SMALL LETTER U WITH DIAERESIS
+ü@
+253  LATIN SMALL LETTER Y WITH ACUTE
+ý@
+254  LATIN SMALL LETTER THORN
+þ@
+255  LATIN SMALL LETTER Y WITH DIAERESIS
+ÿ@
+0x0100  LATIN CAPITAL LETTER A WITH MACRON
+À@
+0x0101  LATIN SMALL LETTER A WITH MACRON
+à@
+0x0102  LATIN CAPITAL LETTER A WITH BREVE
+Ã@
+0x0103  LATIN SMALL LETTER A WITH BREVE
+ã@
+0x0104  LATIN CAPITAL LETTER A WITH OGONEK
+¡@
+0x0105  LATIN SMALL LETTER A WITH OGONEK
+±@
+0x0106  LATIN CAPITAL LETTER C WITH ACUTE
+Æ@
+0x0107  LATIN SMALL LETTER C WITH ACUTE
+æ@
+0x0108  LATIN CAPITAL LETTER C WITH CIRCUMFLEX
+Æ@
+0x0109  LATIN SMALL LETTER C WITH CIRCUMFLEX
+æ@
+0x010A  LATIN CAPITAL LETTER C WITH DOT ABOVE
+Å@
+0x010B  LATIN SMALL LETTER C WITH DOT ABOVE
+å@
+0x010C  LATIN CAPITAL LETTER C WITH CARON
+È@
+0x010D  LATIN SMALL LETTER C WITH CARON
+è@
+0x010E  LATIN CAPITAL LETTER D WITH CARON
+Ï@
+0x010F  LATIN SMALL LETTER D WITH CARON
+ï@
+0x0110  LATIN CAPITAL LETTER D WITH STROKE
+Ð@
+0x0111  LATIN SMALL LETTER D WITH STROKE
+ð@
+0x0112  LATIN CAPITAL LETTER E WITH MACRON
+ª@
+0x0113  LATIN SMALL LETTER E WITH MACRON
+º@
+0x0116  LATIN CAPITAL LETTER E WITH DOT ABOVE
+Ì@
+0x0117  LATIN SMALL LETTER E WITH DOT ABOVE
+ì@
+0x0118  LATIN CAPITAL LETTER E WITH OGONEK
+Ê@
+0x0119  LATIN SMALL LETTER E WITH OGONEK
+ê@
+0x011A  LATIN CAPITAL LETTER E WITH CARON
+Ì@
+0x011B  LATIN SMALL LETTER E WITH CARON
+ì@
+0x011C  LATIN CAPITAL LETTER G WITH CIRCUMFLEX
+Ø@
+0x011D  LATIN SMALL LETTER G WITH CIRCUMFLEX
+ø@
+0x011E  LATIN CAPITAL LETTER G WITH BREVE
+«@
+0x011F  LATIN SMALL LETTER G WITH BREVE
+»@
+0x0120  LATIN CAPITAL LETTER G WITH DOT ABOVE
+Õ@
+0x0121  LATIN SMALL LETTER G WITH DOT ABOVE
+õ@
+0x0122  LATIN CAPITAL LETTER G WITH CEDILLA
+«@
+0x0123  LATIN SMALL LETTER G WITH CEDILLA
+»@
+0x0124  LATIN CAPITAL LETTER H WITH CIRCUMFLEX
+¦@
+0x0125  LATIN SMALL LETTER H WITH CIRCUMFLEX
+¶@
+0x0126  LATIN CAPITAL LETTER H WITH STROKE
+¡@
+0x0127  LATIN SMALL LETTER H WITH STROKE
+±@
+0x0128  LATIN CAPITAL LETTER I WITH TILDE
+¥@
+0x0129  LATIN SMALL LETTER I WITH TILDE
+µ@
+0x012A  LATIN CAPITAL LETTER I WITH MACRON
+Ï@
+0x012B  LATIN SMALL LETTER I WITH MACRON
+ï@
+0x012E  LATIN CAPITAL LETTER I WITH OGONEK
+Ç@
+0x012F  LATIN SMALL LETTER I WITH OGONEK
+ç@
+0x0130  LATIN CAPITAL LETTER I WITH DOT ABOVE
+©@
+0x0131  LATIN SMALL LETTER DOTLESS I
+¹@
+0x0134  LATIN CAPITAL LETTER J WITH CIRCUMFLEX
+¬@
+0x0135  LATIN SMALL LETTER J WITH CIRCUMFLEX
+¼@
+0x0136  LATIN CAPITAL LETTER K WITH CEDILLA
+Ó@
+0x0137  LATIN SMALL LETTER K WITH CEDILLA
+ó@
+0x0138  LATIN SMALL LETTER KRA
+¢@
+0x0139  LATIN CAPITAL LETTER L WITH ACUTE
+Å@
+0x013A  LATIN SMALL LETTER L WITH ACUTE
+å@
+0x013B  LATIN CAPITAL LETTER L WITH CEDILLA
+¦@
+0x013C  LATIN SMALL LETTER L WITH CEDILLA
+¶@
+0x013D  LATIN CAPITAL LETTER L WITH CARON
+¥@
+0x013E  LATIN SMALL LETTER L WITH CARON
+µ@
+0x0141  LATIN CAPITAL LETTER L WITH STROKE
+£@
+0x0142  LATIN SMALL LETTER L WITH STROKE
+³@
+0x0143  LATIN CAPITAL LETTER N WITH ACUTE
+Ñ@
+0x0144  LATIN SMALL LETTER N WITH ACUTE
+ñ@
+0x0145  LATIN CAPITAL LETTER N WITH CEDILLA
+Ñ@
+0x0146  LATIN SMALL LETTER N WITH CEDILLA
+ñ@
+0x0147  LATIN CAPITAL LETTER N WITH CARON
+Ò@
+0x0148  LATIN SMALL LETTER N WITH CARON
+ò@
+0x014A  LATIN CAPITAL LETTER ENG
+½@
+0x014B  LATIN SMALL LETTER ENG
+¿@
+0x014C  LATIN CAPITAL LETTER O WITH MACRON
+Ò@
+0x014D  LATIN SMALL LETTER O WITH MACRON
+ò@
+0x0150  LATIN CAPITAL LETTER O WITH DOUBLE ACUTE
+Õ@
+0x0151  LATIN SMALL LETTER O WITH DOUBLE ACUTE
+õ@
+0x0154  LATIN CAPITAL LETTER R WITH ACUTE
+À@
+0x0155  LATIN SMALL LETTER R WITH ACUTE
+à@
+0x0156  LATIN CAPITAL LETTER R WITH CEDILLA
+£@
+0x0157  LATIN SMALL LETTER R WITH CEDILLA
+³@
+0x0158  LATIN CAPITAL LETTER R WITH CARON
+Ø@
+0x0159  LATIN SMALL LETTER R WITH CARON
+ø@
+0x015A  LATIN CAPITAL LETTER S WITH ACUTE
+¦@
+0x015B  LATIN SMALL LETTER S WITH ACUTE
+¶@
+0x015C  LATIN CAPITAL LETTER S WITH CIRCUMFLEX
+Þ@
+0x015D  LATIN SMALL LETTER S WITH CIRCUMFLEX
+þ@
+0x015E  LATIN CAPITAL LETTER S WITH CEDILLA
+ª@
+0x015F  LATIN SMALL LETTER S WITH CEDILLA
+º@
+0x0160  LATIN CAPITAL LETTER S WITH CARON
+©@
+0x0161  LATIN SMALL LETTER S WITH CARON
+¹@
+0x0162  LATIN CAPITAL LETTER T WITH CEDILLA
+Þ@
+0x0163  LATIN SMALL LETTER T WITH CEDILLA
+þ@
+0x0164  LATIN CAPITAL LETTER T WITH CARON
+«@
+0x0165  LATIN SMALL LETTER T WITH CARON
+»@
+0x0166  LATIN CAPITAL LETTER T WITH STROKE
+¬@
+0x0167  LATIN SMALL LETTER T WITH STROKE
+¼@
+0x0168  LATIN CAPITAL LETTER U WITH TILDE
+Ý@
+0x0169  LATIN SMALL LETTER U WITH TILDE
+ý@
+0x016A  LATIN CAPITAL LETTER U WITH MACRON
+Þ@
+0x016B  LATIN SMALL LETTER U WITH MACRON
+þ@
+0x016C  LATIN CAPITAL LETTER U WITH BREVE
+Ý@
+0x016D  LATIN SMALL LETTER U WITH BREVE
+ý@
+0x016E  LATIN CAPITAL LETTER U WITH RING ABOVE
+Ù@
+0x016F  LATIN SMALL LETTER U WITH RING ABOVE
+ù@
+0x0170  LATIN CAPITAL LETTER U WITH DOUBLE ACUTE
+Û@
+0x0171  LATIN SMALL LETTER U WITH DOUBLE ACUTE
+û@
+0x0172  LATIN CAPITAL LETTER U WITH OGONEK
+Ù@
+0x0173  LATIN SMALL LETTER U WITH OGONEK
+ù@
+0x0179  LATIN CAPITAL LETTER Z WITH ACUTE
+¬@
+0x017A  LATIN SMALL LETTER Z WITH ACUTE
+¼@
+0x017B  LATIN CAPITAL LETTER Z WITH DOT ABOVE
+¯@
+0x017C  LATIN SMALL LETTER Z WITH DOT ABOVE
+¿@
+0x017D  LATIN CAPITAL LETTER Z WITH CARON
+®@
+0x017E  LATIN SMALL LETTER Z WITH CARON
+¾@
+0x02C7  CARON
+·@
+0x02D8  BREVE
+¢@
+0x02D9  DOT ABOVE
+ÿ@
+0x02DB  OGONEK
+²@
+0x02DD  DOUBLE ACUTE ACCENT
+½@
+`
+    }
+};
+
+// Export for use in other modules
+window.FigletFonts = FigletFonts;
@@ -0,0 +1,340 @@
+/**
+ * BitsKee - FIGlet Banners
+ * Parses FIGlet (.flf) fonts and renders text with full-width, fitted or smushed layout.
+ */
+
+const Figlet = {
+    storageKey: 'bitskee-fonts',
+
+    // Characters every font defines, in file order: ASCII 32–126, then the Deutsch set
+    requiredCodes: [
+        ...Array.from({ length: 95 }, (_, i) => 32 + i),
+        196, 214, 220, 228, 246, 252, 223
+    ],
+
+    // Smushing rule bits shared by the old and full layout header fields
+    rules: {
+        equal: 1,
+        underscore: 2,
+        hierarchy: 4,
+        oppositePair: 8,
+        bigX: 16,
+        hardblank: 32
+    },
+
+    // Loaded .flf files, keyed by id: {name, source}
+    custom: {},
+
+    // Parsed fonts, keyed by id
+    fontCache: {},
+
+    /**
+     * Load fonts added in previous sessions.
+     */
+    init() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.custom = saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.error('Failed to load custom fonts:', error);
+            this.custom = {};
+        }
+    },
+
+    /**
+     * Persist custom fonts.
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+    },
+
+    /**
+     * Get a parsed font by id.
+     * @param {string} id - Bundled or custom font id.
+     * @returns {Object|null} Parsed font, or null if unknown.
+     */
+    get(id) {
+        const entry = FigletFonts[id] || this.custom[id];
+        if (!entry) return null;
+        if (!this.fontCache[id]) {
+            this.fontCache[id] = this.parse(entry.source);
+        }
+        return this.fontCache[id];
+    },
+
+    /**
+     * Add a font and persist it.
+     * @param {string} name - Display name.
+     * @param {string} source - .flf file contents.
+     * @returns {string} The new font's id.
+     */
+    addCustom(name, source) {
+        // Reject broken files before they are saved
+        const font = this.parse(source);
+
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'font';
+        let id = `custom-${slug}`;
+        for (let n = 2; this.custom[id]; n++) {
+            id = `custom-${slug}-${n}`;
+        }
+
+        this.fontCache[id] = font;
+        this.custom[id] = { name, source };
+        this.save();
+        return id;
+    },
+
+    /**
+     * Parse a FIGlet font file.
+     * @param {string} text - .flf file contents.
+     * @returns {{hardblank: string, height: number, layout: string, rules: number,
+     *     chars: Map<number, string[]>}} Parsed font; each character is a list of equal-width rows.
+     */
+    parse(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const header = lines[0] || '';
+        if (!header.startsWith('flf2') || header.length < 6) {
+            throw new Error('Not a FIGlet font');
+        }
+
+        const hardblank = header[5];
+        const params = header.slice(6).trim().split(/\s+/).map(Number);
+        const [height, , , oldLayout, commentLines = 0, , fullLayout] = params;
+        if (!Number.isInteger(height) || height < 1 || !Number.isInteger(oldLayout)) {
+            throw new Error('Invalid FIGlet font header');
+        }
+
+        const chars = new Map();
+        let line = 1 + commentLines;
+        const readChar = () => {
+            if (line + height > lines.length) return null;
+            const rows = lines.slice(line, line + height).map(row => this.stripEndmark(row));
+            line += height;
+            const width = Math.max(...rows.map(row => row.length));
+            return rows.map(row => row.padEnd(width));
+        };
+
+        for (const code of this.requiredCodes) {
+            const rows = readChar();
+            if (!rows) {
+                // Older fonts stop before the Deutsch characters
+                if (code > 126) break;
+                throw new Error('FIGlet font is missing characters');
+            }
+            chars.set(code, rows);
+        }
+
+        // Code-tagged characters: a line with the code, then the rows
+        while (line < lines.length) {
+            const tag = lines[line++].trim();
+            if (!tag) continue;
+            const code = this.parseCode(tag.split(/\s+/)[0]);
+            const rows = readChar();
+            if (!rows) break;
+            if (code !== null && code !== -1) chars.set(code, rows);
+        }
+
+        return { hardblank, height, chars, ...this.getLayout(oldLayout, fullLayout) };
+    },
+
+    /**
+     * Remove a row's endmark: trailing whitespace, then every trailing copy of its last character.
+     * @param {string} row - Raw font line.
+     * @returns {string} Row contents.
+     */
+    stripEndmark(row) {
+        const trimmed = row.replace(/\s+$/, '');
+        if (!trimmed) return '';
+        const endmark = trimmed[trimmed.length - 1];
+        let end = trimmed.length;
+        while (end > 0 && trimmed[end - 1] === endmark) end--;
+        return trimmed.slice(0, end);
+    },
+
+    /**
+     * Parse a character code tag: decimal, 0x hexadecimal or 0 octal, optionally negative.
+     * @param {string} tag - Code as written in the font.
+     * @returns {number|null} Character code, or null if unreadable.
+     */
+    parseCode(tag) {
+        const match = tag.match(/^(-?)(0x[0-9a-f]+|0[0-7]*|[1-9][0-9]*)$/i);
+        if (!match) return null;
+        const digits = match[2];
+        let value;
+        if (/^0x/i.test(digits)) {
+            value = parseInt(digits.slice(2), 16);
+        } else if (digits.length > 1 && digits[0] === '0') {
+            value = parseInt(digits, 8);
+        } else {
+            value = parseInt(digits, 10);
+        }
+        return match[1] ? -value : value;
+    },
+
+    /**
+     * Decode a font's default horizontal layout. The full layout field wins when present.
+     * @param {number} oldLayout - Old layout header field.
+     * @param {number} [fullLayout] - Full layout header field.
+     * @returns {{layout: string, rules: number}} 'full', 'fitted' or 'smushed', with smushing rules.
+     */
+    getLayout(oldLayout, fullLayout) {
+        if (Number.isInteger(fullLayout)) {
+            const rules = fullLayout & 63;
+            if (fullLayout & 128) return { layout: 'smushed', rules };
+            if (fullLayout & 64) return { layout: 'fitted', rules };
+            return { layout: 'full', rules };
+        }
+        if (oldLayout < 0) return { layout: 'full', rules: 0 };
+        if (oldLayout === 0) return { layout: 'fitted', rules: 0 };
+        return { layout: 'smushed', rules: oldLayout & 63 };
+    },
+
+    /**
+     * Render text as a banner.
+     * @param {string} text - Text to render; newlines start a new banner line.
+     * @param {Object} font - Parsed font.
+     * @param {string} [layout] - 'full', 'fitted' or 'smushed'; defaults to the font's own.
+     * @returns {string[]} Banner rows, hardblanks shown as spaces.
+     */
+    render(text, font, layout = font.layout) {
+        const rows = [];
+        for (const line of text.split(/\r?\n/)) {
+            rows.push(...this.renderLine(line, font, layout));
+        }
+        return rows;
+    },
+
+    /**
+     * Render one line of text.
+     * @param {string} text - Text without newlines.
+     * @param {Object} font - Parsed font.
+     * @param {string} layout - 'full', 'fitted' or 'smushed'.
+     * @returns {string[]} Banner rows.
+     */
+    renderLine(text, font, layout) {
+        const out = Array.from({ length: font.height }, () => []);
+        let previousWidth = 0;
+
+        for (const char of Array.from(text)) {
+            const glyph = font.chars.get(char.codePointAt(0)) || font.chars.get(0);
+            if (!glyph) continue;
+
+            // Characters narrower than two columns only ever fit, never smush
+            const width = glyph[0].length;
+            const smush = layout === 'smushed' && previousWidth > 1 && width > 1;
+            const overlap = this.smushAmount(out, glyph, font, layout, smush);
+
+            for (let row = 0; row < font.height; row++) {
+                const line = out[row];
+                const start = line.length - overlap;
+                for (let i = 0; i < width; i++) {
+                    // Overlap can reach past the start of the line, dropping leading blanks
+                    if (start + i < 0) continue;
+                    line[start + i] = i < overlap
+                        ? this.smushChars(line[start + i], glyph[row][i], font, smush) || glyph[row][i]
+                        : glyph[row][i];
+                }
+            }
+            previousWidth = width;
+        }
+
+        return out.map(line => line.join('').split(font.hardblank).join(' '));
+    },
+
+    /**
+     * How many columns the next glyph can slide into the banner.
+     * @param {string[][]} out - Banner rows so far, all the same length.
+     * @param {string[]} glyph - Next character's rows.
+     * @param {Object} font - Parsed font.
+     * @param {string} layout - 'full', 'fitted' or 'smushed'.
+     * @param {boolean} smush - Whether touching characters may merge.
+     * @returns {number} Columns of overlap.
+     */
+    smushAmount(out, glyph, font, layout, smush) {
+        if (layout === 'full') return 0;
+
+        let amount = glyph[0].length;
+        for (let row = 0; row < font.height; row++) {
+            const line = out[row];
+            const right = glyph[row];
+
+            // Last visible column of the banner (the end itself when it has none) and first of the glyph
+            let lineEnd = line.length;
+            while (lineEnd > 0 && (lineEnd === line.length || line[lineEnd] === ' ')) lineEnd--;
+            let charStart = 0;
+            while (charStart < right.length && right[charStart] === ' ') charStart++;
+
+            let rowAmount = charStart + line.length - 1 - lineEnd;
+            const left = line[lineEnd];
+            if (left === undefined || left === ' ') {
+                rowAmount++;
+            } else if (charStart < right.length && this.smushChars(left, right[charStart], font, smush)) {
+                rowAmount++;
+            }
+            amount = Math.min(amount, rowAmount);
+        }
+
+        return amount;
+    },
+
+    /**
+     * Merge two overlapping characters. Blanks always give way; two visible characters
+     * merge only under the font's smushing rules.
+     * @param {string} left - Character at the end of the banner.
+     * @param {string} right - Character at the start of the next glyph.
+     * @param {Object} font - Parsed font.
+     * @param {boolean} smush - Whether visible characters may merge.
+     * @returns {string|null} The merged character, or null if they collide.
+     */
+    smushChars(left, right, font, smush) {
+        if (left === ' ') return right;
+        if (right === ' ') return left;
+        if (!smush) return null;
+
+        const { hardblank, rules } = font;
+        const bits = this.rules;
+
+        // Universal smushing: the later character wins, but never with a hardblank
+        if (rules === 0) {
+            if (left === hardblank) return right;
+            if (right === hardblank) return left;
+            return right;
+        }
+
+        if (rules & bits.hardblank && left === hardblank && right === hardblank) return left;
+        if (left === hardblank || right === hardblank) return null;
+
+        if (rules & bits.equal && left === right) return left;
+
+        if (rules & bits.underscore) {
+            const borders = '|/\\[]{}()<>';
+            if (left === '_' && borders.includes(right)) return right;
+            if (right === '_' && borders.includes(left)) return left;
+        }
+
+        if (rules & bits.hierarchy) {
+            // The character from the later class wins
+            const classes = ['|', '/\\', '[]', '{}', '()', '<>'];
+            const leftClass = classes.findIndex(chars => chars.includes(left));
+            const rightClass = classes.findIndex(chars => chars.includes(right));
+            if (leftClass !== -1 && rightClass !== -1 && leftClass !== rightClass) {
+                return leftClass > rightClass ? left : right;
+            }
+        }
+
+        if (rules & bits.oppositePair) {
+            if (['[]', '][', '{}', '}{', '()', ')('].includes(left + right)) return '|';
+        }
+
+        if (rules & bits.bigX) {
+            if (left === '/' && right === '\\') return '|';
+            if (left === '\\' && right === '/') return 'Y';
+            if (left === '>' && right === '<') return 'X';
+        }
+
+        return null;
+    }
+};
+
+// Export for use in other modules
+window.Figlet = Figlet;
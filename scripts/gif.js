@@ -0,0 +1,433 @@
+/**
+ * BitsKee - GIF Codec
+ * Decodes animated GIFs into full frames and encodes frames as an animated GIF.
+ */
+
+const GifCodec = {
+    /**
+     * Decode every frame of a GIF, compositing each onto the logical screen.
+     * @param {Uint8Array} bytes - GIF file contents.
+     * @returns {{width: number, height: number, frames: Object[]}} Frames as
+     *     {data: Uint8ClampedArray (RGBA), delay: number (ms)}.
+     */
+    decode(bytes) {
+        const signature = String.fromCharCode(...bytes.subarray(0, 6));
+        if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+            throw new Error('Not a GIF file');
+        }
+
+        const width = bytes[6] | (bytes[7] << 8);
+        const height = bytes[8] | (bytes[9] << 8);
+        const flags = bytes[10];
+        let pos = 13;
+
+        let globalTable = null;
+        if (flags & 0x80) {
+            const size = 3 * (1 << ((flags & 7) + 1));
+            globalTable = bytes.subarray(pos, pos + size);
+            pos += size;
+        }
+
+        const screen = new Uint8ClampedArray(width * height * 4);
+        const frames = [];
+        let control = { delay: 0, disposal: 0, transparent: -1 };
+
+        while (pos < bytes.length) {
+            const block = bytes[pos++];
+
+            if (block === 0x3B) break;
+
+            if (block === 0x21) {
+                const label = bytes[pos++];
+                if (label === 0xF9) {
+                    // Graphic control extension: disposal, delay and transparency for the next image
+                    const packed = bytes[pos + 1];
+                    control = {
+                        delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10,
+                        disposal: (packed >> 2) & 7,
+                        transparent: packed & 1 ? bytes[pos + 4] : -1
+                    };
+                }
+                pos = this.skipSubBlocks(bytes, pos);
+                continue;
+            }
+
+            if (block !== 0x2C) {
+                throw new Error('Corrupt GIF data');
+            }
+
+            const left = bytes[pos] | (bytes[pos + 1] << 8);
+            const top = bytes[pos + 2] | (bytes[pos + 3] << 8);
+            const frameWidth = bytes[pos + 4] | (bytes[pos + 5] << 8);
+            const frameHeight = bytes[pos + 6] | (bytes[pos + 7] << 8);
+            const imageFlags = bytes[pos + 8];
+            pos += 9;
+
+            let table = globalTable;
+            if (imageFlags & 0x80) {
+                const size = 3 * (1 << ((imageFlags & 7) + 1));
+                table = bytes.subarray(pos, pos + size);
+                pos += size;
+            }
+            if (!table) {
+                throw new Error('GIF has no color table');
+            }
+
+            const minCodeSize = bytes[pos++];
+            const { data, end } = this.readSubBlocks(bytes, pos);
+            pos = end;
+
+            const indices = this.lzwDecode(minCodeSize, data, frameWidth * frameHeight);
+            const rows = (imageFlags & 0x40) ? this.interlacedRows(frameHeight) : null;
+
+            // Keep the screen for "restore to previous" disposal
+            const previous = control.disposal === 3 ? screen.slice() : null;
+
+            for (let y = 0; y < frameHeight; y++) {
+                const screenY = top + (rows ? rows[y] : y);
+                if (screenY >= height) continue;
+                for (let x = 0; x < frameWidth; x++) {
+                    const screenX = left + x;
+                    const index = indices[y * frameWidth + x];
+                    if (screenX >= width || index === control.transparent) continue;
+                    const i = (screenY * width + screenX) * 4;
+                    screen[i] = table[index * 3];
+                    screen[i + 1] = table[index * 3 + 1];
+                    screen[i + 2] = table[index * 3 + 2];
+                    screen[i + 3] = 255;
+                }
+            }
+
+            // Browsers treat very short delays as 100ms
+            frames.push({ data: screen.slice(), delay: control.delay < 20 ? 100 : control.delay });
+
+            if (control.disposal === 2) {
+                for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                    const start = (y * width + left) * 4;
+                    screen.fill(0, start, start + Math.min(frameWidth, width - left) * 4);
+                }
+            } else if (previous) {
+                screen.set(previous);
+            }
+            control = { delay: 0, disposal: 0, transparent: -1 };
+        }
+
+        if (frames.length === 0) {
+            throw new Error('GIF has no frames');
+        }
+        return { width, height, frames };
+    },
+
+    /**
+     * Skip a chain of data sub-blocks.
+     * @param {Uint8Array} bytes - File contents.
+     * @param {number} pos - Offset of the first sub-block length.
+     * @returns {number} Offset after the terminating zero-length block.
+     */
+    skipSubBlocks(bytes, pos) {
+        while (pos < bytes.length && bytes[pos] !== 0) {
+            pos += bytes[pos] + 1;
+        }
+        return pos + 1;
+    },
+
+    /**
+     * Concatenate a chain of data sub-blocks.
+     * @param {Uint8Array} bytes - File contents.
+     * @param {number} pos - Offset of the first sub-block length.
+     * @returns {{data: Uint8Array, end: number}} Joined data and the offset after it.
+     */
+    readSubBlocks(bytes, pos) {
+        const end = this.skipSubBlocks(bytes, pos);
+        const data = new Uint8Array(end - pos);
+        let length = 0;
+        while (pos < end - 1) {
+            const size = bytes[pos];
+            data.set(bytes.subarray(pos + 1, pos + 1 + size), length);
+            length += size;
+            pos += size + 1;
+        }
+        return { data: data.subarray(0, length), end };
+    },
+
+    /**
+     * Map interlaced row order to image rows.
+     * @param {number} height - Image height.
+     * @returns {number[]} Image row for each stored row.
+     */
+    interlacedRows(height) {
+        const rows = [];
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+            for (let y = start; y < height; y += step) {
+                rows.push(y);
+            }
+        }
+        return rows;
+    },
+
+    /**
+     * Decompress GIF LZW data.
+     * @param {number} minCodeSize - Minimum code size from the image block.
+     * @param {Uint8Array} data - Compressed bytes.
+     * @param {number} pixelCount - Number of indices expected.
+     * @returns {Uint8Array} Color indices.
+     */
+    lzwDecode(minCodeSize, data, pixelCount) {
+        const output = new Uint8Array(pixelCount);
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+
+        // Dictionary as prefix links plus the first and last byte of each entry
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const first = new Uint8Array(4096);
+        const lengths = new Uint16Array(4096);
+        for (let i = 0; i < clearCode; i++) {
+            prefix[i] = -1;
+            suffix[i] = i;
+            first[i] = i;
+            lengths[i] = 1;
+        }
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let previous = -1;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let out = 0;
+
+        for (let i = 0; i < data.length && out < pixelCount; i++) {
+            bitBuffer |= data[i] << bitCount;
+            bitCount += 8;
+
+            while (bitCount >= codeSize && out < pixelCount) {
+                const code = bitBuffer & ((1 << codeSize) - 1);
+                bitBuffer >>>= codeSize;
+                bitCount -= codeSize;
+
+                if (code === clearCode) {
+                    codeSize = minCodeSize + 1;
+                    nextCode = endCode + 1;
+                    previous = -1;
+                    continue;
+                }
+                if (code === endCode) {
+                    return output;
+                }
+
+                let entry = code;
+                if (previous !== -1 && nextCode < 4096) {
+                    // A code not yet in the table repeats the previous entry plus its first byte
+                    const known = code < nextCode;
+                    prefix[nextCode] = previous;
+                    first[nextCode] = first[previous];
+                    suffix[nextCode] = known ? first[code] : first[previous];
+                    lengths[nextCode] = lengths[previous] + 1;
+                    nextCode++;
+                    if (nextCode === (1 << codeSize) && codeSize < 12) {
+                        codeSize++;
+                    }
+                } else if (code >= nextCode) {
+                    return output;
+                }
+
+                // Write the entry backwards from its last byte
+                const length = lengths[entry];
+                let p = Math.min(out + length, pixelCount) - 1;
+                for (let skip = out + length - 1 - p; skip > 0; skip--) {
+                    entry = prefix[entry];
+                }
+                while (p >= out) {
+                    output[p--] = suffix[entry];
+                    entry = prefix[entry];
+                }
+                out += length;
+                previous = code;
+            }
+        }
+
+        return output;
+    },
+
+    /**
+     * Encode RGBA frames as a looping animated GIF.
+     * Frames share one palette; more than 255 colors are reduced by median cut.
+     * @param {Object[]} frames - {data: Uint8ClampedArray (RGBA), delay: number (ms)}.
+     * @param {number} width - Frame width.
+     * @param {number} height - Frame height.
+     * @returns {Uint8Array} GIF file contents.
+     */
+    encode(frames, width, height) {
+        const { palette, indexOf, transparent } = this.buildPalette(frames, width, height);
+        const bits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+        const tableSize = 1 << bits;
+        const out = [];
+        const word = value => out.push(value & 0xFF, (value >> 8) & 0xFF);
+
+        // Header and logical screen with a global color table
+        out.push(...Array.from('GIF89a', char => char.charCodeAt(0)));
+        word(width);
+        word(height);
+        out.push(0x80 | (bits - 1), 0, 0);
+        for (let i = 0; i < tableSize; i++) {
+            const color = palette[i] || [0, 0, 0];
+            out.push(color[0], color[1], color[2]);
+        }
+
+        // Loop forever
+        out.push(0x21, 0xFF, 11, ...Array.from('NETSCAPE2.0', char => char.charCodeAt(0)), 3, 1, 0, 0, 0);
+
+        for (const frame of frames) {
+            const delay = Math.round(frame.delay / 10);
+            // Clear to background between frames when some blocks are see-through
+            const disposal = transparent === -1 ? 1 : 2;
+            out.push(0x21, 0xF9, 4, (disposal << 2) | (transparent === -1 ? 0 : 1));
+            word(delay);
+            out.push(Math.max(0, transparent), 0);
+
+            out.push(0x2C);
+            word(0);
+            word(0);
+            word(width);
+            word(height);
+            out.push(0);
+
+            const indices = new Uint8Array(width * height);
+            for (let p = 0; p < indices.length; p++) {
+                indices[p] = indexOf(frame.data, p * 4);
+            }
+
+            const minCodeSize = Math.max(2, bits);
+            out.push(minCodeSize);
+            const compressed = this.lzwEncode(minCodeSize, indices);
+            for (let i = 0; i < compressed.length; i += 255) {
+                const chunk = compressed.subarray(i, i + 255);
+                out.push(chunk.length);
+                for (const byte of chunk) out.push(byte);
+            }
+            out.push(0);
+        }
+
+        out.push(0x3B);
+        return Uint8Array.from(out);
+    },
+
+    /**
+     * Choose one palette for all frames.
+     * @param {Object[]} frames - RGBA frames.
+     * @param {number} width - Frame width.
+     * @param {number} height - Frame height.
+     * @returns {{palette: number[][], indexOf: Function, transparent: number}} Palette,
+     *     a pixel-to-index lookup and the transparent index (-1 if unused).
+     */
+    buildPalette(frames, width, height) {
+        const unique = new Map();
+        let hasTransparency = false;
+        for (const { data } of frames) {
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] < 128) {
+                    hasTransparency = true;
+                    continue;
+                }
+                const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                if (!unique.has(key)) unique.set(key, [data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+
+        const limit = hasTransparency ? 255 : 256;
+        let palette = Array.from(unique.values());
+        let lookup;
+
+        if (palette.length <= limit) {
+            const indexes = new Map(Array.from(unique.keys(), (key, i) => [key, i]));
+            lookup = (r, g, b) => indexes.get((r << 16) | (g << 8) | b);
+        } else {
+            // Quantize a sample of every frame together so colors stay stable
+            const combined = new Uint8ClampedArray(frames.length * width * height * 4);
+            frames.forEach(({ data }, i) => combined.set(data, i * data.length));
+            palette = Quantizer.generate({ data: combined, width, height: height * frames.length }, limit, 'median-cut');
+            const matcher = ColorMatch.getMatcher(palette, 'rgb');
+            const indexes = new Map(palette.map((color, i) => [color, i]));
+            lookup = (r, g, b) => indexes.get(matcher(r, g, b));
+        }
+
+        if (palette.length === 0) palette = [[0, 0, 0]];
+        const transparent = hasTransparency ? palette.length : -1;
+        if (hasTransparency) palette.push([0, 0, 0]);
+
+        return {
+            palette,
+            transparent,
+            indexOf: (data, i) => data[i + 3] < 128 ? transparent : lookup(data[i], data[i + 1], data[i + 2])
+        };
+    },
+
+    /**
+     * Compress color indices with GIF LZW.
+     * @param {number} minCodeSize - Minimum code size (2–8).
+     * @param {Uint8Array} indices - Color indices.
+     * @returns {Uint8Array} Compressed bytes.
+     */
+    lzwEncode(minCodeSize, indices) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const bytes = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let dictionary = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                bytes.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        if (indices.length === 0) {
+            emit(endCode);
+            if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+            return Uint8Array.from(bytes);
+        }
+
+        let current = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            // Entries are keyed by prefix code and appended index
+            const key = (current << 8) | k;
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                current = code;
+                continue;
+            }
+
+            emit(current);
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < 12) {
+                    codeSize++;
+                }
+            } else {
+                // Table full: start over
+                emit(clearCode);
+                dictionary = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            current = k;
+        }
+
+        emit(current);
+        emit(endCode);
+        if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+        return Uint8Array.from(bytes);
+    }
+};
+
+// Export for use in other modules
+window.GifCodec = GifCodec;
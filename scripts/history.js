@@ -0,0 +1,118 @@
+/**
+ * BitsKee - Undo History
+ * Command-based undo/redo stack.
+ */
+
+const UndoHistory = {
+    undoStack: [],
+    redoStack: [],
+    depth: 100,
+    // Memory the recorded commands may hold, in bytes
+    maxBytes: 256 * 1024 * 1024,
+
+    /**
+     * Record a command that has already been applied.
+     * @param {Object} command - Command to record.
+     * @param {Function} command.undo - Reverts the change.
+     * @param {Function} command.redo - Re-applies the change.
+     * @param {number} [command.size] - Approximate bytes the command holds on to.
+     */
+    push(command) {
+        this.undoStack.push(command);
+        this.trim();
+        this.redoStack = [];
+        this.notifyChange();
+    },
+
+    /**
+     * Revert the most recent command.
+     * @returns {boolean} True if a command was undone.
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        command.undo();
+        this.redoStack.push(command);
+        this.notifyChange();
+        return true;
+    },
+
+    /**
+     * Re-apply the most recently undone command.
+     * @returns {boolean} True if a command was redone.
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        command.redo();
+        this.undoStack.push(command);
+        this.notifyChange();
+        return true;
+    },
+
+    /**
+     * Set how many commands are kept.
+     * @param {number} depth - Maximum undo steps.
+     */
+    setDepth(depth) {
+        this.depth = Math.max(1, Math.min(1000, depth));
+        this.trim();
+        this.notifyChange();
+    },
+
+    /**
+     * Drop the oldest commands beyond the configured depth or memory limit.
+     * The newest command is always kept.
+     */
+    trim() {
+        if (this.undoStack.length > this.depth) {
+            this.undoStack.splice(0, this.undoStack.length - this.depth);
+        }
+
+        let bytes = 0;
+        for (let i = this.undoStack.length - 1; i >= 0; i--) {
+            bytes += this.undoStack[i].size || 0;
+            if (bytes > this.maxBytes && i < this.undoStack.length - 1) {
+                this.undoStack.splice(0, i + 1);
+                return;
+            }
+        }
+    },
+
+    /**
+     * Forget all commands.
+     */
+    reset() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    },
+
+    /**
+     * Check whether there is something to undo.
+     * @returns {boolean} True if the undo stack is not empty.
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    /**
+     * Check whether there is something to redo.
+     * @returns {boolean} True if the redo stack is not empty.
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * Let the app refresh undo/redo controls.
+     */
+    notifyChange() {
+        if (window.App && window.App.updateHistoryButtons) {
+            window.App.updateHistoryButtons();
+        }
+    }
+};
+
+// Export for use in other modules
+window.UndoHistory = UndoHistory;
@@ -0,0 +1,271 @@
+/**
+ * BitsKee - Palette Library
+ * Named retro hardware palettes and user-imported custom palettes.
+ */
+
+const PaletteLibrary = {
+    storageKey: 'bitskee-palettes',
+    maxColors: 256,
+
+    // Retro hardware palettes as hex strings
+    builtin: {
+        'gameboy': {
+            name: 'Game Boy (DMG)',
+            colors: ['0f380f', '306230', '8bac0f', '9bbc0f']
+        },
+        'pico8': {
+            name: 'PICO-8',
+            colors: [
+                '000000', '1d2b53', '7e2553', '008751', 'ab5236', '5f574f', 'c2c3c7', 'fff1e8',
+                'ff004d', 'ffa300', 'ffec27', '00e436', '29adff', '83769c', 'ff77a8', 'ffccaa'
+            ]
+        },
+        'nes': {
+            name: 'NES',
+            colors: [
+                '7c7c7c', '0000fc', '0000bc', '4428bc', '940084', 'a80020', 'a81000', '881400',
+                '503000', '007800', '006800', '005800', '004058', '000000', 'bcbcbc', '0078f8',
+                '0058f8', '6844fc', 'd800cc', 'e40058', 'f83800', 'e45c10', 'ac7c00', '00b800',
+                '00a800', '00a844', '008888', 'f8f8f8', '3cbcfc', '6888fc', '9878f8', 'f878f8',
+                'f85898', 'f87858', 'fca044', 'f8b800', 'b8f818', '58d854', '58f898', '00e8d8',
+                '787878', 'fcfcfc', 'a4e4fc', 'b8b8f8', 'd8b8f8', 'f8b8f8', 'f8a4c0', 'f0d0b0',
+                'fce0a8', 'f8d878', 'd8f878', 'b8f8b8', 'b8f8d8', '00fcfc', 'f8d8f8'
+            ]
+        },
+        'c64': {
+            name: 'Commodore 64',
+            colors: [
+                '000000', 'ffffff', '68372b', '70a4b2', '6f3d86', '588d43', '352879', 'b8c76f',
+                '6f4f25', '433900', '9a6759', '444444', '6c6c6c', '9ad284', '6c5eb5', '959595'
+            ]
+        },
+        'zx': {
+            name: 'ZX Spectrum',
+            colors: [
+                '000000', '0000d7', 'd70000', 'd700d7', '00d700', '00d7d7', 'd7d700', 'd7d7d7',
+                '0000ff', 'ff0000', 'ff00ff', '00ff00', '00ffff', 'ffff00', 'ffffff'
+            ]
+        },
+        'cga': {
+            name: 'CGA (16)',
+            colors: [
+                '000000', '0000aa', '00aa00', '00aaaa', 'aa0000', 'aa00aa', 'aa5500', 'aaaaaa',
+                '555555', '5555ff', '55ff55', '55ffff', 'ff5555', 'ff55ff', 'ffff55', 'ffffff'
+            ]
+        },
+        'cga0': {
+            name: 'CGA Mode 4 (Pal 0)',
+            colors: ['000000', '55ff55', 'ff5555', 'ffff55']
+        },
+        'cga1': {
+            name: 'CGA Mode 4 (Pal 1)',
+            colors: ['000000', '55ffff', 'ff55ff', 'ffffff']
+        },
+        'apple2': {
+            name: 'Apple II',
+            colors: [
+                '000000', '6c2940', '403578', 'd93cf0', '135740', '808080', '2697f0', 'bfb4f8',
+                '404b07', 'd9680f', 'eca8bf', '26c30f', 'bfca87', '93d6bf', 'ffffff'
+            ]
+        }
+    },
+
+    // Imported palettes, keyed by id
+    custom: {},
+
+    // Converted [r, g, b] arrays, reused so color matchers stay cached
+    rgbCache: {},
+
+    /**
+     * Load custom palettes saved in previous sessions.
+     */
+    init() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            this.custom = saved && typeof saved === 'object' ? saved : {};
+        } catch (error) {
+            console.error('Failed to load custom palettes:', error);
+            this.custom = {};
+        }
+    },
+
+    /**
+     * Persist custom palettes.
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.custom));
+    },
+
+    /**
+     * Get a palette's colors by id.
+     * @param {string} id - Built-in or custom palette id.
+     * @returns {number[][]|null} Palette of [r, g, b] colors, or null if unknown.
+     */
+    get(id) {
+        const entry = this.builtin[id] || this.custom[id];
+        if (!entry) return null;
+        if (!this.rgbCache[id]) {
+            this.rgbCache[id] = entry.colors.map(hex => this.hexToRgb(hex));
+        }
+        return this.rgbCache[id];
+    },
+
+    /**
+     * Check whether an id refers to a custom palette.
+     * @param {string} id - Palette id.
+     * @returns {boolean} True for imported palettes.
+     */
+    isCustom(id) {
+        return Object.prototype.hasOwnProperty.call(this.custom, id);
+    },
+
+    /**
+     * Add a custom palette and persist it.
+     * @param {string} name - Display name.
+     * @param {number[][]} colors - Palette of [r, g, b] colors.
+     * @returns {string} The new palette's id.
+     */
+    addCustom(name, colors) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+        let id = `custom-${slug}`;
+        for (let n = 2; this.custom[id]; n++) {
+            id = `custom-${slug}-${n}`;
+        }
+
+        delete this.rgbCache[id];
+        this.custom[id] = {
+            name,
+            colors: colors.map(color => this.rgbToHex(color))
+        };
+        this.save();
+        return id;
+    },
+
+    /**
+     * Delete a custom palette.
+     * @param {string} id - Custom palette id.
+     */
+    removeCustom(id) {
+        delete this.custom[id];
+        delete this.rgbCache[id];
+        this.save();
+    },
+
+    /**
+     * Parse palette text, detecting the format from its header.
+     * Supports GIMP (.gpl), JASC (.pal) and plain hex lists (.hex or pasted).
+     * @param {string} text - Palette file contents.
+     * @param {string} [fallbackName] - Name to use when the file has none.
+     * @returns {{name: string, colors: number[][]}} Parsed palette.
+     */
+    parse(text, fallbackName = 'Custom') {
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+        let result;
+
+        if (trimmed.startsWith('GIMP Palette')) {
+            result = this.parseGpl(trimmed);
+        } else if (trimmed.startsWith('JASC-PAL')) {
+            result = this.parseJasc(trimmed);
+        } else if (trimmed.startsWith('RIFF')) {
+            throw new Error('Binary RIFF palettes are not supported');
+        } else {
+            result = { colors: this.parseHexList(trimmed) };
+        }
+
+        if (result.colors.length === 0) {
+            throw new Error('No colors found in palette');
+        }
+        if (result.colors.length > this.maxColors) {
+            throw new Error(`Palette has more than ${this.maxColors} colors`);
+        }
+
+        return {
+            name: result.name || fallbackName,
+            colors: result.colors
+        };
+    },
+
+    /**
+     * Parse a GIMP palette: "R G B name" rows after a header.
+     * @param {string} text - File contents.
+     * @returns {{name: string, colors: number[][]}} Parsed palette.
+     */
+    parseGpl(text) {
+        let name = '';
+        const colors = [];
+
+        for (const line of text.split(/\r?\n/).slice(1)) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+
+            const nameMatch = trimmed.match(/^Name:\s*(.*)$/);
+            if (nameMatch) {
+                name = nameMatch[1];
+                continue;
+            }
+            if (/^Columns:/.test(trimmed)) continue;
+
+            const rgb = trimmed.split(/\s+/).slice(0, 3).map(Number);
+            if (rgb.length === 3 && rgb.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+                colors.push(rgb);
+            }
+        }
+
+        return { name, colors };
+    },
+
+    /**
+     * Parse a JASC palette: header, version, count, then "R G B" rows.
+     * @param {string} text - File contents.
+     * @returns {{colors: number[][]}} Parsed palette.
+     */
+    parseJasc(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim());
+        const count = parseInt(lines[2], 10);
+        if (!Number.isInteger(count)) {
+            throw new Error('Invalid JASC palette header');
+        }
+
+        const colors = [];
+        for (const line of lines.slice(3, 3 + count)) {
+            const rgb = line.split(/\s+/).map(Number);
+            if (rgb.length >= 3 && rgb.slice(0, 3).every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+                colors.push(rgb.slice(0, 3));
+            }
+        }
+
+        return { colors };
+    },
+
+    /**
+     * Extract every 6-digit hex color from text.
+     * @param {string} text - Hex list, one per line or free-form.
+     * @returns {number[][]} Parsed [r, g, b] colors.
+     */
+    parseHexList(text) {
+        const matches = text.match(/(?:#|0x|\b)[0-9a-f]{6}\b/gi) || [];
+        return matches.map(hex => this.hexToRgb(hex.replace(/^(#|0x)/i, '')));
+    },
+
+    /**
+     * Convert a hex string to RGB.
+     * @param {string} hex - Six hex digits, with or without '#'.
+     * @returns {number[]} [r, g, b] values.
+     */
+    hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    /**
+     * Convert RGB to a hex string.
+     * @param {number[]} color - [r, g, b] values.
+     * @returns {string} Six lowercase hex digits.
+     */
+    rgbToHex(color) {
+        return color.map(c => c.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+// Export for use in other modules
+window.PaletteLibrary = PaletteLibrary;
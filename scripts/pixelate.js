@@ -1,95 +1,103 @@
 /**
  * BitsKee - Pixelate Engine
- * Handles image-to-pixelated conversion logic.
+ * Handles image-to-pixelated conversion logic in the browser, on top of PixelCore.
  */
 
 const Pixelator = {
-    // Color palettes for limited color modes
-    palettes: {
-        '16': [
-            [0, 0, 0], [128, 0, 0], [0, 128, 0], [128, 128, 0],
-            [0, 0, 128], [128, 0, 128], [0, 128, 128], [192, 192, 192],
-            [128, 128, 128], [255, 0, 0], [0, 255, 0], [255, 255, 0],
-            [0, 0, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
-        ],
-        '8': [
-            [0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255],
-            [255, 255, 0], [255, 0, 255], [0, 255, 255], [255, 255, 255]
-        ],
-        'grayscale': null, // Special handling
-        '1bit': [[0, 0, 0], [255, 255, 255]]
-    },
+    // Grid layout and color reduction come from the headless core
+    ...PixelCore,
+
+    // Scratch canvas holding one pixel per block while rendering
+    buffer: null,
+
+    // Full-resolution pixels per source image
+    pixelCache: new WeakMap(),
+
+    // Cell shapes other than square, drawn one block at a time
+    shapes: ['hex', 'circle', 'diamond'],
 
     /**
      * Pixelate an image.
      * @param {HTMLImageElement} image - The source image.
-     * @param {Object} options - Pixelation options.
-     * @param {number} options.pixelSize - Size of each pixel block.
-     * @param {string} options.colorMode - Color mode (full, 16, 8, grayscale, 1bit).
+     * @param {Object} options - Pixelation options (see PixelCore.quantizeImageData).
      * @param {boolean} options.showGrid - Whether to show grid lines.
      * @param {HTMLCanvasElement} targetCanvas - Canvas to render to.
      * @returns {HTMLCanvasElement} The rendered canvas.
      */
     pixelate(image, options, targetCanvas) {
-        const pixelSize = options.pixelSize || 8;
-        const colorMode = options.colorMode || 'full';
-        const showGrid = options.showGrid || false;
+        return this.renderPreview(this.quantize(image, options), targetCanvas, options);
+    },
 
-        // Calculate output dimensions
-        const scaledWidth = Math.floor(image.width / pixelSize);
-        const scaledHeight = Math.floor(image.height / pixelSize);
+    /**
+     * Render block colors at on-screen preview size.
+     * @param {ImageData} blocks - One RGBA pixel per block.
+     * @param {HTMLCanvasElement} targetCanvas - Canvas to render to.
+     * @param {Object} options - Pixelation options (see pixelate).
+     * @returns {HTMLCanvasElement} The rendered canvas.
+     */
+    renderPreview(blocks, targetCanvas, options) {
+        const pixelSize = options.pixelSize || 8;
+        const cellAspect = options.cellAspect || 1;
 
         // Set canvas size to maintain aspect ratio but cap at reasonable size
         const maxSize = 400;
-        const scale = Math.min(maxSize / scaledWidth, maxSize / scaledHeight, pixelSize);
-        const canvasWidth = Math.floor(scaledWidth * scale);
-        const canvasHeight = Math.floor(scaledHeight * scale);
+        const scale = Math.min(maxSize / blocks.width, maxSize / (blocks.height * cellAspect), pixelSize);
+
+        return this.render(blocks, targetCanvas, {
+            width: Math.max(1, Math.floor(blocks.width * scale)),
+            height: Math.max(1, Math.floor(blocks.height * cellAspect * scale)),
+            showGrid: options.showGrid,
+            shape: options.shape
+        });
+    },
+
+    /**
+     * Compute the color of every block.
+     * @param {HTMLImageElement} image - The source image.
+     * @param {Object} options - Pixelation options (see pixelate).
+     * @returns {ImageData} One RGBA pixel per block.
+     */
+    quantize(image, options) {
+        return this.quantizeImageData(this.getPixels(image), options);
+    },
+
+    /**
+     * Render block colors to a canvas at any size.
+     * @param {ImageData} blocks - One RGBA pixel per block.
+     * @param {HTMLCanvasElement} targetCanvas - Canvas to render to.
+     * @param {Object} options - Render options.
+     * @param {number} options.width - Output width in pixels.
+     * @param {number} options.height - Output height in pixels.
+     * @param {boolean} options.showGrid - Whether to show grid lines (square cells only).
+     * @param {string} [options.shape='square'] - Cell shape (see pixelate).
+     * @returns {HTMLCanvasElement} The rendered canvas.
+     */
+    render(blocks, targetCanvas, options) {
+        const { width: scaledWidth, height: scaledHeight } = blocks;
+        const canvasWidth = options.width;
+        const canvasHeight = options.height;
+        const showGrid = options.showGrid || false;
 
         targetCanvas.width = canvasWidth;
         targetCanvas.height = canvasHeight;
 
-        const ctx = targetCanvas.getContext('2d');
-        ctx.imageSmoothingEnabled = false;
-
-        // Create temp canvas to sample pixels
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = scaledWidth;
-        tempCanvas.height = scaledHeight;
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.imageSmoothingEnabled = false;
+        if (this.shapes.includes(options.shape)) {
+            return this.renderShapes(blocks, targetCanvas, options.shape);
+        }
 
-        // Draw scaled down image
-        tempCtx.drawImage(image, 0, 0, scaledWidth, scaledHeight);
+        // Write blocks 1:1 into a buffer, then scale it up in a single draw
+        const buffer = this.getBuffer(scaledWidth, scaledHeight);
+        buffer.getContext('2d').putImageData(blocks, 0, 0);
 
-        // Get pixel data
-        const imageData = tempCtx.getImageData(0, 0, scaledWidth, scaledHeight);
-        const pixels = imageData.data;
+        const ctx = targetCanvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+        ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+        ctx.drawImage(buffer, 0, 0, canvasWidth, canvasHeight);
 
         // Calculate pixel block size in output
         const blockW = canvasWidth / scaledWidth;
         const blockH = canvasHeight / scaledHeight;
 
-        // Draw pixelated version
-        for (let y = 0; y < scaledHeight; y++) {
-            for (let x = 0; x < scaledWidth; x++) {
-                const i = (y * scaledWidth + x) * 4;
-                let r = pixels[i];
-                let g = pixels[i + 1];
-                let b = pixels[i + 2];
-
-                // Apply color mode
-                [r, g, b] = this.applyColorMode(r, g, b, colorMode);
-
-                ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
-                ctx.fillRect(
-                    Math.floor(x * blockW),
-                    Math.floor(y * blockH),
-                    Math.ceil(blockW),
-                    Math.ceil(blockH)
-                );
-            }
-        }
-
         // Draw grid if enabled
         if (showGrid && blockW >= 3 && blockH >= 3) {
             ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
@@ -114,43 +122,110 @@ const Pixelator = {
     },
 
     /**
-     * Apply color mode reduction.
-     * @param {number} r - Red value.
-     * @param {number} g - Green value.
-     * @param {number} b - Blue value.
-     * @param {string} mode - Color mode.
-     * @returns {number[]} Adjusted [r, g, b] values.
+     * Draw each block as its own shape, leaving the gaps between shapes transparent.
+     * Hexagons and diamonds interlock, with odd rows shifted half a block right.
+     * @param {ImageData} blocks - One RGBA pixel per block.
+     * @param {HTMLCanvasElement} targetCanvas - Canvas to render to, already sized.
+     * @param {string} shape - 'hex', 'circle' or 'diamond'.
+     * @returns {HTMLCanvasElement} The rendered canvas.
      */
-    applyColorMode(r, g, b, mode) {
-        if (mode === 'full') {
-            return [r, g, b];
+    renderShapes(blocks, targetCanvas, shape) {
+        const { width, height, data } = blocks;
+        const ctx = targetCanvas.getContext('2d');
+        ctx.clearRect(0, 0, targetCanvas.width, targetCanvas.height);
+
+        // Column and row pitch; a hexagon is 4/3 and a diamond 2 rows tall
+        const w = targetCanvas.width / width;
+        const h = targetCanvas.height / height;
+        const radius = Math.min(w, h) * 0.45;
+
+        for (let y = 0; y < height; y++) {
+            const shift = shape !== 'circle' && y % 2 === 1 ? w / 2 : 0;
+            const cy = (y + 0.5) * h;
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (data[i + 3] === 0) continue;
+
+                const cx = (x + 0.5) * w + shift;
+                ctx.fillStyle = `rgba(${data[i]}, ${data[i + 1]}, ${data[i + 2]}, ${data[i + 3] / 255})`;
+                ctx.beginPath();
+                if (shape === 'circle') {
+                    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+                } else if (shape === 'hex') {
+                    ctx.moveTo(cx, cy - h * 2 / 3);
+                    ctx.lineTo(cx + w / 2, cy - h / 3);
+                    ctx.lineTo(cx + w / 2, cy + h / 3);
+                    ctx.lineTo(cx, cy + h * 2 / 3);
+                    ctx.lineTo(cx - w / 2, cy + h / 3);
+                    ctx.lineTo(cx - w / 2, cy - h / 3);
+                } else {
+                    ctx.moveTo(cx, cy - h);
+                    ctx.lineTo(cx + w / 2, cy);
+                    ctx.lineTo(cx, cy + h);
+                    ctx.lineTo(cx - w / 2, cy);
+                }
+                ctx.fill();
+            }
         }
 
-        if (mode === 'grayscale') {
-            const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-            return [gray, gray, gray];
+        return targetCanvas;
+    },
+
+    /**
+     * Get the shared scratch canvas used for 1:1 block rendering.
+     * @param {number} width - Width in blocks.
+     * @param {number} height - Height in blocks.
+     * @returns {HTMLCanvasElement} Canvas of the requested size.
+     */
+    getBuffer(width, height) {
+        if (!this.buffer) {
+            this.buffer = document.createElement('canvas');
         }
+        if (this.buffer.width !== width || this.buffer.height !== height) {
+            this.buffer.width = width;
+            this.buffer.height = height;
+        }
+        return this.buffer;
+    },
 
-        // Find nearest color in palette
-        const palette = this.palettes[mode];
-        if (!palette) return [r, g, b];
-
-        let nearestColor = palette[0];
-        let minDistance = Infinity;
-
-        for (const color of palette) {
-            const distance = Math.sqrt(
-                Math.pow(r - color[0], 2) +
-                Math.pow(g - color[1], 2) +
-                Math.pow(b - color[2], 2)
-            );
-            if (distance < minDistance) {
-                minDistance = distance;
-                nearestColor = color;
-            }
+    /**
+     * Read an image's full-resolution pixels. Results are cached per image.
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Source image.
+     * @returns {ImageData} Pixels at the image's own size.
+     */
+    getPixels(image) {
+        let pixels = this.pixelCache.get(image);
+        if (!pixels) {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            pixels = ctx.getImageData(0, 0, image.width, image.height);
+            this.pixelCache.set(image, pixels);
         }
+        return pixels;
+    },
+
+    /**
+     * Sample an image down to one pixel per block.
+     * @param {HTMLImageElement} image - The source image.
+     * @param {number} width - Grid width in blocks.
+     * @param {number} height - Grid height in blocks.
+     * @returns {ImageData} One RGBA pixel per block.
+     */
+    sampleImage(image, width, height) {
+        // Create temp canvas to sample pixels
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCtx.imageSmoothingEnabled = false;
+
+        // Draw scaled down image
+        tempCtx.drawImage(image, 0, 0, width, height);
 
-        return nearestColor;
+        return tempCtx.getImageData(0, 0, width, height);
     },
 
     /**
@@ -161,15 +236,24 @@ const Pixelator = {
     loadImage(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = (e) => {
-                const img = new Image();
-                img.onload = () => resolve(img);
-                img.onerror = () => reject(new Error('Failed to load image'));
-                img.src = e.target.result;
-            };
+            reader.onload = (e) => resolve(this.loadImageUrl(e.target.result));
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsDataURL(file);
         });
+    },
+
+    /**
+     * Load an image from a URL.
+     * @param {string} src - Image URL, usually a data URL.
+     * @returns {Promise<HTMLImageElement>} Loaded image.
+     */
+    loadImageUrl(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = src;
+        });
     }
 };
 
@@ -0,0 +1,235 @@
+/**
+ * BitsKee - Pixelate Core
+ * Block grid layout, sampling, alpha and color reduction on plain {width, height, data} RGBA
+ * buffers. Needs no DOM, so the browser, the worker and the command-line tool all share it.
+ */
+
+const PixelCore = {
+    // Color palettes for limited color modes
+    palettes: {
+        '16': [
+            [0, 0, 0], [128, 0, 0], [0, 128, 0], [128, 128, 0],
+            [0, 0, 128], [128, 0, 128], [0, 128, 128], [192, 192, 192],
+            [128, 128, 128], [255, 0, 0], [0, 255, 0], [255, 255, 0],
+            [0, 0, 255], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+        ],
+        '8': [
+            [0, 0, 0], [255, 0, 0], [0, 255, 0], [0, 0, 255],
+            [255, 255, 0], [255, 0, 255], [0, 255, 255], [255, 255, 255]
+        ],
+        'grayscale': null, // Special handling
+        'adaptive': null, // Generated per image, passed in as options.palette
+        '1bit': [[0, 0, 0], [255, 255, 255]]
+    },
+
+    /**
+     * Create an RGBA pixel buffer. Where ImageData exists the buffer is one, so it can be
+     * drawn straight to a canvas; elsewhere it is a plain object with the same fields.
+     * @param {number} width - Width in pixels.
+     * @param {number} height - Height in pixels.
+     * @param {Uint8ClampedArray} [data] - Pixels to wrap; a transparent buffer by default.
+     * @returns {ImageData|{width: number, height: number, data: Uint8ClampedArray}} Pixel buffer.
+     */
+    createImage(width, height, data = new Uint8ClampedArray(width * height * 4)) {
+        if (typeof ImageData !== 'undefined') {
+            return new ImageData(data, width, height);
+        }
+        return { width, height, data };
+    },
+
+    /**
+     * Compute the color of every block from full-resolution pixels.
+     * @param {Object} pixels - Source pixels as {width, height, data}.
+     * @param {Object} options - Pixelation options.
+     * @param {number} options.pixelSize - Block width in source pixels.
+     * @param {number} [options.aspect=1] - Block height as a multiple of its width (2 suits terminal characters).
+     * @param {string} [options.gridMode='size'] - 'size' to size blocks by pixelSize, 'target' for a fixed grid.
+     * @param {number} [options.gridWidth] - Blocks across, in target mode.
+     * @param {number} [options.gridHeight] - Blocks down, in target mode.
+     * @param {string} [options.shape='square'] - Cell shape: square, hex, circle or diamond.
+     * @param {string} options.colorMode - Color mode (full, 16, 8, grayscale, 1bit, adaptive or a library palette id).
+     * @param {number[][]} [options.palette] - Palette to snap to, overriding the mode's built-in one.
+     * @param {string} options.metric - Color-distance metric (rgb, redmean, cie76, ciede2000).
+     * @param {string} options.dither - Dithering method (none, floyd-steinberg, atkinson, sierra, bayer2, bayer4, bayer8).
+     * @param {string} [options.sampling] - Block sampling method (see BlockSampler.sample).
+     * @param {string} [options.alphaMode='1bit'] - '1bit' makes blocks fully opaque or fully transparent,
+     *     '8bit' keeps partial opacity.
+     * @param {number} [options.alphaThreshold=128] - Blocks less opaque than this become transparent.
+     * @param {Function} [onProgress] - Called with the fraction done (0–1).
+     * @returns {Object} One RGBA pixel per block, as {width, height, data}.
+     */
+    quantizeImageData(pixels, options, onProgress = null) {
+        // Sampling and color matching each take about half the time
+        const blocks = BlockSampler.sample(pixels, this.getGrid(pixels, options), options.sampling,
+            onProgress && (progress => onProgress(progress / 2)));
+        this.applyAlpha(blocks, options);
+        return this.quantizePixels(blocks, options, onProgress && (progress => onProgress(0.5 + progress / 2)));
+    },
+
+    /**
+     * Snap block opacity to the alpha mode. Transparent blocks are cleared to transparent black.
+     * @param {Object} imageData - One sampled RGBA pixel per block; modified in place.
+     * @param {Object} options - Pixelation options (see quantizeImageData).
+     * @returns {Object} The same imageData.
+     */
+    applyAlpha(imageData, options) {
+        const threshold = options.alphaThreshold === undefined ? 128 : options.alphaThreshold;
+        const keepPartial = options.alphaMode === '8bit';
+        const pixels = imageData.data;
+
+        for (let i = 3; i < pixels.length; i += 4) {
+            if (pixels[i] < threshold) {
+                pixels.fill(0, i - 3, i + 1);
+            } else if (!keepPartial) {
+                pixels[i] = 255;
+            }
+        }
+        return imageData;
+    },
+
+    /**
+     * Reduce sampled block colors to the color mode.
+     * @param {Object} imageData - One sampled RGBA pixel per block; modified in place.
+     * @param {Object} options - Pixelation options (see quantizeImageData).
+     * @param {Function} [onProgress] - Called with the fraction of blocks done (0–1).
+     * @returns {Object} The same imageData, quantized.
+     */
+    quantizePixels(imageData, options, onProgress = null) {
+        const colorMode = options.colorMode || 'full';
+        const metric = options.metric || 'rgb';
+        const dither = options.dither || 'none';
+        const pixels = imageData.data;
+        const palette = options.palette || this.palettes[colorMode];
+
+        // Count lookups so dithered and plain passes report progress alike
+        const total = pixels.length / 4;
+        const step = Math.max(1, Math.ceil(total / 20));
+        let done = 0;
+        const lookup = (r, g, b) => {
+            if (onProgress && ++done % step === 0) onProgress(done / total);
+            return this.applyColorMode(r, g, b, colorMode, palette, metric);
+        };
+
+        // Dither limited palettes before blocks are quantized
+        if (palette && dither !== 'none') {
+            return Dither.apply(imageData, dither, lookup, 255 / Math.cbrt(palette.length));
+        }
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            const [r, g, b] = lookup(pixels[i], pixels[i + 1], pixels[i + 2]);
+            pixels[i] = r;
+            pixels[i + 1] = g;
+            pixels[i + 2] = b;
+        }
+
+        return imageData;
+    },
+
+    /**
+     * Check whether a color mode snaps to a palette.
+     * @param {string} mode - Color mode.
+     * @returns {boolean} True for palette-based modes.
+     */
+    usesPalette(mode) {
+        return mode !== 'full' && mode !== 'grayscale';
+    },
+
+    /**
+     * Compute the block grid an image is divided into.
+     * Leftover edge pixels are shared out across the blocks rather than dropped.
+     * @param {{width: number, height: number}} image - The source image or its pixels.
+     * @param {number} blockWidth - Block width in source pixels.
+     * @param {number} [blockHeight=blockWidth] - Block height in source pixels.
+     * @returns {{width: number, height: number}} Grid size in blocks.
+     */
+    getGridSize(image, blockWidth, blockHeight = blockWidth) {
+        return {
+            width: Math.max(1, Math.round(image.width / blockWidth)),
+            height: Math.max(1, Math.round(image.height / blockHeight))
+        };
+    },
+
+    /**
+     * Lay out the block grid for pixelation options.
+     * @param {{width: number, height: number}} image - The source image or its pixels.
+     * @param {Object} options - Pixelation options (see quantizeImageData).
+     * @returns {{width: number, height: number, cellAspect: number, offsetOddRows: boolean}}
+     *     Grid size in blocks, row pitch as a multiple of column pitch, and whether odd rows
+     *     are shifted half a block.
+     */
+    getGrid(image, options) {
+        const shape = options.shape || 'square';
+        let grid;
+        if (options.gridMode === 'target') {
+            grid = {
+                width: Math.max(1, Math.round(options.gridWidth) || 1),
+                height: Math.max(1, Math.round(options.gridHeight) || 1)
+            };
+        } else {
+            const blockWidth = options.pixelSize || 8;
+            // Diamonds interlock, so their rows are half a block apart
+            const rowPitch = blockWidth * (options.aspect || 1) * (shape === 'diamond' ? 0.5 : 1);
+            grid = this.getGridSize(image, blockWidth, rowPitch);
+        }
+
+        return {
+            ...grid,
+            cellAspect: (image.height / grid.height) / (image.width / grid.width),
+            offsetOddRows: shape === 'hex' || shape === 'diamond'
+        };
+    },
+
+    /**
+     * Apply color mode reduction.
+     * @param {number} r - Red value.
+     * @param {number} g - Green value.
+     * @param {number} b - Blue value.
+     * @param {string} mode - Color mode.
+     * @param {number[][]} [palette] - Palette to use instead of the mode's built-in one.
+     * @param {string} [metric] - Color-distance metric for palette matching.
+     * @returns {number[]} Adjusted [r, g, b] values.
+     */
+    applyColorMode(r, g, b, mode, palette = this.palettes[mode], metric = 'rgb') {
+        if (mode === 'full') {
+            return [r, g, b];
+        }
+
+        if (mode === 'grayscale') {
+            const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+            return [gray, gray, gray];
+        }
+
+        // Find nearest color in palette
+        if (!palette) return [r, g, b];
+
+        return ColorMatch.getMatcher(palette, metric)(r, g, b);
+    },
+
+    /**
+     * Scale square blocks up to any size with nearest-neighbor sampling, matching how
+     * blocks were cut from the source.
+     * @param {Object} blocks - One RGBA pixel per block.
+     * @param {number} width - Output width in pixels.
+     * @param {number} height - Output height in pixels.
+     * @returns {Object} Scaled pixels, as {width, height, data}.
+     */
+    scaleImage(blocks, width, height) {
+        const out = this.createImage(width, height);
+        const columns = new Uint32Array(width);
+        for (let x = 0; x < width; x++) {
+            columns[x] = Math.floor(x * blocks.width / width);
+        }
+
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * blocks.height / height) * blocks.width;
+            for (let x = 0; x < width; x++) {
+                const i = (row + columns[x]) * 4;
+                out.data.set(blocks.data.subarray(i, i + 4), (y * width + x) * 4);
+            }
+        }
+        return out;
+    }
+};
+
+// Export for use in other modules
+window.PixelCore = PixelCore;
@@ -0,0 +1,249 @@
+/**
+ * BitsKee - Pixel Editor
+ * Hand-editing of pixelated output, one block at a time.
+ */
+
+const PixelEditor = {
+    canvas: null,
+    blocks: null,
+    offsetOddRows: false,
+    enabled: false,
+    tool: 'paint',
+    color: [0, 0, 0],
+    isPainting: false,
+    lastBlock: null,
+
+    /**
+     * Initialize the editor on the output canvas.
+     * @param {HTMLCanvasElement} canvas - Canvas showing the rendered blocks.
+     */
+    init(canvas) {
+        this.canvas = canvas;
+        this.addEventListeners();
+    },
+
+    /**
+     * Set the block model to edit.
+     * @param {ImageData} blocks - One RGBA pixel per block (scaledWidth × scaledHeight).
+     */
+    setBlocks(blocks) {
+        this.blocks = blocks;
+    },
+
+    /**
+     * Match the cell layout on screen.
+     * @param {boolean} offsetOddRows - Whether odd rows are drawn half a block to the right (hex, diamond).
+     */
+    setLayout(offsetOddRows) {
+        this.offsetOddRows = offsetOddRows;
+    },
+
+    /**
+     * Turn editing on or off.
+     * @param {boolean} enabled - Whether clicks on the canvas edit blocks.
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.isPainting = false;
+        this.canvas.classList.toggle('editing', enabled);
+    },
+
+    /**
+     * Set the active tool.
+     * @param {string} tool - 'paint', 'eyedropper' or 'fill'.
+     */
+    setTool(tool) {
+        this.tool = tool;
+    },
+
+    /**
+     * Set the paint color.
+     * @param {number[]} color - [r, g, b] values.
+     */
+    setColor(color) {
+        this.color = color;
+    },
+
+    /**
+     * Add pointer listeners to the canvas.
+     */
+    addEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.enabled || !this.blocks) return;
+            e.preventDefault();
+            this.start(this.getBlockAt(e.clientX, e.clientY));
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.isPainting) {
+                this.move(this.getBlockAt(e.clientX, e.clientY));
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.isPainting = false;
+        });
+
+        // Touch support with passive: false for preventDefault
+        this.canvas.addEventListener('touchstart', (e) => {
+            if (!this.enabled || !this.blocks) return;
+            e.preventDefault();
+            const touch = e.touches[0];
+            this.start(this.getBlockAt(touch.clientX, touch.clientY));
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchmove', (e) => {
+            if (this.isPainting) {
+                e.preventDefault();
+                const touch = e.touches[0];
+                this.move(this.getBlockAt(touch.clientX, touch.clientY));
+            }
+        }, { passive: false });
+
+        this.canvas.addEventListener('touchend', () => {
+            this.isPainting = false;
+        });
+    },
+
+    /**
+     * Map a client position to block coordinates.
+     * The canvas may be scaled by CSS, so use its on-screen box.
+     * @param {number} clientX - Pointer X in viewport pixels.
+     * @param {number} clientY - Pointer Y in viewport pixels.
+     * @returns {{x: number, y: number}|null} Block coordinates, or null if outside.
+     */
+    getBlockAt(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return null;
+
+        const y = Math.floor((clientY - rect.top) / rect.height * this.blocks.height);
+        const shift = this.offsetOddRows && y % 2 === 1 ? 0.5 : 0;
+        const x = Math.floor((clientX - rect.left) / rect.width * this.blocks.width - shift);
+        if (x < 0 || y < 0 || x >= this.blocks.width || y >= this.blocks.height) return null;
+        return { x, y };
+    },
+
+    /**
+     * Apply the active tool where the pointer went down.
+     * @param {{x: number, y: number}|null} block - Target block.
+     */
+    start(block) {
+        if (!block) return;
+
+        if (this.tool === 'eyedropper') {
+            this.color = this.getColor(block.x, block.y);
+            if (window.App && window.App.handlePixelColorPick) {
+                window.App.handlePixelColorPick(this.color);
+            }
+            return;
+        }
+
+        if (this.tool === 'fill') {
+            this.floodFill(block.x, block.y, this.color);
+        } else {
+            this.isPainting = true;
+            this.lastBlock = block;
+            this.setColorAt(block.x, block.y, this.color);
+        }
+        this.notifyChange();
+    },
+
+    /**
+     * Continue a paint stroke, filling any blocks skipped by a fast drag.
+     * @param {{x: number, y: number}|null} block - Block under the pointer.
+     */
+    move(block) {
+        if (!block || !this.lastBlock) return;
+        if (block.x === this.lastBlock.x && block.y === this.lastBlock.y) return;
+
+        // Bresenham line from the previous block
+        let x0 = this.lastBlock.x;
+        let y0 = this.lastBlock.y;
+        const dx = Math.abs(block.x - x0);
+        const dy = -Math.abs(block.y - y0);
+        const sx = x0 < block.x ? 1 : -1;
+        const sy = y0 < block.y ? 1 : -1;
+        let err = dx + dy;
+
+        while (true) {
+            this.setColorAt(x0, y0, this.color);
+            if (x0 === block.x && y0 === block.y) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x0 += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y0 += sy;
+            }
+        }
+
+        this.lastBlock = block;
+        this.notifyChange();
+    },
+
+    /**
+     * Read a block color.
+     * @param {number} x - Block column.
+     * @param {number} y - Block row.
+     * @returns {number[]} [r, g, b] values.
+     */
+    getColor(x, y) {
+        const i = (y * this.blocks.width + x) * 4;
+        const data = this.blocks.data;
+        return [data[i], data[i + 1], data[i + 2]];
+    },
+
+    /**
+     * Write a block color.
+     * @param {number} x - Block column.
+     * @param {number} y - Block row.
+     * @param {number[]} color - [r, g, b] values.
+     */
+    setColorAt(x, y, color) {
+        const i = (y * this.blocks.width + x) * 4;
+        const data = this.blocks.data;
+        data[i] = color[0];
+        data[i + 1] = color[1];
+        data[i + 2] = color[2];
+        data[i + 3] = 255;
+    },
+
+    /**
+     * Fill the 4-connected region of same-colored blocks.
+     * @param {number} startX - Seed column.
+     * @param {number} startY - Seed row.
+     * @param {number[]} color - Fill [r, g, b].
+     */
+    floodFill(startX, startY, color) {
+        const { width, height, data } = this.blocks;
+        const target = this.getColor(startX, startY);
+        if (target[0] === color[0] && target[1] === color[1] && target[2] === color[2]) return;
+
+        const matches = (x, y) => {
+            const i = (y * width + x) * 4;
+            return data[i] === target[0] && data[i + 1] === target[1] && data[i + 2] === target[2];
+        };
+
+        const stack = [[startX, startY]];
+        while (stack.length > 0) {
+            const [x, y] = stack.pop();
+            if (x < 0 || y < 0 || x >= width || y >= height || !matches(x, y)) continue;
+            this.setColorAt(x, y, color);
+            stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+        }
+    },
+
+    /**
+     * Tell the app the blocks changed so it can re-render.
+     */
+    notifyChange() {
+        if (window.App && window.App.handlePixelEdit) {
+            window.App.handlePixelEdit();
+        }
+    }
+};
+
+// Export for use in other modules
+window.PixelEditor = PixelEditor;
@@ -0,0 +1,139 @@
+/**
+ * BitsKee - Pixelation Jobs
+ * Sends pixelation jobs to scripts/worker.js, cancelling a running job when a newer one starts.
+ * Falls back to the main thread where workers are unavailable (e.g. pages opened from file://).
+ */
+
+const PixelWorker = {
+    workerUrl: 'scripts/worker.js',
+    worker: null,
+    unavailable: false,
+    jobId: 0,
+
+    // Job in flight: {id, frames, options, onProgress, resolve, reject}
+    current: null,
+
+    /**
+     * Pixelate frames.
+     * @param {ImageData[]} frames - Full-resolution pixels of each frame.
+     * @param {Object} options - Pixelation options (see PixelCore.quantizeImageData).
+     * @param {Function} [onProgress] - Called with the fraction done (0–1).
+     * @returns {Promise<ImageData[]|null>} Quantized blocks per frame, or null if a newer job
+     *     replaced this one.
+     */
+    quantize(frames, options, onProgress = null) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const job = { id: ++this.jobId, frames, options, onProgress, resolve, reject };
+            this.current = job;
+
+            const worker = this.getWorker();
+            if (!worker) {
+                this.runLocally(job);
+                return;
+            }
+            // Copied, not transferred, so runLocally can still use them if the worker fails
+            worker.postMessage({ id: job.id, frames, options: this.cloneableOptions(options) });
+        });
+    },
+
+    /**
+     * Abandon the running job. Its promise resolves to null.
+     */
+    cancel() {
+        if (!this.current) return;
+
+        // A busy worker cannot be interrupted, so replace it
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.current.resolve(null);
+        this.current = null;
+    },
+
+    /**
+     * Get the worker, starting one if needed.
+     * @returns {Worker|null} Worker, or null if workers cannot be used.
+     */
+    getWorker() {
+        if (this.worker || this.unavailable) return this.worker;
+        if (!window.Worker) {
+            this.unavailable = true;
+            return null;
+        }
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            console.warn('Pixelation worker unavailable:', error);
+            this.unavailable = true;
+            return null;
+        }
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            // The script failed to load; finish this and later jobs on the main thread
+            e.preventDefault();
+            console.warn('Pixelation worker failed:', e.message);
+            this.worker.terminate();
+            this.worker = null;
+            this.unavailable = true;
+            if (this.current) this.runLocally(this.current);
+        };
+        return this.worker;
+    },
+
+    /**
+     * Route a worker message to its job.
+     * @param {Object} message - {id, type, progress, blocks, message}.
+     */
+    handleMessage(message) {
+        const job = this.current;
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'progress') {
+            if (job.onProgress) job.onProgress(message.progress);
+            return;
+        }
+
+        this.current = null;
+        if (message.type === 'done') {
+            job.resolve(message.blocks);
+        } else {
+            job.reject(new Error(message.message));
+        }
+    },
+
+    /**
+     * Run a job synchronously on the main thread.
+     * @param {Object} job - Job in flight.
+     */
+    runLocally(job) {
+        this.current = null;
+        try {
+            job.resolve(job.frames.map(frame => PixelCore.quantizeImageData(frame, job.options)));
+        } catch (error) {
+            job.reject(error);
+        }
+    },
+
+    /**
+     * Keep only the options the worker needs, all of which survive structured cloning.
+     * @param {Object} options - Pixelation options.
+     * @returns {Object} Plain options.
+     */
+    cloneableOptions({
+        pixelSize, aspect, gridMode, gridWidth, gridHeight, shape,
+        colorMode, palette, metric, dither, sampling, alphaMode, alphaThreshold
+    }) {
+        return {
+            pixelSize, aspect, gridMode, gridWidth, gridHeight, shape,
+            colorMode, palette, metric, dither, sampling, alphaMode, alphaThreshold
+        };
+    }
+};
+
+// Export for use in other modules
+window.PixelWorker = PixelWorker;
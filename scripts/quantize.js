@@ -0,0 +1,162 @@
+/**
+ * BitsKee - Color Quantizer
+ * Derives an adaptive N-color palette from image pixels.
+ */
+
+const Quantizer = {
+    // Upper bound on pixels fed to the quantizer
+    maxSamples: 16384,
+
+    /**
+     * Generate a palette from image pixels.
+     * @param {ImageData} imageData - Source pixels.
+     * @param {number} count - Number of colors to generate.
+     * @param {string} method - 'median-cut' or 'kmeans'.
+     * @returns {number[][]} Palette of [r, g, b] colors.
+     */
+    generate(imageData, count, method) {
+        const samples = this.collectSamples(imageData);
+        if (samples.length === 0) return [[0, 0, 0]];
+
+        const palette = this.medianCut(samples, count);
+        if (method === 'kmeans') {
+            // Median cut gives a deterministic, well-spread starting point
+            return this.kmeans(samples, palette);
+        }
+        return palette;
+    },
+
+    /**
+     * Collect an evenly strided sample of opaque pixels.
+     * @param {ImageData} imageData - Source pixels.
+     * @returns {number[][]} Sampled [r, g, b] colors.
+     */
+    collectSamples(imageData) {
+        const pixels = imageData.data;
+        const total = pixels.length / 4;
+        const step = Math.max(1, Math.floor(total / this.maxSamples));
+        const samples = [];
+
+        for (let p = 0; p < total; p += step) {
+            const i = p * 4;
+            if (pixels[i + 3] === 0) continue;
+            samples.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+        }
+
+        return samples;
+    },
+
+    /**
+     * Median cut: repeatedly split the box with the widest channel range at its median.
+     * @param {number[][]} samples - Sampled [r, g, b] colors.
+     * @param {number} count - Number of colors to generate.
+     * @returns {number[][]} Palette of [r, g, b] colors.
+     */
+    medianCut(samples, count) {
+        const boxes = [samples.slice()];
+
+        while (boxes.length < count) {
+            // Pick the box with the widest spread on any channel
+            let target = -1;
+            let targetChannel = 0;
+            let widest = 0;
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                for (let c = 0; c < 3; c++) {
+                    let min = 255;
+                    let max = 0;
+                    for (const color of box) {
+                        if (color[c] < min) min = color[c];
+                        if (color[c] > max) max = color[c];
+                    }
+                    if (max - min > widest) {
+                        widest = max - min;
+                        target = index;
+                        targetChannel = c;
+                    }
+                }
+            });
+
+            // Every box is a single color, nothing left to split
+            if (target === -1) break;
+
+            const box = boxes[target];
+            box.sort((a, b) => a[targetChannel] - b[targetChannel]);
+            const median = Math.floor(box.length / 2);
+            boxes.splice(target, 1, box.slice(0, median), box.slice(median));
+        }
+
+        return boxes.map(box => this.average(box));
+    },
+
+    /**
+     * K-means refinement (Lloyd's algorithm) of an initial palette.
+     * @param {number[][]} samples - Sampled [r, g, b] colors.
+     * @param {number[][]} initial - Starting centroids.
+     * @param {number} iterations - Maximum number of passes.
+     * @returns {number[][]} Palette of [r, g, b] colors.
+     */
+    kmeans(samples, initial, iterations = 10) {
+        let centroids = initial.map(color => color.slice());
+
+        for (let pass = 0; pass < iterations; pass++) {
+            const clusters = centroids.map(() => []);
+
+            for (const color of samples) {
+                let nearest = 0;
+                let minDistance = Infinity;
+                centroids.forEach((centroid, index) => {
+                    const distance =
+                        (color[0] - centroid[0]) ** 2 +
+                        (color[1] - centroid[1]) ** 2 +
+                        (color[2] - centroid[2]) ** 2;
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        nearest = index;
+                    }
+                });
+                clusters[nearest].push(color);
+            }
+
+            // Empty clusters keep their previous centroid
+            const next = clusters.map((cluster, index) =>
+                cluster.length > 0 ? this.average(cluster) : centroids[index]
+            );
+
+            const converged = next.every((color, index) =>
+                color[0] === centroids[index][0] &&
+                color[1] === centroids[index][1] &&
+                color[2] === centroids[index][2]
+            );
+            centroids = next;
+            if (converged) break;
+        }
+
+        return centroids;
+    },
+
+    /**
+     * Average a list of colors.
+     * @param {number[][]} colors - [r, g, b] colors.
+     * @returns {number[]} Rounded mean [r, g, b].
+     */
+    average(colors) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (const color of colors) {
+            r += color[0];
+            g += color[1];
+            b += color[2];
+        }
+        return [
+            Math.round(r / colors.length),
+            Math.round(g / colors.length),
+            Math.round(b / colors.length)
+        ];
+    }
+};
+
+// Export for use in other modules
+window.Quantizer = Quantizer;
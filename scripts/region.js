@@ -0,0 +1,146 @@
+/**
+ * BitsKee - Grid Regions
+ * Clipboard text conversion and character-aware transforms for
+ * rectangular blocks of cells (arrays of rows of {char, fg, bg}).
+ */
+
+const GridRegion = {
+    // Columns between tab stops, as in terminals and ANSI art
+    tabWidth: 8,
+
+    // Characters that change when mirrored left-to-right
+    mirrorHorizontal: {
+        '/': '\\', '\\': '/',
+        '(': ')', ')': '(',
+        '[': ']', ']': '[',
+        '{': '}', '}': '{',
+        '<': '>', '>': '<',
+        '«': '»', '»': '«',
+        '┌': '┐', '┐': '┌',
+        '└': '┘', '┘': '└',
+        '├': '┤', '┤': '├',
+        '▌': '▐', '▐': '▌'
+    },
+
+    // Characters that change when mirrored top-to-bottom
+    mirrorVertical: {
+        '/': '\\', '\\': '/',
+        '^': 'v', 'v': '^',
+        '┌': '└', '└': '┌',
+        '┐': '┘', '┘': '┐',
+        '┬': '┴', '┴': '┬',
+        '▀': '▄', '▄': '▀',
+        '\'': ',', ',': '\''
+    },
+
+    // Characters that change when rotated 90° clockwise
+    rotateClockwise: {
+        '-': '|', '|': '-',
+        '─': '│', '│': '─',
+        '/': '\\', '\\': '/',
+        '┌': '┐', '┐': '┘', '┘': '└', '└': '┌',
+        '├': '┬', '┬': '┤', '┤': '┴', '┴': '├',
+        '▀': '▐', '▐': '▄', '▄': '▌', '▌': '▀',
+        '^': '>', '>': 'v', 'v': '<', '<': '^'
+    },
+
+    /**
+     * Mirror a region left-to-right.
+     * @param {Object[][]} rows - Region cells.
+     * @returns {Object[][]} Mirrored region.
+     */
+    flipHorizontal(rows) {
+        return rows.map(row => row.slice().reverse().map(cell => this.remap(cell, this.mirrorHorizontal)));
+    },
+
+    /**
+     * Mirror a region top-to-bottom.
+     * @param {Object[][]} rows - Region cells.
+     * @returns {Object[][]} Mirrored region.
+     */
+    flipVertical(rows) {
+        return rows.slice().reverse().map(row => row.map(cell => this.remap(cell, this.mirrorVertical)));
+    },
+
+    /**
+     * Rotate a region 90° clockwise; width and height swap.
+     * @param {Object[][]} rows - Region cells.
+     * @returns {Object[][]} Rotated region.
+     */
+    rotate(rows) {
+        const height = rows.length;
+        const width = height > 0 ? rows[0].length : 0;
+        const rotated = [];
+        for (let x = 0; x < width; x++) {
+            const row = [];
+            for (let y = height - 1; y >= 0; y--) {
+                row.push(this.remap(rows[y][x], this.rotateClockwise));
+            }
+            rotated.push(row);
+        }
+        return rotated;
+    },
+
+    /**
+     * Swap a cell's character through a mapping, keeping its colors.
+     * @param {Object} cell - {char, fg, bg}.
+     * @param {Object} map - Character replacements.
+     * @returns {Object} Remapped cell.
+     */
+    remap(cell, map) {
+        return map[cell.char] ? { ...cell, char: map[cell.char] } : cell;
+    },
+
+    /**
+     * Convert a region to plain text.
+     * @param {Object[][]} rows - Region cells.
+     * @returns {string} One line per row.
+     */
+    toText(rows) {
+        return rows.map(row => row.map(cell => cell.char).join('')).join('\n');
+    },
+
+    /**
+     * Find the column a tab moves to, as terminals place tab stops.
+     * @param {number} x - Current column.
+     * @returns {number} Next tab stop.
+     */
+    getTabStop(x) {
+        return (Math.floor(x / this.tabWidth) + 1) * this.tabWidth;
+    },
+
+    /**
+     * Replace tabs with spaces up to the next tab stop.
+     * @param {string[]} chars - Characters of one line.
+     * @returns {string[]} Characters without tabs.
+     */
+    expandTabs(chars) {
+        const expanded = [];
+        for (const char of chars) {
+            if (char === '\t') {
+                const stop = this.getTabStop(expanded.length);
+                while (expanded.length < stop) expanded.push(' ');
+            } else {
+                expanded.push(char);
+            }
+        }
+        return expanded;
+    },
+
+    /**
+     * Convert plain text to a rectangular region of uncolored cells,
+     * padding short lines with spaces.
+     * @param {string} text - Clipboard text.
+     * @returns {Object[][]} Region cells.
+     */
+    fromText(text) {
+        const lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+        const rows = lines.map(line => this.expandTabs(Array.from(line)));
+        const width = Math.max(...rows.map(row => row.length), 0);
+        return rows.map(row => row.concat(new Array(width - row.length).fill(' '))
+            .map(char => ({ char, fg: null, bg: null })));
+    }
+};
+
+// Export for use in other modules
+window.GridRegion = GridRegion;
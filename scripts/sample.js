@@ -0,0 +1,197 @@
+/**
+ * BitsKee - Block Sampling
+ * Reduces full-resolution pixels to one color per block. Needs no DOM, so it also runs in the worker.
+ */
+
+const BlockSampler = {
+    // Bits kept per channel when counting colors for the dominant method
+    modeBits: 5,
+
+    // Gap between the two halves of a block's widest channel that counts as an edge
+    edgeThreshold: 48,
+
+    /**
+     * Sample pixels down to a block grid. Blocks share out the whole image,
+     * so sizes that do not divide evenly differ by at most one pixel.
+     * @param {Object} pixels - Full-resolution source pixels as {width, height, data}.
+     * @param {Object} grid - Grid layout (see PixelCore.getGrid).
+     * @param {number} grid.width - Grid width in blocks.
+     * @param {number} grid.height - Grid height in blocks.
+     * @param {boolean} [grid.offsetOddRows] - Whether odd rows sit half a block to the right.
+     * @param {string} [method='center'] - 'center', 'average', 'median', 'mode' or 'edge'.
+     * @param {Function} [onProgress] - Called with the fraction of rows done (0–1).
+     * @returns {ImageData} One RGBA pixel per block.
+     */
+    sample(pixels, grid, method = 'center', onProgress = null) {
+        const { width, height } = grid;
+        const blocks = PixelCore.createImage(width, height);
+        const sampleBlock = this.samplers[method] || this.samplers.center;
+        const blockX = x => Math.min(pixels.width, Math.floor(x * pixels.width / width));
+
+        for (let by = 0; by < height; by++) {
+            const y0 = Math.floor(by * pixels.height / height);
+            const y1 = Math.max(y0 + 1, Math.floor((by + 1) * pixels.height / height));
+            // Shifted blocks at the end of a row are cut off by the image edge
+            const shift = grid.offsetOddRows && by % 2 === 1 ? 0.5 : 0;
+            for (let bx = 0; bx < width; bx++) {
+                const x0 = Math.min(pixels.width - 1, blockX(bx + shift));
+                const x1 = Math.max(x0 + 1, blockX(bx + 1 + shift));
+                const color = sampleBlock.call(this, pixels, x0, y0, x1, y1);
+                blocks.data.set(color, (by * width + bx) * 4);
+            }
+            if (onProgress) onProgress((by + 1) / height);
+        }
+
+        return blocks;
+    },
+
+    // Block samplers: (pixels, x0, y0, x1, y1) => [r, g, b, a] for the block [x0, x1) × [y0, y1)
+    samplers: {
+        center(pixels, x0, y0, x1, y1) {
+            const x = Math.floor((x0 + x1) / 2);
+            const y = Math.floor((y0 + y1) / 2);
+            const i = (y * pixels.width + x) * 4;
+            return pixels.data.subarray(i, i + 4);
+        },
+
+        average(pixels, x0, y0, x1, y1) {
+            return this.averageOf(pixels, x0, y0, x1, y1, () => true);
+        },
+
+        median(pixels, x0, y0, x1, y1) {
+            // Per-channel median from histograms
+            const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+            const data = pixels.data;
+            for (let y = y0; y < y1; y++) {
+                for (let i = (y * pixels.width + x0) * 4, end = (y * pixels.width + x1) * 4; i < end; i += 4) {
+                    histograms[0][data[i]]++;
+                    histograms[1][data[i + 1]]++;
+                    histograms[2][data[i + 2]]++;
+                    histograms[3][data[i + 3]]++;
+                }
+            }
+
+            const half = (x1 - x0) * (y1 - y0) / 2;
+            return histograms.map(histogram => {
+                let count = 0;
+                for (let value = 0; value < 256; value++) {
+                    count += histogram[value];
+                    if (count >= half) return value;
+                }
+                return 255;
+            });
+        },
+
+        mode(pixels, x0, y0, x1, y1) {
+            // Count colors at reduced precision so noise and JPEG artifacts group together
+            const data = pixels.data;
+            const shift = 8 - this.modeBits;
+            const keyOf = i => ((data[i] >> shift) << (this.modeBits * 2)) |
+                ((data[i + 1] >> shift) << this.modeBits) | (data[i + 2] >> shift);
+            const counts = new Map();
+            let best = -1;
+            let bestCount = 0;
+
+            for (let y = y0; y < y1; y++) {
+                for (let i = (y * pixels.width + x0) * 4, end = (y * pixels.width + x1) * 4; i < end; i += 4) {
+                    if (data[i + 3] === 0) continue;
+                    const key = keyOf(i);
+                    const count = (counts.get(key) || 0) + 1;
+                    counts.set(key, count);
+                    if (count > bestCount) {
+                        best = key;
+                        bestCount = count;
+                    }
+                }
+            }
+
+            if (best === -1) return [0, 0, 0, 0];
+            // Average the exact colors that fell into the winning bucket
+            return this.averageOf(pixels, x0, y0, x1, y1, i => data[i + 3] !== 0 && keyOf(i) === best);
+        },
+
+        edge(pixels, x0, y0, x1, y1) {
+            // Split the block on its widest channel, as median cut does; across an edge,
+            // keep the larger side instead of blending both into a color found on neither
+            const data = pixels.data;
+            const sums = [0, 0, 0];
+            const min = [255, 255, 255];
+            const max = [0, 0, 0];
+            let count = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let i = (y * pixels.width + x0) * 4, end = (y * pixels.width + x1) * 4; i < end; i += 4) {
+                    for (let c = 0; c < 3; c++) {
+                        sums[c] += data[i + c];
+                        min[c] = Math.min(min[c], data[i + c]);
+                        max[c] = Math.max(max[c], data[i + c]);
+                    }
+                    count++;
+                }
+            }
+
+            let channel = 0;
+            for (let c = 1; c < 3; c++) {
+                if (max[c] - min[c] > max[channel] - min[channel]) channel = c;
+            }
+            const mean = sums[channel] / count;
+
+            let low = 0;
+            let lowSum = 0;
+            let highSum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let i = (y * pixels.width + x0) * 4, end = (y * pixels.width + x1) * 4; i < end; i += 4) {
+                    if (data[i + channel] < mean) {
+                        low++;
+                        lowSum += data[i + channel];
+                    } else {
+                        highSum += data[i + channel];
+                    }
+                }
+            }
+
+            const high = count - low;
+            if (low === 0 || high === 0 || highSum / high - lowSum / low < this.edgeThreshold) {
+                return this.averageOf(pixels, x0, y0, x1, y1, () => true);
+            }
+            const keepLow = low >= high;
+            return this.averageOf(pixels, x0, y0, x1, y1, i => (data[i + channel] < mean) === keepLow);
+        }
+    },
+
+    /**
+     * Average the pixels of a block that pass a test, weighting color by alpha.
+     * @param {ImageData} pixels - Source pixels.
+     * @param {number} x0 - Left edge (inclusive).
+     * @param {number} y0 - Top edge (inclusive).
+     * @param {number} x1 - Right edge (exclusive).
+     * @param {number} y1 - Bottom edge (exclusive).
+     * @param {Function} include - Receives a pixel's data index; returns whether it counts.
+     * @returns {number[]} [r, g, b, a] average.
+     */
+    averageOf(pixels, x0, y0, x1, y1, include) {
+        const data = pixels.data;
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let a = 0;
+        let count = 0;
+
+        for (let y = y0; y < y1; y++) {
+            for (let i = (y * pixels.width + x0) * 4, end = (y * pixels.width + x1) * 4; i < end; i += 4) {
+                if (!include(i)) continue;
+                const alpha = data[i + 3];
+                r += data[i] * alpha;
+                g += data[i + 1] * alpha;
+                b += data[i + 2] * alpha;
+                a += alpha;
+                count++;
+            }
+        }
+
+        if (a === 0) return [0, 0, 0, 0];
+        return [r / a, g / a, b / a, a / count];
+    }
+};
+
+// Export for use in other modules
+window.BlockSampler = BlockSampler;
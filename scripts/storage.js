@@ -0,0 +1,204 @@
+/**
+ * BitsKee - Project Storage
+ * Saves named documents to IndexedDB and reads/writes the .bitskee project format.
+ */
+
+const ProjectStore = {
+    dbName: 'bitskee',
+    storeName: 'documents',
+    lastKey: 'bitskee-last-document',
+    format: 'bitskee',
+    version: 1,
+    db: null,
+
+    /**
+     * Open (or create) the database.
+     * @returns {Promise<IDBDatabase>} Open database.
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!window.indexedDB) return Promise.reject(new Error('IndexedDB not available'));
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run a request against the documents store.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {Function} action - Receives the object store and returns an IDBRequest.
+     * @returns {Promise<*>} Request result.
+     */
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * List saved documents, most recently updated first.
+     * @returns {Promise<Object[]>} {id, name, updated} entries.
+     */
+    async list() {
+        const documents = await this.request('readonly', store => store.getAll());
+        return documents
+            .map(({ id, name, updated }) => ({ id, name, updated }))
+            .sort((a, b) => b.updated - a.updated);
+    },
+
+    /**
+     * Load a saved document.
+     * @param {string} id - Document id.
+     * @returns {Promise<Object|undefined>} Stored {id, name, updated, project}.
+     */
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    },
+
+    /**
+     * Save a document, creating it if needed.
+     * @param {Object} doc - {id, name, project}.
+     * @returns {Promise<Object>} Stored document.
+     */
+    async put(doc) {
+        const stored = { ...doc, updated: Date.now() };
+        await this.request('readwrite', store => store.put(stored));
+        return stored;
+    },
+
+    /**
+     * Delete a document.
+     * @param {string} id - Document id.
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Generate an id for a new document.
+     * @returns {string} Unique id.
+     */
+    createId() {
+        return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Remember which document was open last.
+     * @param {string} id - Document id.
+     */
+    setLastOpened(id) {
+        try {
+            localStorage.setItem(this.lastKey, id);
+        } catch (error) {
+            console.warn('Could not remember document:', error);
+        }
+    },
+
+    /**
+     * Get the document that was open last.
+     * @returns {string|null} Document id.
+     */
+    getLastOpened() {
+        try {
+            return localStorage.getItem(this.lastKey);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Encode bytes as base64 for JSON storage.
+     * @param {Uint8Array|Uint8ClampedArray} bytes - Raw bytes.
+     * @returns {string} Base64 text.
+     */
+    encodeBytes(bytes) {
+        let binary = '';
+        // Chunked to stay under argument-count limits
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 text to bytes.
+     * @param {string} text - Base64 text.
+     * @returns {Uint8Array} Raw bytes.
+     */
+    decodeBytes(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    /**
+     * Read a file into a data URL, keeping its exact bytes.
+     * @param {Blob} file - File to read.
+     * @returns {Promise<string>} Data URL.
+     */
+    async encodeFile(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        return `data:${file.type || 'application/octet-stream'};base64,${this.encodeBytes(bytes)}`;
+    },
+
+    /**
+     * Turn a base64 data URL back into a file.
+     * @param {string} url - Data URL from encodeFile.
+     * @returns {Blob} File with the URL's type.
+     */
+    decodeFile(url) {
+        const match = url.match(/^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/s);
+        if (!match) throw new Error('Invalid source file');
+        return new Blob([this.decodeBytes(match[2])], { type: match[1] });
+    },
+
+    /**
+     * Serialize a project for download.
+     * @param {Object} project - Project state (see App.getProject).
+     * @returns {string} .bitskee file contents.
+     */
+    stringify(project) {
+        return JSON.stringify({ format: this.format, version: this.version, ...project }, null, 2);
+    },
+
+    /**
+     * Parse and check a .bitskee file.
+     * @param {string} text - File contents.
+     * @returns {Object} Project state.
+     */
+    parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Not a BitsKee project');
+        }
+
+        if (!project || project.format !== this.format) {
+            throw new Error('Not a BitsKee project');
+        }
+        if (project.version > this.version) {
+            throw new Error('Project was saved by a newer version');
+        }
+        return project;
+    }
+};
+
+// Export for use in other modules
+window.ProjectStore = ProjectStore;
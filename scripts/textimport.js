@@ -0,0 +1,339 @@
+/**
+ * BitsKee - Text Import
+ * Reads plain text and ANSI art files (CP437, SAUCE records, escape codes)
+ * into rows of {char, fg, bg} cells for the drawing canvas.
+ */
+
+const TextImport = {
+    // CP437 glyphs for bytes 0x00–0x1F (control codes below are still interpreted)
+    cp437Low: ' ☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼',
+
+    // CP437 glyphs for bytes 0x80–0xFF
+    cp437High: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»' +
+        '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+        'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0',
+
+    // Bytes kept as control codes when decoding CP437: tab, LF, CR, EOF, ESC
+    controlBytes: [0x09, 0x0A, 0x0D, 0x1A, 0x1B],
+
+    // File types opened as text; others, such as images, are refused
+    extensions: ['.txt', '.ans', '.asc', '.nfo', '.diz'],
+
+    // ANSI art is drawn for an 80-column screen
+    defaultColumns: 80,
+
+    // Widths from SAUCE and cursor movement are clamped so a stray value cannot allocate a huge grid
+    maxColumns: 1000,
+    maxRows: 1000,
+
+    /**
+     * Check whether a file looks like text or ANSI art by its name or type.
+     * @param {File} file - Selected, dropped or pasted file.
+     * @returns {boolean} True for text files.
+     */
+    isTextFile(file) {
+        const name = (file.name || '').toLowerCase();
+        return (file.type || '').startsWith('text/') || this.extensions.some(ext => name.endsWith(ext));
+    },
+
+    /**
+     * Parse a text or ANSI file.
+     * @param {Uint8Array} bytes - File contents.
+     * @returns {Object[][]} Rows of {char, fg, bg} cells.
+     */
+    parse(bytes) {
+        const { data, sauce } = this.readSauce(bytes);
+
+        // Everything after the DOS end-of-file marker is metadata
+        const end = data.indexOf(0x1A);
+        const body = end === -1 ? data : data.subarray(0, end);
+
+        const text = this.decode(body);
+        if (text.trim() === '') {
+            throw new Error('File is empty');
+        }
+
+        if (!text.includes('\x1b[')) {
+            return this.parsePlain(text);
+        }
+
+        // Escape-coded art relies on the screen wrapping, so it needs a fixed width
+        const columns = sauce && sauce.columns ? Math.min(this.maxColumns, sauce.columns) : this.defaultColumns;
+        return this.parseAnsi(text, columns, sauce ? sauce.iceColors : false);
+    },
+
+    /**
+     * Split off a trailing SAUCE metadata record, if present.
+     * @param {Uint8Array} bytes - File contents.
+     * @returns {{data: Uint8Array, sauce: Object|null}} Content bytes and
+     *     {columns, iceColors} from the record.
+     */
+    readSauce(bytes) {
+        const start = bytes.length - 128;
+        if (start < 0 || String.fromCharCode(...bytes.subarray(start, start + 7)) !== 'SAUCE00') {
+            return { data: bytes, sauce: null };
+        }
+
+        const dataType = bytes[start + 94];
+        const columns = bytes[start + 96] | (bytes[start + 97] << 8);
+        const comments = bytes[start + 104];
+        const flags = bytes[start + 105];
+
+        // Optional comment block ("COMNT" + 64 bytes per line) precedes the record
+        let dataEnd = start;
+        const commentStart = start - 5 - comments * 64;
+        if (comments > 0 && commentStart >= 0 &&
+            String.fromCharCode(...bytes.subarray(commentStart, commentStart + 5)) === 'COMNT') {
+            dataEnd = commentStart;
+        }
+
+        return {
+            data: bytes.subarray(0, dataEnd),
+            sauce: {
+                // Width is only meaningful for character-based files
+                columns: dataType === 1 ? columns : 0,
+                iceColors: (flags & 1) === 1
+            }
+        };
+    },
+
+    /**
+     * Decode file bytes as UTF-8, falling back to CP437 for legacy art.
+     * @param {Uint8Array} bytes - Content bytes.
+     * @returns {string} Decoded text.
+     */
+    decode(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            // Not valid UTF-8, so treat it as DOS-era art
+        }
+
+        let text = '';
+        for (const byte of bytes) {
+            if (byte >= 0x80) {
+                text += this.cp437High[byte - 0x80];
+            } else if (byte === 0x7F) {
+                text += '⌂';
+            } else if (byte < 0x20 && !this.controlBytes.includes(byte)) {
+                text += this.cp437Low[byte];
+            } else {
+                text += String.fromCharCode(byte);
+            }
+        }
+        return text;
+    },
+
+    /**
+     * Split plain text into rows of uncolored cells.
+     * @param {string} text - File text.
+     * @returns {Object[][]} Rows of cells, padded to the longest line.
+     */
+    parsePlain(text) {
+        return GridRegion.fromText(text);
+    },
+
+    /**
+     * Run ANSI text through a minimal terminal emulator.
+     * Handles SGR colors (16, 256 and truecolor), cursor movement and line wrapping;
+     * other escape sequences are ignored.
+     * @param {string} text - File text.
+     * @param {number} columns - Screen width at which output wraps.
+     * @param {boolean} iceColors - Treat blink as a bright background.
+     * @returns {Object[][]} Rows of cells, trimmed to the drawn area.
+     */
+    parseAnsi(text, columns, iceColors) {
+        const screen = [];
+        const state = { fg: null, bg: null, bold: false, blink: false, inverse: false };
+        let x = 0;
+        let y = 0;
+        let saved = { x: 0, y: 0 };
+
+        const put = (char) => {
+            if (x >= columns) {
+                x = 0;
+                y++;
+            }
+            if (y >= this.maxRows) return;
+            if (!screen[y]) screen[y] = [];
+            screen[y][x] = { char, ...this.resolveColors(state, iceColors) };
+            x++;
+        };
+
+        const escape = /\x1b\[([\x30-\x3f]*)[\x20-\x2f]*([\x40-\x7e])/y;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '\x1b') {
+                escape.lastIndex = i;
+                const match = escape.exec(text);
+                if (!match) continue;
+                i = escape.lastIndex - 1;
+
+                const params = match[1].split(';').map(value => parseInt(value, 10));
+                const count = params[0] || 1;
+                switch (match[2]) {
+                    case 'm':
+                        this.applySgr(state, params);
+                        break;
+                    case 'A':
+                        y = Math.max(0, y - count);
+                        break;
+                    case 'B':
+                        y = Math.min(this.maxRows - 1, y + count);
+                        break;
+                    case 'C':
+                        x = Math.min(columns - 1, x + count);
+                        break;
+                    case 'D':
+                        x = Math.max(0, x - count);
+                        break;
+                    case 'H':
+                    case 'f':
+                        y = Math.min(this.maxRows - 1, (params[0] || 1) - 1);
+                        x = Math.min(columns - 1, (params[1] || 1) - 1);
+                        break;
+                    case 's':
+                        saved = { x, y };
+                        break;
+                    case 'u':
+                        ({ x, y } = saved);
+                        break;
+                }
+            } else if (char === '\n') {
+                x = 0;
+                y++;
+            } else if (char === '\r') {
+                x = 0;
+            } else if (char === '\t') {
+                const stop = Math.min(columns, GridRegion.getTabStop(x));
+                while (x < stop) put(' ');
+            } else {
+                // Surrogate pairs stay together as one cell
+                const code = text.codePointAt(i);
+                if (code > 0xFFFF) i++;
+                put(String.fromCodePoint(code));
+            }
+        }
+
+        return this.trimScreen(screen);
+    },
+
+    /**
+     * Update the current text attributes from SGR parameters.
+     * @param {Object} state - {fg, bg, bold, blink, inverse}; fg/bg are palette indexes or '#rrggbb'.
+     * @param {number[]} params - Parsed parameters (NaN for empty).
+     */
+    applySgr(state, params) {
+        for (let i = 0; i < params.length; i++) {
+            const code = params[i] || 0;
+            if (code === 0) {
+                Object.assign(state, { fg: null, bg: null, bold: false, blink: false, inverse: false });
+            } else if (code === 1) {
+                state.bold = true;
+            } else if (code === 5) {
+                state.blink = true;
+            } else if (code === 7) {
+                state.inverse = true;
+            } else if (code === 22) {
+                state.bold = false;
+            } else if (code === 25) {
+                state.blink = false;
+            } else if (code === 27) {
+                state.inverse = false;
+            } else if (code >= 30 && code <= 37) {
+                state.fg = code - 30;
+            } else if (code >= 90 && code <= 97) {
+                state.fg = code - 90 + 8;
+            } else if (code === 39) {
+                state.fg = null;
+            } else if (code >= 40 && code <= 47) {
+                state.bg = code - 40;
+            } else if (code >= 100 && code <= 107) {
+                state.bg = code - 100 + 8;
+            } else if (code === 49) {
+                state.bg = null;
+            } else if (code === 38 || code === 48) {
+                // Extended color: 5;n for 256 colors, 2;r;g;b for truecolor
+                let color = null;
+                if (params[i + 1] === 5) {
+                    color = this.indexToHex(params[i + 2] || 0);
+                    i += 2;
+                } else if (params[i + 1] === 2) {
+                    color = '#' + PaletteLibrary.rgbToHex(params.slice(i + 2, i + 5).map(value => value || 0));
+                    i += 4;
+                }
+                state[code === 38 ? 'fg' : 'bg'] = color;
+            }
+        }
+    },
+
+    /**
+     * Turn text attributes into cell colors.
+     * Bold brightens the 8 basic foreground colors, as on DOS terminals.
+     * @param {Object} state - Current attributes.
+     * @param {boolean} iceColors - Blink brightens the background instead.
+     * @returns {{fg: string|null, bg: string|null}} Cell colors.
+     */
+    resolveColors(state, iceColors) {
+        let { fg, bg } = state;
+        if (typeof fg === 'number' && fg < 8 && state.bold) fg += 8;
+        if (typeof bg === 'number' && bg < 8 && state.blink && iceColors) bg += 8;
+        fg = typeof fg === 'number' ? this.indexToHex(fg) : fg;
+        bg = typeof bg === 'number' ? this.indexToHex(bg) : bg;
+
+        if (state.inverse) {
+            // Default colors swap to the usual light-on-dark terminal pair
+            return { fg: bg || '#000000', bg: fg || '#e5e5e5' };
+        }
+        return { fg, bg };
+    },
+
+    /**
+     * Look up an xterm 256-color palette entry.
+     * @param {number} index - Palette index (0–255).
+     * @returns {string} '#rrggbb' color.
+     */
+    indexToHex(index) {
+        const rgb = index < 16
+            ? AnsiExport.palette16[index]
+            : AnsiExport.getPalette256()[Math.min(index, 255) - 16];
+        return '#' + PaletteLibrary.rgbToHex(rgb);
+    },
+
+    /**
+     * Fill gaps in the emulated screen and drop blank space past the drawing.
+     * @param {Object[][]} screen - Sparse rows of cells.
+     * @returns {Object[][]} Rectangular rows of cells.
+     */
+    trimScreen(screen) {
+        const isBlank = cell => !cell || (cell.char === ' ' && !cell.bg);
+        let width = 0;
+        let height = 0;
+        screen.forEach((row, y) => {
+            if (!row) return;
+            for (let x = row.length - 1; x >= 0; x--) {
+                if (!isBlank(row[x])) {
+                    width = Math.max(width, x + 1);
+                    height = y + 1;
+                    break;
+                }
+            }
+        });
+
+        const rows = [];
+        for (let y = 0; y < height; y++) {
+            const row = [];
+            for (let x = 0; x < width; x++) {
+                const cell = screen[y] && screen[y][x];
+                row.push(cell || { char: ' ', fg: null, bg: null });
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+};
+
+// Export for use in other modules
+window.TextImport = TextImport;
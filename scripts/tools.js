@@ -0,0 +1,235 @@
+/**
+ * BitsKee - Drawing Tools
+ * Shape and fill generators for the ASCII grid.
+ * Each generator returns the cells to write as {x, y, char} entries.
+ */
+
+const DrawTools = {
+    // Line-drawing characters for box outlines
+    boxChars: {
+        topLeft: '┌',
+        topRight: '┐',
+        bottomLeft: '└',
+        bottomRight: '┘',
+        horizontal: '─',
+        vertical: '│'
+    },
+
+    /**
+     * Straight line between two cells (Bresenham).
+     * @param {number} x0 - Start column.
+     * @param {number} y0 - Start row.
+     * @param {number} x1 - End column.
+     * @param {number} y1 - End row.
+     * @param {string} char - Character to draw with.
+     * @returns {Object[]} Cells to write.
+     */
+    line(x0, y0, x1, y1, char) {
+        const cells = [];
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        while (true) {
+            cells.push({ x, y, char });
+            if (x === x1 && y === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+
+        return cells;
+    },
+
+    /**
+     * Rectangle outline spanning two corner cells.
+     * @param {number} x0 - First corner column.
+     * @param {number} y0 - First corner row.
+     * @param {number} x1 - Opposite corner column.
+     * @param {number} y1 - Opposite corner row.
+     * @param {string} char - Character to draw with.
+     * @param {boolean} useBoxChars - Draw with ┌─┐ line-drawing characters instead.
+     * @returns {Object[]} Cells to write.
+     */
+    rect(x0, y0, x1, y1, char, useBoxChars) {
+        const left = Math.min(x0, x1);
+        const right = Math.max(x0, x1);
+        const top = Math.min(y0, y1);
+        const bottom = Math.max(y0, y1);
+        const box = this.boxChars;
+        const cells = [];
+
+        const pick = (x, y) => {
+            if (!useBoxChars) return char;
+            // Degenerate boxes collapse to a plain line
+            if (top === bottom) return box.horizontal;
+            if (left === right) return box.vertical;
+            if (y === top) {
+                if (x === left) return box.topLeft;
+                if (x === right) return box.topRight;
+                return box.horizontal;
+            }
+            if (y === bottom) {
+                if (x === left) return box.bottomLeft;
+                if (x === right) return box.bottomRight;
+                return box.horizontal;
+            }
+            return box.vertical;
+        };
+
+        for (let x = left; x <= right; x++) {
+            cells.push({ x, y: top, char: pick(x, top) });
+            if (bottom !== top) {
+                cells.push({ x, y: bottom, char: pick(x, bottom) });
+            }
+        }
+        for (let y = top + 1; y < bottom; y++) {
+            cells.push({ x: left, y, char: pick(left, y) });
+            if (right !== left) {
+                cells.push({ x: right, y, char: pick(right, y) });
+            }
+        }
+
+        return cells;
+    },
+
+    /**
+     * Ellipse outline inscribed in the box spanning two corner cells.
+     * Uses Zingl's integer midpoint algorithm so even-sized boxes stay symmetric.
+     * @param {number} x0 - First corner column.
+     * @param {number} y0 - First corner row.
+     * @param {number} x1 - Opposite corner column.
+     * @param {number} y1 - Opposite corner row.
+     * @param {string} char - Character to draw with.
+     * @returns {Object[]} Cells to write.
+     */
+    ellipse(x0, y0, x1, y1, char) {
+        const seen = new Set();
+        const cells = [];
+        const plot = (x, y) => {
+            const key = `${x},${y}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            cells.push({ x, y, char });
+        };
+
+        let a = Math.abs(x1 - x0);
+        const b = Math.abs(y1 - y0);
+        let b1 = b & 1;
+        let dx = 4 * (1 - a) * b * b;
+        let dy = 4 * (b1 + 1) * a * a;
+        let err = dx + dy + b1 * a * a;
+        let e2;
+
+        if (x0 > x1) {
+            x0 = x1;
+            x1 += a;
+        }
+        if (y0 > y1) {
+            y0 = y1;
+        }
+        y0 += Math.floor((b + 1) / 2);
+        y1 = y0 - b1;
+        a *= 8 * a;
+        b1 = 8 * b * b;
+
+        do {
+            plot(x1, y0);
+            plot(x0, y0);
+            plot(x0, y1);
+            plot(x1, y1);
+            e2 = 2 * err;
+            if (e2 <= dy) {
+                y0++;
+                y1--;
+                err += dy += a;
+            }
+            if (e2 >= dx || 2 * err > dy) {
+                x0++;
+                x1--;
+                err += dx += b1;
+            }
+        } while (x0 <= x1);
+
+        // Finish the tips of very flat ellipses
+        while (y0 - y1 <= b) {
+            plot(x0 - 1, y0);
+            plot(x1 + 1, y0++);
+            plot(x0 - 1, y1);
+            plot(x1 + 1, y1--);
+        }
+
+        return cells;
+    },
+
+    /**
+     * Contiguous region of cells holding the same character (4-connected).
+     * @param {Function} getCell - Reads the character at (x, y).
+     * @param {number} width - Grid width.
+     * @param {number} height - Grid height.
+     * @param {number} startX - Seed column.
+     * @param {number} startY - Seed row.
+     * @param {string} char - Character to fill with.
+     * @returns {Object[]} Cells to write.
+     */
+    floodFill(getCell, width, height, startX, startY, char) {
+        const target = getCell(startX, startY);
+        if (target === char) return [];
+
+        const cells = [];
+        const visited = new Uint8Array(width * height);
+        const stack = [[startX, startY]];
+
+        while (stack.length > 0) {
+            const [x, y] = stack.pop();
+            if (x < 0 || y < 0 || x >= width || y >= height) continue;
+            if (visited[y * width + x] || getCell(x, y) !== target) continue;
+            visited[y * width + x] = 1;
+            cells.push({ x, y, char });
+            stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+        }
+
+        return cells;
+    },
+
+    /**
+     * Text typed horizontally from a cell.
+     * @param {number} x - Start column.
+     * @param {number} y - Row.
+     * @param {string} text - Text to write.
+     * @returns {Object[]} Cells to write.
+     */
+    text(x, y, text) {
+        return Array.from(text).map((char, i) => ({ x: x + i, y, char }));
+    },
+
+    /**
+     * Banner rows stamped from a top-left cell. Blanks are left transparent.
+     * @param {number} x - Left column.
+     * @param {number} y - Top row.
+     * @param {string[]} rows - Rendered banner (see Figlet.render).
+     * @returns {Object[]} Cells to write.
+     */
+    banner(x, y, rows) {
+        const cells = [];
+        rows.forEach((row, dy) => {
+            Array.from(row).forEach((char, dx) => {
+                if (char !== ' ') cells.push({ x: x + dx, y: y + dy, char });
+            });
+        });
+        return cells;
+    }
+};
+
+// Export for use in other modules
+window.DrawTools = DrawTools;
@@ -0,0 +1,22 @@
+/**
+ * BitsKee - Pixelation Worker
+ * Runs block sampling and quantization off the main thread. Messages carry {id, frames, options}
+ * and are answered with progress, done or error messages for the same id.
+ */
+
+// The engine modules register themselves on window
+self.window = self;
+importScripts('colormatch.js', 'dither.js', 'pixelcore.js', 'sample.js');
+
+self.onmessage = (e) => {
+    const { id, frames, options } = e.data;
+
+    try {
+        const blocks = frames.map((frame, i) => PixelCore.quantizeImageData(frame, options, (progress) => {
+            self.postMessage({ id, type: 'progress', progress: (i + progress) / frames.length });
+        }));
+        self.postMessage({ id, type: 'done', blocks }, blocks.map(block => block.data.buffer));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../cli/engine');
+
+const { PixelCore, ColorMatch } = Engine.load();
+
+/**
+ * Make a 4×4 image whose left half is dark and right half light.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels.
+ */
+function halves() {
+    const data = new Uint8ClampedArray(4 * 4 * 4);
+    for (let i = 0; i < 16; i++) {
+        const value = i % 4 < 2 ? 20 : 230;
+        data.set([value, value, value, 255], i * 4);
+    }
+    return { width: 4, height: 4, data };
+}
+
+test('quantizeImageData samples one pixel per block and snaps it to the palette', () => {
+    const blocks = PixelCore.quantizeImageData(halves(), { pixelSize: 2, colorMode: '1bit' });
+
+    assert.strictEqual(blocks.width, 2);
+    assert.strictEqual(blocks.height, 2);
+    assert.deepStrictEqual(Array.from(blocks.data), [
+        0, 0, 0, 255, 255, 255, 255, 255,
+        0, 0, 0, 255, 255, 255, 255, 255
+    ]);
+});
+
+test('quantizeImageData clears blocks below the alpha threshold', () => {
+    const pixels = halves();
+    // Fade the top-right block
+    for (const i of [2, 3, 6, 7]) pixels.data[i * 4 + 3] = 40;
+
+    const blocks = PixelCore.quantizeImageData(pixels, { pixelSize: 2, colorMode: 'full', alphaThreshold: 128 });
+    assert.deepStrictEqual(Array.from(blocks.data.subarray(4, 8)), [0, 0, 0, 0]);
+    assert.deepStrictEqual(Array.from(blocks.data.subarray(0, 4)), [20, 20, 20, 255]);
+});
+
+test('getGrid sizes tall blocks and target grids', () => {
+    const image = { width: 80, height: 60 };
+    const tall = PixelCore.getGrid(image, { pixelSize: 10, aspect: 2 });
+    assert.deepStrictEqual([tall.width, tall.height], [8, 3]);
+
+    const target = PixelCore.getGrid(image, { gridMode: 'target', gridWidth: 16, gridHeight: 16 });
+    assert.deepStrictEqual([target.width, target.height], [16, 16]);
+    assert.strictEqual(target.cellAspect, 0.75);
+});
+
+test('scaleImage repeats each block', () => {
+    const blocks = PixelCore.createImage(2, 1, new Uint8ClampedArray([1, 2, 3, 4, 5, 6, 7, 8]));
+    const scaled = PixelCore.scaleImage(blocks, 4, 2);
+
+    assert.deepStrictEqual(Array.from(scaled.data), [
+        1, 2, 3, 4, 1, 2, 3, 4, 5, 6, 7, 8, 5, 6, 7, 8,
+        1, 2, 3, 4, 1, 2, 3, 4, 5, 6, 7, 8, 5, 6, 7, 8
+    ]);
+});
+
+test('color matchers stay exact when more colors pass than their table holds', () => {
+    const palette = [[0, 0, 0], [255, 255, 255], [200, 30, 30], [30, 200, 30], [30, 30, 200]];
+    const cacheSize = ColorMatch.cacheSize;
+    ColorMatch.cacheSize = 16;
+    const matcher = ColorMatch.createMatcher(palette, 'redmean');
+    ColorMatch.cacheSize = cacheSize;
+
+    const nearest = (r, g, b) => palette.reduce((best, color) =>
+        ColorMatch.distances.redmean([r, g, b], color) < ColorMatch.distances.redmean([r, g, b], best) ? color : best);
+    // Two passes, so the second reads back whatever the first left in the table
+    for (let pass = 0; pass < 2; pass++) {
+        for (let value = 0; value < 256; value += 5) {
+            const [r, g, b] = [value, (value * 7) % 256, 255 - value];
+            assert.strictEqual(matcher(r, g, b), nearest(r, g, b));
+        }
+    }
+});
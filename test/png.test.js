@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const PngCodec = require('../cli/png');
+
+/**
+ * Build a PNG file from raw, unfiltered scanlines.
+ * @param {Object} header - {width, height, bitDepth, colorType}.
+ * @param {number[][]} lines - Packed samples per row.
+ * @param {Object} [extra] - Chunk data to add before IDAT, keyed by type.
+ * @returns {Buffer} PNG file contents.
+ */
+function buildPng({ width, height, bitDepth, colorType }, lines, extra = {}) {
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;
+    const raw = Buffer.concat(lines.map(line => Buffer.from([0, ...line])));
+    return Buffer.concat([
+        Buffer.from(PngCodec.signature),
+        PngCodec.chunk('IHDR', ihdr),
+        ...Object.entries(extra).map(([type, data]) => PngCodec.chunk(type, Buffer.from(data))),
+        PngCodec.chunk('IDAT', zlib.deflateSync(raw)),
+        PngCodec.chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+test('encoded RGBA pixels decode unchanged', () => {
+    const width = 7;
+    const height = 5;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = (i * 37) % 256;
+    }
+
+    const decoded = PngCodec.decode(PngCodec.encode({ width, height, data }));
+    assert.strictEqual(decoded.width, width);
+    assert.strictEqual(decoded.height, height);
+    assert.deepStrictEqual(Array.from(decoded.data), Array.from(data));
+});
+
+test('decodes a 2-bit palette image with transparency', () => {
+    const png = buildPng({ width: 4, height: 1, bitDepth: 2, colorType: 3 }, [[0b00011011]], {
+        PLTE: [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255],
+        tRNS: [0]
+    });
+
+    const { data } = PngCodec.decode(png);
+    assert.deepStrictEqual(Array.from(data), [
+        255, 0, 0, 0,
+        0, 255, 0, 255,
+        0, 0, 255, 255,
+        255, 255, 255, 255
+    ]);
+});
+
+test('decodes 16-bit grayscale to 8 bits', () => {
+    const png = buildPng({ width: 2, height: 1, bitDepth: 16, colorType: 0 }, [[0x12, 0x34, 0xFF, 0xFF]]);
+    assert.deepStrictEqual(Array.from(PngCodec.decode(png).data), [0x12, 0x12, 0x12, 255, 255, 255, 255, 255]);
+});
+
+test('rejects files that are not intact PNGs', () => {
+    assert.throws(() => PngCodec.decode(Buffer.from('GIF89a')), /Not a PNG file/);
+
+    const png = PngCodec.encode({ width: 1, height: 1, data: new Uint8ClampedArray([1, 2, 3, 4]) });
+    // Flip a byte of the IHDR data so its checksum no longer matches
+    png[20] ^= 1;
+    assert.throws(() => PngCodec.decode(png), /Corrupt PNG chunk: IHDR/);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The drawing tools are a browser script; run it in a sandbox like the engine loader does
+const sandbox = vm.createContext({});
+sandbox.window = sandbox;
+const filename = path.join(__dirname, '..', 'scripts', 'tools.js');
+vm.runInContext(fs.readFileSync(filename, 'utf8'), sandbox, { filename });
+const { DrawTools } = sandbox;
+
+test('ellipse touches all four sides of its box and stays inside it', () => {
+    for (let width = 0; width <= 30; width++) {
+        for (let height = 0; height <= 30; height++) {
+            // Corners may be given in any order
+            for (const [x0, y0, x1, y1] of [[0, 0, width, height], [width, height, 0, 0], [width, 0, 0, height]]) {
+                const cells = DrawTools.ellipse(x0, y0, x1, y1, '*');
+                const xs = cells.map(cell => cell.x);
+                const ys = cells.map(cell => cell.y);
+                const box = `${x0},${y0} to ${x1},${y1}`;
+                assert.deepStrictEqual([Math.min(...xs), Math.max(...xs)], [0, width], box);
+                assert.deepStrictEqual([Math.min(...ys), Math.max(...ys)], [0, height], box);
+            }
+        }
+    }
+});
+
+test('ellipse in a one-cell-wide box is a straight line', () => {
+    const cells = Array.from(DrawTools.ellipse(0, 0, 0, 4, '*'), cell => `${cell.x},${cell.y}`).sort();
+    assert.deepStrictEqual(cells, ['0,0', '0,1', '0,2', '0,3', '0,4']);
+});